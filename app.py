@@ -1,17 +1,245 @@
-from flask import Flask, render_template, request, redirect, url_for
+from flask import Flask, Response, render_template, request, redirect, url_for, jsonify, session
+from werkzeug.security import generate_password_hash, check_password_hash
+from datetime import datetime, timezone
+import json
+import os
+import queue
+import secrets
 import sqlite3
+import threading
+import time
 
 app = Flask(__name__)
 
+# Signs the session cookie. Set SECRET_KEY in production: without it a new key
+# is made on every start, which logs everyone out.
+app.secret_key = os.environ.get('SECRET_KEY') or secrets.token_hex(32)
+app.config['SESSION_COOKIE_SAMESITE'] = 'Lax'
+
 def get_db_connection():
     conn = sqlite3.connect('tasks.db')
     conn.row_factory = sqlite3.Row
+    conn.execute('PRAGMA foreign_keys = ON')
     return conn
 
+def task_to_dict(task):
+    return {
+        'id': task['id'],
+        'title': task['title'],
+        'description': task['description'],
+        'status': task['status'],
+        'completed': task['status'] == 'completed',
+        'auto_complete': bool(task['auto_complete']),
+        'due_date': task['due_date'],
+        'position': task['position'],
+        'recurrence': task['recurrence'],
+        'remind_at': task['remind_at'],
+        'priority': task['priority'],
+        'project_id': task['project_id'],
+        'assignee_id': task['assignee_id'],
+        'created_at': task['created_at'],
+        'completed_at': task['completed_at'],
+        'deleted_at': task['deleted_at'],
+        'version': task['version']
+    }
+
+def item_to_dict(item):
+    return {
+        'id': item['id'],
+        'task_id': item['task_id'],
+        'title': item['title'],
+        'done': bool(item['done']),
+        'position': item['position']
+    }
+
+def is_integer(value):
+    # JSON numbers like 3 (bool is a subclass of int in Python, so a plain
+    # isinstance check would let true and false through)
+    return isinstance(value, int) and not isinstance(value, bool)
+
+# Accounts: every task belongs to a project (see Projects below) and every tag
+# to the user who created it. The session cookie holds the logged-in user's id; every page and endpoint except
+# logging in and registering needs one.
+#
+# Changes (POST, PUT, PATCH, DELETE) must also carry the session's CSRF token,
+# so another site can't make a logged-in browser send them: forms have it in a
+# hidden csrf_token field, script.js sends it as the X-CSRF-Token header.
+
+USERNAME_MAX_LENGTH = 30
+PASSWORD_MIN_LENGTH = 8
+PUBLIC_ENDPOINTS = ('login', 'register', 'static', 'service_worker')
+
+def current_user_id():
+    return session.get('user_id')
+
+def csrf_token():
+    # Made on first use, and kept until the session ends (see log_in)
+    if 'csrf_token' not in session:
+        session['csrf_token'] = secrets.token_hex(32)
+    return session['csrf_token']
+
+app.jinja_env.globals['csrf_token'] = csrf_token
+
+def is_valid_csrf_token(value):
+    expected = session.get('csrf_token')
+    return bool(expected) and secrets.compare_digest(str(value or '').encode(), expected.encode())
+
+@app.before_request
+def require_login_and_csrf_token():
+    is_api = request.path.startswith('/api/')
+    if request.endpoint not in PUBLIC_ENDPOINTS and current_user_id() is None:
+        if is_api:
+            return jsonify({'error': 'Please log in', 'login_url': url_for('login')}), 401
+        return redirect(url_for('login', next=request.full_path if request.query_string else request.path))
+
+    if request.method in ('POST', 'PUT', 'PATCH', 'DELETE'):
+        token = request.headers.get('X-CSRF-Token') or request.form.get('csrf_token')
+        if not is_valid_csrf_token(token):
+            if is_api:
+                return jsonify({'error': 'The page is out of date, please reload it', 'code': 'csrf'}), 403
+            return 'The form is out of date. Go back, reload the page and try again.', 400
+
+def username_error(username):
+    if not username:
+        return 'Username is required'
+    if len(username) > USERNAME_MAX_LENGTH:
+        return f'Usernames can be at most {USERNAME_MAX_LENGTH} characters'
+    if not all(char.isalnum() or char in '._-' for char in username):
+        return 'Usernames can only contain letters, digits, ".", "-" and "_"'
+    return None
+
+def safe_next_url(value):
+    # Only go back to pages on this site after logging in (not "//evil.example")
+    if value and value.startswith('/') and not value.startswith('//'):
+        return value
+    return url_for('board')
+
+def log_in(user):
+    # A fresh session (and CSRF token), so one set before logging in can't be reused
+    session.clear()
+    session['user_id'] = user['id']
+    session['username'] = user['username']
+
+@app.route('/register', methods=['GET', 'POST'])
+def register():
+    if request.method == 'GET':
+        return render_template('register.html', next=request.args.get('next', ''))
+
+    username = request.form.get('username', '').strip()
+    password = request.form.get('password', '')
+    error = username_error(username)
+    if error is None and len(password) < PASSWORD_MIN_LENGTH:
+        error = f'Passwords must be at least {PASSWORD_MIN_LENGTH} characters'
+    if error is None and password != request.form.get('confirm_password', ''):
+        error = 'The passwords do not match'
+
+    if error is None:
+        conn = get_db_connection()
+        try:
+            cursor = conn.execute("INSERT INTO users (username, password_hash, created_at) VALUES (?, ?, ?)",
+                                  (username, generate_password_hash(password), now_timestamp()))
+        except sqlite3.IntegrityError:
+            error = f'The username "{username}" is taken'
+        else:
+            project_id = create_project(conn, 'Personal', cursor.lastrowid)
+            # The first account gets the tasks and tags from before there were accounts
+            if conn.execute('SELECT COUNT(*) FROM users').fetchone()[0] == 1:
+                conn.execute("UPDATE tasks SET user_id=?, project_id=? WHERE user_id IS NULL",
+                             (cursor.lastrowid, project_id))
+                conn.execute("UPDATE tags SET user_id=? WHERE user_id IS NULL", (cursor.lastrowid,))
+            conn.commit()
+            user = conn.execute('SELECT * FROM users WHERE id = ?', (cursor.lastrowid,)).fetchone()
+        conn.close()
+
+    if error is not None:
+        return render_template('register.html', error=error, username=username,
+                               next=request.form.get('next', '')), 400
+    log_in(user)
+    return redirect(safe_next_url(request.form.get('next')))
+
+@app.route('/login', methods=['GET', 'POST'])
+def login():
+    if request.method == 'GET':
+        if current_user_id() is not None:
+            return redirect(safe_next_url(request.args.get('next')))
+        return render_template('login.html', next=request.args.get('next', ''))
+
+    username = request.form.get('username', '').strip()
+    conn = get_db_connection()
+    user = conn.execute('SELECT * FROM users WHERE username = ?', (username,)).fetchone()
+    conn.close()
+    if user is None or not check_password_hash(user['password_hash'], request.form.get('password', '')):
+        # Don't say which one was wrong, so usernames can't be guessed this way
+        return render_template('login.html', error='Wrong username or password', username=username,
+                               next=request.form.get('next', '')), 401
+
+    log_in(user)
+    return redirect(safe_next_url(request.form.get('next')))
+
+@app.route('/logout', methods=['POST'])
+def logout():
+    session.clear()
+    return redirect(url_for('login'))
+
+# Projects: every task belongs to one. Everyone gets a "Personal" project when
+# they register, and a project's owners can share it with other users. Each
+# member has a role in the project:
+#   owner  - can also rename or delete the project and manage its members
+#   editor - can add, change and delete the project's tasks
+#   viewer - can only see them
+# A task can be assigned to one of its project's members (assignee_id).
+
+PROJECT_ROLES = ('owner', 'editor', 'viewer')
+PROJECT_NAME_MAX_LENGTH = 50
+
+# The tasks the user can see, and the ones they can change (for WHERE clauses,
+# with the user's id as the parameter)
+VISIBLE_PROJECTS = 'project_id IN (SELECT project_id FROM project_members WHERE user_id = ?)'
+EDITABLE_PROJECTS = ("project_id IN (SELECT project_id FROM project_members "
+                     "WHERE user_id = ? AND role IN ('owner', 'editor'))")
+
+def can_edit(role):
+    return role in ('owner', 'editor')
+
+def read_only_error():
+    return jsonify({'error': 'You can view this project but not change it'}), 403
+
+def create_project(conn, name, owner_id):
+    cursor = conn.execute("INSERT INTO projects (name, created_at) VALUES (?, ?)", (name, now_timestamp()))
+    conn.execute("INSERT INTO project_members (project_id, user_id, role) VALUES (?, ?, 'owner')",
+                 (cursor.lastrowid, owner_id))
+    return cursor.lastrowid
+
+def project_role(conn, project_id, user_id=None):
+    # The user's role in the project, or None if they aren't a member
+    row = conn.execute('SELECT role FROM project_members WHERE project_id = ? AND user_id = ?',
+                       (project_id, user_id or current_user_id())).fetchone()
+    return row['role'] if row else None
+
+def default_project_id(conn):
+    # Where new tasks go when no project is given: the user's oldest own project
+    # (or one they can edit, or a new "Personal" one if they have neither)
+    row = conn.execute("SELECT project_id FROM project_members WHERE user_id = ? AND role IN ('owner', 'editor') "
+                       "ORDER BY role = 'owner' DESC, project_id LIMIT 1", (current_user_id(),)).fetchone()
+    if row is not None:
+        return row['project_id']
+    return create_project(conn, 'Personal', current_user_id())
+
+def find_task(conn, task_id, include_deleted=False):
+    # The task with this id if the user is a member of its project, with their
+    # role in the project as task['role'], or None (other tasks don't exist for them)
+    query = ('SELECT tasks.*, project_members.role AS role FROM tasks '
+             'JOIN project_members ON project_members.project_id = tasks.project_id '
+             'AND project_members.user_id = ? WHERE tasks.id = ?')
+    if not include_deleted:
+        query += ' AND tasks.deleted_at IS NULL'
+    return conn.execute(query, (current_user_id(), task_id)).fetchone()
+
 @app.route('/')
 def index():
     conn = get_db_connection()
-    tasks = conn.execute('SELECT * FROM tasks').fetchall()
+    tasks = conn.execute(f'SELECT * FROM tasks WHERE deleted_at IS NULL AND {VISIBLE_PROJECTS}',
+                         (current_user_id(),)).fetchall()
     conn.close()
     return render_template('index.html', tasks=tasks)
 
@@ -22,9 +250,12 @@ def add_task():
         description = request.form['description']
 
         conn = get_db_connection()
-        conn.execute("INSERT INTO tasks (title, description) VALUES (?, ?)",
-                     (title, description))
+        cursor = conn.execute("INSERT INTO tasks (title, description, user_id, project_id, created_at) "
+                              "VALUES (?, ?, ?, ?, ?)",
+                              (title, description, current_user_id(), default_project_id(conn), now_timestamp()))
+        record_event(conn, cursor.lastrowid, 'created')
         conn.commit()
+        broadcast_task(conn, cursor.lastrowid, created=True)
         conn.close()
 
         return redirect(url_for('index'))
@@ -34,16 +265,26 @@ def add_task():
 @app.route('/edit/<int:id>', methods=['GET', 'POST'])
 def edit_task(id):
     conn = get_db_connection()
-    task = conn.execute('SELECT * FROM tasks WHERE id = ?', (id,)).fetchone()
+    task = find_task(conn, id)
+    if task is None:
+        conn.close()
+        return 'Task not found', 404
+    if not can_edit(task['role']):
+        conn.close()
+        return 'You can view this project but not change it', 403
 
     if request.method == 'POST':
         title = request.form['title']
         description = request.form['description']
         status = request.form['status']
 
-        conn.execute("UPDATE tasks SET title=?, description=?, status=? WHERE id=?",
+        before = task_snapshot(conn, id)
+        conn.execute("UPDATE tasks SET title=?, description=?, status=?, version=version+1 WHERE id=?",
                      (title, description, status, id))
+        stamp_completion(conn, id)
+        record_event(conn, id, 'edited', before)
         conn.commit()
+        broadcast_task(conn, id)
         conn.close()
 
         return redirect(url_for('index'))
@@ -51,14 +292,1483 @@ def edit_task(id):
     conn.close()
     return render_template('edit_task.html', task=task)
 
-@app.route('/delete/<int:id>')
+@app.route('/board')
+def board():
+    return render_template('board.html')
+
+@app.route('/bench')
+def bench_page():
+    # The board with the render benchmark on top (static/js/bench.js)
+    return render_template('board.html', bench=True)
+
+@app.route('/activity')
+def activity_page():
+    # The activity feed (static/js/activity.js loads it from /api/activity)
+    return render_template('activity.html')
+
+@app.route('/insights')
+def insights_page():
+    # Charts of completions, overdue tasks and streaks (static/js/insights.js
+    # works them out from /api/tasks and /api/completions, see static/js/stats.js)
+    return render_template('insights.html')
+
+@app.route('/sw.js')
+def service_worker():
+    # Served from the root (not /static/js/) so the worker covers /board too
+    response = app.send_static_file('js/sw.js')
+    response.headers['Cache-Control'] = 'no-cache'
+    return response
+
+@app.route('/delete/<int:id>', methods=['POST'])
 def delete_task(id):
+    # Deleted tasks go to the Trash (see /api/tasks/trash)
     conn = get_db_connection()
-    conn.execute("DELETE FROM tasks WHERE id = ?", (id,))
-    conn.commit()
+    task = find_task(conn, id)
+    if task is not None and not can_edit(task['role']):
+        conn.close()
+        return 'You can view this project but not change it', 403
+    if task is not None:
+        conn.execute("UPDATE tasks SET deleted_at=? WHERE id = ?", (now_timestamp(), id))
+        record_event(conn, id, 'deleted')
+        conn.commit()
+        broadcast_task(conn, id)
     conn.close()
 
     return redirect(url_for('index'))
 
+def now_timestamp():
+    return datetime.now(timezone.utc).isoformat(timespec='seconds')
+
+def stamp_completion(conn, task_id):
+    # Keep completed_at in step with the task's status: when it was completed
+    # (kept as it is if it already was), or NULL while it isn't. Called after
+    # every change that can complete or reopen a task; the insights page
+    # times tasks by it (and counts completions by /api/completions).
+    conn.execute("UPDATE tasks SET completed_at = CASE WHEN status = 'completed' "
+                 "THEN COALESCE(completed_at, ?) END WHERE id = ?", (now_timestamp(), task_id))
+
+# Live updates: every open page listens on /api/events (server-sent events) and
+# hears about changes made in the user's other pages (other tabs and devices)
+# and by the other members of their projects, and who is looking at which task.
+# Pages only hear about the tasks of projects their user is a member of.
+#
+# The listeners live in this process and each open page holds one of its
+# threads for as long as its stream is open, so the app runs as one process
+# with WEB_THREADS threads (see Procfile). To keep threads free for everything
+# else, at most WEB_THREADS - EVENT_RESERVED_THREADS streams are open at once:
+# pages over the limit get a 503, and script.js loads the tasks every half
+# minute instead (and tries the stream again). Streams also end after
+# EVENT_STREAM_MAX_SECONDS, so pages that vanished without closing the
+# connection give their thread back; open pages reconnect on their own.
+# More open pages than that need more threads (WEB_THREADS=200 is fine, they
+# mostly wait), not more workers: a second process wouldn't hear the first's events.
+
+EVENT_KEEPALIVE_SECONDS = 15
+EVENT_STREAM_MAX_SECONDS = 10 * 60
+EVENT_RESERVED_THREADS = 16
+EVENT_STREAM_LIMIT = max(int(os.environ.get('WEB_THREADS', 64)) - EVENT_RESERVED_THREADS, 1)
+
+event_lock = threading.Lock()
+event_listeners = []  # (user_id, queue) for each open /api/events stream
+presence = {}         # client_id -> what that page is doing (see presence_list)
+
+def broadcast(user_ids, event, data):
+    message = f'event: {event}\ndata: {json.dumps(data)}\n\n'
+    with event_lock:
+        for listener_user_id, listener in event_listeners:
+            if listener_user_id in user_ids:
+                listener.put(message)
+
+def broadcast_change(event, data, user_ids=None):
+    # "source" is the page that made the change (its X-Client-Id header),
+    # so that page can skip the events about its own changes.
+    # Goes to the logged-in user's pages unless user_ids says otherwise.
+    broadcast(user_ids or {current_user_id()}, event, dict(data, source=request.headers.get('X-Client-Id')))
+
+def project_member_ids(conn, project_id):
+    return {row['user_id'] for row in
+            conn.execute('SELECT user_id FROM project_members WHERE project_id = ?', (project_id,))}
+
+def teammate_ids(conn, user_id):
+    # The user and everyone who shares a project with them
+    rows = conn.execute('SELECT DISTINCT others.user_id FROM project_members AS mine '
+                        'JOIN project_members AS others ON others.project_id = mine.project_id '
+                        'WHERE mine.user_id = ?', (user_id,))
+    return {row['user_id'] for row in rows} | {user_id}
+
+def broadcast_task(conn, task_id, created=False):
+    # Send the task as it is now, or that it is gone (deleted, in the Trash or
+    # emptied), to the members of its project
+    task = conn.execute('SELECT * FROM tasks WHERE id = ?', (task_id,)).fetchone()
+    if task is None:
+        broadcast_change('task-deleted', {'id': task_id})
+        return
+    members = project_member_ids(conn, task['project_id'])
+    if task['deleted_at'] is not None:
+        broadcast_change('task-deleted', {'id': task_id}, members)
+        return
+    # Each member gets the task with their own tags
+    for user_id in members:
+        broadcast_change('task-created' if created else 'task-updated',
+                         {'task': task_details(conn, task_id, user_id)}, {user_id})
+
+def broadcast_presence():
+    # Every connected user hears about the pages of the people they share a project with
+    with event_lock:
+        clients = [{'id': client['id'], 'name': client['name'], 'task_id': client['task_id'],
+                    'editing': client['editing'], 'user_id': client['user_id']} for client in presence.values()]
+        user_ids = {user_id for user_id, _ in event_listeners}
+    conn = get_db_connection()
+    for user_id in user_ids:
+        teammates = teammate_ids(conn, user_id)
+        broadcast({user_id}, 'presence', {'clients': [client for client in clients if client['user_id'] in teammates]})
+    conn.close()
+
+@app.route('/api/events')
+def events():
+    user_id = current_user_id()
+    client_id = str(request.args.get('client_id', '')).strip()
+    listener = queue.Queue()
+    with event_lock:
+        if len(event_listeners) >= EVENT_STREAM_LIMIT:
+            return jsonify({'error': 'Too many open pages for live updates, try again later'}), 503
+        event_listeners.append((user_id, listener))
+        if client_id:
+            presence[client_id] = {'id': client_id, 'name': session['username'], 'task_id': None,
+                                   'editing': False, 'user_id': user_id, 'listener': listener}
+    broadcast_presence()
+
+    def stream():
+        try:
+            yield 'retry: 3000\n\n'  # Browsers reconnect after 3 seconds if the connection drops
+            ends_at = time.monotonic() + EVENT_STREAM_MAX_SECONDS
+            while time.monotonic() < ends_at:
+                try:
+                    yield listener.get(timeout=EVENT_KEEPALIVE_SECONDS)
+                except queue.Empty:
+                    # A comment line, so proxies don't close an idle connection
+                    # (and a closed tab is noticed on the next write)
+                    yield ': keepalive\n\n'
+        finally:
+            with event_lock:
+                event_listeners.remove((user_id, listener))
+                # A reconnecting page may already have a new stream under the same id
+                if client_id in presence and presence[client_id]['listener'] is listener:
+                    del presence[client_id]
+            broadcast_presence()
+
+    return Response(stream(), mimetype='text/event-stream',
+                    headers={'Cache-Control': 'no-cache', 'X-Accel-Buffering': 'no'})
+
+@app.route('/api/presence', methods=['POST'])
+def update_presence():
+    # What a page is doing: looking at a task, editing it, or neither (task_id null)
+    data = request.get_json(silent=True)
+    if not isinstance(data, dict):
+        return jsonify({'error': 'The request body must be a JSON object'}), 400
+    client_id = data.get('client_id')
+    if not isinstance(client_id, str) or not client_id.strip():
+        return jsonify({'error': 'client_id must be the client_id the page opened /api/events with'}), 400
+    task_id = data.get('task_id')
+    if task_id is not None and not is_integer(task_id):
+        return jsonify({'error': 'task_id must be a task id or null'}), 400
+
+    with event_lock:
+        client = presence.get(client_id.strip())
+        if client is not None and client['user_id'] == current_user_id():
+            client['task_id'] = task_id
+            client['editing'] = task_id is not None and bool(data.get('editing'))
+        else:
+            client = None
+    if client is None:
+        return jsonify({'error': 'Not connected to /api/events'}), 404
+
+    broadcast_presence()
+    return jsonify({'ok': True})
+
+# The task API that script.js (static/js/store.js) talks to. Every change is
+# checked field by field: a 400 answer has the first problem as "error" and all
+# of them by field name as "fields", e.g.
+#   {"error": "Title is required", "fields": {"title": "Title is required"}}
+#
+# Every change to a task adds one to its "version". Changes that send the
+# version they were made against get a 409 Conflict (with the task as it is
+# now) if someone else changed the task in the meantime, instead of silently
+# overwriting them. Changes without a version always win.
+#
+# A POST /api/tasks can carry an Idempotency-Key header (a string the client
+# makes up). Sending it again with the same key, because the first answer got
+# lost, answers with the task the first one created instead of adding another.
+
+TASK_TITLE_MAX_LENGTH = 200
+TASK_DESCRIPTION_MAX_LENGTH = 5000
+TASK_PRIORITIES = ('high', 'medium', 'low')
+TASK_PAGE_MAX_SIZE = 500
+REQUEST_KEY_MAX_LENGTH = 100
+
+def task_details(conn, task_id, user_id=None):
+    # The task with its checklist items and tags, the way the API sends tasks
+    # (the tags are the logged-in user's, or those of user_id)
+    result = task_to_dict(conn.execute('SELECT * FROM tasks WHERE id = ?', (task_id,)).fetchone())
+    result['items'] = get_task_items(conn, task_id)
+    result['tags'] = get_task_tags(conn, task_id, user_id)
+    return result
+
+def tasks_details(conn, rows):
+    # task_details for many tasks at once: one query for all of their items
+    # and one for all of their tags, instead of three queries per task
+    task_ids = [row['id'] for row in rows]
+    marks = ', '.join('?' * len(task_ids))
+    items = {task_id: [] for task_id in task_ids}
+    tags = {task_id: [] for task_id in task_ids}
+    for item in conn.execute(f'SELECT * FROM checklist_items WHERE task_id IN ({marks}) ORDER BY position, id',
+                             task_ids):
+        items[item['task_id']].append(item_to_dict(item))
+    for tag in conn.execute('SELECT tags.*, task_tags.task_id FROM tags JOIN task_tags ON task_tags.tag_id = tags.id '
+                            f'WHERE task_tags.task_id IN ({marks}) AND tags.user_id = ? ORDER BY tags.name',
+                            task_ids + [current_user_id()]):
+        tags[tag['task_id']].append(tag_to_dict(tag))
+    return [dict(task_to_dict(row), items=items[row['id']], tags=tags[row['id']]) for row in rows]
+
+def find_created_task(conn, request_key):
+    # The user's task made by a POST with this Idempotency-Key, or None
+    if request_key is None:
+        return None
+    return conn.execute('SELECT id FROM tasks WHERE user_id = ? AND request_key = ?',
+                        (current_user_id(), request_key)).fetchone()
+
+def validation_error(errors):
+    return jsonify({'error': next(iter(errors.values())), 'fields': errors}), 400
+
+def is_valid_timestamp(value):
+    try:
+        datetime.fromisoformat(value)
+        return True
+    except (TypeError, ValueError):
+        return False
+
+def is_stale(task, data):
+    return data.get('version') is not None and data['version'] != task['version']
+
+def conflict_error(conn, task_id):
+    # Closes conn, like the other early returns
+    result = task_details(conn, task_id)
+    conn.close()
+    return jsonify({'error': 'Someone else changed this task in the meantime', 'task': result}), 409
+
+def read_task_fields(data, creating):
+    # Check the task fields of a POST or PUT body. Returns (fields, errors): the
+    # fields that were sent, cleaned up ('' dates become None...), and what is
+    # wrong with them by field name. A new task needs a title; a change only
+    # checks the fields it sends.
+    fields = {}
+    errors = {}
+
+    if 'title' in data or creating:
+        title = data.get('title')
+        title = title.strip() if isinstance(title, str) else ''
+        if not title:
+            errors['title'] = 'Title is required'
+        elif len(title) > TASK_TITLE_MAX_LENGTH:
+            errors['title'] = f'Titles can be at most {TASK_TITLE_MAX_LENGTH} characters'
+        fields['title'] = title
+
+    if 'description' in data:
+        description = data['description'] or ''
+        if not isinstance(description, str):
+            errors['description'] = 'description must be text'
+        elif len(description) > TASK_DESCRIPTION_MAX_LENGTH:
+            errors['description'] = f'Descriptions can be at most {TASK_DESCRIPTION_MAX_LENGTH} characters'
+        fields['description'] = description
+
+    if 'due_date' in data:
+        fields['due_date'] = data['due_date'] or None
+        if fields['due_date'] is not None and not is_valid_date(fields['due_date']):
+            errors['due_date'] = 'due_date must be a date like 2026-11-01 (or empty for none)'
+
+    if 'remind_at' in data:
+        fields['remind_at'] = data['remind_at'] or None
+        if fields['remind_at'] is not None and not is_valid_timestamp(fields['remind_at']):
+            errors['remind_at'] = 'remind_at must be a time like 2026-11-01T09:00:00Z (or empty for none)'
+
+    if 'recurrence' in data:
+        fields['recurrence'] = data['recurrence'] or None
+        recurrence = fields['recurrence']
+        if recurrence is not None and not (isinstance(recurrence, str) and recurrence.startswith('FREQ=')):
+            errors['recurrence'] = 'recurrence must be a rule like FREQ=WEEKLY;BYDAY=MO (or empty for none)'
+
+    if 'priority' in data:
+        fields['priority'] = data['priority'] or None
+        if fields['priority'] is not None and fields['priority'] not in TASK_PRIORITIES:
+            errors['priority'] = 'priority must be one of: ' + ', '.join(TASK_PRIORITIES) + ' (or empty for none)'
+
+    if 'status' in data:
+        fields['status'] = data['status']
+        if not is_valid_status(data['status']):
+            errors['status'] = STATUS_ERROR
+
+    for name in ('auto_complete', 'completed'):
+        if name in data:
+            fields[name] = data[name]
+            if not isinstance(data[name], bool):
+                errors[name] = f'{name} must be true or false'
+
+    # project_id null means "where it is" (or the default project for a new task),
+    # assignee_id null means nobody
+    if data.get('project_id') is not None:
+        fields['project_id'] = data['project_id']
+        if not is_integer(data['project_id']):
+            errors['project_id'] = 'project_id must be a project id'
+
+    if 'assignee_id' in data:
+        fields['assignee_id'] = data['assignee_id']
+        if data['assignee_id'] is not None and not is_integer(data['assignee_id']):
+            errors['assignee_id'] = 'assignee_id must be a user id (or null for nobody)'
+
+    if data.get('version') is not None and not is_integer(data['version']):
+        errors['version'] = 'version must be a task version number'
+
+    return fields, errors
+
+def check_task_project(conn, fields, errors, task=None):
+    # The task's (new) project must be one the user can edit, and its assignee a member of it
+    project_id = fields.get('project_id', task['project_id'] if task else None)
+    if 'project_id' in fields and not can_edit(project_role(conn, project_id)):
+        errors['project_id'] = 'You can only put tasks in projects you can edit'
+        return
+    assignee_id = fields.get('assignee_id', task['assignee_id'] if task else None)
+    if assignee_id is None or project_role(conn, project_id, assignee_id) is not None:
+        return
+    if 'assignee_id' in fields:
+        errors['assignee_id'] = "The assignee is not a member of this task's project"
+    else:
+        fields['assignee_id'] = None  # Moved to a project the assignee isn't in
+
+def status_for(fields, current_status):
+    # "completed" is the status 'completed'; un-completing goes back to To Do
+    status = fields.get('status', current_status)
+    if fields.get('completed') is True:
+        return 'completed'
+    if fields.get('completed') is False and status == 'completed':
+        return 'pending'
+    return status
+
+def task_filters(args):
+    # The WHERE conditions (and their parameters) for the query string of
+    # GET /api/tasks, and what is wrong with it by parameter name:
+    #   completed=true|false     status=in_progress     project_id=3
+    #   assignee_id=7|me|none    due_after=2026-11-01   due_before=2026-11-30
+    #   tag=home                 q=words in the title or description
+    conditions = ['deleted_at IS NULL', VISIBLE_PROJECTS]
+    params = [current_user_id()]
+    errors = {}
+
+    completed = args.get('completed')
+    if completed in ('true', 'false'):
+        conditions.append("status = 'completed'" if completed == 'true' else "status != 'completed'")
+    elif completed is not None:
+        errors['completed'] = 'completed must be true or false'
+
+    if 'status' in args:
+        if is_valid_status(args['status']):
+            conditions.append('status = ?')
+            params.append(args['status'])
+        else:
+            errors['status'] = STATUS_ERROR
+
+    if 'project_id' in args:
+        if args['project_id'].isdigit():
+            conditions.append('project_id = ?')
+            params.append(int(args['project_id']))
+        else:
+            errors['project_id'] = 'project_id must be a project id'
+
+    assignee = args.get('assignee_id')
+    if assignee == 'none':
+        conditions.append('assignee_id IS NULL')
+    elif assignee is not None:
+        if assignee == 'me' or assignee.isdigit():
+            conditions.append('assignee_id = ?')
+            params.append(current_user_id() if assignee == 'me' else int(assignee))
+        else:
+            errors['assignee_id'] = 'assignee_id must be a user id, "me" or "none"'
+
+    for name, operator in (('due_after', '>='), ('due_before', '<=')):
+        if name in args:
+            if is_valid_date(args[name]):
+                conditions.append(f'due_date {operator} ?')
+                params.append(args[name])
+            else:
+                errors[name] = f'{name} must be a date like 2026-11-01'
+
+    if args.get('tag'):
+        conditions.append('id IN (SELECT task_tags.task_id FROM task_tags '
+                          'JOIN tags ON tags.id = task_tags.tag_id WHERE tags.name = ? AND tags.user_id = ?)')
+        params += [args['tag'], current_user_id()]
+
+    if args.get('q'):
+        # Searched as plain text: % and _ in it aren't wildcards
+        words = '%' + args['q'].replace('\\', '\\\\').replace('%', '\\%').replace('_', '\\_') + '%'
+        conditions.append("(title LIKE ? ESCAPE '\\' OR description LIKE ? ESCAPE '\\')")
+        params += [words, words]
+
+    return conditions, params, errors
+
+def page_size(args, errors, default_limit=None):
+    # ?limit=50&offset=100 for one page at a time (no limit: default_limit, or every row)
+    limit = args.get('limit', None if default_limit is None else str(default_limit))
+    offset = args.get('offset', '0')
+    if limit is not None and not (limit.isdigit() and 0 < int(limit) <= TASK_PAGE_MAX_SIZE):
+        errors['limit'] = f'limit must be a number from 1 to {TASK_PAGE_MAX_SIZE}'
+    if not offset.isdigit():
+        errors['offset'] = 'offset must be 0 or more'
+    if 'limit' in errors or 'offset' in errors:
+        return None, 0
+    return (int(limit) if limit is not None else -1), int(offset)
+
+@app.route('/api/tasks', methods=['GET', 'POST'])
+def tasks_api():
+    if request.method == 'GET':
+        # The tasks of every project the user is in (minus the Trash), in the
+        # list's order. X-Total-Count says how many match when only a page is sent.
+        conditions, params, errors = task_filters(request.args)
+        limit, offset = page_size(request.args, errors)
+        if errors:
+            return validation_error(errors)
+
+        conn = get_db_connection()
+        where = ' AND '.join(conditions)
+        total = conn.execute(f'SELECT COUNT(*) FROM tasks WHERE {where}', params).fetchone()[0]
+        rows = conn.execute(f'SELECT * FROM tasks WHERE {where} ORDER BY position, id DESC LIMIT ? OFFSET ?',
+                            params + [limit, offset]).fetchall()
+        result = tasks_details(conn, rows)
+        conn.close()
+        response = jsonify(result)
+        response.headers['X-Total-Count'] = str(total)
+        return response
+
+    data = request.get_json(silent=True)
+    if not isinstance(data, dict):
+        return validation_error({'body': 'The request body must be a JSON object'})
+    fields, errors = read_task_fields(data, creating=True)
+    request_key = request.headers.get('Idempotency-Key')
+    if request_key is not None and not 0 < len(request_key) <= REQUEST_KEY_MAX_LENGTH:
+        errors['Idempotency-Key'] = f'Idempotency-Key must be 1 to {REQUEST_KEY_MAX_LENGTH} characters'
+    if errors:
+        return validation_error(errors)
+
+    conn = get_db_connection()
+    created = find_created_task(conn, request_key)
+    if created is not None:
+        result = task_details(conn, created['id'])
+        conn.close()
+        return jsonify(result), 201
+    if 'project_id' not in fields:
+        fields['project_id'] = default_project_id(conn)
+    check_task_project(conn, fields, errors)
+    if errors:
+        conn.close()
+        return validation_error(errors)
+
+    # New tasks go to the top of the list
+    position = conn.execute(f'SELECT COALESCE(MIN(position), 0) - 1 FROM tasks WHERE {VISIBLE_PROJECTS}',
+                            (current_user_id(),)).fetchone()[0]
+    try:
+        cursor = conn.execute(
+            "INSERT INTO tasks (title, description, status, auto_complete, due_date, remind_at, recurrence, "
+            "priority, position, user_id, project_id, assignee_id, created_at, request_key) "
+            "VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)",
+            (fields['title'], fields.get('description', ''), status_for(fields, 'pending'),
+             1 if fields.get('auto_complete') else 0, fields.get('due_date'), fields.get('remind_at'),
+             fields.get('recurrence'), fields.get('priority'), position, current_user_id(),
+             fields['project_id'], fields.get('assignee_id'), now_timestamp(), request_key))
+    except sqlite3.IntegrityError:
+        # The same create, sent again while the first was still being saved
+        conn.rollback()
+        result = task_details(conn, find_created_task(conn, request_key)['id'])
+        conn.close()
+        return jsonify(result), 201
+    stamp_completion(conn, cursor.lastrowid)
+    record_event(conn, cursor.lastrowid, 'created')
+    conn.commit()
+    broadcast_task(conn, cursor.lastrowid, created=True)
+    result = task_details(conn, cursor.lastrowid)
+    conn.close()
+    return jsonify(result), 201
+
+@app.route('/api/tasks/<int:task_id>', methods=['GET', 'PUT', 'DELETE'])
+def task_api(task_id):
+    conn = get_db_connection()
+    task = find_task(conn, task_id)
+    if task is None:
+        conn.close()
+        return jsonify({'error': 'Task not found'}), 404
+
+    if request.method == 'GET':
+        result = task_details(conn, task_id)
+        conn.close()
+        return jsonify(result)
+
+    if not can_edit(task['role']):
+        conn.close()
+        return read_only_error()
+
+    if request.method == 'DELETE':
+        # Into the Trash (see /api/tasks/trash)
+        conn.execute("UPDATE tasks SET deleted_at=?, version=version+1 WHERE id=?", (now_timestamp(), task_id))
+        record_event(conn, task_id, 'deleted')
+        conn.commit()
+        broadcast_task(conn, task_id)
+        conn.close()
+        return jsonify({'deleted': task_id})
+
+    # PUT changes the fields that were sent and leaves the others as they are
+    data = request.get_json(silent=True)
+    if not isinstance(data, dict):
+        conn.close()
+        return validation_error({'body': 'The request body must be a JSON object'})
+    fields, errors = read_task_fields(data, creating=False)
+    if not errors:
+        check_task_project(conn, fields, errors, task)
+    if errors:
+        conn.close()
+        return validation_error(errors)
+    if is_stale(task, data):
+        return conflict_error(conn, task_id)
+
+    changes = {name: fields[name] for name in ('title', 'description', 'due_date', 'remind_at', 'recurrence',
+                                               'priority', 'project_id', 'assignee_id') if name in fields}
+    if 'auto_complete' in fields:
+        changes['auto_complete'] = 1 if fields['auto_complete'] else 0
+    changes['status'] = status_for(fields, task['status'])
+    assignments = ', '.join(f'{name}=?' for name in changes)
+    before = task_snapshot(conn, task_id)
+    conn.execute(f"UPDATE tasks SET {assignments}, version=version+1 WHERE id=?", list(changes.values()) + [task_id])
+    stamp_completion(conn, task_id)
+    record_event(conn, task_id, 'edited', before)
+    conn.commit()
+
+    # Moved to another project: its members who aren't in the new one lose the task
+    if changes.get('project_id', task['project_id']) != task['project_id']:
+        gone_for = project_member_ids(conn, task['project_id']) - project_member_ids(conn, changes['project_id'])
+        if gone_for:
+            broadcast_change('task-deleted', {'id': task_id}, gone_for)
+    broadcast_task(conn, task_id)
+    result = task_details(conn, task_id)
+    conn.close()
+    return jsonify(result)
+
+@app.route('/api/tasks/<int:task_id>/toggle', methods=['PATCH'])
+def toggle_task(task_id):
+    # Completed <-> To Do (a task in another board column counts as not completed)
+    data = request.get_json(silent=True) or {}
+    if data.get('version') is not None and not is_integer(data['version']):
+        return validation_error({'version': 'version must be a task version number'})
+
+    conn = get_db_connection()
+    task = find_task(conn, task_id)
+    if task is None:
+        conn.close()
+        return jsonify({'error': 'Task not found'}), 404
+    if not can_edit(task['role']):
+        conn.close()
+        return read_only_error()
+    if is_stale(task, data):
+        return conflict_error(conn, task_id)
+
+    status = 'pending' if task['status'] == 'completed' else 'completed'
+    before = task_snapshot(conn, task_id)
+    conn.execute("UPDATE tasks SET status=?, version=version+1 WHERE id=?", (status, task_id))
+    stamp_completion(conn, task_id)
+    record_event(conn, task_id, 'edited', before)
+    conn.commit()
+    broadcast_task(conn, task_id)
+    result = task_details(conn, task_id)
+    conn.close()
+    return jsonify(result)
+
+# Task history: every create, edit, completion, delete and restore of a task
+# is recorded in task_events, with who did it, when, and each field that
+# changed as [before, after]. Project and assignee are recorded by name, tags
+# as a "home, work" list and checklist items as "[x] Done item, [ ] Open item",
+# so the history reads the same after they change.
+#   GET /api/tasks/<id>/history   one task's history, newest first (the card's History panel)
+#   GET /api/activity             everything in the user's projects (the /activity page)
+#   GET /api/completions          every time a task was completed or reopened (the /insights page)
+
+HISTORY_FIELDS = ('title', 'description', 'status', 'due_date', 'remind_at', 'recurrence', 'priority',
+                  'items', 'auto_complete', 'project', 'assignee', 'tags')
+ACTIVITY_PAGE_SIZE = 50
+
+def task_snapshot(conn, task_id):
+    # The task's HISTORY_FIELDS (plus its title and project_id), to compare before and after a change
+    task = conn.execute('SELECT tasks.*, projects.name AS project_name, users.username AS assignee_name '
+                        'FROM tasks LEFT JOIN projects ON projects.id = tasks.project_id '
+                        'LEFT JOIN users ON users.id = tasks.assignee_id WHERE tasks.id = ?', (task_id,)).fetchone()
+    tags = ', '.join(tag['name'] for tag in get_task_tags(conn, task_id))
+    items = ', '.join(('[x] ' if item['done'] else '[ ] ') + item['title'] for item in get_task_items(conn, task_id))
+    return {
+        'title': task['title'],
+        'description': task['description'] or None,
+        'status': task['status'],
+        'due_date': task['due_date'],
+        'remind_at': task['remind_at'],
+        'recurrence': task['recurrence'],
+        'priority': task['priority'],
+        'items': items or None,
+        'auto_complete': bool(task['auto_complete']),
+        'project': task['project_name'],
+        'assignee': task['assignee_name'],
+        'tags': tags or None,
+        'project_id': task['project_id']
+    }
+
+def record_event(conn, task_id, action, before=None):
+    # Add one entry to the task's history (saved with the caller's commit).
+    #   'created'                               records every field that is set
+    #   'edited' (with before, a task_snapshot) records the fields that changed,
+    #       and nothing if none did; a change of status alone is recorded as
+    #       'completed' or 'reopened' when it is one
+    #   'deleted', 'restored', 'purged'         record no fields
+    after = task_snapshot(conn, task_id)
+    changes = {}
+    if action == 'created':
+        changes = {field: [None, after[field]] for field in HISTORY_FIELDS if after[field] not in (None, False)}
+    elif action == 'edited':
+        changes = {field: [before[field], after[field]] for field in HISTORY_FIELDS if before[field] != after[field]}
+        if not changes:
+            return
+        if list(changes) == ['status'] and 'completed' in changes['status']:
+            action = 'completed' if after['status'] == 'completed' else 'reopened'
+
+    conn.execute("INSERT INTO task_events (task_id, task_title, project_id, user_id, action, changes, created_at) "
+                 "VALUES (?, ?, ?, ?, ?, ?, ?)",
+                 (task_id, after['title'], after['project_id'], current_user_id(), action,
+                  json.dumps(changes), now_timestamp()))
+
+def event_to_dict(event):
+    return {
+        'id': event['id'],
+        'task_id': event['task_id'],
+        'task_title': event['task_title'],
+        'project_id': event['project_id'],
+        'user_id': event['user_id'],
+        'username': event['username'],
+        'action': event['action'],
+        'changes': json.loads(event['changes'] or '{}'),
+        'created_at': event['created_at']
+    }
+
+EVENTS_QUERY = ('SELECT task_events.*, users.username AS username FROM task_events '
+                'LEFT JOIN users ON users.id = task_events.user_id')
+
+def utc_timestamp(value):
+    # An ISO 8601 time (or day) the way the database stores times (see
+    # now_timestamp), so they can be compared as text; None if it isn't one
+    try:
+        moment = datetime.fromisoformat(value)
+    except (TypeError, ValueError):
+        return None
+    if moment.tzinfo is None:
+        moment = moment.replace(tzinfo=timezone.utc)
+    return moment.astimezone(timezone.utc).isoformat(timespec='seconds')
+
+@app.route('/api/tasks/<int:task_id>/history')
+def task_history(task_id):
+    # Everything recorded for the task (also from before it moved to this project)
+    conn = get_db_connection()
+    task = find_task(conn, task_id, include_deleted=True)
+    if task is None:
+        conn.close()
+        return jsonify({'error': 'Task not found'}), 404
+    events = conn.execute(f'{EVENTS_QUERY} WHERE task_events.task_id = ? ORDER BY task_events.id DESC',
+                          (task_id,)).fetchall()
+    result = [event_to_dict(event) for event in events]
+    conn.close()
+    return jsonify(result)
+
+@app.route('/api/activity')
+def activity():
+    # What happened in the user's projects, newest first, ACTIVITY_PAGE_SIZE at a
+    # time (see page_size). Filters: ?task_id=12, ?since=...&until=... (ISO 8601
+    # times; since is included, until is not). X-Total-Count says how many match.
+    conditions = ['task_events.project_id IN (SELECT project_id FROM project_members WHERE user_id = ?)']
+    params = [current_user_id()]
+    errors = {}
+
+    if 'task_id' in request.args:
+        if request.args['task_id'].isdigit():
+            conditions.append('task_events.task_id = ?')
+            params.append(int(request.args['task_id']))
+        else:
+            errors['task_id'] = 'task_id must be a task id'
+    for name, operator in (('since', '>='), ('until', '<')):
+        if name in request.args:
+            moment = utc_timestamp(request.args[name])
+            if moment is None:
+                errors[name] = f'{name} must be a time like 2026-11-01T00:00:00Z'
+            else:
+                conditions.append(f'task_events.created_at {operator} ?')
+                params.append(moment)
+    limit, offset = page_size(request.args, errors, ACTIVITY_PAGE_SIZE)
+    if errors:
+        return validation_error(errors)
+
+    conn = get_db_connection()
+    where = ' AND '.join(conditions)
+    total = conn.execute(f'SELECT COUNT(*) FROM task_events WHERE {where}', params).fetchone()[0]
+    events = conn.execute(f'{EVENTS_QUERY} WHERE {where} ORDER BY task_events.id DESC LIMIT ? OFFSET ?',
+                          params + [limit, offset]).fetchall()
+    result = [event_to_dict(event) for event in events]
+    conn.close()
+    response = jsonify(result)
+    response.headers['X-Total-Count'] = str(total)
+    return response
+
+@app.route('/api/completions')
+def completions():
+    # Every change of a task in the user's projects to or from 'completed', oldest
+    # first, as {"task_id": 12, "completed": true, "at": "..."}. A task completed,
+    # reopened and completed again is there three times, so the insights page
+    # can count each completion on its own day (completed_at only has the last).
+    # ?from=...&to=... (ISO 8601 times; from is included, to is not) send only
+    # the changes in between, plus each task's last change before them and first
+    # change after them, which say whether it was completed in between.
+    errors = {}
+    moments = {}
+    for name in ('from', 'to'):
+        if name in request.args:
+            moments[name] = utc_timestamp(request.args[name])
+            if moments[name] is None:
+                errors[name] = f'{name} must be a time like 2026-11-01T00:00:00Z'
+    if errors:
+        return validation_error(errors)
+    start = moments.get('from', '')
+    end = moments.get('to')
+
+    conn = get_db_connection()
+    changes = ("SELECT id, task_id, json_extract(changes, '$.status[1]') = 'completed' AS completed, created_at "
+               "FROM task_events WHERE project_id IN (SELECT project_id FROM project_members WHERE user_id = ?) "
+               "AND 'completed' IN (json_extract(changes, '$.status[0]'), json_extract(changes, '$.status[1]'))")
+    events = conn.execute(
+        f"WITH changes AS ({changes}) SELECT task_id, completed, created_at FROM changes "
+        "WHERE (created_at >= ? AND (? IS NULL OR created_at < ?)) "
+        "OR id IN (SELECT MAX(id) FROM changes WHERE created_at < ? GROUP BY task_id) "
+        "OR id IN (SELECT MIN(id) FROM changes WHERE created_at >= ? GROUP BY task_id) "
+        "ORDER BY id", (current_user_id(), start, end, end, start, end)).fetchall()
+    result = [{'task_id': event['task_id'], 'completed': bool(event['completed']), 'at': event['created_at']}
+              for event in events]
+    conn.close()
+    return jsonify(result)
+
+# The Trash: deleted tasks can be restored until the Trash is emptied
+
+@app.route('/api/tasks/trash', methods=['GET', 'DELETE'])
+def trash():
+    conn = get_db_connection()
+    if request.method == 'DELETE':
+        # Empty the Trash for good (checklist items and tags go with the tasks).
+        # Only the projects the user can edit: viewers' Trash keeps its tasks.
+        rows = conn.execute(f'SELECT id, project_id FROM tasks WHERE deleted_at IS NOT NULL AND {EDITABLE_PROJECTS}',
+                            (current_user_id(),)).fetchall()
+        task_ids = [row['id'] for row in rows]
+        members = set()
+        for project_id in {row['project_id'] for row in rows}:
+            members |= project_member_ids(conn, project_id)
+        for task_id in task_ids:
+            record_event(conn, task_id, 'purged')
+        conn.executemany("DELETE FROM tasks WHERE id = ?", [(task_id,) for task_id in task_ids])
+        conn.commit()
+        conn.close()
+        broadcast_change('trash-emptied', {'deleted': len(task_ids), 'task_ids': task_ids}, members)
+        return jsonify({'deleted': len(task_ids), 'task_ids': task_ids})
+
+    tasks = conn.execute(f'SELECT * FROM tasks WHERE deleted_at IS NOT NULL AND {VISIBLE_PROJECTS} '
+                         'ORDER BY deleted_at DESC, id DESC', (current_user_id(),)).fetchall()
+    result = [task_to_dict(task) for task in tasks]
+    conn.close()
+    return jsonify(result)
+
+@app.route('/api/tasks/<int:task_id>/restore', methods=['POST'])
+def restore_task(task_id):
+    conn = get_db_connection()
+    task = find_task(conn, task_id, include_deleted=True)
+    if task is None:
+        conn.close()
+        return jsonify({'error': 'Task not found (the Trash may have been emptied)'}), 404
+    if not can_edit(task['role']):
+        conn.close()
+        return read_only_error()
+
+    conn.execute("UPDATE tasks SET deleted_at=NULL, version=version+1 WHERE id=?", (task_id,))
+    record_event(conn, task_id, 'restored')
+    conn.commit()
+    broadcast_task(conn, task_id, created=True)
+    result = task_details(conn, task_id)
+    conn.close()
+    return jsonify(result)
+
+@app.route('/api/tasks/order', methods=['PUT'])
+def reorder_tasks():
+    # Save the manual order of the list: task_ids[0] is shown first.
+    # Ids that no longer exist (or that the user can't change) are skipped, so a
+    # stale list can't fail the request.
+    data = request.get_json(silent=True) or {}
+    task_ids = data.get('task_ids')
+    if not isinstance(task_ids, list) or not all(is_integer(task_id) for task_id in task_ids):
+        return jsonify({'error': 'task_ids must be a list of task ids'}), 400
+
+    conn = get_db_connection()
+    for position, task_id in enumerate(task_ids):
+        conn.execute(f"UPDATE tasks SET position=? WHERE id=? AND {EDITABLE_PROJECTS}",
+                     (position, task_id, current_user_id()))
+    conn.commit()
+    teammates = teammate_ids(conn, current_user_id())
+    conn.close()
+    broadcast_change('tasks-reordered', {'task_ids': task_ids}, teammates)
+
+    return jsonify({'task_ids': task_ids})
+
+# Projects and their members (see Projects near the top for the roles)
+
+def project_name_error(name):
+    if not name:
+        return 'Project name is required'
+    if len(name) > PROJECT_NAME_MAX_LENGTH:
+        return f'Project names can be at most {PROJECT_NAME_MAX_LENGTH} characters'
+    return None
+
+def project_to_dict(conn, project):
+    members = conn.execute('SELECT users.id, users.username, project_members.role FROM project_members '
+                           'JOIN users ON users.id = project_members.user_id WHERE project_members.project_id = ? '
+                           'ORDER BY users.username COLLATE NOCASE', (project['id'],)).fetchall()
+    return {
+        'id': project['id'],
+        'name': project['name'],
+        'role': project['role'],
+        'members': [{'id': member['id'], 'username': member['username'], 'role': member['role']}
+                    for member in members]
+    }
+
+def find_project(conn, project_id):
+    # The project with this id if the user is a member, with their role as project['role'], or None
+    return conn.execute('SELECT projects.*, project_members.role AS role FROM projects '
+                        'JOIN project_members ON project_members.project_id = projects.id '
+                        'AND project_members.user_id = ? WHERE projects.id = ?',
+                        (current_user_id(), project_id)).fetchone()
+
+def owner_count(conn, project_id):
+    return conn.execute("SELECT COUNT(*) FROM project_members WHERE project_id = ? AND role = 'owner'",
+                        (project_id,)).fetchone()[0]
+
+@app.route('/api/projects', methods=['GET', 'POST'])
+def projects():
+    conn = get_db_connection()
+    if request.method == 'POST':
+        data = request.get_json(silent=True) or {}
+        name = str(data.get('name', '')).strip()
+        error = project_name_error(name)
+        if error is not None:
+            conn.close()
+            return jsonify({'error': error}), 400
+        project_id = create_project(conn, name, current_user_id())
+        conn.commit()
+        broadcast_change('projects-changed', {})
+        result = project_to_dict(conn, find_project(conn, project_id))
+        conn.close()
+        return jsonify(result), 201
+
+    # Every project the user is a member of, oldest first
+    rows = conn.execute('SELECT projects.*, project_members.role AS role FROM projects '
+                        'JOIN project_members ON project_members.project_id = projects.id '
+                        'WHERE project_members.user_id = ? ORDER BY projects.id', (current_user_id(),)).fetchall()
+    result = [project_to_dict(conn, row) for row in rows]
+    conn.close()
+    return jsonify(result)
+
+@app.route('/api/projects/<int:project_id>', methods=['PATCH', 'DELETE'])
+def update_project(project_id):
+    conn = get_db_connection()
+    project = find_project(conn, project_id)
+    if project is None:
+        conn.close()
+        return jsonify({'error': 'Project not found'}), 404
+    if project['role'] != 'owner':
+        conn.close()
+        return jsonify({'error': "Only the project's owners can change it"}), 403
+    members = project_member_ids(conn, project_id)
+
+    if request.method == 'DELETE':
+        # Only empty projects, so nobody's tasks disappear along with one
+        task_count = conn.execute('SELECT COUNT(*) FROM tasks WHERE project_id = ?', (project_id,)).fetchone()[0]
+        if task_count > 0:
+            conn.close()
+            return jsonify({'error': "Move or delete the project's tasks first (including the ones in the Trash)"}), 400
+        conn.execute("DELETE FROM projects WHERE id = ?", (project_id,))
+        conn.commit()
+        conn.close()
+        broadcast_change('projects-changed', {}, members)
+        return jsonify({'deleted': project_id})
+
+    data = request.get_json(silent=True) or {}
+    name = str(data.get('name', project['name'])).strip()
+    error = project_name_error(name)
+    if error is not None:
+        conn.close()
+        return jsonify({'error': error}), 400
+
+    conn.execute("UPDATE projects SET name=? WHERE id=?", (name, project_id))
+    conn.commit()
+    broadcast_change('projects-changed', {}, members)
+    result = project_to_dict(conn, find_project(conn, project_id))
+    conn.close()
+    return jsonify(result)
+
+@app.route('/api/projects/<int:project_id>/members', methods=['POST'])
+def add_project_member(project_id):
+    # Share the project with another user: { username, role }
+    data = request.get_json(silent=True) or {}
+    username = str(data.get('username', '')).strip()
+    role = data.get('role', 'editor')
+    if role not in PROJECT_ROLES:
+        return jsonify({'error': 'role must be one of: ' + ', '.join(PROJECT_ROLES)}), 400
+
+    conn = get_db_connection()
+    project = find_project(conn, project_id)
+    if project is None:
+        conn.close()
+        return jsonify({'error': 'Project not found'}), 404
+    if project['role'] != 'owner':
+        conn.close()
+        return jsonify({'error': "Only the project's owners can add members"}), 403
+    user = conn.execute('SELECT id FROM users WHERE username = ?', (username,)).fetchone()
+    if user is None:
+        conn.close()
+        return jsonify({'error': f'There is no user named "{username}"'}), 404
+    if project_role(conn, project_id, user['id']) is not None:
+        conn.close()
+        return jsonify({'error': f'"{username}" is already a member of this project'}), 400
+
+    conn.execute("INSERT INTO project_members (project_id, user_id, role) VALUES (?, ?, ?)",
+                 (project_id, user['id'], role))
+    conn.commit()
+    broadcast_change('projects-changed', {}, project_member_ids(conn, project_id))
+    result = project_to_dict(conn, project)
+    conn.close()
+    return jsonify(result), 201
+
+@app.route('/api/projects/<int:project_id>/members/<int:user_id>', methods=['PATCH', 'DELETE'])
+def update_project_member(project_id, user_id):
+    # Change a member's role, or remove them (owners can remove anyone, and
+    # everyone can leave). A project always keeps at least one owner.
+    conn = get_db_connection()
+    project = find_project(conn, project_id)
+    if project is None:
+        conn.close()
+        return jsonify({'error': 'Project not found'}), 404
+    role = project_role(conn, project_id, user_id)
+    if role is None:
+        conn.close()
+        return jsonify({'error': 'Member not found'}), 404
+    leaving = request.method == 'DELETE' and user_id == current_user_id()
+    if project['role'] != 'owner' and not leaving:
+        conn.close()
+        return jsonify({'error': "Only the project's owners can change its members"}), 403
+
+    data = request.get_json(silent=True) or {}
+    new_role = None if request.method == 'DELETE' else data.get('role')
+    if request.method == 'PATCH' and new_role not in PROJECT_ROLES:
+        conn.close()
+        return jsonify({'error': 'role must be one of: ' + ', '.join(PROJECT_ROLES)}), 400
+    if role == 'owner' and new_role != 'owner' and owner_count(conn, project_id) == 1:
+        conn.close()
+        return jsonify({'error': 'A project needs at least one owner (make someone else an owner first)'}), 400
+
+    members = project_member_ids(conn, project_id)
+    unassigned = []
+    if request.method == 'DELETE':
+        # Their tasks in the project go back to being unassigned
+        unassigned = [row['id'] for row in conn.execute(
+            'SELECT id FROM tasks WHERE project_id = ? AND assignee_id = ?', (project_id, user_id))]
+        conn.execute("UPDATE tasks SET assignee_id=NULL WHERE project_id = ? AND assignee_id = ?", (project_id, user_id))
+        conn.execute("DELETE FROM project_members WHERE project_id = ? AND user_id = ?", (project_id, user_id))
+    else:
+        conn.execute("UPDATE project_members SET role=? WHERE project_id = ? AND user_id = ?",
+                     (new_role, project_id, user_id))
+    conn.commit()
+    for task_id in unassigned:
+        broadcast_task(conn, task_id)
+    broadcast_change('projects-changed', {}, members)
+
+    if leaving:
+        conn.close()
+        return jsonify({'left': project_id})
+    result = project_to_dict(conn, find_project(conn, project_id))
+    conn.close()
+    return jsonify(result)
+
+# Tags, shared between a user's tasks. Each task has a list of { id, name, color }.
+
+# Colors for new tags, picked by name so a tag keeps its color on every
+# device (static/js/script.js uses the same list and rule)
+TAG_COLORS = ('#667eea', '#43a047', '#fb8c00', '#e53935', '#8e24aa', '#00897b', '#6d4c41', '#546e7a')
+TAG_NAME_MAX_LENGTH = 30
+
+def default_tag_color(name):
+    return TAG_COLORS[sum(ord(char) for char in name.lower()) % len(TAG_COLORS)]
+
+def tag_to_dict(tag):
+    return {
+        'id': tag['id'],
+        'name': tag['name'],
+        'color': tag['color'] or default_tag_color(tag['name'])
+    }
+
+def tag_name_error(name):
+    # Commas, semicolons and quotes separate tags in the tag input, exports and searches
+    if not name:
+        return 'Tag name is required'
+    if len(name) > TAG_NAME_MAX_LENGTH:
+        return f'Tag names can be at most {TAG_NAME_MAX_LENGTH} characters'
+    if any(char in name for char in ',;"'):
+        return 'Tag names cannot contain commas, semicolons or quotes'
+    return None
+
+def is_valid_color(value):
+    return isinstance(value, str) and len(value) == 7 and value[0] == '#' and \
+        all(char in '0123456789abcdefABCDEF' for char in value[1:])
+
+def get_task_tags(conn, task_id, user_id=None):
+    # Tags belong to one user: the other members of a shared project don't see them
+    rows = conn.execute('SELECT tags.* FROM tags JOIN task_tags ON task_tags.tag_id = tags.id '
+                        'WHERE task_tags.task_id = ? AND tags.user_id = ? ORDER BY tags.name',
+                        (task_id, user_id or current_user_id())).fetchall()
+    return [tag_to_dict(row) for row in rows]
+
+def tagged_task_ids(conn, tag_id):
+    # The tasks to send live updates for when a tag changes
+    return [row['task_id'] for row in conn.execute('SELECT task_id FROM task_tags WHERE tag_id = ?', (tag_id,))]
+
+def add_task_tag(conn, task_id, name):
+    user_id = current_user_id()
+    conn.execute("INSERT OR IGNORE INTO tags (user_id, name, color) VALUES (?, ?, ?)",
+                 (user_id, name, default_tag_color(name)))
+    tag = conn.execute('SELECT id FROM tags WHERE name = ? AND user_id = ?', (name, user_id)).fetchone()
+    conn.execute("INSERT OR IGNORE INTO task_tags (task_id, tag_id) VALUES (?, ?)", (task_id, tag['id']))
+
+@app.route('/api/tags', methods=['GET'])
+def list_tags():
+    # Every tag of the user, with how many tasks (not counting the Trash) have it
+    conn = get_db_connection()
+    rows = conn.execute('SELECT tags.*, COUNT(tasks.id) AS task_count FROM tags '
+                        'LEFT JOIN task_tags ON task_tags.tag_id = tags.id '
+                        'LEFT JOIN tasks ON tasks.id = task_tags.task_id AND tasks.deleted_at IS NULL '
+                        'WHERE tags.user_id = ? '
+                        'GROUP BY tags.id ORDER BY tags.name COLLATE NOCASE', (current_user_id(),)).fetchall()
+    result = [dict(tag_to_dict(row), task_count=row['task_count']) for row in rows]
+    conn.close()
+    return jsonify(result)
+
+def find_tag(conn, tag_id):
+    # The logged-in user's tag with this id, or None
+    return conn.execute('SELECT * FROM tags WHERE id = ? AND user_id = ?', (tag_id, current_user_id())).fetchone()
+
+@app.route('/api/tags/<int:tag_id>', methods=['PATCH', 'DELETE'])
+def update_tag(tag_id):
+    conn = get_db_connection()
+    tag = find_tag(conn, tag_id)
+    if tag is None:
+        conn.close()
+        return jsonify({'error': 'Tag not found'}), 404
+    task_ids = tagged_task_ids(conn, tag_id)
+
+    if request.method == 'DELETE':
+        # Takes the tag off every task (task_tags rows go with it)
+        conn.execute("DELETE FROM tags WHERE id = ?", (tag_id,))
+        conn.commit()
+        broadcast_change('tags-changed', {})
+        for task_id in task_ids:
+            broadcast_task(conn, task_id)
+        conn.close()
+        return jsonify({'deleted': tag_id})
+
+    # Rename and/or recolor
+    data = request.get_json(silent=True) or {}
+    name = str(data.get('name', tag['name'])).strip()
+    color = data.get('color', tag['color'] or default_tag_color(tag['name']))
+    error = tag_name_error(name)
+    if error is None and not is_valid_color(color):
+        error = 'color must look like #1a2b3c'
+    if error is None:
+        existing = conn.execute('SELECT id FROM tags WHERE name = ? AND id != ? AND user_id = ?',
+                                (name, tag_id, current_user_id())).fetchone()
+        if existing is not None:
+            error = f'There is already a tag named "{name}" (merge the tags instead)'
+    if error is not None:
+        conn.close()
+        return jsonify({'error': error}), 400
+
+    conn.execute("UPDATE tags SET name=?, color=? WHERE id=?", (name, color, tag_id))
+    conn.commit()
+    broadcast_change('tags-changed', {})
+    for task_id in task_ids:
+        broadcast_task(conn, task_id)
+    result = tag_to_dict(conn.execute('SELECT * FROM tags WHERE id = ?', (tag_id,)).fetchone())
+    conn.close()
+    return jsonify(result)
+
+@app.route('/api/tags/<int:tag_id>/merge', methods=['POST'])
+def merge_tag(tag_id):
+    # Move every task from this tag to the "into" tag, then delete this one
+    data = request.get_json(silent=True) or {}
+    into_id = data.get('into')
+    conn = get_db_connection()
+    tag = find_tag(conn, tag_id)
+    target = find_tag(conn, into_id) if is_integer(into_id) else None
+    if tag is None or target is None:
+        conn.close()
+        return jsonify({'error': 'Tag not found'}), 404
+    if tag_id == into_id:
+        conn.close()
+        return jsonify({'error': 'A tag cannot be merged into itself'}), 400
+
+    task_ids = tagged_task_ids(conn, tag_id)
+    conn.execute("INSERT OR IGNORE INTO task_tags (task_id, tag_id) "
+                 "SELECT task_id, ? FROM task_tags WHERE tag_id = ?", (into_id, tag_id))
+    conn.execute("DELETE FROM tags WHERE id = ?", (tag_id,))
+    conn.commit()
+    broadcast_change('tags-changed', {})
+    for task_id in task_ids:
+        broadcast_task(conn, task_id)
+    result = tag_to_dict(target)
+    conn.close()
+    return jsonify(result)
+
+@app.route('/api/tasks/<int:task_id>/tags', methods=['PUT'])
+def set_task_tags(task_id):
+    # Replace a task's tags with the given names (new names become new tags)
+    data = request.get_json(silent=True) or {}
+    names = data.get('tags')
+    if not isinstance(names, list):
+        return jsonify({'error': 'tags must be a list of tag names'}), 400
+    names = [str(name).strip() for name in names]
+    for name in names:
+        error = tag_name_error(name)
+        if error is not None:
+            return jsonify({'error': error}), 400
+
+    conn = get_db_connection()
+    task = find_task(conn, task_id)
+    if task is None:
+        conn.close()
+        return jsonify({'error': 'Task not found'}), 404
+    if not can_edit(task['role']):
+        conn.close()
+        return read_only_error()
+
+    before = task_snapshot(conn, task_id)
+    # Only the user's own tags: the other members of a shared project tag the task with theirs
+    conn.execute("DELETE FROM task_tags WHERE task_id = ? AND tag_id IN (SELECT id FROM tags WHERE user_id = ?)",
+                 (task_id, current_user_id()))
+    for name in names:
+        add_task_tag(conn, task_id, name)
+    conn.execute("UPDATE tasks SET version=version+1 WHERE id=?", (task_id,))
+    record_event(conn, task_id, 'edited', before)
+    conn.commit()
+    broadcast_task(conn, task_id)
+    result = task_details(conn, task_id)
+    conn.close()
+    return jsonify(result)
+
+# Board columns: a task's status is the column it is in ('pending' = To Do,
+# 'completed' = Done, anything else is a column the user added on the board)
+
+TASK_STATUS_MAX_LENGTH = 30
+STATUS_ERROR = f'status must be 1-{TASK_STATUS_MAX_LENGTH} lowercase letters, digits, "-" or "_"'
+
+def is_valid_status(value):
+    return isinstance(value, str) and 0 < len(value) <= TASK_STATUS_MAX_LENGTH and \
+        all(char in 'abcdefghijklmnopqrstuvwxyz0123456789_-' for char in value)
+
+@app.route('/api/tasks/<int:task_id>/status', methods=['PATCH'])
+def set_task_status(task_id):
+    data = request.get_json(silent=True) or {}
+    status = data.get('status')
+    if not is_valid_status(status):
+        return jsonify({'error': STATUS_ERROR}), 400
+    if data.get('version') is not None and not is_integer(data['version']):
+        return jsonify({'error': 'version must be a task version number'}), 400
+
+    conn = get_db_connection()
+    task = find_task(conn, task_id)
+    if task is None:
+        conn.close()
+        return jsonify({'error': 'Task not found'}), 404
+    if not can_edit(task['role']):
+        conn.close()
+        return read_only_error()
+    if is_stale(task, data):
+        return conflict_error(conn, task_id)
+
+    before = task_snapshot(conn, task_id)
+    conn.execute("UPDATE tasks SET status=?, version=version+1 WHERE id=?", (status, task_id))
+    stamp_completion(conn, task_id)
+    record_event(conn, task_id, 'edited', before)
+    conn.commit()
+    broadcast_task(conn, task_id)
+    result = task_details(conn, task_id)
+    conn.close()
+    return jsonify(result)
+
+# Changing many tasks at once
+
+BATCH_ACTIONS = ('complete', 'reopen', 'delete', 'reschedule', 'tag', 'assign')
+
+def is_valid_date(value):
+    try:
+        datetime.strptime(value, '%Y-%m-%d')
+        return True
+    except (TypeError, ValueError):
+        return False
+
+def apply_batch_action(conn, task_id, action, data):
+    conn.execute("UPDATE tasks SET version=version+1 WHERE id=?", (task_id,))
+    if action == 'complete':
+        conn.execute("UPDATE tasks SET status='completed' WHERE id=?", (task_id,))
+        stamp_completion(conn, task_id)
+    elif action == 'reopen':
+        conn.execute("UPDATE tasks SET status='pending' WHERE id=?", (task_id,))
+        stamp_completion(conn, task_id)
+    elif action == 'delete':
+        # Into the Trash, like single deletes
+        conn.execute("UPDATE tasks SET deleted_at=? WHERE id=?", (now_timestamp(), task_id))
+    elif action == 'reschedule':
+        conn.execute("UPDATE tasks SET due_date=? WHERE id=?", (data['due_date'], task_id))
+    elif action == 'tag':
+        add_task_tag(conn, task_id, data['tag'])
+    elif action == 'assign':
+        conn.execute("UPDATE tasks SET assignee_id=? WHERE id=?", (data['assignee_id'], task_id))
+
+@app.route('/api/tasks/batch', methods=['POST'])
+def batch_tasks():
+    # Apply one action to many tasks in a single transaction: either every task
+    # is changed or none is. "results" says what happened to each task.
+    data = request.get_json(silent=True) or {}
+    action = data.get('action')
+    task_ids = data.get('task_ids')
+    if action not in BATCH_ACTIONS:
+        return jsonify({'error': 'action must be one of: ' + ', '.join(BATCH_ACTIONS)}), 400
+    if not isinstance(task_ids, list) or not task_ids or not all(is_integer(task_id) for task_id in task_ids):
+        return jsonify({'error': 'task_ids must be a non-empty list of task ids'}), 400
+
+    changes = {'due_date': data.get('due_date') or None, 'tag': str(data.get('tag') or '').strip(),
+               'assignee_id': data.get('assignee_id')}
+    if action == 'reschedule' and changes['due_date'] is not None and not is_valid_date(changes['due_date']):
+        return jsonify({'error': 'due_date must be a date like 2026-11-01 (or empty to clear it)'}), 400
+    if action == 'tag' and tag_name_error(changes['tag']):
+        return jsonify({'error': tag_name_error(changes['tag'])}), 400
+    if action == 'assign' and changes['assignee_id'] is not None and not is_integer(changes['assignee_id']):
+        return jsonify({'error': 'assignee_id must be a user id (or null to unassign)'}), 400
+
+    conn = get_db_connection()
+    results = []
+    for task_id in task_ids:
+        task = find_task(conn, task_id)
+        if task is None:
+            results.append({'id': task_id, 'ok': False, 'error': 'Task not found'})
+            continue
+        if not can_edit(task['role']):
+            results.append({'id': task_id, 'ok': False, 'error': 'You can view this project but not change it'})
+            continue
+        if action == 'assign' and changes['assignee_id'] is not None and \
+                project_role(conn, task['project_id'], changes['assignee_id']) is None:
+            results.append({'id': task_id, 'ok': False, 'error': "The assignee is not a member of this task's project"})
+            continue
+        before = task_snapshot(conn, task_id)
+        apply_batch_action(conn, task_id, action, changes)
+        record_event(conn, task_id, 'deleted' if action == 'delete' else 'edited', before)
+        results.append({'id': task_id, 'ok': True})
+
+    failed = [result for result in results if not result['ok']]
+    if failed:
+        conn.rollback()
+        conn.close()
+        return jsonify({
+            'error': f'{len(failed)} of {len(results)} tasks could not be changed, so none were',
+            'results': results
+        }), 400
+
+    conn.commit()
+    for result in results:
+        broadcast_task(conn, result['id'])
+    if action != 'delete':
+        for result in results:
+            task = conn.execute('SELECT * FROM tasks WHERE id = ?', (result['id'],)).fetchone()
+            result['task'] = task_to_dict(task)
+            result['task']['tags'] = get_task_tags(conn, result['id'])
+    conn.close()
+    return jsonify({'results': results})
+
+# Checklist items inside a task. Every change to them is a change to the task
+# too (its version goes up, and it is in the task's history), so the answers
+# carry the task as "task".
+
+def get_task_items(conn, task_id):
+    items = conn.execute('SELECT * FROM checklist_items WHERE task_id = ? ORDER BY position, id',
+                         (task_id,)).fetchall()
+    return [item_to_dict(item) for item in items]
+
+def item_done_error(data):
+    # "done" is optional, but has to be true or false ("false" and 0 aren't)
+    if 'done' in data and not isinstance(data['done'], bool):
+        return 'done must be true or false'
+    return None
+
+def auto_complete_task(conn, task_id):
+    # Mark the task completed if it asks for it and every item is done
+    task = conn.execute('SELECT * FROM tasks WHERE id = ?', (task_id,)).fetchone()
+    if not task['auto_complete'] or task['status'] == 'completed':
+        return None
+
+    remaining = conn.execute('SELECT COUNT(*) FROM checklist_items WHERE task_id = ? AND done = 0',
+                             (task_id,)).fetchone()[0]
+    total = conn.execute('SELECT COUNT(*) FROM checklist_items WHERE task_id = ?',
+                         (task_id,)).fetchone()[0]
+    if total == 0 or remaining > 0:
+        return None
+
+    conn.execute("UPDATE tasks SET status='completed', version=version+1 WHERE id=?", (task_id,))
+    stamp_completion(conn, task_id)
+    return conn.execute('SELECT * FROM tasks WHERE id = ?', (task_id,)).fetchone()
+
+@app.route('/api/tasks/<int:task_id>/items', methods=['GET', 'POST'])
+def task_items(task_id):
+    conn = get_db_connection()
+    task = find_task(conn, task_id, include_deleted=True)
+    if task is None:
+        conn.close()
+        return jsonify({'error': 'Task not found'}), 404
+
+    if request.method == 'POST':
+        if not can_edit(task['role']):
+            conn.close()
+            return read_only_error()
+        data = request.get_json(silent=True) or {}
+        title = str(data.get('title', '')).strip()
+        error = item_done_error(data)
+        if not title:
+            error = 'Checklist item title is required'
+        if error is not None:
+            conn.close()
+            return jsonify({'error': error}), 400
+
+        before = task_snapshot(conn, task_id)
+        position = conn.execute('SELECT COALESCE(MAX(position), -1) + 1 FROM checklist_items WHERE task_id = ?',
+                                (task_id,)).fetchone()[0]
+        cursor = conn.execute("INSERT INTO checklist_items (task_id, title, done, position) VALUES (?, ?, ?, ?)",
+                              (task_id, title, 1 if data.get('done') else 0, position))
+        conn.execute("UPDATE tasks SET version=version+1 WHERE id=?", (task_id,))
+        record_event(conn, task_id, 'edited', before)
+        conn.commit()
+        broadcast_task(conn, task_id)
+        result = item_to_dict(conn.execute('SELECT * FROM checklist_items WHERE id = ?', (cursor.lastrowid,)).fetchone())
+        result['task'] = task_to_dict(conn.execute('SELECT * FROM tasks WHERE id = ?', (task_id,)).fetchone())
+        conn.close()
+        return jsonify(result), 201
+
+    items = get_task_items(conn, task_id)
+    conn.close()
+    return jsonify(items)
+
+@app.route('/api/tasks/<int:task_id>/items/<int:item_id>', methods=['PATCH', 'DELETE'])
+def task_item(task_id, item_id):
+    conn = get_db_connection()
+    task = find_task(conn, task_id, include_deleted=True)
+    if task is None:
+        conn.close()
+        return jsonify({'error': 'Task not found'}), 404
+    if not can_edit(task['role']):
+        conn.close()
+        return read_only_error()
+    item = conn.execute('SELECT * FROM checklist_items WHERE id = ? AND task_id = ?',
+                        (item_id, task_id)).fetchone()
+    if item is None:
+        conn.close()
+        return jsonify({'error': 'Checklist item not found'}), 404
+
+    before = task_snapshot(conn, task_id)
+    if request.method == 'DELETE':
+        conn.execute("DELETE FROM checklist_items WHERE id = ?", (item_id,))
+        conn.execute("UPDATE tasks SET version=version+1 WHERE id=?", (task_id,))
+        record_event(conn, task_id, 'edited', before)
+        conn.commit()
+        broadcast_task(conn, task_id)
+        task = task_to_dict(conn.execute('SELECT * FROM tasks WHERE id = ?', (task_id,)).fetchone())
+        conn.close()
+        return jsonify({'deleted': item_id, 'task': task})
+
+    data = request.get_json(silent=True) or {}
+    title = str(data.get('title', item['title'])).strip()
+    error = item_done_error(data)
+    if not title:
+        error = 'Checklist item title is required'
+    if error is not None:
+        conn.close()
+        return jsonify({'error': error}), 400
+    done = 1 if data.get('done', bool(item['done'])) else 0
+
+    conn.execute("UPDATE checklist_items SET title=?, done=? WHERE id=?", (title, done, item_id))
+    conn.execute("UPDATE tasks SET version=version+1 WHERE id=?", (task_id,))
+    record_event(conn, task_id, 'edited', before)
+    # Completing the task is an event of its own, so it counts as a completion
+    before = task_snapshot(conn, task_id)
+    if auto_complete_task(conn, task_id) is not None:
+        record_event(conn, task_id, 'edited', before)
+    conn.commit()
+    broadcast_task(conn, task_id)
+
+    # The task comes along too: its new version, and whether this item completed it
+    result = item_to_dict(conn.execute('SELECT * FROM checklist_items WHERE id = ?', (item_id,)).fetchone())
+    result['task'] = task_to_dict(conn.execute('SELECT * FROM tasks WHERE id = ?', (task_id,)).fetchone())
+    conn.close()
+    return jsonify(result)
+
+@app.route('/api/tasks/<int:task_id>/items/order', methods=['PUT'])
+def reorder_task_items(task_id):
+    data = request.get_json(silent=True) or {}
+    item_ids = data.get('item_ids')
+    if not isinstance(item_ids, list) or not all(is_integer(item_id) for item_id in item_ids):
+        return jsonify({'error': 'item_ids must be a list of checklist item ids'}), 400
+
+    conn = get_db_connection()
+    task = find_task(conn, task_id, include_deleted=True)
+    if task is None:
+        conn.close()
+        return jsonify({'error': 'Task not found'}), 404
+    if not can_edit(task['role']):
+        conn.close()
+        return read_only_error()
+    existing = {row['id'] for row in conn.execute('SELECT id FROM checklist_items WHERE task_id = ?', (task_id,))}
+    if set(item_ids) != existing or len(item_ids) != len(existing):
+        conn.close()
+        return jsonify({'error': 'item_ids must list every checklist item of the task exactly once'}), 400
+
+    before = task_snapshot(conn, task_id)
+    for position, item_id in enumerate(item_ids):
+        conn.execute("UPDATE checklist_items SET position=? WHERE id=?", (position, item_id))
+    conn.execute("UPDATE tasks SET version=version+1 WHERE id=?", (task_id,))
+    record_event(conn, task_id, 'edited', before)
+    conn.commit()
+    broadcast_task(conn, task_id)
+    result = {
+        'items': get_task_items(conn, task_id),
+        'task': task_to_dict(conn.execute('SELECT * FROM tasks WHERE id = ?', (task_id,)).fetchone())
+    }
+    conn.close()
+    return jsonify(result)
+
 if __name__ == '__main__':
+    # Make tasks.db, or bring it up to date, before serving it (the Procfile
+    # runs dataBase.py the same way)
+    import dataBase  # noqa: F401
     app.run()
@@ -1,10 +1,40 @@
 import sqlite3
+from datetime import datetime, timezone
 
 conn = sqlite3.connect("tasks.db")
 c = conn.cursor()
 
+# User accounts (passwords are stored as salted hashes, see app.py)
 c.execute("""
-CREATE TABLE tasks (
+CREATE TABLE IF NOT EXISTS users (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    username TEXT NOT NULL UNIQUE COLLATE NOCASE,
+    password_hash TEXT NOT NULL,
+    created_at TEXT
+)
+""")
+
+# Projects group tasks, and can be shared: every member has a role in the project
+# ('owner', 'editor' or 'viewer', see app.py)
+c.execute("""
+CREATE TABLE IF NOT EXISTS projects (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    created_at TEXT
+)
+""")
+
+c.execute("""
+CREATE TABLE IF NOT EXISTS project_members (
+    project_id INTEGER NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    role TEXT NOT NULL DEFAULT 'editor',
+    PRIMARY KEY (project_id, user_id)
+)
+""")
+
+c.execute("""
+CREATE TABLE IF NOT EXISTS tasks (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
     title TEXT NOT NULL,
     description TEXT,
@@ -12,5 +42,146 @@ CREATE TABLE tasks (
 )
 """)
 
+# Complete a task automatically once all of its checklist items are done
+columns = [row[1] for row in c.execute("PRAGMA table_info(tasks)")]
+if 'auto_complete' not in columns:
+    c.execute("ALTER TABLE tasks ADD COLUMN auto_complete INTEGER DEFAULT 0")
+
+# Manual order of the task list (lowest first)
+if 'position' not in columns:
+    c.execute("ALTER TABLE tasks ADD COLUMN position INTEGER DEFAULT 0")
+
+# How a task repeats, as an RRULE string (see static/js/recurrence.js)
+if 'recurrence' not in columns:
+    c.execute("ALTER TABLE tasks ADD COLUMN recurrence TEXT")
+
+# When to show a reminder notification for the task (UTC, ISO 8601)
+if 'remind_at' not in columns:
+    c.execute("ALTER TABLE tasks ADD COLUMN remind_at TEXT")
+
+# When the task is due (YYYY-MM-DD)
+if 'due_date' not in columns:
+    c.execute("ALTER TABLE tasks ADD COLUMN due_date TEXT")
+
+# Deleted tasks stay in the Trash (deleted_at is set) until it is emptied
+if 'deleted_at' not in columns:
+    c.execute("ALTER TABLE tasks ADD COLUMN deleted_at TEXT")
+
+# 'high', 'medium', 'low' or NULL (no priority)
+if 'priority' not in columns:
+    c.execute("ALTER TABLE tasks ADD COLUMN priority TEXT")
+
+# When the task was last completed (UTC, ISO 8601), NULL while it isn't.
+# Tasks completed before there was a column get it from their history below.
+if 'completed_at' not in columns:
+    c.execute("ALTER TABLE tasks ADD COLUMN completed_at TEXT")
+
+# Whose task it is (tasks from before there were accounts go to the first one registered)
+if 'user_id' not in columns:
+    c.execute("ALTER TABLE tasks ADD COLUMN user_id INTEGER REFERENCES users(id) ON DELETE CASCADE")
+
+# Which project the task belongs to, and which of the project's members it is assigned to
+if 'project_id' not in columns:
+    c.execute("ALTER TABLE tasks ADD COLUMN project_id INTEGER REFERENCES projects(id)")
+
+if 'assignee_id' not in columns:
+    c.execute("ALTER TABLE tasks ADD COLUMN assignee_id INTEGER REFERENCES users(id) ON DELETE SET NULL")
+
+# When the task was added (UTC, ISO 8601). Older tasks get the time they were migrated.
+now = datetime.now(timezone.utc).isoformat(timespec='seconds')
+if 'created_at' not in columns:
+    c.execute("ALTER TABLE tasks ADD COLUMN created_at TEXT")
+    c.execute("UPDATE tasks SET created_at = ? WHERE created_at IS NULL", (now,))
+
+# Goes up by one on every change, so a page saving an outdated copy of the
+# task can be told (409 Conflict, see app.py)
+if 'version' not in columns:
+    c.execute("ALTER TABLE tasks ADD COLUMN version INTEGER NOT NULL DEFAULT 1")
+
+# The Idempotency-Key the task was created with, so a create sent twice (its
+# first answer got lost) makes one task (see app.py)
+if 'request_key' not in columns:
+    c.execute("ALTER TABLE tasks ADD COLUMN request_key TEXT")
+c.execute("CREATE UNIQUE INDEX IF NOT EXISTS tasks_by_request_key ON tasks (user_id, request_key)")
+
+# Users from before there were projects get a "Personal" one, and their tasks go into it
+for (user_id,) in c.execute("SELECT id FROM users WHERE id NOT IN (SELECT user_id FROM project_members)").fetchall():
+    c.execute("INSERT INTO projects (name, created_at) VALUES ('Personal', ?)", (now,))
+    c.execute("INSERT INTO project_members (project_id, user_id, role) VALUES (?, ?, 'owner')", (c.lastrowid, user_id))
+
+c.execute("""
+UPDATE tasks SET project_id = (
+    SELECT MIN(project_id) FROM project_members
+    WHERE project_members.user_id = tasks.user_id AND role = 'owner'
+)
+WHERE project_id IS NULL AND user_id IS NOT NULL
+""")
+
+c.execute("""
+CREATE TABLE IF NOT EXISTS checklist_items (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    task_id INTEGER NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+    title TEXT NOT NULL,
+    done INTEGER DEFAULT 0,
+    position INTEGER DEFAULT 0
+)
+""")
+
+# Tags, shared between a user's tasks (each user's tag names are unique, ignoring case)
+TAGS_TABLE = """
+CREATE TABLE IF NOT EXISTS {name} (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    name TEXT NOT NULL COLLATE NOCASE,
+    color TEXT,
+    UNIQUE (user_id, name)
+)
+"""
+c.execute(TAGS_TABLE.format(name='tags'))
+
+# Tag names used to be unique for everyone. SQLite can't change a UNIQUE
+# constraint, so older tags tables are copied into a new one (same ids).
+if 'user_id' not in [row[1] for row in c.execute("PRAGMA table_info(tags)")]:
+    c.execute(TAGS_TABLE.format(name='new_tags'))
+    c.execute("INSERT INTO new_tags (id, name, color) SELECT id, name, color FROM tags")
+    c.execute("DROP TABLE tags")
+    c.execute("ALTER TABLE new_tags RENAME TO tags")
+
+c.execute("""
+CREATE TABLE IF NOT EXISTS task_tags (
+    task_id INTEGER NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+    tag_id INTEGER NOT NULL REFERENCES tags(id) ON DELETE CASCADE,
+    PRIMARY KEY (task_id, tag_id)
+)
+""")
+
+# The history of every task: one row per change (see "Task history" in app.py).
+# task_id is not a foreign key, so the history of tasks emptied from the Trash
+# is kept (task_title says what they were called).
+c.execute("""
+CREATE TABLE IF NOT EXISTS task_events (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    task_id INTEGER NOT NULL,
+    task_title TEXT,
+    project_id INTEGER REFERENCES projects(id) ON DELETE CASCADE,
+    user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    action TEXT NOT NULL,
+    changes TEXT,
+    created_at TEXT NOT NULL
+)
+""")
+c.execute("CREATE INDEX IF NOT EXISTS task_events_by_task ON task_events (task_id)")
+c.execute("CREATE INDEX IF NOT EXISTS task_events_by_project ON task_events (project_id)")
+
+# Completed tasks without a completed_at: the last time their history shows
+# them being completed (if it does; otherwise it stays unknown)
+c.execute("""
+UPDATE tasks SET completed_at = (
+    SELECT MAX(created_at) FROM task_events
+    WHERE task_events.task_id = tasks.id AND json_extract(changes, '$.status[1]') = 'completed'
+)
+WHERE status = 'completed' AND completed_at IS NULL
+""")
+
 conn.commit()
 conn.close()
@@ -0,0 +1,182 @@
+/**
+ * TASK ACTIVITY FEED - JavaScript
+ *
+ * The /activity page: every change made to the tasks of the user's projects,
+ * newest first, from GET /api/activity (see "Task history" in app.py). Each
+ * entry is drawn by history.js, the same way as in a card's History panel.
+ *
+ * It can be narrowed down to one task and to a range of days; the filters
+ * are kept in the address (?task_id=12&from=2026-10-01&to=2026-10-31), so
+ * the "See it in the activity feed" link on a card opens it on that task.
+ * Days are the user's own: "to" includes the whole of that day, local time.
+ * Entries come ACTIVITY_PAGE_SIZE at a time; "Load more" fetches the next ones
+ * (it shows as long as the last page was full).
+ */
+
+const ACTIVITY_PAGE_SIZE = 50;  // Same as app.py
+
+const activityFilters = document.getElementById('activityFilters');
+const activityTask = document.getElementById('activityTask');
+const activityFrom = document.getElementById('activityFrom');
+const activityTo = document.getElementById('activityTo');
+const activityClearBtn = document.getElementById('activityClearBtn');
+const activityList = document.getElementById('activityList');
+const activityMoreBtn = document.getElementById('activityMoreBtn');
+
+let activityEvents = [];   // What is shown so far
+let activityRequest = 0;   // Answers to older requests (filters since changed) are dropped
+
+
+document.addEventListener('DOMContentLoaded', () => {
+    readFiltersFromAddress();
+    loadTaskOptions();
+    loadActivity();
+
+    activityFilters.addEventListener('change', () => {
+        writeFiltersToAddress();
+        loadActivity();
+    });
+    activityFilters.addEventListener('submit', (e) => e.preventDefault());
+    activityClearBtn.addEventListener('click', () => {
+        activityTask.value = '';
+        activityFrom.value = '';
+        activityTo.value = '';
+        writeFiltersToAddress();
+        loadActivity();
+    });
+    activityMoreBtn.addEventListener('click', () => loadActivity(true));
+});
+
+
+function readFiltersFromAddress() {
+    const params = new URLSearchParams(window.location.search);
+    const taskId = params.get('task_id') || '';
+    if (taskId) {
+        // The task may not be in the list yet (or any more), so add it until the list is loaded
+        activityTask.appendChild(new Option(`Task ${taskId}`, taskId));
+    }
+    activityTask.value = taskId;
+    activityFrom.value = TaskDates.isDay(params.get('from')) ? params.get('from') : '';
+    activityTo.value = TaskDates.isDay(params.get('to')) ? params.get('to') : '';
+}
+
+function writeFiltersToAddress() {
+    const params = new URLSearchParams();
+    if (activityTask.value) params.set('task_id', activityTask.value);
+    if (activityFrom.value) params.set('from', activityFrom.value);
+    if (activityTo.value) params.set('to', activityTo.value);
+    const query = params.toString();
+    window.history.replaceState(null, '', query ? `?${query}` : window.location.pathname);
+}
+
+function activityUrl(offset) {
+    /**
+     * The /api/activity address for the current filters. The server wants
+     * moments in time, so the days become local midnights: from the start of
+     * the "From" day up to (not including) the start of the day after "To".
+     */
+    const params = new URLSearchParams({ limit: ACTIVITY_PAGE_SIZE, offset });
+    if (activityTask.value) {
+        params.set('task_id', activityTask.value);
+    }
+    if (activityFrom.value) {
+        params.set('since', TaskDates.parseDay(activityFrom.value).toISOString());
+    }
+    if (activityTo.value) {
+        params.set('until', TaskDates.parseDay(TaskDates.addDays(activityTo.value, 1)).toISOString());
+    }
+    return `/api/activity?${params}`;
+}
+
+
+async function loadActivity(more = false) {
+    /**
+     * Load the first page of entries for the current filters, or (more) the
+     * next page after the ones already shown.
+     */
+    const request = ++activityRequest;
+    const offset = more ? activityEvents.length : 0;
+    activityMoreBtn.disabled = true;
+    if (!more) {
+        activityList.innerHTML = '<p class="loading">Loading activity...</p>';
+    }
+
+    try {
+        const page = await TaskApi.get(activityUrl(offset));
+        if (request !== activityRequest) {
+            return;
+        }
+        activityEvents = more ? activityEvents.concat(page) : page;
+        renderActivity(page.length === ACTIVITY_PAGE_SIZE);
+    } catch (error) {
+        if (error instanceof TaskApi.AuthError) {
+            window.location.href = `/login?next=${encodeURIComponent(window.location.pathname + window.location.search)}`;
+            return;
+        }
+        if (request !== activityRequest) {
+            return;
+        }
+        console.error('Could not load the activity:', error);
+        activityList.innerHTML = `<p class="no-tasks" role="alert">❌ Could not load the activity: ${escapeText(error.message)}</p>`;
+        activityMoreBtn.hidden = true;
+    }
+}
+
+function renderActivity(hasMore) {
+    activityMoreBtn.hidden = !hasMore;
+    activityMoreBtn.disabled = false;
+    if (activityEvents.length === 0) {
+        activityList.innerHTML = '<p class="no-tasks">Nothing happened to these tasks in this time.</p>';
+        return;
+    }
+    // Clicking a task's title narrows the feed down to that task
+    activityList.innerHTML = TaskHistory.timelineHtml(activityEvents, {
+        statusLabel: getStatusLabel,
+        taskUrl: event => `?task_id=${event.task_id}`
+    });
+}
+
+
+async function loadTaskOptions() {
+    /**
+     * Fill the Task dropdown with the tasks of the user's projects (and the
+     * ones in the Trash), by title. The task picked in the address stays
+     * picked.
+     */
+    let tasks;
+    try {
+        const [active, trashed] = await Promise.all([TaskApi.get('/api/tasks'), TaskApi.get('/api/tasks/trash')]);
+        tasks = active.concat(trashed);
+    } catch (error) {
+        console.warn('Could not load the task list for the filter:', error);
+        return;
+    }
+    const picked = activityTask.value;
+    activityTask.innerHTML = '<option value="">All tasks</option>';
+    tasks.sort((a, b) => a.title.localeCompare(b.title)).forEach(task => {
+        activityTask.appendChild(new Option(task.deleted_at ? `${task.title} (in the Trash)` : task.title, task.id));
+    });
+    if (picked && !tasks.some(task => String(task.id) === picked)) {
+        // Deleted for good: its history is still there
+        activityTask.appendChild(new Option(`Task ${picked} (deleted)`, picked));
+    }
+    activityTask.value = picked;
+}
+
+function getStatusLabel(status) {
+    // The board column names the user picked (saved by script.js), e.g. "In Progress"
+    let columns = null;
+    try {
+        columns = JSON.parse(localStorage.getItem('taskManager.boardColumns') || 'null');
+    } catch (error) {
+        // Unreadable: use the statuses themselves
+    }
+    const column = Array.isArray(columns) ? columns.find(c => c.status === status) : null;
+    return column ? column.title : { pending: 'To Do', in_progress: 'In Progress', completed: 'Done' }[status] || status;
+}
+
+function escapeText(text) {
+    const element = document.createElement('span');
+    element.textContent = text;
+    return element.innerHTML;
+}
@@ -0,0 +1,222 @@
+/**
+ * TASK MANAGER API CLIENT - JavaScript
+ *
+ * Every request to the server (app.py) goes through this file, so they all
+ * behave the same way:
+ * 1. Carry this page's client ID (X-Client-Id), so the live updates about our
+ *    own changes can be told apart (STEP 35 of script.js), and the CSRF token
+ *    the server expects on every change
+ * 2. Give up after REQUEST_TIMEOUT instead of hanging on a bad connection
+ *    (fetch() itself never times out)
+ * 3. Try again a few times, waiting longer each time, when the network or the
+ *    server fails - but only for reads (GET, HEAD). A change that timed out
+ *    may still have reached the server: a POST repeated would add a second
+ *    task, a PUT with a version would get a 409 for our own change and a
+ *    DELETE a 404. So changes are never repeated here (the outbox in
+ *    store.js checks first, and sends creates with an Idempotency-Key).
+ * 4. Turn every failure into one of the errors below, so callers check what
+ *    kind of problem it was instead of looking at status codes:
+ *
+ *    ApiError         the server refused the request (403, 404...); all the
+ *                     others are kinds of ApiError. error.status, error.payload
+ *    NetworkError     no answer at all (offline, connection dropped)
+ *    TimeoutError     no answer in time (a kind of NetworkError)
+ *    AuthError        logged out (401), or the page's CSRF token is out of date
+ *    ValidationError  400: error.fields has a message per field,
+ *                     e.g. { title: 'Title is required' }
+ *    ConflictError    409: someone else changed the task; error.task is their copy
+ *    ServerError      5xx: something broke on the server
+ *
+ * Usage:
+ *   const tasks = await TaskApi.get('/api/tasks');
+ *   const task = await TaskApi.send('PUT', `/api/tasks/${id}`, { title: 'New title' });
+ */
+
+const TaskApi = (() => {
+
+    const REQUEST_TIMEOUT = 15000;  // Milliseconds
+    const RETRIES = 2;              // Extra tries for reads
+    const RETRY_DELAY = 500;        // Before the first retry; doubles after each one
+    const RETRIED_METHODS = ['GET', 'HEAD'];
+
+    // A new ID for every page load (each open tab is its own client)
+    const clientId = window.crypto && crypto.randomUUID
+        ? crypto.randomUUID()
+        : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+
+    // The session's CSRF token, put in the page by app.py
+    const csrfMeta = document.querySelector('meta[name="csrf-token"]');
+    const csrfToken = csrfMeta ? csrfMeta.content : '';
+
+
+    // ------------------------------------------------------------------------
+    // Errors
+    // ------------------------------------------------------------------------
+
+    class ApiError extends Error {
+        constructor(message, status = 0, payload = {}) {
+            super(message);
+            this.name = this.constructor.name;
+            this.status = status;    // 0 when the server never answered
+            this.payload = payload;  // The server's JSON answer ({ error: ... })
+        }
+    }
+
+    class NetworkError extends ApiError {}
+
+    class TimeoutError extends NetworkError {}
+
+    class AuthError extends ApiError {
+        get loginUrl() {
+            return this.payload.login_url || '/login';
+        }
+    }
+
+    class ValidationError extends ApiError {
+        get fields() {
+            return this.payload.fields || {};
+        }
+    }
+
+    class ConflictError extends ApiError {
+        get task() {
+            return this.payload.task || null;
+        }
+    }
+
+    class ServerError extends ApiError {}
+
+    function errorFor(status, payload) {
+        // The error for a refused request, from its status and JSON answer
+        const message = payload.error || `The server refused the request (error ${status})`;
+        if (status === 401 || payload.code === 'csrf') {
+            return new AuthError(message, status, payload);
+        }
+        if (status === 400) {
+            return new ValidationError(message, status, payload);
+        }
+        if (status === 409) {
+            return new ConflictError(message, status, payload);
+        }
+        if (status >= 500) {
+            return new ServerError(message, status, payload);
+        }
+        return new ApiError(message, status, payload);
+    }
+
+
+    // ------------------------------------------------------------------------
+    // Requests
+    // ------------------------------------------------------------------------
+
+    function headers(hasBody, key) {
+        const result = { 'X-Client-Id': clientId, 'X-CSRF-Token': csrfToken };
+        if (hasBody) {
+            result['Content-Type'] = 'application/json';
+        }
+        if (key) {
+            result['Idempotency-Key'] = key;
+        }
+        return result;
+    }
+
+    async function request(method, url, options = {}) {
+        /**
+         * Send one request and return the server's JSON answer (null if it
+         * had none), or throw one of the errors above.
+         *
+         * options:
+         * - body:    sent as JSON
+         * - timeout: milliseconds to wait for the answer (REQUEST_TIMEOUT)
+         * - retries: extra tries after a network or server failure (RETRIES
+         *            for GET and HEAD, none for changes)
+         * - key:     sent as the Idempotency-Key header; the same key on a
+         *            change sent twice tells the server it is one change
+         */
+        const retries = options.retries !== undefined
+            ? options.retries
+            : (RETRIED_METHODS.includes(method) ? RETRIES : 0);
+
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await attemptRequest(method, url, options);
+            } catch (error) {
+                // Trying again is no use while the browser knows it's offline
+                const retryable = (error instanceof NetworkError || error instanceof ServerError) &&
+                    navigator.onLine !== false;
+                if (!retryable || attempt >= retries) {
+                    throw error;
+                }
+                const delay = RETRY_DELAY * 2 ** attempt;
+                TaskLog.debug(`${method} ${url} failed (${error.message}), trying again in ${delay} ms`);
+                await new Promise(resolve => setTimeout(resolve, delay));
+            }
+        }
+    }
+
+    async function attemptRequest(method, url, options) {
+        const timeout = options.timeout || REQUEST_TIMEOUT;
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), timeout);
+        const hasBody = options.body !== undefined;
+
+        try {
+            let response;
+            try {
+                response = await fetch(url, {
+                    method,
+                    headers: headers(hasBody, options.key),
+                    body: hasBody ? JSON.stringify(options.body) : undefined,
+                    signal: controller.signal
+                });
+            } catch (error) {
+                if (controller.signal.aborted) {
+                    throw new TimeoutError(`The server did not answer within ${timeout / 1000} seconds`);
+                }
+                throw new NetworkError('Could not reach the server (are you offline?)');
+            }
+
+            const payload = await readJson(response);
+            if (!response.ok) {
+                throw errorFor(response.status, payload || {});
+            }
+            return payload;
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    async function readJson(response) {
+        // Answers should be JSON, but don't count on it (a proxy's error page...)
+        try {
+            return await response.json();
+        } catch (error) {
+            return null;
+        }
+    }
+
+    function get(url, options) {
+        return request('GET', url, options);
+    }
+
+    function send(method, url, body, options = {}) {
+        return request(method, url, { ...options, body });
+    }
+
+
+    return {
+        clientId,
+        csrfToken,
+        headers,
+        request,
+        get,
+        send,
+        ApiError,
+        NetworkError,
+        TimeoutError,
+        AuthError,
+        ValidationError,
+        ConflictError,
+        ServerError
+    };
+})();
@@ -0,0 +1,104 @@
+/**
+ * TASK LIST RENDER BENCHMARK - JavaScript
+ *
+ * Open /bench (the board, with this on top) and click "Run benchmark".
+ *
+ * For each list size it fills window.tasks with fake tasks, renders them,
+ * then toggles tasks one at a time and measures how long each toggle takes
+ * (including the browser layout it causes). With the keyed, virtualized
+ * renderer the toggle cost should stay about the same from 100 to 10,000 tasks.
+ *
+ * Nothing is sent to the server or saved in IndexedDB while it runs.
+ */
+
+const BENCH_SIZES = [100, 1000, 5000, 10000];
+const TOGGLES_PER_SIZE = 50;
+
+
+// Keep the benchmark away from the real server and the offline cache
+window.fetch = async () => new Response('[]', { status: 200, headers: { 'Content-Type': 'application/json' } });
+TaskStore.saveTasks = async () => {};
+TaskStore.saveTask = async () => {};
+TaskStore.queue = async () => {};
+window.EventSource = undefined;  // No live updates either
+
+
+function makeFakeTasks(count) {
+    /**
+     * Build "count" tasks that look like real ones (some with descriptions,
+     * due dates and completed), with ids 1..count.
+     */
+    const tasks = [];
+    for (let i = 1; i <= count; i++) {
+        tasks.push({
+            id: i,
+            title: `Benchmark task number ${i}`,
+            description: i % 3 === 0 ? `Some longer description text for task ${i}` : '',
+            due_date: i % 4 === 0 ? '2026-12-01' : null,
+            completed: i % 5 === 0,
+            created_at: '2026-01-01T09:00:00',
+            version: 1
+        });
+    }
+    return tasks;
+}
+
+function measureToggle(checkbox) {
+    /**
+     * Toggle one task the same way a click does, and time it until the
+     * browser has worked out the new layout (reading offsetHeight forces that).
+     */
+    const start = performance.now();
+    checkbox.checked = !checkbox.checked;
+    checkbox.dispatchEvent(new Event('change', { bubbles: true }));
+    void tasksList.offsetHeight;
+    return performance.now() - start;
+}
+
+function percentile(sortedValues, fraction) {
+    const index = Math.min(sortedValues.length - 1, Math.floor(sortedValues.length * fraction));
+    return sortedValues[index];
+}
+
+async function runBenchmark() {
+    /**
+     * Run every size in BENCH_SIZES and add one result row per size.
+     */
+    const results = document.getElementById('benchResults');
+    results.innerHTML = '';
+    
+    for (const size of BENCH_SIZES) {
+        window.tasks = makeFakeTasks(size);
+        window.scrollTo(0, 0);
+        
+        const renderStart = performance.now();
+        renderTasks();
+        void tasksList.offsetHeight;
+        const renderTime = performance.now() - renderStart;
+        
+        const timings = [];
+        for (let i = 0; i < TOGGLES_PER_SIZE; i++) {
+            const checkboxes = tasksList.querySelectorAll('.task-checkbox');
+            timings.push(measureToggle(checkboxes[i % checkboxes.length]));
+            
+            // Give the browser a chance to paint between toggles, like a real user
+            await new Promise(resolve => requestAnimationFrame(resolve));
+        }
+        timings.sort((a, b) => a - b);
+        
+        results.insertAdjacentHTML('beforeend', `
+            <tr>
+                <td>${size}</td>
+                <td>${tasksList.querySelectorAll('.task-item').length}</td>
+                <td>${renderTime.toFixed(1)}</td>
+                <td>${percentile(timings, 0.5).toFixed(2)}</td>
+                <td>${percentile(timings, 0.95).toFixed(2)}</td>
+            </tr>
+        `);
+    }
+    
+    window.tasks = [];
+    renderTasks();
+}
+
+document.getElementById('runBenchmark').addEventListener('click', runBenchmark);
@@ -0,0 +1,118 @@
+/**
+ * TASK CHARTS - JavaScript
+ *
+ * Small SVG charts for the insights page: a bar chart and a line chart, drawn
+ * in the browser from a list of points - no chart library, nothing loaded
+ * from other sites. They return SVG markup as a string (no DOM code in here,
+ * so it can be tested on its own: in Node, const TaskCharts = require('./charts.js')).
+ *
+ * A point is { label, value, title }: label goes under the x axis, title is
+ * the tooltip (and what a screen reader can read) of its bar or dot.
+ * The charts stretch to the width of their box (see .chart in style.css).
+ * escapeHtml is shared with the rest of the insights page.
+ */
+
+const TaskCharts = (() => {
+
+    // Drawing area, in SVG units (the viewBox)
+    const WIDTH = 600;
+    const HEIGHT = 220;
+    const MARGIN = { top: 12, right: 12, bottom: 30, left: 36 };
+
+    // At most this many x labels, so they don't run into each other
+    const MAX_X_LABELS = 10;
+
+
+    // ------------------------------------------------------------------------
+    // Axes
+    // ------------------------------------------------------------------------
+
+    function escapeHtml(text) {
+        const map = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#039;' };
+        return String(text).replace(/[&<>"']/g, m => map[m]);
+    }
+
+    function yScale(points) {
+        /**
+         * Whole-number steps for the y axis: up to 4 gridlines above 0, the
+         * top one at or above the biggest value (and at least 1, so a chart
+         * of zeros still has an axis).
+         */
+        const max = Math.max(1, ...points.map(point => point.value));
+        const step = Math.ceil(max / 4);
+        const top = step * Math.ceil(max / step);
+        const ticks = [];
+        for (let tick = 0; tick <= top; tick += step) {
+            ticks.push(tick);
+        }
+        return { top, ticks };
+    }
+
+    function frame(points, options, plot) {
+        /**
+         * The parts every chart has: gridlines with their numbers, the x
+         * labels, and the svg element around what plot(x, y) draws.
+         * x(index) is the middle of a point's slot, y(value) its height.
+         */
+        const { top, ticks } = yScale(points);
+        const plotWidth = WIDTH - MARGIN.left - MARGIN.right;
+        const plotHeight = HEIGHT - MARGIN.top - MARGIN.bottom;
+        const slot = plotWidth / Math.max(points.length, 1);
+        const x = index => MARGIN.left + slot * (index + 0.5);
+        const y = value => MARGIN.top + plotHeight - (value / top) * plotHeight;
+
+        const grid = ticks.map(tick => `
+            <line class="chart-grid" x1="${MARGIN.left}" x2="${WIDTH - MARGIN.right}" y1="${y(tick)}" y2="${y(tick)}"></line>
+            <text class="chart-tick" x="${MARGIN.left - 6}" y="${y(tick) + 4}" text-anchor="end">${tick}</text>`).join('');
+
+        const every = Math.ceil(points.length / MAX_X_LABELS);
+        const labels = points
+            .map((point, index) => index % every === 0
+                ? `<text class="chart-label" x="${x(index)}" y="${HEIGHT - 10}" text-anchor="middle">${escapeHtml(point.label)}</text>`
+                : '')
+            .join('');
+
+        return `
+            <svg class="chart" viewBox="0 0 ${WIDTH} ${HEIGHT}" role="img" aria-label="${escapeHtml(options.label || '')}">
+                ${grid}
+                ${plot(x, y, slot)}
+                ${labels}
+            </svg>`;
+    }
+
+
+    // ------------------------------------------------------------------------
+    // Charts
+    // ------------------------------------------------------------------------
+
+    function barChart(points, options = {}) {
+        // One bar per point. options.label names the chart for screen readers.
+        return frame(points, options, (x, y, slot) => points.map((point, index) => {
+            const width = Math.max(slot * 0.7, 1);
+            const height = y(0) - y(point.value);
+            return `
+                <rect class="chart-bar" x="${x(index) - width / 2}" y="${y(point.value)}" width="${width}" height="${height}">
+                    <title>${escapeHtml(point.title || `${point.label}: ${point.value}`)}</title>
+                </rect>`;
+        }).join(''));
+    }
+
+    function lineChart(points, options = {}) {
+        // A line through the points, with a dot on each. options.label names the chart.
+        return frame(points, options, (x, y) => {
+            const line = points.map((point, index) => `${x(index)},${y(point.value)}`).join(' ');
+            const dots = points.map((point, index) => `
+                <circle class="chart-dot" cx="${x(index)}" cy="${y(point.value)}" r="3">
+                    <title>${escapeHtml(point.title || `${point.label}: ${point.value}`)}</title>
+                </circle>`).join('');
+            return `<polyline class="chart-line" points="${line}"></polyline>${dots}`;
+        });
+    }
+
+
+    return { barChart, lineChart, escapeHtml };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TaskCharts;
+}
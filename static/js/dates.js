@@ -0,0 +1,130 @@
+/**
+ * TASK DATES - JavaScript
+ *
+ * Calendar days for the list, the board and the calendar view. No DOM code
+ * in here, so it can be tested on its own
+ * (in Node: const TaskDates = require('./dates.js')).
+ *
+ * A due date is a day, not a moment in time: a plain YYYY-MM-DD string.
+ * The trap is new Date('2026-11-01'), which reads a bare date as midnight
+ * UTC - still October 31 in the evening for anyone west of UTC - so the card
+ * showed the day before. Everything here works on days in the user's own
+ * timezone instead: parseDay() builds local midnight and formatDay() reads
+ * the local date back, so a day always stays the same day.
+ *
+ * Weeks start on Sunday, like the "This week" group in script.js.
+ */
+
+const TaskDates = (() => {
+
+    // ------------------------------------------------------------------------
+    // Reading and writing days
+    // ------------------------------------------------------------------------
+
+    function parseDay(text) {
+        /**
+         * 'YYYY-MM-DD' -> a Date at local midnight of that day, or null if
+         * it isn't a real date. Anything after the day (a time) is ignored.
+         */
+        const match = /^(\d{4})-(\d{2})-(\d{2})/.exec(String(text || ''));
+        if (!match) {
+            return null;
+        }
+        const [, year, month, day] = match.map(Number);
+        const date = new Date(year, month - 1, day);
+        if (date.getFullYear() !== year || date.getMonth() !== month - 1 || date.getDate() !== day) {
+            return null;  // e.g. 2026-02-30
+        }
+        return date;
+    }
+
+    function formatDay(date) {
+        // The local calendar day of a Date as YYYY-MM-DD (not toISOString, which is UTC)
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${date.getFullYear()}-${month}-${day}`;
+    }
+
+    function isDay(text) {
+        // Exactly YYYY-MM-DD, and a real date
+        return /^\d{4}-\d{2}-\d{2}$/.test(String(text)) && parseDay(text) !== null;
+    }
+
+    function today(now = new Date()) {
+        return formatDay(now);
+    }
+
+    function dayOf(timestamp) {
+        /**
+         * The local day of a timestamp such as created_at, as YYYY-MM-DD.
+         * A bare YYYY-MM-DD is already a day and is returned as it is.
+         */
+        if (!timestamp) {
+            return '';
+        }
+        if (isDay(timestamp)) {
+            return timestamp;
+        }
+        const date = new Date(timestamp);
+        return isNaN(date) ? '' : formatDay(date);
+    }
+
+    function displayDay(text, options) {
+        /**
+         * A day the way the user's locale writes it ("11/1/2026"), or '' if
+         * text isn't a date. options are passed on to toLocaleDateString().
+         */
+        const date = parseDay(text);
+        return date ? date.toLocaleDateString([], options) : '';
+    }
+
+
+    // ------------------------------------------------------------------------
+    // Day math (on local dates, so daylight saving never skips a day)
+    // ------------------------------------------------------------------------
+
+    function addDays(day, days) {
+        const date = parseDay(day);
+        return formatDay(new Date(date.getFullYear(), date.getMonth(), date.getDate() + days));
+    }
+
+    function monthStart(day, months = 0) {
+        // The first day of day's month, or of the month `months` later (earlier if negative)
+        const date = parseDay(day);
+        return formatDay(new Date(date.getFullYear(), date.getMonth() + months, 1));
+    }
+
+    function weekStart(day) {
+        // The Sunday on or before day
+        return addDays(day, -parseDay(day).getDay());
+    }
+
+    function weekDays(day) {
+        // The 7 days (Sunday to Saturday) of day's week
+        const start = weekStart(day);
+        return [0, 1, 2, 3, 4, 5, 6].map(offset => addDays(start, offset));
+    }
+
+    function monthWeeks(day) {
+        /**
+         * The weeks to show for day's month in a calendar: a list of weeks
+         * (each 7 days, Sunday first) from the week of the 1st to the week
+         * of the last day. The first and last week include days of the
+         * months around it.
+         */
+        const first = monthStart(day);
+        const last = addDays(monthStart(day, 1), -1);
+        const weeks = [];
+        for (let start = weekStart(first); start <= last; start = addDays(start, 7)) {
+            weeks.push(weekDays(start));
+        }
+        return weeks;
+    }
+
+
+    return { parseDay, formatDay, isDay, today, dayOf, displayDay, addDays, monthStart, weekStart, weekDays, monthWeeks };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TaskDates;
+}
@@ -0,0 +1,131 @@
+/**
+ * TASK FUZZY MATCHING - JavaScript
+ *
+ * Ranks the command palette's entries (actions and task titles) against what
+ * the user typed. No DOM code in here, so it can be tested on its own
+ * (in Node: const TaskFuzzy = require('./fuzzy.js')).
+ *
+ * "Fuzzy" means the typed letters only have to appear in order, not next to
+ * each other: "nwt" finds "New task", "exjs" finds "Export as JSON".
+ * Matches score higher when:
+ * - the letters are next to each other ("task" in "New task")
+ * - they start words ("N"ew "T"ask)
+ * - the text is short (fewer other letters in the way)
+ * Case doesn't matter, and spaces in the query are ignored.
+ */
+
+const TaskFuzzy = (() => {
+
+    function isWordStart(text, index) {
+        // The first letter, or one after a space, dash, slash...
+        return index === 0 || !/[a-z0-9]/i.test(text[index - 1]);
+    }
+
+    function match(query, text) {
+        /**
+         * How well text matches query: { score, positions }, or null if it
+         * doesn't (a query letter is missing). positions are the indexes of
+         * the matched letters in text, for highlighting. An empty query
+         * matches everything with score 0.
+         */
+        text = String(text || '');
+        const letters = String(query || '').toLowerCase().replace(/\s+/g, '');
+        const lower = text.toLowerCase();
+        if (letters === '') {
+            return { score: 0, positions: [] };
+        }
+
+        // Typed as one piece (e.g. "report"): take it where it starts a word, if it does
+        const whole = findWholeQuery(letters, lower, text);
+        if (whole !== -1) {
+            const positions = [...letters].map((_, offset) => whole + offset);
+            return { score: scorePositions(positions, text), positions };
+        }
+
+        // Otherwise try matching each letter at its next occurrence, and at
+        // the next one starting a word ("nt" -> "New Task" rather than "New t"),
+        // and keep the better of the two
+        let best = null;
+        [false, true].forEach(preferWordStarts => {
+            const positions = findLetters(letters, lower, text, preferWordStarts);
+            const score = positions ? scorePositions(positions, text) : null;
+            if (positions && (best === null || score > best.score)) {
+                best = { score, positions };
+            }
+        });
+        return best;
+    }
+
+    function findWholeQuery(letters, lower, text) {
+        // Index of letters in lower (preferring one at a word start), or -1
+        const first = lower.indexOf(letters);
+        for (let index = first; index !== -1; index = lower.indexOf(letters, index + 1)) {
+            if (isWordStart(text, index)) {
+                return index;
+            }
+        }
+        return first;
+    }
+
+    function findLetters(letters, lower, text, preferWordStarts) {
+        // Where each letter is found, in order, or null if one is missing
+        const positions = [];
+        let from = 0;
+        for (const letter of letters) {
+            let index = lower.indexOf(letter, from);
+            if (index === -1) {
+                return null;
+            }
+            if (preferWordStarts && !isWordStart(text, index)) {
+                let next = lower.indexOf(letter, index + 1);
+                while (next !== -1 && !isWordStart(text, next)) {
+                    next = lower.indexOf(letter, next + 1);
+                }
+                if (next !== -1) {
+                    index = next;
+                }
+            }
+            positions.push(index);
+            from = index + 1;
+        }
+        return positions;
+    }
+
+    function scorePositions(positions, text) {
+        let score = 0;
+        positions.forEach((position, i) => {
+            score += 1;
+            if (i > 0 && position === positions[i - 1] + 1) {
+                score += 5;  // Next to the previous letter
+            }
+            if (isWordStart(text, position)) {
+                score += 3;
+            }
+        });
+        // Gaps and long texts count a little against it
+        const spread = positions[positions.length - 1] - positions[0] + 1 - positions.length;
+        return score - spread * 0.2 - text.length * 0.01;
+    }
+
+    function rank(query, entries, textOf, limit = Infinity) {
+        /**
+         * The entries that match query, best first, as { entry, positions }.
+         * textOf(entry) returns the text to match against. Entries that
+         * score the same keep their order, so with an empty query the list
+         * comes back as it was given.
+         */
+        return entries
+            .map((entry, index) => ({ entry, index, result: match(query, textOf(entry)) }))
+            .filter(candidate => candidate.result !== null)
+            .sort((a, b) => (b.result.score - a.result.score) || (a.index - b.index))
+            .slice(0, limit)
+            .map(candidate => ({ entry: candidate.entry, positions: candidate.result.positions }));
+    }
+
+
+    return { match, rank };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TaskFuzzy;
+}
@@ -0,0 +1,180 @@
+/**
+ * TASK HISTORY - JavaScript
+ *
+ * Turns the history the server records for every task (see "Task history" in
+ * app.py) into readable HTML, for the History panel on each card and for the
+ * activity page. No DOM code in here, so it can be tested on its own
+ * (in Node: const TaskHistory = require('./history.js')).
+ *
+ * An event from GET /api/tasks/<id>/history or GET /api/activity looks like
+ *   { id, task_id, task_title, username, action, created_at,
+ *     changes: { title: ['Old title', 'New title'], tags: [null, 'home, work'] } }
+ * and is shown diff-style: who did what and when, then one line per changed
+ * field with the old value struck out (−) and the new one added (+).
+ */
+
+const TaskHistory = (() => {
+
+    // What each action reads as after the user's name
+    const ACTION_LABELS = {
+        created: 'created the task',
+        edited: 'edited the task',
+        completed: 'completed the task',
+        reopened: 'reopened the task',
+        deleted: 'moved the task to the Trash',
+        restored: 'restored the task from the Trash',
+        purged: 'deleted the task for good'
+    };
+
+    // The recorded fields, in the order they are listed
+    const FIELD_LABELS = {
+        title: 'Title',
+        description: 'Description',
+        status: 'Status',
+        due_date: 'Due date',
+        remind_at: 'Reminder',
+        recurrence: 'Repeats',
+        priority: 'Priority',
+        items: 'Checklist',
+        auto_complete: 'Complete with checklist',
+        project: 'Project',
+        assignee: 'Assigned to',
+        tags: 'Tags'
+    };
+
+    // Long descriptions are cut short in the timeline
+    const MAX_VALUE_LENGTH = 200;
+
+
+    // ------------------------------------------------------------------------
+    // Text
+    // ------------------------------------------------------------------------
+
+    function describeAction(action) {
+        return ACTION_LABELS[action] || action;
+    }
+
+    function formatValue(field, value, options = {}) {
+        /**
+         * One recorded value as it reads on a card: days and reminder times in
+         * the user's own format, "Weekly on Mon" for repeat rules, board column
+         * names for statuses (options.statusLabel(status), if given).
+         * Empty values are null.
+         */
+        if (value === null || value === undefined || value === '') {
+            return null;
+        }
+        if (field === 'auto_complete') {
+            return value ? 'On' : 'Off';
+        }
+        if (field === 'status' && options.statusLabel) {
+            return options.statusLabel(value);
+        }
+        if (field === 'due_date' && typeof TaskDates !== 'undefined') {
+            return TaskDates.displayDay(value) || String(value);
+        }
+        if (field === 'remind_at') {
+            const moment = new Date(value);
+            return isNaN(moment) ? String(value) : moment.toLocaleString([], { dateStyle: 'short', timeStyle: 'short' });
+        }
+        if (field === 'recurrence' && typeof TaskRecurrence !== 'undefined') {
+            try {
+                return TaskRecurrence.describe(value);
+            } catch (error) {
+                return String(value);  // A rule this version can't read
+            }
+        }
+        if (field === 'priority') {
+            return String(value).charAt(0).toUpperCase() + String(value).slice(1);
+        }
+        const text = String(value);
+        return text.length > MAX_VALUE_LENGTH ? `${text.slice(0, MAX_VALUE_LENGTH)}…` : text;
+    }
+
+    function listChanges(event, options = {}) {
+        /**
+         * The event's changed fields in FIELD_LABELS order:
+         * [{ field, label, before, after }], before/after formatted (or null).
+         */
+        const changes = event.changes || {};
+        return Object.keys(FIELD_LABELS)
+            .filter(field => Array.isArray(changes[field]))
+            .map(field => ({
+                field,
+                label: FIELD_LABELS[field],
+                before: formatValue(field, changes[field][0], options),
+                after: formatValue(field, changes[field][1], options)
+            }));
+    }
+
+    function formatTime(timestamp) {
+        const moment = new Date(timestamp);
+        return isNaN(moment) ? '' : moment.toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' });
+    }
+
+
+    // ------------------------------------------------------------------------
+    // HTML
+    // ------------------------------------------------------------------------
+
+    function escapeHtml(text) {
+        const map = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#039;' };
+        return String(text).replace(/[&<>"']/g, m => map[m]);
+    }
+
+    function changeHtml(change) {
+        // One field: "Due date  − 11/1/2026  + 11/8/2026" (just + when it was empty before)
+        const before = change.before === null ? '' :
+            `<del class="history-before"><span class="history-sign" aria-hidden="true">−</span> ${escapeHtml(change.before)}</del>`;
+        const after = change.after === null ? '<span class="history-empty">(removed)</span>' :
+            `<ins class="history-after"><span class="history-sign" aria-hidden="true">+</span> ${escapeHtml(change.after)}</ins>`;
+        return `
+            <li class="history-change">
+                <span class="history-field">${escapeHtml(change.label)}</span>
+                ${before}
+                ${after}
+            </li>`;
+    }
+
+    function eventHtml(event, options = {}) {
+        /**
+         * One <li> of a timeline.
+         *
+         * options:
+         * - statusLabel(status): the board column name for a status
+         * - taskUrl(event):      show the task's title, linked to this address
+         *                        (the activity page, where events of many tasks mix)
+         */
+        const who = event.username ? escapeHtml(event.username) : 'Someone';
+        const taskHtml = options.taskUrl
+            ? ` <a class="history-task" href="${escapeHtml(options.taskUrl(event))}">${escapeHtml(event.task_title || `Task ${event.task_id}`)}</a>`
+            : '';
+        const changes = listChanges(event, options);
+        const changesHtml = changes.length > 0
+            ? `<ul class="history-changes">${changes.map(changeHtml).join('')}</ul>`
+            : '';
+        return `
+            <li class="history-event history-${escapeHtml(event.action)}">
+                <div class="history-summary">
+                    <span class="history-who">${who}</span> ${escapeHtml(describeAction(event.action))}${taskHtml}
+                    <time class="history-time" datetime="${escapeHtml(event.created_at)}">${escapeHtml(formatTime(event.created_at))}</time>
+                </div>
+                ${changesHtml}
+            </li>`;
+    }
+
+    function timelineHtml(events, options = {}) {
+        // The whole timeline, newest first (the order the server sends)
+        if (events.length === 0) {
+            return '<p class="history-none">Nothing has been recorded yet.</p>';
+        }
+        return `<ol class="history-timeline">${events.map(event => eventHtml(event, options)).join('')}</ol>`;
+    }
+
+
+    return { ACTION_LABELS, FIELD_LABELS, describeAction, formatValue, listChanges, eventHtml, timelineHtml };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TaskHistory;
+}
@@ -0,0 +1,192 @@
+/**
+ * TASK INSIGHTS - JavaScript
+ *
+ * The /insights page: how many tasks were completed each day and each week,
+ * how long they took, how many were overdue, and streaks of days with
+ * something completed. The numbers come from stats.js and the charts from
+ * charts.js, both worked out right here from the tasks of the user's projects
+ * (GET /api/tasks, plus the Trash: a task completed and then deleted still
+ * counts) and from when they were completed and reopened (GET /api/completions).
+ *
+ * A range of days scopes everything. It is kept in the address
+ * (?from=2026-10-01&to=2026-10-31), is the last 30 days when none is given
+ * and a year at most. The tasks are loaded once; the completions again for
+ * every range, since only those around it are sent.
+ */
+
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_RANGE_DAYS = 366;
+
+const insightsFilters = document.getElementById('insightsFilters');
+const insightsFrom = document.getElementById('insightsFrom');
+const insightsTo = document.getElementById('insightsTo');
+const insightsStatus = document.getElementById('insightsStatus');
+const insightsSummary = document.getElementById('insightsSummary');
+const dailyChart = document.getElementById('dailyChart');
+const weeklyChart = document.getElementById('weeklyChart');
+const overdueChart = document.getElementById('overdueChart');
+
+let insightsTasks = null;  // Every task, once loaded
+let insightsHistory = [];  // Their completions and reopens around the range, oldest first
+let historyRequest = 0;    // Counts the loads of insightsHistory: only the last one is shown
+
+
+document.addEventListener('DOMContentLoaded', () => {
+    readRangeFromAddress();
+    loadInsights();
+
+    insightsFilters.addEventListener('change', () => {
+        keepRangeInOrder();
+        writeRangeToAddress();
+        showRange();
+    });
+    insightsFilters.addEventListener('submit', (e) => e.preventDefault());
+    insightsFilters.addEventListener('click', (e) => {
+        // "Last 7 days" and friends: up to today
+        const button = e.target.closest('[data-days]');
+        if (button) {
+            setLastDays(parseInt(button.dataset.days));
+            writeRangeToAddress();
+            showRange();
+        }
+    });
+});
+
+
+function setLastDays(days) {
+    insightsTo.value = TaskDates.today();
+    insightsFrom.value = TaskDates.addDays(insightsTo.value, -(days - 1));
+}
+
+function readRangeFromAddress() {
+    const params = new URLSearchParams(window.location.search);
+    setLastDays(DEFAULT_RANGE_DAYS);
+    if (TaskDates.isDay(params.get('from'))) insightsFrom.value = params.get('from');
+    if (TaskDates.isDay(params.get('to'))) insightsTo.value = params.get('to');
+    keepRangeInOrder();
+}
+
+function writeRangeToAddress() {
+    const params = new URLSearchParams({ from: insightsFrom.value, to: insightsTo.value });
+    window.history.replaceState(null, '', `?${params}`);
+}
+
+function keepRangeInOrder() {
+    /**
+     * An emptied box goes back to the default range; a "From" after "To"
+     * swaps them. A range longer than MAX_RANGE_DAYS is cut down to the
+     * days up to "To", so every chart stays a year at most.
+     */
+    if (!TaskDates.isDay(insightsFrom.value) || !TaskDates.isDay(insightsTo.value)) {
+        setLastDays(DEFAULT_RANGE_DAYS);
+    } else if (insightsFrom.value > insightsTo.value) {
+        [insightsFrom.value, insightsTo.value] = [insightsTo.value, insightsFrom.value];
+    }
+    const earliest = TaskDates.addDays(insightsTo.value, -(MAX_RANGE_DAYS - 1));
+    if (insightsFrom.value < earliest) {
+        insightsFrom.value = earliest;
+    }
+}
+
+
+async function loadInsights() {
+    insightsStatus.textContent = 'Loading tasks...';
+    try {
+        const [active, trashed] = await Promise.all([TaskApi.get('/api/tasks'), TaskApi.get('/api/tasks/trash')]);
+        insightsTasks = active.concat(trashed);
+    } catch (error) {
+        showLoadError(error);
+        return;
+    }
+    showRange();
+}
+
+async function showRange() {
+    /**
+     * Load the completions for the range and redraw. GET /api/completions
+     * sends those made in the range, plus each task's last one before it and
+     * first one after it (they say whether the task was open in between).
+     */
+    if (insightsTasks === null) {
+        return;  // loadInsights() calls this once the tasks are there
+    }
+    const request = ++historyRequest;
+    const params = new URLSearchParams({
+        from: TaskDates.parseDay(insightsFrom.value).toISOString(),
+        to: TaskDates.parseDay(TaskDates.addDays(insightsTo.value, 1)).toISOString()
+    });
+    insightsStatus.textContent = 'Loading completions...';
+    let history;
+    try {
+        history = await TaskApi.get(`/api/completions?${params}`);
+    } catch (error) {
+        if (request === historyRequest) {
+            showLoadError(error);
+        }
+        return;
+    }
+    if (request !== historyRequest) {
+        return;  // The range changed again while this one loaded
+    }
+    insightsHistory = history;
+    insightsStatus.textContent = '';
+    renderInsights();
+}
+
+function showLoadError(error) {
+    if (error instanceof TaskApi.AuthError) {
+        window.location.href = `/login?next=${encodeURIComponent(window.location.pathname + window.location.search)}`;
+        return;
+    }
+    console.error('Could not load the tasks:', error);
+    insightsStatus.textContent = `❌ Could not load the tasks: ${error.message}`;
+}
+
+function renderInsights() {
+    if (insightsTasks === null) {
+        return;
+    }
+    const from = insightsFrom.value;
+    const to = insightsTo.value;
+    const stats = TaskStats.summarize(insightsTasks, insightsHistory, from, to);
+    const shortDay = day => TaskDates.displayDay(day, { month: 'short', day: 'numeric' });
+    const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+    const average = stats.times.average === null ? '—' : TaskStats.formatDuration(stats.times.average);
+    const streakLabel = to === TaskDates.today() ? 'Current streak' : `Streak on ${shortDay(to)}`;
+    insightsSummary.innerHTML = [
+        summaryTile('Completed', stats.completed, `${plural(stats.completed, 'task')} in these days`),
+        summaryTile('Average time to complete', average,
+            stats.times.count > 0 ? `from added to done, over ${plural(stats.times.count, 'task')}` : 'nothing completed'),
+        summaryTile(streakLabel, plural(stats.streaks.current, 'day'), 'in a row with a task completed'),
+        summaryTile('Longest streak', plural(stats.streaks.longest, 'day'), 'in these days'),
+        summaryTile('Overdue', stats.overdueAtEnd, `at the end of ${shortDay(to)}`)
+    ].join('');
+
+    dailyChart.innerHTML = TaskCharts.barChart(
+        stats.daily.map(({ day, count }) => ({
+            label: shortDay(day), value: count, title: `${TaskDates.displayDay(day)}: ${plural(count, 'task')} completed`
+        })),
+        { label: `Tasks completed per day: ${plural(stats.completed, 'task')} in ${plural(stats.daily.length, 'day')}` });
+
+    weeklyChart.innerHTML = TaskCharts.barChart(
+        stats.weekly.map(({ week, count }) => ({
+            label: shortDay(week), value: count, title: `Week of ${TaskDates.displayDay(week)}: ${plural(count, 'task')} completed`
+        })),
+        { label: `Tasks completed per week, ${plural(stats.weekly.length, 'week')}` });
+
+    overdueChart.innerHTML = TaskCharts.lineChart(
+        stats.overdue.map(({ day, count }) => ({
+            label: shortDay(day), value: count, title: `${TaskDates.displayDay(day)}: ${plural(count, 'task')} overdue`
+        })),
+        { label: `Overdue tasks at the end of each day, ${stats.overdueAtEnd} on the last one` });
+}
+
+function summaryTile(label, value, note) {
+    return `
+        <div class="insights-tile">
+            <div class="insights-value">${TaskCharts.escapeHtml(value)}</div>
+            <div class="insights-label">${TaskCharts.escapeHtml(label)}</div>
+            <div class="insights-note">${TaskCharts.escapeHtml(note)}</div>
+        </div>`;
+}
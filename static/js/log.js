@@ -0,0 +1,64 @@
+/**
+ * TASK DEBUG LOG - JavaScript
+ *
+ * The "what is the page doing" messages (loading tasks, queueing a change,
+ * retrying a request...). They are useful while working on the code and
+ * noise for everyone else, so they are off unless switched on:
+ * - open the board as /board?debug, or
+ * - run TaskLog.setEnabled(true) in the browser console, or
+ * - pick "Turn debug logging on" in the command palette (Ctrl+K)
+ * The setting is remembered on this device until it is switched off again.
+ *
+ * Real problems still go to console.warn / console.error, switched on or not.
+ * No DOM code in here (in Node: const TaskLog = require('./log.js')).
+ */
+
+const TaskLog = (() => {
+
+    const STORAGE_KEY = 'task-manager-debug';
+
+    let enabled = readSetting();
+
+    function readSetting() {
+        // ?debug in the address switches it on (and remembers that)
+        try {
+            if (new URLSearchParams(location.search).has('debug')) {
+                localStorage.setItem(STORAGE_KEY, 'on');
+            }
+            return localStorage.getItem(STORAGE_KEY) === 'on';
+        } catch (error) {
+            return false;  // Not in a browser, or storage is blocked
+        }
+    }
+
+    function debug(...args) {
+        if (enabled) {
+            console.log('[tasks]', ...args);
+        }
+    }
+
+    function setEnabled(on) {
+        enabled = Boolean(on);
+        try {
+            if (enabled) {
+                localStorage.setItem(STORAGE_KEY, 'on');
+            } else {
+                localStorage.removeItem(STORAGE_KEY);
+            }
+        } catch (error) {
+            // Only for this page, then
+        }
+        return enabled;
+    }
+
+    function isEnabled() {
+        return enabled;
+    }
+
+
+    return { debug, setEnabled, isEnabled };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TaskLog;
+}
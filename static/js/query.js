@@ -0,0 +1,283 @@
+/**
+ * TASK SEARCH QUERY PARSER - JavaScript
+ *
+ * Turns what the user types in the search box into a function that says
+ * whether a task matches. No DOM code in here, so it can be tested on its own
+ * (in Node: const TaskQuery = require('./query.js')). Days are worked out
+ * with dates.js, which the page loads first.
+ *
+ * Query syntax (all terms must match):
+ *   report               title or description contains "report"
+ *   "quarterly report"   title or description contains the exact phrase
+ *   title:report         only look in the title
+ *   desc:report          only look in the description
+ *   is:active            not completed (also: is:open)
+ *   is:completed         completed (also: is:done)
+ *   is:overdue           not completed and due before today
+ *   due:2026-11-01       due on that day
+ *   due:<2026-11-01      due before that day (also <=, >, >=)
+ *   due:today            also: tomorrow, yesterday
+ *   due:none / due:any   has no due date / has a due date
+ *   created:>=2026-10-01 same comparisons on the creation date
+ *   tag:archive          has the tag "archive"
+ *   -anything            put "-" in front of any term to exclude matches
+ *
+ * Malformed queries throw a QueryError with a readable message and the
+ * position (0-based) of the problem in the query.
+ */
+
+const TaskQuery = ((TaskDates) => {
+
+    const FIELDS = ['title', 'desc', 'is', 'due', 'created', 'tag'];
+    const IS_VALUES = {
+        active: task => !task.completed,
+        open: task => !task.completed,
+        completed: task => Boolean(task.completed),
+        done: task => Boolean(task.completed),
+        overdue: (task, today) => !task.completed && Boolean(task.due_date) && task.due_date.slice(0, 10) < today
+    };
+    const DATE_OPERATORS = ['<=', '>=', '<', '>', '='];
+
+
+    class QueryError extends Error {
+        constructor(message, position) {
+            super(`${message} (at character ${position + 1})`);
+            this.name = 'QueryError';
+            this.position = position;
+        }
+    }
+
+
+    // ------------------------------------------------------------------------
+    // Tokenizing
+    // ------------------------------------------------------------------------
+
+    function tokenize(query) {
+        /**
+         * Split the query into terms.
+         *
+         * Each term looks like:
+         *   { negated: false, field: 'due', value: '<2026-11-01', position: 0 }
+         * field is null for plain words and "quoted phrases".
+         */
+        const tokens = [];
+        let i = 0;
+
+        while (i < query.length) {
+            if (/\s/.test(query[i])) {
+                i++;
+                continue;
+            }
+
+            const position = i;
+            let negated = false;
+            if (query[i] === '-') {
+                negated = true;
+                i++;
+            }
+
+            // A field is a word followed by ":" (e.g. "due:")
+            let field = null;
+            const fieldMatch = /^([a-zA-Z]+):/.exec(query.slice(i));
+            if (fieldMatch) {
+                field = fieldMatch[1].toLowerCase();
+                if (!FIELDS.includes(field)) {
+                    throw new QueryError(
+                        `Unknown filter "${fieldMatch[1]}:". Use one of ${FIELDS.map(f => f + ':').join(', ')}`,
+                        i
+                    );
+                }
+                i += fieldMatch[0].length;
+            }
+
+            let value;
+            const valueStart = i;
+            if (query[i] === '"') {
+                const close = query.indexOf('"', i + 1);
+                if (close === -1) {
+                    throw new QueryError('Missing closing quote', i);
+                }
+                value = query.slice(i + 1, close);
+                i = close + 1;
+                if (i < query.length && !/\s/.test(query[i])) {
+                    throw new QueryError('Expected a space after the closing quote', i);
+                }
+            } else {
+                while (i < query.length && !/\s/.test(query[i])) {
+                    i++;
+                }
+                value = query.slice(valueStart, i);
+                const strayQuote = value.indexOf('"');
+                if (strayQuote !== -1) {
+                    throw new QueryError('Quotes must go around a whole word or phrase', valueStart + strayQuote);
+                }
+            }
+
+            if (value.trim() === '') {
+                if (field) {
+                    throw new QueryError(`"${field}:" needs a value`, position);
+                }
+                throw new QueryError('"-" must be followed by a word to exclude', position);
+            }
+
+            tokens.push({ negated, field, value, position });
+        }
+
+        return tokens;
+    }
+
+
+    // ------------------------------------------------------------------------
+    // Dates
+    // ------------------------------------------------------------------------
+
+    function parseDateValue(text, today, position) {
+        /**
+         * Turn "2026-11-01", "today", "tomorrow" or "yesterday" into a
+         * YYYY-MM-DD string. Rejects dates that don't exist (2026-02-30).
+         */
+        const keyword = text.toLowerCase();
+        const offsets = { yesterday: -1, today: 0, tomorrow: 1 };
+        if (keyword in offsets) {
+            return TaskDates.addDays(TaskDates.formatDay(today), offsets[keyword]);
+        }
+
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(text)) {
+            throw new QueryError(`"${text}" is not a date. Use YYYY-MM-DD, today, tomorrow or yesterday`, position);
+        }
+        if (TaskDates.parseDay(text) === null) {
+            throw new QueryError(`"${text}" is not a real date`, position);
+        }
+        return text;
+    }
+
+    function dateMatcher(field, value, today, position) {
+        /**
+         * Build a matcher for due:/created: values such as "<2026-11-01",
+         * ">=today", "2026-11-01", "none" or "any".
+         */
+        const property = field === 'due' ? 'due_date' : 'created_at';
+        // created_at is a UTC timestamp: compare the local day it was on
+        const dayOf = task => TaskDates.dayOf(task[property]) || null;
+
+        if (value.toLowerCase() === 'none') {
+            return task => dayOf(task) === null;
+        }
+        if (value.toLowerCase() === 'any') {
+            return task => dayOf(task) !== null;
+        }
+
+        const operator = DATE_OPERATORS.find(op => value.startsWith(op)) || '=';
+        const dateText = value.startsWith(operator) ? value.slice(operator.length) : value;
+        if (dateText === '') {
+            throw new QueryError(`"${field}:${operator}" needs a date after it`, position);
+        }
+        const date = parseDateValue(dateText, today, position);
+
+        const compare = {
+            '<': day => day < date,
+            '<=': day => day <= date,
+            '>': day => day > date,
+            '>=': day => day >= date,
+            '=': day => day === date
+        }[operator];
+
+        return task => {
+            const day = dayOf(task);
+            return day !== null && compare(day);
+        };
+    }
+
+
+    // ------------------------------------------------------------------------
+    // Building the predicate
+    // ------------------------------------------------------------------------
+
+    function contains(text, needle) {
+        return String(text || '').toLowerCase().includes(needle);
+    }
+
+    function tagNames(task) {
+        // Tags may be plain strings or { name, color } objects
+        return (task.tags || []).map(tag => String(typeof tag === 'string' ? tag : tag.name).toLowerCase());
+    }
+
+    function termMatcher(token, today) {
+        /**
+         * Build the matcher for one term (ignoring "-", handled by the caller).
+         */
+        const value = token.value;
+        const needle = value.toLowerCase();
+
+        switch (token.field) {
+            case null:
+                return task => contains(task.title, needle) || contains(task.description, needle);
+            case 'title':
+                return task => contains(task.title, needle);
+            case 'desc':
+                return task => contains(task.description, needle);
+            case 'tag':
+                return task => tagNames(task).includes(needle);
+            case 'is': {
+                const check = IS_VALUES[needle];
+                if (!check) {
+                    throw new QueryError(
+                        `Unknown value "is:${value}". Use ${Object.keys(IS_VALUES).map(v => 'is:' + v).join(', ')}`,
+                        token.position
+                    );
+                }
+                return task => check(task, TaskDates.formatDay(today));
+            }
+            case 'due':
+            case 'created':
+                return dateMatcher(token.field, value, today, token.position);
+            default:
+                throw new QueryError(`Unknown filter "${token.field}:"`, token.position);
+        }
+    }
+
+    function parse(query, options = {}) {
+        /**
+         * Parse a query string.
+         *
+         * options.today: the Date to treat as "today" (defaults to now)
+         *
+         * Returns:
+         *   {
+         *     isEmpty:    true if the query has no terms (matches everything),
+         *     predicate:  task => true/false,
+         *     highlights: { title: [...], description: [...] }  lowercase words
+         *                 to highlight in each field (from non-negated text terms)
+         *   }
+         *
+         * Throws QueryError if the query is malformed.
+         */
+        const today = options.today || new Date();
+        const tokens = tokenize(String(query || ''));
+
+        const matchers = tokens.map(token => {
+            const matches = termMatcher(token, today);
+            return token.negated ? task => !matches(task) : matches;
+        });
+
+        const highlights = { title: [], description: [] };
+        tokens.filter(token => !token.negated).forEach(token => {
+            const needle = token.value.toLowerCase();
+            if (token.field === null || token.field === 'title') highlights.title.push(needle);
+            if (token.field === null || token.field === 'desc') highlights.description.push(needle);
+        });
+
+        return {
+            isEmpty: tokens.length === 0,
+            predicate: task => matchers.every(matches => matches(task)),
+            highlights
+        };
+    }
+
+
+    return { parse, tokenize, QueryError };
+})(typeof TaskDates !== 'undefined' ? TaskDates : require('./dates.js'));
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TaskQuery;
+}
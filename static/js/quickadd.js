@@ -0,0 +1,668 @@
+/**
+ * TASK QUICK ADD PARSER - JavaScript
+ *
+ * Reads a whole task from one line of text, the way people write it down:
+ *
+ *   Pay invoices every friday #finance !high tomorrow 5pm
+ *
+ *   title:      "Pay invoices"
+ *   recurrence: FREQ=WEEKLY;BYDAY=FR    (see recurrence.js)
+ *   tags:       ['finance']
+ *   priority:   'high'
+ *   due_date:   tomorrow (YYYY-MM-DD), time: '17:00'
+ *
+ * No DOM code in here, so it can be tested on its own
+ * (in Node: const TaskQuickAdd = require('./quickadd.js')). Days are
+ * worked out with dates.js, which the page loads first.
+ *
+ * What it understands (anything else stays in the title):
+ *   #tag                          a tag (as many as you like)
+ *   !high !medium !low            priority (also !h !m !l, !1 !2 !3, !!! !! !)
+ *   today, tomorrow               also tonight; "on", "by", "due" or "at" may come first
+ *   friday, on fri, next friday   the next Friday (today counts, unless "next")
+ *   on the 1st, by the 15th       the next time it is that day of the month
+ *   next week, next month         next Monday / the 1st of next month
+ *   in 3 days, in 2 weeks, in a month
+ *   nov 5, 5 november, 5th of nov, nov 5 2027
+ *   2026-11-05, 11/5, 11/5/2026   numbers in the locale's order (5/11 in en-GB)
+ *   5.11., 5.11.2026              dots need the year or a dot at the end
+ *   5pm, 5:30 pm, 17:00, at 9, noon
+ *   every day, every 3 days, every other day, daily
+ *   every week, every 2 weeks, weekly, every mon and thu, every weekday
+ *   every month, monthly, every 15th
+ *
+ * Dates are local days (like dates.js). A time without a date means today,
+ * or tomorrow once that time has passed. A repeating task without a date is
+ * due on the first day of its schedule.
+ *
+ * It is locale-aware: month and weekday names are read in the user's
+ * language as well as English (from Intl, so any language works), numeric
+ * dates follow the locale's day/month order, and the other words ("tomorrow",
+ * "every"...) come from the WORDS table below - English plus German so far;
+ * add a language there to support it. Quote a part ("Friday" notes) to keep
+ * it in the title as it is.
+ */
+
+const TaskQuickAdd = ((TaskDates) => {
+
+    // The words each language uses. English always works; the locale's
+    // language is added on top. Month and weekday names come from Intl.
+    const WORDS = {
+        en: {
+            today: ['today', 'tonight'],
+            tomorrow: ['tomorrow', 'tmrw', 'tmr'],
+            dayAfterTomorrow: [],
+            next: ['next'],
+            every: ['every', 'each'],
+            other: ['other'],
+            in: ['in'],
+            on: ['on', 'by', 'due'],
+            at: ['at', '@'],
+            of: ['of'],
+            the: ['the'],
+            and: ['and', '&'],
+            one: ['a', 'an'],
+            day: ['day', 'days'],
+            week: ['week', 'weeks'],
+            month: ['month', 'months'],
+            weekday: ['weekday', 'weekdays'],
+            daily: ['daily'],
+            weekly: ['weekly'],
+            monthly: ['monthly'],
+            noon: ['noon', 'midday'],
+            oclock: ["o'clock", 'oclock'],
+            high: ['high', 'h', 'urgent'],
+            medium: ['medium', 'med', 'm'],
+            low: ['low', 'l']
+        },
+        de: {
+            today: ['heute'],
+            tomorrow: ['morgen'],
+            dayAfterTomorrow: ['übermorgen'],
+            next: ['nächsten', 'nächste', 'nächster', 'kommenden'],
+            every: ['jeden', 'jede', 'jedes', 'alle'],
+            other: ['zweiten'],
+            in: ['in'],
+            on: ['am', 'bis'],
+            at: ['um'],
+            of: [],
+            the: ['den', 'dem'],
+            and: ['und'],
+            one: ['einem', 'einer', 'einen', 'eine'],
+            day: ['tag', 'tage', 'tagen'],
+            week: ['woche', 'wochen'],
+            month: ['monat', 'monate', 'monaten'],
+            weekday: ['werktag', 'werktags', 'wochentag'],
+            daily: ['täglich'],
+            weekly: ['wöchentlich'],
+            monthly: ['monatlich'],
+            noon: ['mittag'],
+            oclock: ['uhr'],
+            high: ['hoch'],
+            medium: ['mittel'],
+            low: ['niedrig']
+        }
+    };
+
+    // English short forms Intl doesn't produce
+    const EXTRA_WEEKDAYS = { tues: 2, weds: 3, thur: 4, thurs: 4 };
+    const EXTRA_MONTHS = { sept: 8 };
+
+    // Index = JavaScript weekday (0 = Sunday), like recurrence.js
+    const RRULE_DAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+
+    // ------------------------------------------------------------------------
+    // Locale
+    // ------------------------------------------------------------------------
+
+    function getLanguage(locale) {
+        /**
+         * Everything locale-specific parse() needs: the words (English plus
+         * the locale's language), month and weekday names, and whether
+         * numeric dates put the day or the month first.
+         */
+        const language = String(locale).split('-')[0].toLowerCase();
+        const words = {};
+        Object.keys(WORDS.en).forEach(key => {
+            words[key] = [...WORDS.en[key], ...((WORDS[language] || {})[key] || [])];
+        });
+
+        const months = new Map(Object.entries(EXTRA_MONTHS));
+        const weekdays = new Map(Object.entries(EXTRA_WEEKDAYS));
+        const shortWeekdays = new Set(Object.keys(EXTRA_WEEKDAYS));
+        const add = (map, name, index) => {
+            const key = name.toLowerCase().replace(/\.$/, '');
+            if (key && !map.has(key)) {
+                map.set(key, index);
+            }
+        };
+        ['en', locale].forEach(source => {
+            for (let month = 0; month < 12; month++) {
+                const date = new Date(2026, month, 1);
+                add(months, date.toLocaleDateString(source, { month: 'long' }), month);
+                add(months, date.toLocaleDateString(source, { month: 'short' }), month);
+            }
+            for (let day = 0; day < 7; day++) {
+                const date = new Date(2026, 0, 4 + day);  // January 4, 2026 is a Sunday
+                add(weekdays, date.toLocaleDateString(source, { weekday: 'long' }), day);
+                const short = date.toLocaleDateString(source, { weekday: 'short' }).toLowerCase().replace(/\.$/, '');
+                if (!weekdays.has(short)) {
+                    shortWeekdays.add(short);
+                }
+                add(weekdays, short, day);
+            }
+        });
+
+        // e.g. "11/5/2026" in en-US, "5/11/2026" in en-GB
+        const parts = new Intl.DateTimeFormat(locale).formatToParts(new Date(2026, 10, 5)).map(part => part.type);
+        const dayFirst = parts.indexOf('day') < parts.indexOf('month');
+
+        return { words, months, weekdays, shortWeekdays, dayFirst };
+    }
+
+
+    // ------------------------------------------------------------------------
+    // Days (local dates as YYYY-MM-DD, see dates.js)
+    // ------------------------------------------------------------------------
+
+    const { formatDay, parseDay, addDays } = TaskDates;
+
+    function makeDay(year, month, day) {
+        // month is 0-based; null if the date doesn't exist (e.g. February 30)
+        const date = new Date(year, month, day);
+        if (date.getFullYear() !== year || date.getMonth() !== month || date.getDate() !== day) {
+            return null;
+        }
+        return formatDay(date);
+    }
+
+    function addMonths(day, months) {
+        // Same day of the month, or the last day of a shorter month
+        const date = parseDay(day);
+        const lastDay = new Date(date.getFullYear(), date.getMonth() + months + 1, 0).getDate();
+        return formatDay(new Date(date.getFullYear(), date.getMonth() + months, Math.min(date.getDate(), lastDay)));
+    }
+
+    function weekdayOf(day) {
+        return parseDay(day).getDay();
+    }
+
+    function nextWeekday(today, weekday, includeToday) {
+        const offset = (weekday - weekdayOf(today) + 7) % 7;
+        return addDays(today, offset === 0 && !includeToday ? 7 : offset);
+    }
+
+    function withYear(month, day, year, today) {
+        // A date written without a year is the next one to come
+        if (year !== null) {
+            return makeDay(year, month, day);
+        }
+        const thisYear = Number(today.slice(0, 4));
+        const date = makeDay(thisYear, month, day);
+        return date && date < today ? makeDay(thisYear + 1, month, day) : date;
+    }
+
+
+    // ------------------------------------------------------------------------
+    // Reading words
+    // ------------------------------------------------------------------------
+
+    function tokenize(text) {
+        /**
+         * Split the text into words, remembering where each one is:
+         *   { text: 'Friday,', word: 'friday', start: 12, end: 19 }
+         * "Quoted parts" become one word with word: null, so nothing
+         * matches them and they go into the title without the quotes.
+         */
+        const tokens = [];
+        for (const match of text.matchAll(/"([^"]*)"|\S+/g)) {
+            const quoted = match[1] !== undefined;
+            tokens.push({
+                text: quoted ? match[1] : match[0],
+                word: quoted ? null : normalizeWord(match[0]),
+                start: match.index,
+                end: match.index + match[0].length
+            });
+        }
+        return tokens;
+    }
+
+    function normalizeWord(text) {
+        // Lowercase, without a trailing comma (or a full stop after a word - "5.11." keeps its dot)
+        let word = text.toLowerCase().replace(/[,;:]+$/, '');
+        if (/\p{L}\.$/u.test(word)) {
+            word = word.slice(0, -1);
+        }
+        return word;
+    }
+
+    function wordAt(context, index) {
+        const token = context.tokens[index];
+        return token ? token.word : null;
+    }
+
+    function isWord(context, index, key) {
+        const word = wordAt(context, index);
+        return word !== null && context.language.words[key].includes(word);
+    }
+
+    function numberAt(context, index) {
+        const word = wordAt(context, index);
+        return word !== null && /^\d{1,4}$/.test(word) ? Number(word) : null;
+    }
+
+    function ordinalAt(context, index) {
+        // A day of the month: 5, 5th, 5. (German)
+        const match = /^(\d{1,2})(st|nd|rd|th|\.)?$/.exec(wordAt(context, index) || '');
+        const day = match ? Number(match[1]) : 0;
+        return day >= 1 && day <= 31 ? day : null;
+    }
+
+    function yearAt(context, index) {
+        const word = wordAt(context, index);
+        return word !== null && /^\d{4}$/.test(word) ? Number(word) : null;
+    }
+
+    function monthAt(context, index) {
+        const word = wordAt(context, index);
+        return word !== null && context.language.months.has(word) ? context.language.months.get(word) : null;
+    }
+
+    function weekdayAt(context, index, allowShort) {
+        /**
+         * Short names ("sun", "sat", "wed") are ordinary words too, so on
+         * their own they only count after "on", "next" or "every".
+         */
+        const word = wordAt(context, index);
+        if (word === null || !context.language.weekdays.has(word)) {
+            return null;
+        }
+        if (!allowShort && context.language.shortWeekdays.has(word)) {
+            return null;
+        }
+        return context.language.weekdays.get(word);
+    }
+
+
+    // ------------------------------------------------------------------------
+    // Matchers: each looks at the words from `index` on and returns
+    // { length, value } (how many words it used, and what they mean) or null
+    // ------------------------------------------------------------------------
+
+    function matchTag(context, index) {
+        const token = context.tokens[index];
+        const match = /^#([^\s#]+?)[,;.]*$/u.exec(token.text);
+        return token.word !== null && match ? { length: 1, value: match[1] } : null;
+    }
+
+    function matchPriority(context, index) {
+        const word = wordAt(context, index);
+        if (!word || !word.startsWith('!')) {
+            return null;
+        }
+        const rest = word.slice(1);
+        const byMarks = { '': 'low', '!': 'medium', '!!': 'high', 1: 'high', 2: 'medium', 3: 'low' };
+        if (rest in byMarks) {
+            return { length: 1, value: byMarks[rest] };
+        }
+        const level = ['high', 'medium', 'low'].find(key => context.language.words[key].includes(rest));
+        return level ? { length: 1, value: level } : null;
+    }
+
+    function matchRecurrence(context, index) {
+        /**
+         * Returns a rule like recurrence.js uses:
+         *   { freq: 'WEEKLY', interval: 1, weekdays: [5], monthDay: null }
+         * Weekly rules without days and monthly rules without a day get them
+         * from the due date later (see finishRule).
+         */
+        const rule = (freq, extra = {}) => ({ freq, interval: 1, weekdays: null, monthDay: null, ...extra });
+        if (isWord(context, index, 'daily')) return { length: 1, value: rule('DAILY') };
+        if (isWord(context, index, 'weekly')) return { length: 1, value: rule('WEEKLY') };
+        if (isWord(context, index, 'monthly')) return { length: 1, value: rule('MONTHLY') };
+        if (!isWord(context, index, 'every')) {
+            return null;
+        }
+
+        let next = index + 1;
+        let interval = null;
+        if (numberAt(context, next) !== null) {
+            interval = numberAt(context, next);
+            next++;
+        } else if (isWord(context, next, 'other')) {
+            interval = 2;
+            next++;
+        }
+
+        const length = next + 1 - index;
+        if (isWord(context, next, 'day')) {
+            return interval === null || (interval >= 1 && interval <= 365)
+                ? { length, value: rule('DAILY', { interval: interval || 1 }) }
+                : null;
+        }
+        if (isWord(context, next, 'week')) {
+            // recurrence.js only repeats days at an interval, so every 2 weeks = every 14 days
+            if (interval === null || interval === 1) return { length, value: rule('WEEKLY') };
+            return interval <= 52 ? { length, value: rule('DAILY', { interval: interval * 7 }) } : null;
+        }
+        if (isWord(context, next, 'month')) {
+            return interval === null || interval === 1 ? { length, value: rule('MONTHLY') } : null;
+        }
+        if (interval !== null) {
+            return null;
+        }
+
+        if (isWord(context, next, 'weekday')) {
+            return { length, value: rule('WEEKLY', { weekdays: [1, 2, 3, 4, 5] }) };
+        }
+
+        // every monday / every mon and thu / every tue, thu
+        const weekdays = [];
+        while (weekdayAt(context, next, true) !== null) {
+            weekdays.push(weekdayAt(context, next, true));
+            next++;
+            if (isWord(context, next, 'and') && weekdayAt(context, next + 1, true) !== null) {
+                next++;
+            }
+        }
+        if (weekdays.length > 0) {
+            return { length: next - index, value: rule('WEEKLY', { weekdays: [...new Set(weekdays)].sort() }) };
+        }
+
+        // every 15th
+        const monthDay = ordinalAt(context, next);
+        if (monthDay !== null && /\D/.test(wordAt(context, next))) {
+            return { length, value: rule('MONTHLY', { monthDay }) };
+        }
+        return null;
+    }
+
+    function matchDate(context, index) {
+        // "on friday", "by nov 5", "at 12/1" - the same dates with a little word
+        // in front. After "on" a day of the month is a date too: "on the 1st".
+        if (isWord(context, index, 'on') || isWord(context, index, 'at')) {
+            const date = matchPlainDate(context, index + 1, true) ||
+                (isWord(context, index, 'on') ? matchMonthDay(context, index + 1) : null);
+            return date ? { length: date.length + 1, value: date.value } : null;
+        }
+        return matchPlainDate(context, index, false);
+    }
+
+    function matchMonthDay(context, index) {
+        /**
+         * "the 1st", "15th", "1." (German): the next day with that day of the
+         * month (today counts). Needs the ordinal ending, so "on 5" is no date.
+         */
+        const start = isWord(context, index, 'the') ? index + 1 : index;
+        const day = ordinalAt(context, start);
+        if (day === null || !/\D/.test(wordAt(context, start))) {
+            return null;
+        }
+        const [year, month] = context.today.split('-').map(Number);
+        for (let later = 0; later < 12; later++) {
+            const date = makeDay(year, month - 1 + later, day);
+            if (date !== null && date >= context.today) {
+                return { length: start + 1 - index, value: date };
+            }
+        }
+        return null;
+    }
+
+    function matchPlainDate(context, index, allowShort) {
+        const { today } = context;
+        const found = (length, value) => value ? { length, value } : null;
+
+        if (isWord(context, index, 'today')) return found(1, today);
+        if (isWord(context, index, 'tomorrow')) return found(1, addDays(today, 1));
+        if (isWord(context, index, 'dayAfterTomorrow')) return found(1, addDays(today, 2));
+
+        if (isWord(context, index, 'next')) {
+            const weekday = weekdayAt(context, index + 1, true);
+            if (weekday !== null) return found(2, nextWeekday(today, weekday, false));
+            if (isWord(context, index + 1, 'week')) return found(2, nextWeekday(addDays(today, 7 - weekdayOf(today)), 1, true));
+            if (isWord(context, index + 1, 'month')) return found(2, addMonths(today.slice(0, 8) + '01', 1));
+            return null;
+        }
+
+        const weekday = weekdayAt(context, index, allowShort);
+        if (weekday !== null) return found(1, nextWeekday(today, weekday, true));
+
+        // in 3 days / in a week / in 2 months
+        if (isWord(context, index, 'in')) {
+            const count = isWord(context, index + 1, 'one') ? 1 : numberAt(context, index + 1);
+            if (count === null || count > 999) return null;
+            if (isWord(context, index + 2, 'day')) return found(3, addDays(today, count));
+            if (isWord(context, index + 2, 'week')) return found(3, addDays(today, count * 7));
+            if (isWord(context, index + 2, 'month')) return found(3, addMonths(today, count));
+            return null;
+        }
+
+        // nov 5 / november 5th / nov 5 2027
+        const month = monthAt(context, index);
+        if (month !== null && ordinalAt(context, index + 1) !== null) {
+            const year = yearAt(context, index + 2);
+            return found(year === null ? 2 : 3, withYear(month, ordinalAt(context, index + 1), year, today));
+        }
+
+        // 5 nov / 5th of november / 5. November 2027
+        const day = ordinalAt(context, index);
+        if (day !== null) {
+            const monthIndex = isWord(context, index + 1, 'of') ? index + 2 : index + 1;
+            const namedMonth = monthAt(context, monthIndex);
+            if (namedMonth !== null) {
+                const year = yearAt(context, monthIndex + 1);
+                return found(monthIndex - index + (year === null ? 1 : 2), withYear(namedMonth, day, year, today));
+            }
+        }
+
+        return found(1, parseNumericDate(context, wordAt(context, index)));
+    }
+
+    function parseNumericDate(context, word) {
+        /**
+         * 2026-11-05, 2026/11/05, or day and month in the locale's order
+         * with "/" (11/5, 11/5/26) or "." (5.11., 5.11.2026). A dot date
+         * needs its year or a final dot, so "1.5 kg" stays in the title.
+         */
+        if (word === null) {
+            return null;
+        }
+        let match = /^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})$/.exec(word);
+        if (match) {
+            return makeDay(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+        }
+        match = /^(\d{1,2})([/.])(\d{1,2})(?:\2(\d{4}|\d{2}))?(\.?)$/.exec(word);
+        if (!match || (match[2] === '.' && !match[4] && !match[5]) || (match[2] === '/' && match[5])) {
+            return null;
+        }
+        const [first, second] = [Number(match[1]), Number(match[3])];
+        const [day, month] = context.language.dayFirst ? [first, second] : [second, first];
+        const year = match[4] ? Number(match[4].length === 2 ? `20${match[4]}` : match[4]) : null;
+        return month >= 1 && month <= 12 ? withYear(month - 1, day, year, context.today) : null;
+    }
+
+    function matchTime(context, index) {
+        // "at 5pm", "um 17 Uhr", "at 9" (24-hour without am/pm), or just "5pm", "17:00", "noon"
+        if (isWord(context, index, 'at')) {
+            const time = matchPlainTime(context, index + 1, true);
+            return time ? { length: time.length + 1, value: time.value } : null;
+        }
+        return matchPlainTime(context, index, false);
+    }
+
+    function matchPlainTime(context, index, afterAt) {
+        if (isWord(context, index, 'noon')) {
+            return { length: 1, value: '12:00' };
+        }
+        const word = wordAt(context, index);
+        if (word === null) {
+            return null;
+        }
+
+        // 5pm, 5:30pm, 5 pm, 5:30 p.m.
+        let match = /^(\d{1,2})(?::(\d{2}))?(am|pm|a\.m\.|p\.m\.)?$/.exec(word);
+        if (!match) {
+            // 17:00, 17.30 (the dot is how some languages write times)
+            match = /^(\d{1,2})[:.](\d{2})()$/.exec(word);
+        }
+        if (!match) {
+            return null;
+        }
+        let length = 1;
+        let suffix = match[3];
+        if (!suffix && /^(am|pm|a\.m|p\.m|a\.m\.|p\.m\.)$/.test(wordAt(context, index + 1) || '')) {
+            suffix = wordAt(context, index + 1);
+            length = 2;
+        } else if (!suffix && isWord(context, index + 1, 'oclock')) {
+            length = 2;
+        }
+        // A lone number is only a time after "at" or before "o'clock" ("buy 5 apples" has none)
+        if (!suffix && match[2] === undefined && length === 1 && !afterAt) {
+            return null;
+        }
+
+        let hours = Number(match[1]);
+        const minutes = match[2] === undefined ? 0 : Number(match[2]);
+        if (minutes > 59 || hours > 23 || (suffix && (hours < 1 || hours > 12))) {
+            return null;
+        }
+        if (suffix && suffix.startsWith('p') && hours !== 12) hours += 12;
+        if (suffix && suffix.startsWith('a') && hours === 12) hours = 0;
+        return { length, value: `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}` };
+    }
+
+    // In the order they are tried on each word; each kind is used once, except tags
+    const MATCHERS = [
+        { type: 'tag', match: matchTag },
+        { type: 'priority', match: matchPriority },
+        { type: 'recurrence', match: matchRecurrence },
+        { type: 'date', match: matchDate },
+        { type: 'time', match: matchTime }
+    ];
+
+
+    // ------------------------------------------------------------------------
+    // Putting it together
+    // ------------------------------------------------------------------------
+
+    function finishRule(rule, dueDate, today) {
+        /**
+         * Fill in what the rule left open (from the due date, or today) and
+         * return it as an RRULE string, plus the first date it falls on.
+         */
+        const start = dueDate || today;
+        if (rule.freq === 'WEEKLY' && !rule.weekdays) {
+            rule.weekdays = [weekdayOf(start)];
+        }
+        if (rule.freq === 'MONTHLY' && !rule.monthDay) {
+            rule.monthDay = Number(start.slice(8, 10));
+        }
+
+        let text = `FREQ=${rule.freq}`;
+        if (rule.interval !== 1) text += `;INTERVAL=${rule.interval}`;
+        if (rule.freq === 'WEEKLY') text += `;BYDAY=${rule.weekdays.map(day => RRULE_DAYS[day]).join(',')}`;
+        if (rule.freq === 'MONTHLY') text += `;BYMONTHDAY=${rule.monthDay}`;
+
+        let first = today;
+        if (rule.freq === 'WEEKLY') {
+            while (!rule.weekdays.includes(weekdayOf(first))) {
+                first = addDays(first, 1);
+            }
+        } else if (rule.freq === 'MONTHLY') {
+            // This month's day if it hasn't passed (shorter months use their last day), else next month's
+            const monthStart = today.slice(0, 8) + '01';
+            first = clampedDay(monthStart, rule.monthDay);
+            if (first < today) {
+                first = clampedDay(addMonths(monthStart, 1), rule.monthDay);
+            }
+        }
+        return { recurrence: text, firstDate: first };
+    }
+
+    function clampedDay(monthStart, monthDay) {
+        // monthDay in monthStart's month, or that month's last day
+        const date = parseDay(monthStart);
+        const lastDay = new Date(date.getFullYear(), date.getMonth() + 1, 0).getDate();
+        return makeDay(date.getFullYear(), date.getMonth(), Math.min(monthDay, lastDay));
+    }
+
+    function parse(text, { now = new Date(), locale = 'en-US' } = {}) {
+        /**
+         * Read a task from one line of text:
+         *   {
+         *     title: 'Pay invoices',
+         *     due_date: '2026-10-20' or null,
+         *     time: '17:00' or null (local time on the due date),
+         *     recurrence: 'FREQ=WEEKLY;BYDAY=FR' or null,
+         *     tags: ['finance'],
+         *     priority: 'high', 'medium', 'low' or null,
+         *     matches: [{ type: 'tag', start: 30, end: 38 }, ...]
+         *   }
+         * matches are the parts of text that were understood (start/end are
+         * character positions), e.g. to highlight them in a preview.
+         *
+         * now is the current time (the reference for "tomorrow", "friday"...)
+         * and locale e.g. 'en-US' or 'de-DE'.
+         */
+        const today = formatDay(now);
+        const context = { tokens: tokenize(String(text || '')), language: getLanguage(locale), today };
+        const result = { title: '', due_date: null, time: null, recurrence: null, tags: [], priority: null, matches: [] };
+        let rule = null;
+        const titleWords = [];
+
+        for (let index = 0; index < context.tokens.length;) {
+            let found = null;
+            let type = null;
+            if (context.tokens[index].word !== null) {
+                for (const matcher of MATCHERS) {
+                    const alreadyFound = { tag: false, priority: result.priority, recurrence: rule, date: result.due_date, time: result.time }[matcher.type];
+                    found = alreadyFound ? null : matcher.match(context, index);
+                    if (found) {
+                        type = matcher.type;
+                        break;
+                    }
+                }
+            }
+
+            if (!found) {
+                titleWords.push(context.tokens[index].text);
+                index++;
+                continue;
+            }
+
+            if (type === 'tag') {
+                if (!result.tags.some(tag => tag.toLowerCase() === found.value.toLowerCase())) {
+                    result.tags.push(found.value);
+                }
+            } else if (type === 'recurrence') {
+                rule = found.value;
+            } else {
+                result[type === 'date' ? 'due_date' : type] = found.value;
+            }
+            const last = context.tokens[index + found.length - 1];
+            result.matches.push({ type, start: context.tokens[index].start, end: last.end });
+            index += found.length;
+        }
+
+        if (rule) {
+            const { recurrence, firstDate } = finishRule(rule, result.due_date, today);
+            result.recurrence = recurrence;
+            result.due_date = result.due_date || firstDate;
+        }
+        if (result.time && !result.due_date) {
+            const currentTime = `${String(now.getHours()).padStart(2, '0')}:${String(now.getMinutes()).padStart(2, '0')}`;
+            result.due_date = result.time > currentTime ? today : addDays(today, 1);
+        }
+
+        result.title = titleWords.join(' ').trim();
+        return result;
+    }
+
+
+    return { parse, WORDS };
+})(typeof TaskDates !== 'undefined' ? TaskDates : require('./dates.js'));
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TaskQuickAdd;
+}
@@ -0,0 +1,231 @@
+/**
+ * TASK RECURRENCE RULES - JavaScript
+ *
+ * Works out when a repeating task is due next. No DOM code in here, so it
+ * can be tested on its own (in Node: const TaskRecurrence = require('./recurrence.js')).
+ *
+ * A task's schedule is stored in task.recurrence as a small subset of the
+ * iCalendar RRULE format:
+ *   FREQ=DAILY                      every day
+ *   FREQ=DAILY;INTERVAL=3           every 3 days
+ *   FREQ=WEEKLY;BYDAY=MO,TH         every week on Monday and Thursday
+ *   FREQ=MONTHLY;BYMONTHDAY=15      every month on the 15th
+ *
+ * Monthly rules on day 29-31 fall on the last day of shorter months
+ * (BYMONTHDAY=31 is due Feb 28, Mar 31, Apr 30, ...). Real RRULEs would skip
+ * those months, but a monthly chore shouldn't silently disappear.
+ *
+ * Dates are plain YYYY-MM-DD strings, the same as task.due_date. All the date
+ * math is done in UTC, where every day is exactly 24 hours long, so daylight
+ * saving changes can never shift a due date by a day.
+ *
+ * Malformed rules throw a RecurrenceError with a readable message.
+ */
+
+const TaskRecurrence = (() => {
+
+    const DAY_MS = 24 * 60 * 60 * 1000;
+    // Index = JavaScript weekday (0 = Sunday), like Date.getUTCDay()
+    const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+    const WEEKDAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+    const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY'];
+
+
+    class RecurrenceError extends Error {
+        constructor(message) {
+            super(message);
+            this.name = 'RecurrenceError';
+        }
+    }
+
+
+    // ------------------------------------------------------------------------
+    // Reading and writing rules
+    // ------------------------------------------------------------------------
+
+    function parse(text) {
+        /**
+         * Turn an RRULE string into a rule object:
+         *   { freq: 'WEEKLY', interval: 1, weekdays: [1, 4], monthDay: null }
+         *
+         * weekdays is only set for WEEKLY and monthDay only for MONTHLY.
+         * Throws RecurrenceError if the rule is malformed or unsupported.
+         */
+        const parts = {};
+        String(text || '').replace(/^RRULE:/i, '').split(';').forEach(part => {
+            if (part.trim() === '') return;
+            const [key, value] = part.split('=');
+            if (!value) {
+                throw new RecurrenceError(`"${part}" should look like KEY=VALUE`);
+            }
+            parts[key.trim().toUpperCase()] = value.trim().toUpperCase();
+        });
+
+        const freq = parts.FREQ;
+        if (!FREQUENCIES.includes(freq)) {
+            throw new RecurrenceError(`Repeat must be ${FREQUENCIES.join(', ')} (got "${freq || ''}")`);
+        }
+
+        const interval = parts.INTERVAL === undefined ? 1 : Number(parts.INTERVAL);
+        if (!Number.isInteger(interval) || interval < 1 || interval > 365) {
+            throw new RecurrenceError('INTERVAL must be a whole number from 1 to 365');
+        }
+        if (interval !== 1 && freq !== 'DAILY') {
+            throw new RecurrenceError('INTERVAL is only supported for FREQ=DAILY');
+        }
+
+        const rule = { freq, interval, weekdays: null, monthDay: null };
+
+        if (freq === 'WEEKLY') {
+            if (!parts.BYDAY) {
+                throw new RecurrenceError('Weekly rules need at least one day (BYDAY=MO,TH)');
+            }
+            const days = parts.BYDAY.split(',').map(day => {
+                const index = WEEKDAYS.indexOf(day.trim());
+                if (index === -1) {
+                    throw new RecurrenceError(`"${day}" is not a weekday. Use ${WEEKDAYS.join(', ')}`);
+                }
+                return index;
+            });
+            rule.weekdays = [...new Set(days)].sort((a, b) => a - b);
+        }
+
+        if (freq === 'MONTHLY') {
+            const day = Number(parts.BYMONTHDAY);
+            if (!Number.isInteger(day) || day < 1 || day > 31) {
+                throw new RecurrenceError('Monthly rules need a day from 1 to 31 (BYMONTHDAY=15)');
+            }
+            rule.monthDay = day;
+        }
+
+        return rule;
+    }
+
+    function stringify(rule) {
+        /**
+         * The opposite of parse(): rule object -> RRULE string.
+         */
+        let text = `FREQ=${rule.freq}`;
+        if (rule.interval && rule.interval !== 1) {
+            text += `;INTERVAL=${rule.interval}`;
+        }
+        if (rule.freq === 'WEEKLY') {
+            text += `;BYDAY=${rule.weekdays.map(day => WEEKDAYS[day]).join(',')}`;
+        }
+        if (rule.freq === 'MONTHLY') {
+            text += `;BYMONTHDAY=${rule.monthDay}`;
+        }
+        // Parse it back so a bad rule object fails here, not when the task is completed
+        parse(text);
+        return text;
+    }
+
+    function describe(text) {
+        /**
+         * A short human description, e.g. "Weekly on Mon, Thu".
+         */
+        const rule = parse(text);
+        switch (rule.freq) {
+            case 'DAILY':
+                return rule.interval === 1 ? 'Every day' : `Every ${rule.interval} days`;
+            case 'WEEKLY':
+                return `Weekly on ${rule.weekdays.map(day => WEEKDAY_NAMES[day]).join(', ')}`;
+            default:
+                return rule.monthDay > 28
+                    ? `Monthly on day ${rule.monthDay} (or the last day)`
+                    : `Monthly on day ${rule.monthDay}`;
+        }
+    }
+
+
+    // ------------------------------------------------------------------------
+    // Dates (UTC days, see the note at the top)
+    // ------------------------------------------------------------------------
+
+    function toDay(dateText) {
+        // 'YYYY-MM-DD' -> UTC midnight in milliseconds
+        const match = /^(\d{4})-(\d{2})-(\d{2})/.exec(String(dateText));
+        if (!match) {
+            throw new RecurrenceError(`"${dateText}" is not a YYYY-MM-DD date`);
+        }
+        return Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+    }
+
+    function toDateString(day) {
+        return new Date(day).toISOString().slice(0, 10);
+    }
+
+    function daysInMonth(year, month) {
+        // month is 0-based; day 0 of the next month is the last day of this one
+        return new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+    }
+
+
+    // ------------------------------------------------------------------------
+    // Next occurrence
+    // ------------------------------------------------------------------------
+
+    function nextAfter(text, dateText) {
+        /**
+         * The first date strictly after dateText that the rule falls on.
+         *
+         *   nextAfter('FREQ=WEEKLY;BYDAY=MO', '2026-11-02')  -> '2026-11-09'
+         *   nextAfter('FREQ=MONTHLY;BYMONTHDAY=31', '2026-01-31')  -> '2026-02-28'
+         */
+        const rule = parse(text);
+        const day = toDay(dateText);
+
+        if (rule.freq === 'DAILY') {
+            return toDateString(day + rule.interval * DAY_MS);
+        }
+
+        if (rule.freq === 'WEEKLY') {
+            for (let offset = 1; offset <= 7; offset++) {
+                const candidate = day + offset * DAY_MS;
+                if (rule.weekdays.includes(new Date(candidate).getUTCDay())) {
+                    return toDateString(candidate);
+                }
+            }
+        }
+
+        // MONTHLY: this month if the (clamped) day is still ahead, else next month
+        const date = new Date(day);
+        let year = date.getUTCFullYear();
+        let month = date.getUTCMonth();
+        if (Math.min(rule.monthDay, daysInMonth(year, month)) <= date.getUTCDate()) {
+            month += 1;
+            if (month === 12) {
+                month = 0;
+                year += 1;
+            }
+        }
+        return toDateString(Date.UTC(year, month, Math.min(rule.monthDay, daysInMonth(year, month))));
+    }
+
+    function nextDueDate(text, dueDate, today) {
+        /**
+         * The due date for the next copy of a repeating task that was just
+         * completed.
+         *
+         * dueDate: the completed task's due date (YYYY-MM-DD, or empty)
+         * today:   today's local date as YYYY-MM-DD
+         *
+         * Counts on from the due date so "every 3 days" keeps its rhythm, but
+         * never returns a date before today: completing a chore that is two
+         * weeks overdue schedules the next one from now, not in the past.
+         * Tasks without a due date count on from today.
+         */
+        let next = nextAfter(text, dueDate || today);
+        while (next < today) {
+            next = nextAfter(text, next);
+        }
+        return next;
+    }
+
+
+    return { parse, stringify, describe, nextAfter, nextDueDate, RecurrenceError, WEEKDAYS, WEEKDAY_NAMES };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TaskRecurrence;
+}
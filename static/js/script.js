@@ -7,38 +7,268 @@
  * 3. Adding new tasks
  * 4. Editing tasks
  * 5. Deleting tasks
- * 6. Filtering tasks (All, Active, Completed)
+ * 6. Filtering tasks (All, Active, Completed, Assigned to me, by project)
+ *    and searching them
+ *    Sorting and grouping them, and saving all of that as named views
+ * 7. Working offline (changes are queued and synced later)
+ * 8. Rolling back refused changes and merging edit conflicts
+ * 9. Live updates: changes made elsewhere show up without a reload, and
+ *    cards show who else is looking at (or editing) them
+ * 10. Sending the user to the login page when the session has ended
+ * 11. A History panel on each card: every change made to the task
+ * 12. Screen reader support: labeled cards and controls, focus kept in
+ *     place while editing, and what just happened read out (STEP 39)
+ * 13. Checklist items inside a task (add, check off, reorder, delete)
+ * 14. Manual ordering (drag and drop, or Alt+Up/Down on a focused card)
+ * 15. Repeating tasks (the next one is added when one is completed)
+ * 16. Overdue / due-soon cards and reminder notifications (with sw.js)
+ * 17. Selecting many tasks and changing them all at once (batch actions)
+ * 18. Undo / redo (toast button, Ctrl+Z / Ctrl+Shift+Z) and the Trash
+ * 19. Exporting tasks (JSON, CSV, iCalendar) and importing them (with transfer.js)
+ * 20. Tags: colored chips, a tag input with suggestions and a tag manager
+ * 21. Board view: columns by status with WIP limits (drag, or Alt+Left/Right)
+ * 22. Calendar view: tasks on their due days (drag to another day to reschedule)
+ * 23. Keyboard shortcuts (j/k, x, e, #, n, /, ?) and a Ctrl+K command palette
+ * 24. Quick add: a whole task in one line, e.g. "Pay rent every 1st #home !high"
+ * 25. Priorities (high / medium / low)
+ * 26. Projects shared with other people, assignees, and read-only cards
+ *     for projects the user can only view
+ * 27. Messages next to the form fields they are about (from the server's
+ *     answer, see showFieldErrors)
+ * 
+ * Rendering is incremental: only cards whose content changed are rebuilt,
+ * and long lists only put the rows on screen into the page.
  * 
  * How it communicates with backend:
- * - Uses fetch() to send/receive data via API endpoints
+ * - Loads tasks, tags and projects through TaskApi (api.js), which adds
+ *   timeouts, retries and typed errors to fetch()
+ * - Sends changes through TaskStore (store.js), which queues them
+ *   in IndexedDB and replays them when the connection is back
  * - Converts data to/from JSON format
+ * - Shows what it is doing in the browser console when debug logging is
+ *   on (TaskLog, log.js)
+ * - Listens to /api/events (server-sent events) for changes made elsewhere
+ * - Shows each task's history (what changed, who changed it) from
+ *   /api/tasks/<id>/history, drawn by TaskHistory (history.js)
  */
 
 // ============================================================================
 // STEP 1: GLOBAL VARIABLES
 // ============================================================================
 
-// Keep track of which filter is currently active ('all', 'active', or 'completed')
+// Keep track of which filter is currently active ('all', 'active', 'completed', 'mine' or 'trash')
 let currentFilter = 'all';
 
+// The parsed search box query (see query.js), or null when the box is empty
+let currentQuery = null;
+let searchTimer = null;
+
+// How the list is ordered ('default' = manual order, 'due', 'created', 'title', 'completion' or 'priority')
+let currentSort = 'default';
+
+// The task being dragged to a new position (null when not dragging)
+let draggedTaskId = null;
+
+// How the list is split into sections ('none', 'due' or 'created')
+let currentGroup = 'none';
+
+// Show tasks as a 'list', a 'board' with columns (STEP 31) or a 'calendar' (STEP 32)
+let currentLayout = 'list';
+
+// The board's columns, until the user changes them (saved in localStorage).
+// 'pending' and 'completed' can be renamed but not removed.
+const DEFAULT_BOARD_COLUMNS = [
+    { status: 'pending', title: 'To Do', wip_limit: null },
+    { status: 'in_progress', title: 'In Progress', wip_limit: null },
+    { status: 'completed', title: 'Done', wip_limit: null }
+];
+const FIXED_BOARD_STATUSES = ['pending', 'completed'];
+const BOARD_COLUMN_TITLE_MAX_LENGTH = 30;
+
+// Calendar view (STEP 32): 'month' or 'week', a day in the month/week it shows,
+// and the day whose tasks are listed under it ('none' = tasks without a due date)
+let calendarMode = 'month';
+let calendarAnchor = TaskDates.today();
+let calendarDay = TaskDates.today();
+const CALENDAR_TASKS_PER_DAY = 3;  // In the month view; the rest are behind "+2 more"
+
+// Sections the user has collapsed, e.g. 'due:later' (saved in localStorage)
+const collapsedGroups = new Set(JSON.parse(localStorage.getItem('taskManager.collapsedGroups') || '[]'));
+
 // Keep track of which task is currently being edited (null if no task being edited)
 let editingTaskId = null;
 
+// Tasks ticked for batch actions (STEP 26), and the last one clicked (for shift-click ranges)
+const selectedTaskIds = new Set();
+let lastSelectedTaskId = null;
+
 // Store all tasks fetched from the server
 window.tasks = [];
 
+// Deleted tasks (the Trash view), newest first - loaded when the view opens
+let trashedTasks = [];
+
+// Undo / redo history (STEP 27): { label, undo(), redo() }, newest last
+const undoStack = [];
+const redoStack = [];
+const HISTORY_LIMIT = 50;
+let toastTimer = null;
+let toastAction = null;  // What the toast's button does (undo or redo)
+let announceTimer = null;  // See announce() (STEP 39)
+
+// Rows read from the file being imported (STEP 29), shown in the preview
+let importRows = [];
+
+// Every tag ({ id, name, color, task_count }) from GET /api/tags (STEP 30)
+let knownTags = [];
+
+// Every project the user is a member of ({ id, name, role, members }) from
+// GET /api/projects (STEP 36), and the project the list is narrowed to
+// ('all' or a project id)
+let knownProjects = [];
+let currentProject = 'all';
+const PROJECT_ROLE_LABELS = { owner: 'Owner', editor: 'Editor', viewer: 'Viewer' };
+const PROJECT_NAME_MAX_LENGTH = 50;
+
+// Who is logged in (the user-id <meta> tag in board.html), for "Assigned to me"
+const userIdMeta = document.querySelector('meta[name="user-id"]');
+const currentUserId = userIdMeta ? parseInt(userIdMeta.content) || null : null;
+
+// Colors for tags that don't have one yet, picked by name (same list and rule as app.py)
+const TAG_COLORS = ['#667eea', '#43a047', '#fb8c00', '#e53935', '#8e24aa', '#00897b', '#6d4c41', '#546e7a'];
+const TAG_NAME_MAX_LENGTH = 30;
+
+// A task's priority is one of these (or null); high sorts first
+const PRIORITY_LABELS = { high: 'High', medium: 'Medium', low: 'Low' };
+
+// Command palette (STEP 33): what it lists for the text typed so far
+// ({ entry, positions } from fuzzy.js), which one Enter runs, and what had
+// focus before it (or the shortcut list) opened
+let paletteResults = [];
+let paletteIndex = 0;
+let overlayOpener = null;
+const PALETTE_RESULT_LIMIT = 15;
+
+// Live updates (STEP 35): the event stream from the server, everyone who has
+// the board open ({ id, name, task_id, editing }), and changes other people
+// made to the task being edited - held back until its edit form closes
+let liveEvents = null;
+let liveConnected = false;
+let presenceClients = [];
+let presenceTimer = null;
+let sentPresence = null;  // The last thing /api/presence was told (as JSON)
+const deferredTaskEvents = new Map();  // Task id -> { type, data }
+const PRESENCE_DELAY_MS = 500;
+const LIVE_POLL_INTERVAL_MS = 30000;  // How often to load the tasks when the server turns the stream away
+
+// Inline error messages shown on task cards, by task id (e.g. after a rollback)
+const taskErrors = {};
+
+// History panels open on task cards (STEP 38), by task id: { events, error }
+// (events is null until the task's history has loaded)
+const openHistory = new Map();
+
+// Conflicts waiting for the user to resolve in the merge dialog (one at a time)
+const pendingConflicts = [];
+
+// Reminders (STEP 25): the service worker that shows them, the timer for the
+// next one, and which ones were shown / snoozed (saved in localStorage)
+let reminderWorker = null;
+let reminderTimer = null;
+const shownReminders = JSON.parse(localStorage.getItem('taskManager.shownReminders') || '{}');
+const snoozedReminders = JSON.parse(localStorage.getItem('taskManager.snoozedReminders') || '{}');
+const REMINDER_SNOOZE_MINUTES = 10;
+const REMINDER_CHECK_MS = 60 * 60 * 1000;  // Re-check at least hourly (timers can't wait weeks)
+let nextReminderAt = Infinity;  // When the next reminder is due (ms), as scheduleReminders() last found
+
+// Rows currently built by renderTasks(): { element, html }, keyed by task id
+// (or 'group:<id>' for section headers). "html" is what createTaskElement()
+// or createGroupHeader() returned, so we can tell if a row changed.
+const renderedCards = new Map();
+
+// Long lists are "virtualized": only rows near the screen are in the page
+const VIRTUALIZE_AFTER = 100;  // Lists up to this many tasks are rendered in full
+const OVERSCAN_ROWS = 10;      // Extra rows kept above and below the visible area
+const ROW_GAP = 12;            // Must match the "gap" of .tasks-list in style.css
+let estimatedRowHeight = 90;   // Updated from real card heights after each render
+let renderQueued = false;
+let lastRenderedCount = 0;
+let currentRows = [];          // Every row of the list, as renderTasks() last built them (see buildRows)
+
 
 // ============================================================================
 // STEP 2: GET REFERENCES TO HTML ELEMENTS
 // ============================================================================
 // These "grab" elements from the HTML so we can interact with them
 
+const quickAddForm = document.getElementById('quickAddForm');  // One line for a whole task (STEP 34)
+const quickAddInput = document.getElementById('quickAddInput');
+const quickAddPreview = document.getElementById('quickAddPreview');  // What the quick add line was read as
 const taskForm = document.getElementById('taskForm');  // The form to add new tasks
 const taskTitle = document.getElementById('taskTitle');  // Input field for task title
 const taskDescription = document.getElementById('taskDescription');  // Input field for description
 const taskDueDate = document.getElementById('taskDueDate');  // Input field for due date
+const taskRecurrence = document.getElementById('taskRecurrence');  // "Repeat" fields of the add form
+const taskTags = document.getElementById('taskTags');  // Tag input of the add form
+const taskProject = document.getElementById('taskProject');  // Which project a new task goes into
+const tagSuggestions = document.getElementById('tagSuggestions');  // Tag names offered while typing a tag
 const tasksList = document.getElementById('tasksList');  // Container where tasks are displayed
-const filterButtons = document.querySelectorAll('.filter-btn');  // All filter buttons (All, Active, Completed)
+const filterButtons = document.querySelectorAll('.filter-btn');  // All filter buttons (All, Active, Completed, Trash)
+const emptyTrashButton = document.getElementById('emptyTrashBtn');  // "Empty trash" (Trash view only)
+const toast = document.getElementById('toast');  // "Task deleted [Undo]" message
+const toastMessage = document.getElementById('toastMessage');
+const toastButton = document.getElementById('toastBtn');
+const announcer = document.getElementById('announcer');  // Read out by screen readers (STEP 39)
+const formError = document.getElementById('formError');  // Message area under the add form
+const taskSearch = document.getElementById('taskSearch');  // Search box (query syntax in query.js)
+const searchError = document.getElementById('searchError');  // Shows what's wrong with a search query
+const sortSelect = document.getElementById('sortSelect');  // "Sort by" dropdown
+const groupSelect = document.getElementById('groupSelect');  // "Group by" dropdown
+const savedViewsList = document.getElementById('savedViews');  // Saved view buttons (next to the filters)
+const saveViewButton = document.getElementById('saveViewBtn');  // "Save view" button
+const selectAllButton = document.getElementById('selectAllBtn');  // "Select all shown" button
+const batchBar = document.getElementById('batchBar');  // Actions for the selected tasks
+const batchCount = document.getElementById('batchCount');  // "3 selected"
+const batchDueDate = document.getElementById('batchDueDate');  // New due date for "Reschedule"
+const batchTag = document.getElementById('batchTag');  // Tag for "Add tag"
+const batchAssignee = document.getElementById('batchAssignee');  // Member for "Assign"
+const exportButtons = document.querySelectorAll('.export-btn');  // Export as JSON / CSV / iCalendar
+const exportShownOnly = document.getElementById('exportShownOnly');  // "Only the tasks shown" checkbox
+const importFile = document.getElementById('importFile');  // File picker for imports
+const importPreview = document.getElementById('importPreview');  // Preview of the file being imported
+const importSummary = document.getElementById('importSummary');  // "12 tasks: 10 ready, 2 duplicates"
+const importRowsBody = document.getElementById('importRows');  // One table row per task in the file
+const importConfirmButton = document.getElementById('importConfirmBtn');
+const importCancelButton = document.getElementById('importCancelBtn');
+const manageTagsButton = document.getElementById('manageTagsBtn');  // Opens the tag manager
+const tagManager = document.getElementById('tagManager');  // Rename, recolor, merge and delete tags
+const tagManagerList = document.getElementById('tagManagerList');
+const projectSelect = document.getElementById('projectSelect');  // "Project" All / one project
+const manageProjectsButton = document.getElementById('manageProjectsBtn');  // Opens the project manager
+const projectManager = document.getElementById('projectManager');  // Projects, their members and roles
+const projectManagerList = document.getElementById('projectManagerList');
+const projectForm = document.getElementById('projectForm');  // "New project"
+const projectName = document.getElementById('projectName');
+const projectManagerError = document.getElementById('projectManagerError');  // Why a project change was refused
+const layoutSelect = document.getElementById('layoutSelect');  // "Show as" List / Board
+const boardSettingsButton = document.getElementById('boardSettingsBtn');  // Opens the column settings (board only)
+const boardSettings = document.getElementById('boardSettings');  // Rename, reorder, add and remove columns, WIP limits
+const boardSettingsList = document.getElementById('boardSettingsList');
+const boardColumnForm = document.getElementById('boardColumnForm');  // "Add column"
+const boardColumnTitle = document.getElementById('boardColumnTitle');
+const calendarView = document.getElementById('calendarView');  // Calendar above the list (calendar layout only)
+const calendarTitle = document.getElementById('calendarTitle');  // "October 2026"
+const calendarModeSelect = document.getElementById('calendarModeSelect');  // Month / Week
+const calendarGrid = document.getElementById('calendarGrid');  // One cell per day
+const undatedTasksList = document.getElementById('undatedTasks');  // Sidebar: tasks without a due date
+const calendarDayTitle = document.getElementById('calendarDayTitle');  // "Due Monday, October 19, 2026" (above the list)
+const commandPalette = document.getElementById('commandPalette');  // Ctrl+K: run an action or jump to a task
+const paletteInput = document.getElementById('paletteInput');
+const paletteList = document.getElementById('paletteList');
+const shortcutHelp = document.getElementById('shortcutHelp');  // "?": every keyboard shortcut
+const shortcutList = document.getElementById('shortcutList');
+const presenceBar = document.getElementById('presenceBar');  // Who else has the board open
+const presenceList = document.getElementById('presenceList');
 
 
 // ============================================================================
@@ -51,8 +281,16 @@ document.addEventListener('DOMContentLoaded', () => {
      * DOMContentLoaded: Special event that fires when HTML is fully loaded
      * This makes sure all our HTML elements exist before we try to use them
      */
-    console.log('Page loaded! Starting application...');
-    loadTasks();  // Load tasks from server
+    TaskLog.debug('Page loaded! Starting application...');
+    TaskStore.init(syncHooks);  // Load queued offline changes
+    taskRecurrence.innerHTML = createRecurrenceFields(null);  // "Repeat" fields of the add form
+    taskTags.innerHTML = createTagInput([]);  // Tag input of the add form
+    renderSavedViews();  // Show saved views next to the filter buttons
+    registerReminderWorker();  // Service worker for reminder notifications
+    loadTasks().then(handleReminderLink);  // Load tasks from server
+    loadTags();  // Tag colors and suggestions
+    loadProjects();  // Projects, their members and our role in each
+    connectLiveUpdates();  // Hear about other people's changes
     setupEventListeners();  // Set up click/submit handlers
 });
 
@@ -66,12 +304,30 @@ function setupEventListeners() {
     /**
      * Set up event listeners for:
      * 1. Form submission (when user clicks "Add Task")
-     * 2. Filter buttons (when user clicks All/Active/Completed)
+     * 2. Filter buttons (when user clicks All/Active/Completed/Trash)
+     * 3. Typing in the search box, the sort/group/layout dropdowns and saved views
+     *    (and the "Select all shown" button and batch action bar)
+     * 4. Everything inside task cards (one listener on tasksList, see STEP 7)
+     * 5. Scrolling, so long lists can swap in the rows coming into view
+     * 6. Keyboard shortcuts anywhere on the page, and the command palette
+     * 7. Focus moving between cards, to tell others which task we're on
+     * 8. The project dropdown and the project manager
      */
     
     // When user submits the form (clicks "Add Task" or presses Enter)
     taskForm.addEventListener('submit', handleAddTask);
     
+    // Quick add: preview what the line says while typing, add it on Enter (STEP 34)
+    quickAddInput.addEventListener('input', renderQuickAddPreview);
+    quickAddForm.addEventListener('submit', handleQuickAdd);
+    
+    // Picking a "Repeat" option shows the matching fields (weekdays, day of month...)
+    taskForm.addEventListener('change', (e) => {
+        if (e.target.classList.contains('repeat-select')) {
+            updateRecurrenceFields(taskRecurrence, taskDueDate.value);
+        }
+    });
+    
     // Set up each filter button
     filterButtons.forEach(btn => {
         btn.addEventListener('click', (e) => {
@@ -84,10 +340,129 @@ function setupEventListeners() {
             // Update currentFilter variable based on which button was clicked
             currentFilter = e.target.dataset.filter;
             
+            // The Trash comes from the server (see STEP 28)
+            if (currentFilter === 'trash') {
+                loadTrash();
+            }
+            
             // Re-render tasks with new filter applied
             renderTasks();
         });
     });
+    emptyTrashButton.addEventListener('click', emptyTrash);
+    
+    // Undo / redo: the toast's button and Ctrl+Z / Ctrl+Shift+Z (STEP 27)
+    toastButton.addEventListener('click', () => {
+        if (toastAction) toastAction();
+    });
+    document.addEventListener('keydown', handleHistoryShortcut);
+    
+    // Search box: wait until the user pauses typing, then apply the query
+    taskSearch.addEventListener('input', () => {
+        clearTimeout(searchTimer);
+        searchTimer = setTimeout(applySearch, 150);
+    });
+    
+    // Sort and group dropdowns
+    sortSelect.addEventListener('change', () => {
+        currentSort = sortSelect.value;
+        renderTasks();
+    });
+    groupSelect.addEventListener('change', () => {
+        currentGroup = groupSelect.value;
+        renderTasks();
+    });
+    
+    // List or board, and the board's column settings (STEP 31)
+    layoutSelect.addEventListener('change', () => {
+        currentLayout = layoutSelect.value;
+        renderTasks();
+    });
+    boardSettingsButton.addEventListener('click', toggleBoardSettings);
+    boardSettingsList.addEventListener('change', handleBoardSettingsChange);
+    boardSettingsList.addEventListener('click', handleBoardSettingsClick);
+    boardColumnForm.addEventListener('submit', addBoardColumn);
+    
+    // Calendar: previous/next/today, picking a day, dragging tasks to another day (STEP 32)
+    calendarModeSelect.addEventListener('change', () => {
+        calendarMode = calendarModeSelect.value;
+        renderTasks();
+    });
+    calendarView.addEventListener('click', handleCalendarClick);
+    calendarView.addEventListener('keydown', handleCalendarKeydown);
+    calendarView.addEventListener('dragstart', handleCalendarDragStart);
+    calendarView.addEventListener('dragover', handleCalendarDragOver);
+    calendarView.addEventListener('drop', handleCalendarDrop);
+    calendarView.addEventListener('dragend', clearDragState);
+    
+    // Saved views: apply or delete one, or save the current settings as a new one
+    savedViewsList.addEventListener('click', handleSavedViewClick);
+    saveViewButton.addEventListener('click', saveCurrentView);
+    
+    // Selecting tasks and changing them all at once (STEP 26)
+    selectAllButton.addEventListener('click', selectAllShown);
+    batchBar.addEventListener('click', (e) => {
+        const button = e.target.closest('[data-batch]');
+        if (button) {
+            runBatchAction(button.dataset.batch);
+        }
+    });
+    
+    // Export and import (STEP 29)
+    exportButtons.forEach(button => {
+        button.addEventListener('click', () => exportTasksAs(button.dataset.format));
+    });
+    importFile.addEventListener('change', handleImportFile);
+    importConfirmButton.addEventListener('click', importSelectedTasks);
+    importCancelButton.addEventListener('click', closeImportPreview);
+    
+    // Tags: the add form's tag input and the tag manager (STEP 30)
+    taskTags.addEventListener('keydown', handleTagInputKeydown);
+    taskTags.addEventListener('click', handleTagInputClick);
+    manageTagsButton.addEventListener('click', toggleTagManager);
+    tagManagerList.addEventListener('change', handleTagManagerChange);
+    tagManagerList.addEventListener('click', handleTagManagerClick);
+    
+    // Projects: narrowing the list to one, and the project manager (STEP 36)
+    projectSelect.addEventListener('change', () => {
+        currentProject = projectSelect.value === 'all' ? 'all' : parseInt(projectSelect.value);
+        renderTasks();
+    });
+    manageProjectsButton.addEventListener('click', toggleProjectManager);
+    projectManager.addEventListener('change', handleProjectManagerChange);
+    projectManager.addEventListener('click', handleProjectManagerClick);
+    projectManager.addEventListener('submit', handleProjectManagerSubmit);
+    
+    // Checkboxes and buttons inside task cards (cards come and go, the list stays)
+    tasksList.addEventListener('change', handleTaskListChange);
+    tasksList.addEventListener('click', handleTaskListClick);
+    tasksList.addEventListener('keydown', handleTaskListKeydown);
+    
+    // Dragging cards to change the manual order (STEP 23) or board column (STEP 31)
+    tasksList.addEventListener('dragstart', handleDragStart);
+    tasksList.addEventListener('dragover', handleDragOver);
+    tasksList.addEventListener('drop', handleDrop);
+    tasksList.addEventListener('dragend', clearDragState);
+    
+    // Keyboard shortcuts, the command palette (Ctrl+K) and the shortcut list (?) (STEP 33)
+    document.addEventListener('keydown', handleShortcutKey);
+    paletteInput.addEventListener('input', () => updatePalette(paletteInput.value));
+    paletteInput.addEventListener('keydown', handlePaletteKeydown);
+    paletteList.addEventListener('click', handlePaletteClick);
+    commandPalette.addEventListener('click', (e) => {
+        if (e.target === commandPalette) closePalette();  // A click outside the box
+    });
+    shortcutHelp.addEventListener('click', (e) => {
+        if (e.target === shortcutHelp || e.target.closest('[data-action="close"]')) closeShortcutHelp();
+    });
+    
+    // Say which task this page is on (STEP 35)
+    document.addEventListener('focusin', reportPresence);
+    document.addEventListener('focusout', reportPresence);
+    
+    // Long lists only render what's on screen, so re-render while scrolling
+    window.addEventListener('scroll', scheduleRender, { passive: true });
+    window.addEventListener('resize', scheduleRender);
 }
 
 
@@ -100,40 +475,70 @@ async function loadTasks() {
      * Fetch all tasks from the server.
      * 
      * What this does:
-     * 1. Sends GET request to /api/tasks endpoint (asks server for all tasks)
-     * 2. Waits for response (await makes code pause until response comes back)
-     * 3. Converts response to JSON format
-     * 4. Stores tasks in window.tasks array
-     * 5. Calls renderTasks() to display them on page
+     * 1. Shows the copy saved in IndexedDB right away (works offline)
+     * 2. Sends GET request to /api/tasks endpoint (asks server for all tasks)
+     * 3. Waits for response (await makes code pause until response comes back)
+     * 4. Converts response to JSON format
+     * 5. Re-applies changes still waiting in the outbox, stores the result
+     *    in window.tasks and saves it for next time
+     * 6. Calls renderTasks() to display them on page
+     * 
+     * If the server says we aren't logged in (401), goes to the login page.
      * 
      * Why "async"?
      * - async/await makes it easier to work with network requests
      * - Code waits for server response before continuing
      */
+    await TaskStore.init(syncHooks);
+    
+    // Show the last saved copy first, so the board is usable without a connection
+    const cachedTasks = await TaskStore.loadCachedTasks();
+    if (cachedTasks.length > 0) {
+        window.tasks = cachedTasks;
+        renderTasks();
+    }
+    
     try {
-        console.log('Fetching tasks from server...');
-        
-        // Send GET request to /api/tasks
-        const response = await fetch('/api/tasks');
+        TaskLog.debug('Fetching tasks from server...');
         
-        // Convert response to JavaScript objects
-        const tasks = await response.json();
+        // Send GET request to /api/tasks (TaskApi turns the JSON answer into JavaScript objects)
+        const tasks = await TaskApi.get('/api/tasks');
         
-        // Store tasks in global variable
-        window.tasks = tasks;
+        // Keep local changes the server hasn't seen yet, then store tasks in global variable
+        window.tasks = TaskStore.rebase(tasks, window.tasks || []);
+        TaskStore.saveTasks(window.tasks);
         
-        console.log(`Loaded ${tasks.length} tasks from server`);
+        TaskLog.debug(`Loaded ${tasks.length} tasks from server`);
         
         // Display the tasks on the page
         renderTasks();
         
+        // Send anything that was queued while we were offline
+        TaskStore.flush();
+        
     } catch (error) {
-        // If something goes wrong, show error message
+        if (error instanceof TaskApi.AuthError) {
+            redirectToLogin();
+            return;
+        }
+        // If something goes wrong, show error message (unless we have a saved copy to work with)
         console.error('Error loading tasks:', error);
-        tasksList.innerHTML = '<p class="no-tasks">❌ Error loading tasks. Please try again.</p>';
+        if (cachedTasks.length === 0) {
+            tasksList.innerHTML = '<p class="no-tasks">❌ Error loading tasks. Please try again.</p>';
+        }
     }
 }
 
+function redirectToLogin() {
+    /**
+     * The session has ended (logged out in another tab, or it expired).
+     * The login page comes back here afterwards; changes waiting in the
+     * outbox stay there and are sent then.
+     */
+    const here = window.location.pathname + window.location.search;
+    window.location.href = `/login?next=${encodeURIComponent(here)}`;
+}
+
 
 // ============================================================================
 // STEP 6: RENDER TASKS ON PAGE
@@ -144,80 +549,489 @@ function renderTasks() {
      * Display tasks on the page based on current filter.
      * 
      * This function:
-     * 1. Takes all tasks from window.tasks
-     * 2. Filters them based on currentFilter ('all', 'active', or 'completed')
-     * 3. Converts each task to HTML using createTaskElement()
-     * 4. Displays HTML on the page
-     * 5. Adds event listeners to all buttons in the displayed tasks
+     * 1. Gets the filtered, searched and sorted tasks (getFilteredTasks)
+     * 2. Splits them into sections if grouping is on (buildRows)
+     * 3. Works out which rows are on screen (long lists only)
+     * 4. Updates just those rows on the page (see patchTaskList)
+     * 
+     * The board view (STEP 31) puts the same cards in columns instead.
+     * The calendar view (STEP 32) draws the calendar above the list, and
+     * the list shows the day picked on it.
+     * 
+     * Cards that didn't change are left alone, so focus and an open edit
+     * form survive re-renders.
+     * 
+     * Every change to window.tasks ends up here (a toggle only when it moves
+     * the task, see renderTaskChange), so this is also where the timer for
+     * the next reminder is (re)set.
+     */
+    scheduleReminders();
+    const filteredTasks = getFilteredTasks();
+    updateBatchBar(filteredTasks);
+    emptyTrashButton.hidden = currentFilter !== 'trash' || trashedTasks.length === 0;
+    
+    calendarView.hidden = !isCalendarShown();
+    if (isCalendarShown()) {
+        renderCalendar(sortTasks(getMatchingTasks(), currentSort));
+    }
+    
+    // The board shows its columns even when they are empty
+    switchLayout(isBoardShown());
+    if (isBoardShown()) {
+        renderBoard(filteredTasks);
+        return;
+    }
+    
+    // If no tasks to show, display message
+    if (filteredTasks.length === 0) {
+        lastRenderedCount = 0;
+        currentRows = [];
+        renderedCards.clear();
+        if (currentQuery) {
+            tasksList.innerHTML = '<p class="no-tasks">No tasks match your search.</p>';
+        } else if (currentFilter === 'trash') {
+            tasksList.innerHTML = '<p class="no-tasks">The Trash is empty.</p>';
+        } else if (isCalendarShown()) {
+            tasksList.innerHTML = `<p class="no-tasks">${calendarDay === 'none' ? 'Every task has a due date.' : 'Nothing is due on this day.'}</p>`;
+        } else {
+            tasksList.innerHTML = '<p class="no-tasks">No tasks to show. Add one to get started!</p>';
+        }
+        return;
+    }
+    
+    currentRows = buildRows(filteredTasks);
+    lastRenderedCount = currentRows.length;
+    renderRowWindow();
+}
+
+function renderRowWindow() {
+    /**
+     * Put the rows of currentRows that are (nearly) visible in the page.
+     * Scrolling only needs this: the rows themselves don't change, so
+     * nothing is filtered or sorted again.
      */
+    const { start, end } = getRenderWindow(currentRows.length);
+    patchTaskList(currentRows.slice(start, end), start, currentRows.length - end);
+}
+
+function renderTaskChange(previous, task) {
+    /**
+     * Re-render after a change to one task (a toggle, checking a checklist
+     * item, the server's copy coming back) without going through the whole
+     * list. previous is the task before the change (its ID may be the
+     * temporary one the row still has).
+     * 
+     * When the task keeps its place - it still passes the filter and the
+     * search, stays in its section and in order with its neighbours - only
+     * its row in currentRows is swapped, only the rows on screen are
+     * patched (so just its card is rebuilt) and only its reminder is
+     * rescheduled. A task that is not shown before or after needs only
+     * the reminder. Anything else (it leaves the "Active" filter, moves in
+     * the sort order, the board or calendar is showing...) is a full
+     * renderTasks().
+     */
+    if (currentFilter !== 'trash' && !isMatchingTask(previous) && !isMatchingTask(task)) {
+        scheduleReminder(task);
+        return;
+    }
+    const index = currentRows.findIndex(row => row.key === previous.id);
+    if (index === -1 || isBoardShown() || isCalendarShown() || currentFilter === 'trash' || !isMatchingTask(task)) {
+        renderTasks();
+        return;
+    }
+    const grouping = GROUPINGS[currentGroup];
+    if (grouping && grouping.bucket(task, getToday()) !== grouping.bucket(previous, getToday())) {
+        renderTasks();
+        return;
+    }
+    const before = currentRows[index - 1];
+    const after = currentRows[index + 1];
+    const neighbours = [before && before.task, task, after && after.task].filter(Boolean);
+    if (sortTasks(neighbours, currentSort).some((neighbour, position) => neighbour !== neighbours[position])) {
+        renderTasks();
+        return;
+    }
     
-    // Start with all tasks
-    let filteredTasks = window.tasks || [];
+    currentRows[index] = { key: task.id, task };
+    scheduleReminder(task);
+    renderRowWindow();
+}
+
+function getFilteredTasks() {
+    /**
+     * Return the tasks the list should show, in display order:
+     * 1. Filtered by currentFilter ('all', 'active', 'completed' or 'mine')
+     *    and the project dropdown
+     * 2. Narrowed down by the search box query (if any)
+     * 3. In the calendar view, only the day picked on the calendar
+     * 4. Sorted by currentSort
+     * 
+     * The Trash view shows the deleted tasks instead, newest first.
+     */
+    if (currentFilter === 'trash') {
+        return currentQuery ? trashedTasks.filter(currentQuery.predicate) : trashedTasks;
+    }
+    
+    let filteredTasks = getMatchingTasks();
+    if (isCalendarShown()) {
+        filteredTasks = filteredTasks.filter(task => calendarDayOf(task) === calendarDay);
+    }
+    return sortTasks(filteredTasks, currentSort);
+}
+
+function getMatchingTasks() {
+    /**
+     * Steps 1 and 2 of getFilteredTasks(): the tasks that pass the filter
+     * buttons and the search, in window.tasks order.
+     */
+    
+    return (window.tasks || []).filter(isMatchingTask);
+}
+
+function isMatchingTask(task) {
+    // Does one task pass the filter buttons, the project dropdown and the search?
     
     // Apply filter based on currentFilter variable
-    if (currentFilter === 'active') {
+    if (currentFilter === 'active' && task.completed) {
         // Show only incomplete tasks
-        filteredTasks = filteredTasks.filter(t => !t.completed);
-    } else if (currentFilter === 'completed') {
+        return false;
+    } else if (currentFilter === 'completed' && !task.completed) {
         // Show only completed tasks
-        filteredTasks = filteredTasks.filter(t => t.completed);
+        return false;
+    } else if (currentFilter === 'mine' && task.assignee_id !== currentUserId) {
+        // Show only tasks assigned to the logged-in user
+        return false;
     }
     // If currentFilter === 'all', show all tasks (no filtering needed)
     
-    // If no tasks to show, display message
-    if (filteredTasks.length === 0) {
-        tasksList.innerHTML = '<p class="no-tasks">No tasks to show. Add one to get started!</p>';
+    // The project dropdown narrows it down to one project
+    if (currentProject !== 'all' && task.project_id !== currentProject) {
+        return false;
+    }
+    
+    // The search query narrows down whatever the filter buttons picked
+    return !currentQuery || currentQuery.predicate(task);
+}
+
+function scheduleRender() {
+    /**
+     * Re-render on the next animation frame (at most once per frame).
+     * Used while scrolling; short lists are fully rendered already.
+     */
+    if (renderQueued || lastRenderedCount <= VIRTUALIZE_AFTER) {
+        return;
+    }
+    renderQueued = true;
+    requestAnimationFrame(() => {
+        renderQueued = false;
+        renderRowWindow();
+    });
+}
+
+function getRenderWindow(count) {
+    /**
+     * Work out which rows [start, end) should be in the page.
+     * 
+     * Short lists: all of them.
+     * Long lists: the rows inside the browser window, plus OVERSCAN_ROWS on
+     * each side. Row positions are estimated from the average card height.
+     */
+    if (count <= VIRTUALIZE_AFTER) {
+        return { start: 0, end: count };
+    }
+    
+    const rowPitch = estimatedRowHeight + ROW_GAP;
+    const listTop = tasksList.getBoundingClientRect().top;  // Negative once scrolled past
+    const firstVisible = Math.floor(Math.max(0, -listTop) / rowPitch);
+    const visibleRows = Math.ceil(window.innerHeight / rowPitch) + 1;
+    
+    const start = Math.min(Math.max(0, firstVisible - OVERSCAN_ROWS), count);
+    const end = Math.min(count, firstVisible + visibleRows + OVERSCAN_ROWS);
+    return { start, end };
+}
+
+function patchTaskList(rows, rowsAbove, rowsBelow) {
+    /**
+     * Make tasksList show exactly these rows (task cards and section
+     * headers, see buildRows), in this order, changing as little as possible:
+     * - rows whose HTML is unchanged are kept (same DOM node)
+     * - changed rows are rebuilt, and focus moves to the new copy
+     * - rows no longer wanted are removed
+     * - spacers above and below stand in for rows that aren't rendered
+     */
+    
+    // Remember what had focus, in case its row gets rebuilt
+    const focusTarget = rememberFocus();
+    
+    // Remove the "no tasks" / "loading" messages if they're showing
+    tasksList.querySelectorAll('.no-tasks, .loading').forEach(el => el.remove());
+    const topSpacer = getSpacer('top');
+    const bottomSpacer = getSpacer('bottom');
+    
+    // Take out rows that are no longer in the list (or scrolled far away)
+    const wanted = new Set(rows.map(row => row.key));
+    renderedCards.forEach((card, key) => {
+        if (!wanted.has(key)) {
+            card.element.remove();
+            // Keep an open edit form around, so it's still there when scrolled back
+            if (key !== editingTaskId) {
+                renderedCards.delete(key);
+            }
+        }
+    });
+    
+    // Put the wanted rows in order, right after the top spacer
+    let previous = topSpacer;
+    rows.forEach(row => {
+        const element = getCardElement(row);
+        if (previous.nextSibling !== element) {
+            tasksList.insertBefore(element, previous.nextSibling);
+        }
+        previous = element;
+    });
+    if (tasksList.lastChild !== bottomSpacer) {
+        tasksList.appendChild(bottomSpacer);
+    }
+    
+    // Size the spacers for the rows we skipped
+    measureRowHeight(rows);
+    setSpacerRows(topSpacer, rowsAbove);
+    setSpacerRows(bottomSpacer, rowsBelow);
+    
+    restoreFocus(focusTarget);
+}
+
+function rememberFocus() {
+    /**
+     * Note what has focus inside a row (task card or section header), so
+     * restoreFocus() can find it again after the row is rebuilt or moved.
+     */
+    const focused = document.activeElement;
+    const focusedRow = focused && focused.closest ? focused.closest('.task-item, .task-group-header') : null;
+    return focusedRow ? {
+        element: focused,
+        key: rowKeyOf(focusedRow),
+        className: focused.classList[0],
+        itemId: focused.dataset ? focused.dataset.itemId : undefined
+    } : null;
+}
+
+function restoreFocus(focusTarget) {
+    // Put focus back if the focused row was rebuilt (or moved, which also loses focus)
+    if (!focusTarget || document.activeElement === focusTarget.element) {
         return;
     }
+    const card = renderedCards.get(focusTarget.key);
+    const selector = `.${focusTarget.className}${focusTarget.itemId ? `[data-item-id="${focusTarget.itemId}"]` : ''}`;
+    let target = null;
+    if (tasksList.contains(focusTarget.element)) {
+        target = focusTarget.element;
+    } else if (card && focusTarget.className) {
+        target = card.element.matches(selector) ? card.element : card.element.querySelector(selector);
+    }
+    if (target) {
+        target.focus({ preventScroll: true });
+    }
+}
+
+function getCardElement(row) {
+    /**
+     * Return the DOM node for a row, reusing the existing one if the row's
+     * HTML hasn't changed (or its task is being edited).
+     */
+    const card = renderedCards.get(row.key);
+    if (card && row.key === editingTaskId) {
+        return card.element;
+    }
+    
+    let html;
+    if (row.group) {
+        html = createGroupHeader(row.group);
+    } else {
+        html = row.task.deleted_at ? createTrashElement(row.task) : createTaskElement(row.task);
+    }
+    if (card && card.html === html) {
+        return card.element;
+    }
     
-    // Convert each task to HTML and display
-    // map() transforms each task into HTML
-    // join('') combines all HTML strings together
-    tasksList.innerHTML = filteredTasks.map(task => createTaskElement(task)).join('');
+    const template = document.createElement('template');
+    template.innerHTML = html.trim();
+    const element = template.content.firstElementChild;
     
-    // Now add event listeners to all the buttons we just created
-    attachTaskEventListeners();
+    if (card) {
+        card.element.remove();
+    }
+    renderedCards.set(row.key, { element, html });
+    return element;
+}
+
+function rowKeyOf(element) {
+    // The renderedCards key for a rendered task card or section header
+    return element.classList.contains('task-group-header')
+        ? `group:${element.dataset.group}`
+        : parseInt(element.dataset.taskId);
+}
+
+function getSpacer(position) {
+    // An empty div that takes the place of rows which aren't rendered
+    let spacer = tasksList.querySelector(`.list-spacer-${position}`);
+    if (!spacer) {
+        spacer = document.createElement('div');
+        spacer.className = `list-spacer list-spacer-${position}`;
+        spacer.setAttribute('aria-hidden', 'true');
+        if (position === 'top') {
+            tasksList.prepend(spacer);
+        } else {
+            tasksList.appendChild(spacer);
+        }
+    }
+    return spacer;
+}
+
+function setSpacerRows(spacer, rows) {
+    // The spacer itself takes one ROW_GAP in the flex layout, so leave that out
+    spacer.hidden = rows === 0;
+    spacer.style.height = rows === 0 ? '' : `${rows * (estimatedRowHeight + ROW_GAP) - ROW_GAP}px`;
+}
+
+function measureRowHeight(rows) {
+    // Average the real height of the rendered rows (0 when the page isn't laid out)
+    let total = 0;
+    let measured = 0;
+    rows.forEach(row => {
+        const height = renderedCards.get(row.key).element.offsetHeight;
+        if (height > 0) {
+            total += height;
+            measured++;
+        }
+    });
+    if (measured > 0) {
+        estimatedRowHeight = total / measured;
+    }
 }
 
 
 // ============================================================================
-// STEP 7: ATTACH EVENT LISTENERS TO TASK BUTTONS
+// STEP 7: HANDLE CLICKS INSIDE TASK CARDS
 // ============================================================================
+// One listener on tasksList handles every card ("event delegation"), so
+// nothing needs re-binding when cards are added, rebuilt or removed.
 
-function attachTaskEventListeners() {
+function handleTaskListChange(e) {
     /**
-     * Add click handlers to all the buttons in displayed tasks.
+     * Checkboxes: toggle completion of a task or of a checklist item.
+     * Also the "Repeat" dropdown of an open edit form.
+     */
+    if (e.target.classList.contains('task-checkbox')) {
+        const taskId = parseInt(e.target.dataset.taskId);
+        // Completed under "Active", the card goes away: focus moves to the next one
+        keepFocusInList(e.target.closest('.task-item'), () => toggleTask(taskId));
+    } else if (e.target.classList.contains('item-checkbox')) {
+        const taskId = parseInt(e.target.closest('.task-item').dataset.taskId);
+        toggleChecklistItem(taskId, parseInt(e.target.dataset.itemId));
+    } else if (e.target.classList.contains('repeat-select')) {
+        // "Repeat" dropdown in the edit form
+        const taskId = parseInt(e.target.closest('.task-item').dataset.taskId);
+        updateRecurrenceFields(e.target.closest('.recurrence-fields'),
+            document.getElementById(`edit-due-date-${taskId}`).value);
+    } else if (e.target.classList.contains('edit-project-select')) {
+        // Another project: only its members can be assigned the task
+        const taskId = parseInt(e.target.closest('.task-item').dataset.taskId);
+        const assigneeSelect = document.getElementById(`edit-assignee-${taskId}`);
+        assigneeSelect.innerHTML = createAssigneeOptions(parseInt(e.target.value), parseInt(assigneeSelect.value) || null);
+    }
+}
+
+function handleTaskListKeydown(e) {
+    /**
+     * - Enter in a card's "Add checklist item" box adds the item
+     * - Enter or "," in the edit form's tag input adds the tag
+     * - Alt+Up / Alt+Down on a focused card moves it one place (manual order)
+     * - Alt+Left / Alt+Right on a focused card moves it to the next board column
+     * - Enter / Escape in an edit form saves / cancels it (STEP 39)
+     */
+    if (handleTagInputKeydown(e) || handleEditFormKeydown(e)) {
+        return;
+    }
+    if (e.key === 'Enter' && e.target.classList.contains('item-add-input')) {
+        e.preventDefault();
+        const taskId = parseInt(e.target.closest('.task-item').dataset.taskId);
+        addChecklistItem(taskId, e.target.value);
+    } else if (e.altKey && (e.key === 'ArrowUp' || e.key === 'ArrowDown') && e.target.classList.contains('task-item')) {
+        e.preventDefault();
+        moveTaskByKeyboard(parseInt(e.target.dataset.taskId), e.key === 'ArrowUp' ? -1 : 1);
+    } else if (e.altKey && (e.key === 'ArrowLeft' || e.key === 'ArrowRight') && e.target.classList.contains('task-item') && isBoardShown()) {
+        e.preventDefault();
+        moveTaskToNextColumn(parseInt(e.target.dataset.taskId), e.key === 'ArrowLeft' ? -1 : 1);
+    }
+}
+
+function handleTaskListClick(e) {
+    /**
+     * Buttons inside a card:
+     * - Edit / Delete (Restore in the Trash)
+     * - History (opens or closes the card's History panel)
+     * - Tag chips (filter by that tag)
+     * - Save / Cancel (edit mode), removing a tag in the edit form
+     * - Dismiss on inline error messages
+     * - Checklist items: move up/down, delete
+     * - Checklist editor (edit mode): add row, remove row
      * 
-     * This includes:
-     * - Checkboxes (to toggle completion)
-     * - Edit buttons (to edit task)
-     * - Delete buttons (to delete task)
+     * And the collapse/expand button on section headers, and the "select"
+     * checkboxes (a click, not a change, so we can see if shift was held).
      */
+    if (e.target.classList.contains('select-checkbox')) {
+        const taskId = parseInt(e.target.dataset.taskId);
+        toggleSelection(taskId, e.shiftKey);
+        // The browser already flipped the box; make sure it matches the selection
+        e.target.checked = selectedTaskIds.has(taskId);
+        return;
+    }
     
-    // Set up checkbox listeners (for toggling task completion)
-    document.querySelectorAll('.task-checkbox').forEach(checkbox => {
-        checkbox.addEventListener('change', (e) => {
-            const taskId = parseInt(e.target.dataset.taskId);
-            toggleTask(taskId);
-        });
-    });
+    if (handleTagInputClick(e)) {
+        return;
+    }
     
-    // Set up delete button listeners
-    document.querySelectorAll('.delete-btn').forEach(btn => {
-        btn.addEventListener('click', (e) => {
-            const taskId = parseInt(e.target.dataset.taskId);
-            deleteTask(taskId);
-        });
-    });
+    const button = e.target.closest('button');
+    const header = button ? button.closest('.task-group-header') : null;
+    if (header) {
+        toggleGroupCollapsed(header.dataset.group);
+        return;
+    }
     
-    // Set up edit button listeners
-    document.querySelectorAll('.edit-btn').forEach(btn => {
-        btn.addEventListener('click', (e) => {
-            const taskId = parseInt(e.target.dataset.taskId);
-            const task = window.tasks.find(t => t.id === taskId);  // Find the task object
-            startEditingTask(taskId, task);
-        });
-    });
+    const card = button ? button.closest('.task-item') : null;
+    if (!card) {
+        return;
+    }
+    const taskId = parseInt(card.dataset.taskId);
+    
+    if (button.classList.contains('tag-chip')) {
+        filterByTag(button.dataset.tag);
+    } else if (button.classList.contains('restore-btn')) {
+        restoreFromTrash(taskId);
+    } else if (button.classList.contains('history-btn')) {
+        toggleHistory(taskId);
+    } else if (button.classList.contains('edit-btn')) {
+        const task = window.tasks.find(t => t.id === taskId);  // Find the task object
+        startEditingTask(taskId, task);
+    } else if (button.classList.contains('delete-btn')) {
+        keepFocusInList(card, () => deleteTask(taskId));
+    } else if (button.classList.contains('save-btn')) {
+        saveEditedTask(taskId);
+    } else if (button.classList.contains('cancel-btn')) {
+        cancelEditing();
+    } else if (button.classList.contains('dismiss-error-btn')) {
+        delete taskErrors[taskId];
+        renderTasks();
+    } else if (button.classList.contains('item-move-btn')) {
+        moveChecklistItem(taskId, parseInt(button.dataset.itemId), button.dataset.direction === 'up' ? -1 : 1);
+    } else if (button.classList.contains('item-delete-btn')) {
+        deleteChecklistItem(taskId, parseInt(button.dataset.itemId));
+    } else if (button.classList.contains('edit-item-add-btn')) {
+        addChecklistEditorRow(card.querySelector('.edit-checklist'), null).querySelector('input').focus();
+    } else if (button.classList.contains('edit-item-remove-btn')) {
+        button.closest('.edit-item-row').remove();
+    }
 }
 
 
@@ -230,10 +1044,22 @@ function createTaskElement(task) {
      * Convert a task object into HTML that can be displayed on the page.
      * 
      * This function builds a task card with:
+     * - Checkbox to select it for batch actions
      * - Checkbox to mark complete/incomplete
      * - Task title and description
-     * - Creation date and due date
-     * - Edit and Delete buttons
+     * - Its priority, if it has one
+     * - Tags (colored chips)
+     * - Creation date and due date (highlighted when overdue or due soon)
+     * - Reminder time, if one is set
+     * - Checklist items with a progress count (e.g. "3/5")
+     * - How the task repeats, if it does
+     * - Who else is looking at or editing it (STEP 35)
+     * - Who it is assigned to, and its project (STEP 36)
+     * - Its History panel, if it is open (STEP 38)
+     * - History, Edit and Delete buttons
+     * 
+     * Tasks in a project the user can only view are read-only: their
+     * checkboxes are disabled and they have no Edit or Delete buttons.
      * 
      * Returns: HTML string representing the task
      */
@@ -241,44 +1067,156 @@ function createTaskElement(task) {
     // Determine if task is completed (add 'completed' class if it is)
     const isCompleted = task.completed ? 'completed' : '';
     
-    // Format due date for display (converts '2025-12-05' to '12/5/2025')
-    const dueDate = task.due_date ? new Date(task.due_date).toLocaleDateString() : '';
-    const dueDateHtml = dueDate ? `<span class="task-date">📅 ${dueDate}</span>` : '';
+    // Format due date for display (converts '2025-12-05' to '12/5/2025', in local time - see dates.js)
+    const dueDate = TaskDates.displayDay(task.due_date);
+    const dueState = getDueState(task);
+    const dueLabel = { overdue: ' · Overdue', 'due-soon': ' · Due soon' }[dueState] || '';
+    const dueDateHtml = dueDate ? `<span class="task-date ${dueState}">📅 ${dueDate}${dueLabel}</span>` : '';
+    
+    // Reminder time, e.g. "⏰ 10/20/2026, 9:00 AM" (hidden once the task is done)
+    const reminderHtml = task.remind_at && !task.completed
+        ? `<span class="task-reminder" title="Reminder">⏰ ${new Date(task.remind_at).toLocaleString([], { dateStyle: 'short', timeStyle: 'short' })}</span>`
+        : '';
+    
+    // Format creation date for display (the local day it was created on)
+    const createdDate = TaskDates.displayDay(TaskDates.dayOf(task.created_at));
+    
+    // Checklist progress, e.g. "☑ 3/5"
+    const items = task.items || [];
+    const doneCount = items.filter(item => item.done).length;
+    const progressHtml = items.length > 0
+        ? `<span class="task-progress" title="${doneCount} of ${items.length} checklist items done">☑ ${doneCount}/${items.length}</span>`
+        : '';
+    
+    // Repeating tasks, e.g. "🔁 Weekly on Mon, Thu"
+    const repeatHtml = task.recurrence
+        ? `<span class="task-repeat" title="A new copy is added when this one is completed">🔁 ${escapeHtml(describeRecurrence(task.recurrence))}</span>`
+        : '';
+    
+    // Priority, e.g. "❗ High"
+    const priorityHtml = PRIORITY_LABELS[task.priority]
+        ? `<span class="task-priority priority-${task.priority}" title="Priority">❗ ${PRIORITY_LABELS[task.priority]}</span>`
+        : '';
+    
+    // Tags as colored chips (clicking one shows every task with that tag)
+    const tags = task.tags || [];
+    const tagsHtml = tags.length > 0
+        ? `<span class="task-tags">${tags.map(tag => createTagChip(tag, 'button')).join('')}</span>`
+        : '';
     
-    // Format creation date for display
-    const createdDate = new Date(task.created_at).toLocaleDateString();
+    // Ticked for batch actions?
+    const isSelected = selectedTaskIds.has(task.id);
     
-    // Return HTML string (backticks allow multi-line strings and ${} for variables)
+    // Show a badge while this task has changes waiting in the offline outbox
+    const isPending = TaskStore.isPending(task.id);
+    const pendingHtml = isPending ? '<span class="sync-badge" title="Saved on this device, waiting to sync">⏳ Pending sync</span>' : '';
+    
+    // Other people on this task, e.g. "👀 Sam" or "✏️ Sam editing"
+    const presenceHtml = createPresenceBadges(task.id);
+    
+    // Who it's assigned to (their initials in a colored circle), and which project it is in
+    const assigneeHtml = createAssigneeAvatar(task);
+    const projectHtml = createProjectChip(task);
+    
+    // Viewers can look but not change anything
+    const readOnly = !canEditTask(task);
+    const actionsHtml = createHistoryButton(task) + (readOnly
+        ? '<span class="read-only-badge" title="You can view this project but not change it">👁 View only</span>'
+        : `<button class="task-btn edit-btn" type="button" data-task-id="${task.id}" aria-label="Edit ${escapeHtml(task.title)}">Edit</button>
+                <button class="task-btn delete-btn" type="button" data-task-id="${task.id}" aria-label="Delete ${escapeHtml(task.title)}">Delete</button>`);
+    
+    // Show why the server refused the last change (the card has already been rolled back)
+    const errorHtml = taskErrors[task.id] ? `
+                <div class="task-error" role="alert">
+                    ⚠️ ${escapeHtml(taskErrors[task.id])}
+                    <button class="dismiss-error-btn" data-task-id="${task.id}" aria-label="Dismiss">✕</button>
+                </div>` : '';
+    
+    // Return HTML string (backticks allow multi-line strings and ${} for variables).
+    // Screen readers call the card by its title, and each checkbox and button
+    // says which task it is for (STEP 39).
     return `
-        <div class="task-item ${isCompleted}" id="task-${task.id}">
+        <div class="task-item ${isCompleted} ${dueState} ${isSelected ? 'selected' : ''} ${isPending ? 'pending-sync' : ''} ${readOnly ? 'read-only' : ''}" id="task-${task.id}" data-task-id="${task.id}"
+             role="article" aria-labelledby="task-title-${task.id}" tabindex="0" draggable="${canDragCards() && !readOnly}">
+            <!-- Checkbox to select the task (shift-click selects a range) -->
+            <input 
+                type="checkbox" 
+                class="select-checkbox" 
+                data-task-id="${task.id}"
+                aria-label="Select ${escapeHtml(task.title)}"
+                title="Select (shift-click to select a range)"
+                ${isSelected ? 'checked' : ''}
+                ${readOnly ? 'disabled' : ''}
+            >
+            
             <!-- Checkbox to toggle completion -->
             <input 
                 type="checkbox" 
                 class="task-checkbox" 
                 data-task-id="${task.id}"
+                aria-label="Mark ${escapeHtml(task.title)} as done"
                 ${task.completed ? 'checked' : ''}
+                ${readOnly ? 'disabled' : ''}
             >
             
             <!-- Task content (title, description, dates) -->
             <div class="task-content">
-                <div class="task-title">${escapeHtml(task.title)}</div>
-                ${task.description ? `<div class="task-description">${escapeHtml(task.description)}</div>` : ''}
+                <div class="task-title" id="task-title-${task.id}">${highlightMatches(task.title, 'title')}</div>
+                ${task.description ? `<div class="task-description">${highlightMatches(task.description, 'description')}</div>` : ''}
                 <div class="task-meta">
+                    ${assigneeHtml}
+                    ${projectHtml}
+                    ${priorityHtml}
                     <span class="task-date">📆 ${createdDate}</span>
                     ${dueDateHtml}
+                    ${reminderHtml}
+                    ${repeatHtml}
+                    ${tagsHtml}
+                    ${progressHtml}
+                    ${pendingHtml}
+                    ${presenceHtml}
                 </div>
+                ${createChecklistHtml(task, readOnly)}
+                ${errorHtml}
+                ${createHistoryHtml(task)}
             </div>
             
-            <!-- Edit and Delete buttons -->
+            <!-- History, Edit and Delete buttons (or "View only") -->
             <div class="task-actions">
-                <button class="task-btn edit-btn" data-task-id="${task.id}">Edit</button>
-                <button class="task-btn delete-btn" data-task-id="${task.id}">Delete</button>
+                ${actionsHtml}
             </div>
         </div>
     `;
 }
 
 
+function createChecklistHtml(task, readOnly = false) {
+    /**
+     * HTML for the checklist inside a card: one row per item (checkbox,
+     * title, move up/down and delete buttons), then a box to add an item.
+     * Read-only cards only show the items, with disabled checkboxes.
+     */
+    const items = task.items || [];
+    const rows = items.map((item, index) => `
+        <li class="checklist-item ${item.done ? 'done' : ''}">
+            <input type="checkbox" class="item-checkbox" data-item-id="${item.id}"
+                   aria-label="${escapeHtml(item.title)}" ${item.done ? 'checked' : ''} ${readOnly ? 'disabled' : ''}>
+            <span class="item-title">${escapeHtml(item.title)}</span>
+            ${readOnly ? '' : `<button class="item-move-btn" type="button" data-item-id="${item.id}" data-direction="up"
+                    aria-label="Move ${escapeHtml(item.title)} up" ${index === 0 ? 'disabled' : ''}>↑</button>
+            <button class="item-move-btn" type="button" data-item-id="${item.id}" data-direction="down"
+                    aria-label="Move ${escapeHtml(item.title)} down" ${index === items.length - 1 ? 'disabled' : ''}>↓</button>
+            <button class="item-delete-btn" type="button" data-item-id="${item.id}" aria-label="Delete ${escapeHtml(item.title)}">✕</button>`}
+        </li>
+    `).join('');
+    
+    return `
+        ${items.length > 0 ? `<ul class="checklist">${rows}</ul>` : ''}
+        ${readOnly ? '' : `<input type="text" class="item-add-input" placeholder="+ Add checklist item" aria-label="Add a checklist item to ${escapeHtml(task.title)}">`}
+    `;
+}
+
+
 // ============================================================================
 // STEP 9: ESCAPE HTML (Security)
 // ============================================================================
@@ -305,22 +1243,53 @@ function escapeHtml(text) {
 }
 
 
-// ============================================================================
-// STEP 10: ADD NEW TASK
-// ============================================================================
-
-async function handleAddTask(e) {
+function highlightMatches(text, field) {
     /**
-     * Handle form submission when user clicks "Add Task".
+     * Escape text for HTML and wrap the parts that match the current search
+     * in <mark> tags. field is 'title' or 'description' (a search like
+     * "title:report" only highlights titles).
+     */
+    const words = currentQuery ? currentQuery.highlights[field] : [];
+    if (words.length === 0) {
+        return escapeHtml(text);
+    }
+    
+    // Build one pattern matching any of the words (special characters escaped)
+    const pattern = new RegExp(
+        words.map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|'),
+        'gi'
+    );
+    
+    let html = '';
+    let lastIndex = 0;
+    for (const match of text.matchAll(pattern)) {
+        html += escapeHtml(text.slice(lastIndex, match.index));
+        html += `<mark>${escapeHtml(match[0])}</mark>`;
+        lastIndex = match.index + match[0].length;
+    }
+    return html + escapeHtml(text.slice(lastIndex));
+}
+
+
+// ============================================================================
+// STEP 10: ADD NEW TASK
+// ============================================================================
+
+function handleAddTask(e) {
+    /**
+     * Handle form submission when user clicks "Add Task".
      * 
      * What this does:
      * 1. Prevents default form submission (page reload)
      * 2. Gets values from input fields
-     * 3. Validates that title is not empty
-     * 4. Sends POST request to /api/tasks with task data
-     * 5. If successful, adds new task to window.tasks
+     * 3. Validates that title is not empty (and the "Repeat" fields)
+     * 4. Adds the new task to window.tasks with a temporary ID (addTask)
+     * 5. Queues a "create" in the outbox (sent as POST /api/tasks)
      * 6. Re-renders tasks on page
      * 7. Clears the form inputs
+     * 
+     * The server's real ID replaces the temporary one once the POST succeeds
+     * (see onSynced in STEP 16).
      */
     
     // Prevent page from reloading on form submit
@@ -330,49 +1299,104 @@ async function handleAddTask(e) {
     const title = taskTitle.value.trim();
     const description = taskDescription.value.trim();
     const dueDate = taskDueDate.value;
+    clearFieldErrors(taskForm);
     
-    // Make sure title is not empty
+    // Make sure title is not empty (the message goes under the field, see STEP 37)
     if (!title) {
-        alert('Please enter a task title');
+        showFieldError(taskTitle, 'Please enter a task title');
+        taskTitle.focus();
         return;
     }
     
+    // Read the "Repeat" fields (e.g. weekly with no day picked is an error)
+    let recurrence;
     try {
-        console.log('Sending task to server...', { title, description, dueDate });
-        
-        // Send POST request to /api/tasks with task data
-        const response = await fetch('/api/tasks', {
-            method: 'POST',  // HTTP method (POST = create new)
-            headers: {
-                'Content-Type': 'application/json',  // Tell server we're sending JSON
-            },
-            body: JSON.stringify({  // Convert data to JSON string
-                title,
-                description,
-                due_date: dueDate
-            })
-        });
-        
-        // Check if request was successful (status 201 = Created)
-        if (response.ok) {
-            // Get the newly created task from response
-            const newTask = await response.json();
-            
-            // Add new task to beginning of array
-            window.tasks = [newTask, ...(window.tasks || [])];
-            
-            console.log('Task added successfully!', newTask);
-            
-            // Re-render tasks on page (will show new task)
-            renderTasks();
-            
-            // Clear all form inputs
-            taskForm.reset();
-        }
+        recurrence = readRecurrenceFields(taskRecurrence);
     } catch (error) {
-        console.error('Error adding task:', error);
-        alert('Failed to add task. Please try again.');
+        showFieldError(taskRecurrence, error.message);
+        return;
+    }
+    
+    const tags = readTagInput(taskTags);
+    const newTask = addTask({ title, description, due_date: dueDate, recurrence, tags });
+    recordChange(`Added "${title}"`,
+        () => deleteTask(newTask.id, { fromHistory: true }),
+        () => restoreTask(newTask, 0));
+    
+    // Re-render tasks on page (will show new task)
+    renderTasks();
+    
+    // Clear all form inputs (and any error from an earlier refused task)
+    taskForm.reset();
+    updateRecurrenceFields(taskRecurrence, '');
+    taskTags.innerHTML = createTagInput([]);
+    formError.hidden = true;
+}
+
+function createBody(task) {
+    /**
+     * The body of the POST /api/tasks that creates a task kept on this
+     * device: every field the server stores from a create. Tags and
+     * checklist items are queued on their own after it.
+     * Used by addTask and by restoreTask for a task the server never saw.
+     */
+    return {
+        title: task.title,
+        description: task.description,
+        due_date: task.due_date || null,
+        recurrence: task.recurrence || null,
+        auto_complete: Boolean(task.auto_complete),
+        priority: task.priority || null,
+        remind_at: task.remind_at || null,
+        project_id: task.project_id || null,
+        assignee_id: task.assignee_id || null
+    };
+}
+
+function addTask({ title, description, due_date, recurrence, auto_complete, priority, remind_at, tags = [], project_id, assignee_id }) {
+    /**
+     * Put a new task on top of the list and queue its "create" (and its
+     * tags, if it has any - see STEP 30).
+     * Used by the add form, quick add, imports and for the next copy of a
+     * repeating task.
+     * 
+     * Without a project_id it goes into the project picked in the add form
+     * (see defaultProjectId in STEP 36).
+     * 
+     * Returns the new task (its id is temporary until the server answers).
+     */
+    
+    // Build the task locally; the server will send back the real one later
+    const newTask = {
+        id: TaskStore.nextTempId(),
+        title,
+        description,
+        due_date: due_date || null,
+        recurrence: recurrence || null,
+        auto_complete: Boolean(auto_complete),
+        priority: priority || null,
+        remind_at: remind_at || null,
+        project_id: project_id || defaultProjectId(),
+        assignee_id: assignee_id || null,
+        completed: false,
+        status: 'pending',
+        created_at: new Date().toISOString(),
+        items: [],
+        tags: toTagObjects(tags)
+    };
+    
+    // Add new task to beginning of array and save it on this device
+    window.tasks = [newTask, ...(window.tasks || [])];
+    TaskStore.saveTasks(window.tasks);
+    
+    TaskLog.debug('Queueing new task...', newTask);
+    
+    // Queue the POST (sent right away if we're online)
+    TaskStore.queue({ type: 'create', taskId: newTask.id, body: createBody(newTask) });
+    if (tags.length > 0) {
+        TaskStore.queue({ type: 'task-tags', taskId: newTask.id, previous: newTask, body: { tags } });
     }
+    return newTask;
 }
 
 
@@ -381,43 +1405,58 @@ async function handleAddTask(e) {
 // STEP 11: TOGGLE TASK COMPLETION
 // ============================================================================
 
-async function toggleTask(taskId) {
+function toggleTask(taskId, { fromHistory = false } = {}) {
     /**
      * Toggle a task's completion status (checked <-> unchecked).
      * 
      * What this does:
-     * 1. Sends PATCH request to /api/tasks/{taskId}/toggle
-     * 2. Receives updated task from server
-     * 3. Updates task in window.tasks array
-     * 4. Re-renders tasks on page
+     * 1. Flips "completed" on the task in window.tasks (right away - no waiting),
+     *    which also moves it to the board's Done column or back to To Do
+     * 2. Queues a "toggle" in the outbox (sent as PATCH /api/tasks/{taskId}/toggle)
+     * 3. Completing a repeating task adds its next copy (STEP 24)
+     * 4. Records it for undo (unless this call *is* an undo/redo - fromHistory)
+     * 5. Re-renders its card (see renderTaskChange), or the whole list when
+     *    a next copy was added
+     * 
+     * If the server refuses, rollbackChange() (STEP 17) puts the old state back.
      * 
      * Note: PATCH is used for partial updates (only changing one field)
      */
-    try {
-        console.log(`Toggling task ${taskId}...`);
-        
-        // Send PATCH request to toggle endpoint
-        const response = await fetch(`/api/tasks/${taskId}/toggle`, {
-            method: 'PATCH',  // PATCH = partial update
-            headers: {
-                'Content-Type': 'application/json',
-            }
-        });
-        
-        // If successful, update local data
-        if (response.ok) {
-            const updatedTask = await response.json();
-            
-            // Find the task in our array and update it
-            const taskIndex = window.tasks.findIndex(t => t.id === taskId);
-            if (taskIndex > -1) {
-                window.tasks[taskIndex] = updatedTask;
-                renderTasks();
-            }
-        }
-    } catch (error) {
-        console.error('Error toggling task:', error);
-        alert('Failed to toggle task');
+    taskId = TaskStore.resolveId(taskId);
+    
+    // Find the task in our array and update it
+    const taskIndex = window.tasks.findIndex(t => t.id === taskId);
+    if (taskIndex === -1 || !canEditTask(window.tasks[taskIndex])) {
+        return;
+    }
+    const previous = window.tasks[taskIndex];
+    const toggled = { ...previous, completed: !previous.completed, status: previous.completed ? 'pending' : 'completed' };
+    window.tasks[taskIndex] = toggled;
+    delete taskErrors[taskId];
+    TaskStore.saveTask(toggled);
+    
+    TaskLog.debug(`Toggling task ${taskId}...`);
+    TaskStore.queue({ type: 'toggle', taskId, version: previous.version, previous });
+    
+    let nextTask = null;
+    if (!fromHistory) {
+        // Undoing the completion of a repeating task also takes back its next copy
+        nextTask = !previous.completed && previous.recurrence ? addNextOccurrence(previous) : null;
+        recordChange(`${previous.completed ? 'Reopened' : 'Completed'} "${previous.title}"`,
+            () => {
+                toggleTask(taskId, { fromHistory: true });
+                if (nextTask) deleteTask(nextTask.id, { fromHistory: true });
+            },
+            () => {
+                toggleTask(taskId, { fromHistory: true });
+                if (nextTask) restoreTask(nextTask, 0);
+            });
+    }
+    
+    if (nextTask) {
+        renderTasks();
+    } else {
+        renderTaskChange(previous, toggled);
     }
 }
 
@@ -426,44 +1465,89 @@ async function toggleTask(taskId) {
 // STEP 12: DELETE TASK
 // ============================================================================
 
-async function deleteTask(taskId) {
+function deleteTask(taskId, { fromHistory = false } = {}) {
     /**
-     * Delete a task from the database.
+     * Move a task to the Trash.
      * 
      * What this does:
-     * 1. Asks user for confirmation (prevent accidental deletion)
-     * 2. Sends DELETE request to /api/tasks/{taskId}
-     * 3. Removes task from window.tasks array
+     * 1. Removes task from window.tasks array (and adds it to the Trash)
+     * 2. Queues a "delete" in the outbox (sent as DELETE /api/tasks/{taskId};
+     *    the server keeps it in the Trash until the Trash is emptied)
+     * 3. Records it for undo, so there's no "Are you sure?" any more -
+     *    the toast's Undo button (or the Trash) brings it back
      * 4. Re-renders tasks on page
      */
+    taskId = TaskStore.resolveId(taskId);
     
-    // Ask user to confirm before deleting
-    if (!confirm('Are you sure you want to delete this task? This cannot be undone.')) {
-        return;  // If user clicks Cancel, stop here
+    // Remember where the task was, in case the server refuses and we have to put it back
+    const position = window.tasks.findIndex(t => t.id === taskId);
+    const previous = window.tasks[position];
+    if (!previous || !canEditTask(previous)) {
+        return;
     }
     
-    try {
-        console.log(`Deleting task ${taskId}...`);
-        
-        // Send DELETE request to remove task from database
-        const response = await fetch(`/api/tasks/${taskId}`, {
-            method: 'DELETE'  // DELETE = remove
-        });
-        
-        // If successful, remove from local array
-        if (response.ok) {
-            // Keep only tasks that don't match the deleted taskId
-            window.tasks = window.tasks.filter(t => t.id !== taskId);
-            
-            console.log('Task deleted successfully!');
-            
-            // Re-render tasks on page
-            renderTasks();
+    // Keep only tasks that don't match the deleted taskId
+    window.tasks = window.tasks.filter(t => t.id !== taskId);
+    delete taskErrors[taskId];
+    moveToTrash([previous]);
+    TaskStore.saveTasks(window.tasks);
+    
+    TaskLog.debug(`Deleting task ${taskId}...`);
+    TaskStore.queue({ type: 'delete', taskId, previous, position });
+    
+    if (!fromHistory) {
+        recordChange(`Deleted "${previous.title}"`,
+            () => restoreTask(previous, position),
+            () => deleteTask(taskId, { fromHistory: true }));
+    }
+    
+    // Re-render tasks on page
+    renderTasks();
+}
+
+function restoreTask(task, position) {
+    /**
+     * Take a task out of the Trash and put it back at position in the list
+     * (undo of a delete, or the Restore button in the Trash view).
+     * 
+     * Queues a "restore" (sent as POST /api/tasks/{taskId}/restore). A task
+     * the server never heard of had its queued changes dropped when it was
+     * deleted (see TaskStore.queue), so it is queued as a new task again,
+     * with the same temporary ID, followed by its tags and checklist. One
+     * whose create was already on its way is restored like any other.
+     */
+    const taskId = TaskStore.resolveId(task.id);
+    if (window.tasks.some(t => t.id === taskId)) {
+        return;
+    }
+    
+    // Prefer the Trash's copy: it may be newer than the one undo remembered
+    const trashed = trashedTasks.find(t => t.id === taskId) || task;
+    const { deleted_at, ...restored } = { ...trashed, id: taskId };
+    trashedTasks = trashedTasks.filter(t => t.id !== taskId);
+    window.tasks.splice(Math.min(position, window.tasks.length), 0, restored);
+    delete taskErrors[taskId];
+    TaskStore.saveTasks(window.tasks);
+    
+    TaskLog.debug(`Restoring task ${taskId}...`);
+    if (!TaskStore.isTempId(taskId) || TaskStore.hasQueuedCreate(taskId)) {
+        TaskStore.queue({ type: 'restore', taskId });
+    } else {
+        TaskStore.queue({ type: 'create', taskId, body: createBody(restored) });
+        if ((restored.tags || []).length > 0) {
+            TaskStore.queue({ type: 'task-tags', taskId, previous: restored, body: { tags: restored.tags.map(tagNameOf) } });
         }
-    } catch (error) {
-        console.error('Error deleting task:', error);
-        alert('Failed to delete task');
+        if (restored.completed) {
+            TaskStore.queue({ type: 'toggle', taskId, previous: { ...restored, completed: false } });
+        }
+        (restored.items || []).forEach(item => {
+            TaskStore.queue({ type: 'item-create', taskId, itemId: item.id, previous: restored, body: { title: item.title } });
+            if (item.done) {
+                TaskStore.queue({ type: 'item-update', taskId, itemId: item.id, previous: restored, body: { done: true } });
+            }
+        });
     }
+    renderTasks();
 }
 
 
@@ -471,16 +1555,25 @@ async function deleteTask(taskId) {
 // STEP 13: EDIT TASK - START EDITING
 // ============================================================================
 
-function startEditingTask(taskId, task) {
+function startEditingTask(taskId, task, { focus = true } = {}) {
     /**
      * Enter "edit mode" for a task.
      * 
      * What this does:
      * 1. Closes any other task being edited
      * 2. Replaces task display with edit input fields
-     * 3. Sets up Save and Cancel buttons
-     * 4. Shows old task values in the input fields
+     * 3. Shows old task values (tags, checklist items, how it repeats,
+     *    the reminder time) in the input fields
+     * 4. Puts the cursor in the title (unless focus is false), so keyboard
+     *    and screen reader users land in the form they just opened
+     * 
+     * Save and Cancel clicks are handled by handleTaskListClick (STEP 7),
+     * Enter and Escape by handleEditFormKeydown (STEP 39).
+     * Read-only tasks (STEP 36) can't be edited.
      */
+    if (!task || !canEditTask(task)) {
+        return;
+    }
     
     // If another task is being edited, cancel it first
     if (editingTaskId !== null && editingTaskId !== taskId) {
@@ -493,18 +1586,23 @@ function startEditingTask(taskId, task) {
     // Get the task element from HTML
     const taskElement = document.getElementById(`task-${taskId}`);
     
+    // The card no longer matches createTaskElement(), so it must be rebuilt after editing
+    renderedCards.get(taskId).html = null;
+    
     // Add 'edit-mode' class to change styling
     taskElement.classList.add('edit-mode');
     
     // Replace task content with edit form
     taskElement.innerHTML = `
-        <div class="task-content" style="width: 100%;">
+        <div class="task-content" style="width: 100%;" role="group" aria-label="Edit ${escapeHtml(task.title)}"
+             aria-describedby="edit-keys-${taskId}">
             <!-- Edit title input -->
             <input 
                 type="text" 
                 class="edit-input" 
                 id="edit-title-${taskId}" 
                 value="${escapeHtml(task.title)}"
+                aria-label="Title"
             >
             
             <!-- Edit description input -->
@@ -514,6 +1612,7 @@ function startEditingTask(taskId, task) {
                 id="edit-description-${taskId}" 
                 value="${escapeHtml(task.description || '')}"
                 placeholder="Description (optional)"
+                aria-label="Description"
             >
             
             <!-- Edit due date input -->
@@ -522,24 +1621,99 @@ function startEditingTask(taskId, task) {
                 class="edit-input" 
                 id="edit-due-date-${taskId}" 
                 value="${task.due_date || ''}"
+                aria-label="Due date"
             >
             
+            <!-- Project, and who it's assigned to (one of the project's members) -->
+            <label class="edit-project">
+                📁 Project
+                <select class="edit-input edit-project-select" id="edit-project-${taskId}">
+                    ${createProjectOptions(task.project_id)}
+                </select>
+            </label>
+            <label class="edit-assignee">
+                👤 Assigned to
+                <select class="edit-input" id="edit-assignee-${taskId}">
+                    ${createAssigneeOptions(task.project_id, task.assignee_id)}
+                </select>
+            </label>
+            
+            <!-- Priority -->
+            <label class="edit-priority">
+                ❗ Priority
+                <select class="edit-input" id="edit-priority-${taskId}">
+                    <option value="">None</option>
+                    ${Object.entries(PRIORITY_LABELS).map(([value, label]) =>
+                        `<option value="${value}" ${task.priority === value ? 'selected' : ''}>${label}</option>`).join('')}
+                </select>
+            </label>
+            
+            <!-- Reminder (a notification at this time) -->
+            <label class="edit-reminder">
+                ⏰ Remind me
+                <input 
+                    type="datetime-local" 
+                    class="edit-input" 
+                    id="edit-remind-at-${taskId}" 
+                    value="${toLocalInputValue(task.remind_at)}"
+                >
+            </label>
+            
+            <!-- Tags -->
+            <div id="edit-tags-${taskId}">
+                ${createTagInput(task.tags || [])}
+            </div>
+            
+            <!-- How the task repeats -->
+            <div class="recurrence-fields" id="edit-recurrence-${taskId}">
+                ${createRecurrenceFields(task.recurrence)}
+            </div>
+            
+            <!-- Checklist: rename, remove or add items -->
+            <div class="edit-checklist" id="edit-checklist-${taskId}"></div>
+            <button class="edit-item-add-btn" type="button">+ Add checklist item</button>
+            <label class="edit-auto-complete">
+                <input type="checkbox" id="edit-auto-complete-${taskId}" ${task.auto_complete ? 'checked' : ''}>
+                Complete this task when all checklist items are done
+            </label>
+            
             <!-- Save and Cancel buttons -->
             <div class="edit-actions">
-                <button class="save-btn">Save</button>
+                <button class="save-btn" type="button">Save</button>
                 <button class="cancel-btn" type="button">Cancel</button>
+                <span class="edit-keys" id="edit-keys-${taskId}">Enter saves, Escape cancels</span>
             </div>
         </div>
     `;
     
-    // Add click handlers to Save and Cancel buttons
-    document.querySelector(`#task-${taskId} .save-btn`).addEventListener('click', () => {
-        saveEditedTask(taskId);
-    });
+    const checklistEditor = document.getElementById(`edit-checklist-${taskId}`);
+    (task.items || []).forEach(item => addChecklistEditorRow(checklistEditor, item));
     
-    document.querySelector(`#task-${taskId} .cancel-btn`).addEventListener('click', () => {
-        cancelEditing();
-    });
+    if (focus) {
+        document.getElementById(`edit-title-${taskId}`).focus();
+    }
+    
+    // Let the others see that this task is being edited
+    reportPresence();
+}
+
+function addChecklistEditorRow(checklistEditor, item) {
+    /**
+     * Add one row to the checklist editor: a text box and a remove button.
+     * item is null for a new, empty row (it has no data-item-id).
+     */
+    const row = document.createElement('div');
+    row.className = 'edit-item-row';
+    if (item) {
+        row.dataset.itemId = item.id;
+    }
+    row.innerHTML = `
+        <input type="text" class="edit-input edit-item-input" placeholder="Checklist item"
+               aria-label="Checklist item" value="${item ? escapeHtml(item.title) : ''}">
+        <button class="edit-item-remove-btn" type="button" aria-label="Remove item">✕</button>
+    `;
+    checklistEditor.appendChild(row);
+    return row;
 }
 
 
@@ -548,65 +1722,162 @@ function startEditingTask(taskId, task) {
 // STEP 14: EDIT TASK - SAVE EDITED TASK
 // ============================================================================
 
-async function saveEditedTask(taskId) {
+function saveEditedTask(taskId) {
     /**
      * Save the edited task to the database.
      * 
      * What this does:
      * 1. Gets new values from the edit input fields
      * 2. Validates that title is not empty
-     * 3. Sends PUT request to /api/tasks/{taskId} with updated data
-     * 4. Updates task in window.tasks
+     * 3. Updates task in window.tasks (right away - no waiting)
+     * 4. Queues an "update" in the outbox (sent as PUT /api/tasks/{taskId}),
+     *    plus one queued change per checklist item added, renamed or removed,
+     *    and one for the tags if they changed
      * 5. Re-renders tasks (exits edit mode)
+     * 
+     * The update carries the task's version. If someone else saved the task
+     * first, the server answers 409 and the merge dialog (STEP 18) opens.
      */
     
     // Get new values from edit inputs
     const title = document.getElementById(`edit-title-${taskId}`).value.trim();
     const description = document.getElementById(`edit-description-${taskId}`).value.trim();
     const dueDate = document.getElementById(`edit-due-date-${taskId}`).value;
+    const autoComplete = document.getElementById(`edit-auto-complete-${taskId}`).checked;
+    const priority = document.getElementById(`edit-priority-${taskId}`).value || null;
+    const remindInput = document.getElementById(`edit-remind-at-${taskId}`).value;
+    const remindAt = remindInput ? new Date(remindInput).toISOString() : null;  // Stored in UTC
+    const tags = readTagInput(document.getElementById(`edit-tags-${taskId}`));
+    const projectId = parseInt(document.getElementById(`edit-project-${taskId}`).value) || null;
+    const assigneeId = parseInt(document.getElementById(`edit-assignee-${taskId}`).value) || null;
     
-    // Validate that title is not empty
+    // Checklist rows, in order (rows left empty count as removed)
+    const itemRows = [...document.querySelectorAll(`#edit-checklist-${taskId} .edit-item-row`)]
+        .map(row => ({
+            id: row.dataset.itemId ? TaskStore.resolveItemId(parseInt(row.dataset.itemId)) : null,
+            title: row.querySelector('.edit-item-input').value.trim()
+        }))
+        .filter(row => row.title);
+    
+    // Validate that title is not empty (messages go under the fields, see STEP 37)
+    const fields = editFormFields(taskId);
+    clearFieldErrors(document.getElementById(`task-${taskId}`));
     if (!title) {
-        alert('Task title cannot be empty');
+        showFieldError(fields.title, 'Task title cannot be empty');
+        fields.title.focus();
         return;
     }
     
+    let recurrence;
     try {
-        console.log(`Saving task ${taskId}...`);
-        
-        // Send PUT request with updated task data
-        const response = await fetch(`/api/tasks/${taskId}`, {
-            method: 'PUT',  // PUT = replace/update entire resource
-            headers: {
-                'Content-Type': 'application/json',
-            },
-            body: JSON.stringify({
-                title,
-                description,
-                due_date: dueDate
-            })
+        recurrence = readRecurrenceFields(fields.recurrence);
+    } catch (error) {
+        showFieldError(fields.recurrence, error.message);
+        return;
+    }
+    
+    // The task may have received its server ID while the form was open
+    taskId = TaskStore.resolveId(taskId);
+    
+    // Find and update task in array
+    const taskIndex = window.tasks.findIndex(t => t.id === taskId);
+    if (taskIndex === -1) {
+        return;
+    }
+    const previous = window.tasks[taskIndex];
+    const before = pickEditFields(previous);
+    const { items, itemOps } = diffChecklist(taskId, previous.items || [], itemRows, previous);
+    window.tasks[taskIndex] = { ...previous, title, description, due_date: dueDate || null, remind_at: remindAt, recurrence, auto_complete: autoComplete, priority, project_id: projectId, assignee_id: assigneeId, items };
+    delete taskErrors[taskId];
+    TaskStore.saveTask(window.tasks[taskIndex]);
+    
+    TaskLog.debug(`Saving task ${taskId}...`);
+    TaskStore.queue({
+        type: 'update',
+        taskId,
+        version: previous.version,  // Lets the server notice if someone else saved in the meantime
+        previous,
+        body: { title, description, due_date: dueDate, remind_at: remindAt, recurrence, auto_complete: autoComplete, priority, project_id: projectId, assignee_id: assigneeId }
+    });
+    itemOps.forEach(op => TaskStore.queue(op));
+    
+    // Tags are saved on their own (PUT /api/tasks/{taskId}/tags), and only if they changed
+    const tagsBefore = (previous.tags || []).map(tagNameOf);
+    const tagsChanged = tagsBefore.join(',').toLowerCase() !== tags.join(',').toLowerCase();
+    if (tagsChanged) {
+        setTaskTags(taskId, tags, { render: false });
+    }
+    
+    // Undo puts the fields back (checklist changes are left as they are)
+    const after = pickEditFields(window.tasks[taskIndex]);
+    recordChange(`Edited "${title}"`,
+        () => {
+            updateTaskFields(taskId, before);
+            if (tagsChanged) setTaskTags(taskId, tagsBefore);
+        },
+        () => {
+            updateTaskFields(taskId, after);
+            if (tagsChanged) setTaskTags(taskId, tags);
         });
-        
-        // If successful, update local data
-        if (response.ok) {
-            const updatedTask = await response.json();
-            
-            // Find and update task in array
-            const taskIndex = window.tasks.findIndex(t => t.id === taskId);
-            if (taskIndex > -1) {
-                window.tasks[taskIndex] = updatedTask;
-                
-                console.log('Task saved successfully!', updatedTask);
-                
-                // Exit edit mode and re-render
-                editingTaskId = null;
-                renderTasks();
-            }
+    
+    // A new reminder time: forget any snooze, and ask for permission to notify
+    if (remindAt !== (previous.remind_at || null)) {
+        forgetReminder(taskId);
+        if (remindAt) {
+            requestNotificationPermission();
         }
-    } catch (error) {
-        console.error('Error saving task:', error);
-        alert('Failed to save task');
     }
+    
+    // Exit edit mode and re-render. Changes others made while the form was
+    // open are dropped now that ours are queued: the server compares versions
+    // and opens the merge dialog if they clash.
+    const hadFocus = editFormHasFocus();
+    editingTaskId = null;
+    applyDeferredTaskEvents();
+    reportPresence();
+    renderTasks();
+    if (hadFocus) {
+        focusCard(taskId);
+    }
+}
+
+function pickEditFields(task) {
+    // The fields saveEditedTask() changes, apart from the checklist
+    return {
+        title: task.title,
+        description: task.description,
+        due_date: task.due_date || null,
+        remind_at: task.remind_at || null,
+        recurrence: task.recurrence || null,
+        auto_complete: Boolean(task.auto_complete),
+        priority: task.priority || null,
+        project_id: task.project_id || null,
+        assignee_id: task.assignee_id || null
+    };
+}
+
+function updateTaskFields(taskId, fields) {
+    /**
+     * Set some of a task's fields (see pickEditFields) and queue the "update".
+     * Used by undo / redo of an edit or a batch reschedule.
+     */
+    taskId = TaskStore.resolveId(taskId);
+    const taskIndex = window.tasks.findIndex(t => t.id === taskId);
+    if (taskIndex === -1 || !canEditTask(window.tasks[taskIndex])) {
+        return;
+    }
+    const previous = window.tasks[taskIndex];
+    window.tasks[taskIndex] = { ...previous, ...fields };
+    delete taskErrors[taskId];
+    TaskStore.saveTask(window.tasks[taskIndex]);
+    
+    // The update always sends every field, even if only some were given
+    const body = pickEditFields(window.tasks[taskIndex]);
+    TaskStore.queue({ type: 'update', taskId, version: previous.version, previous, body });
+    if (body.remind_at !== (previous.remind_at || null)) {
+        forgetReminder(taskId);
+    }
+    renderTasks();
 }
 
 
@@ -620,14 +1891,4516 @@ function cancelEditing() {
      * 
      * What this does:
      * 1. Clears editingTaskId
-     * 2. Re-renders tasks to show normal view again
+     * 2. Applies changes others made while the form was open (STEP 35)
+     * 3. Re-renders tasks to show normal view again
+     * 4. Moves focus back to the card, if it was in the form
      * 
      * This discards any changes made in edit mode.
      */
     if (editingTaskId !== null) {
-        console.log('Canceling edit mode');
+        TaskLog.debug('Canceling edit mode');
+        const taskId = TaskStore.resolveId(editingTaskId);
+        const hadFocus = editFormHasFocus();
         editingTaskId = null;
+        applyDeferredTaskEvents();
+        reportPresence();
         renderTasks();
+        if (hadFocus) {
+            focusCard(taskId);
+        }
+    }
+}
+
+
+// ============================================================================
+// STEP 16: OFFLINE SYNC CALLBACKS
+// ============================================================================
+// TaskStore (store.js) calls these while it replays the outbox
+
+const syncHooks = {
+    onSynced(op, serverTask) {
+        /**
+         * The server accepted a queued change.
+         * 
+         * For creates and updates, swap our local copy for the server's copy
+         * (it has the real ID and created_at) - unless more changes for the
+         * same task are still queued, in which case our copy is newer.
+         * 
+         * Checklist item changes are handled by checklistItemSynced (STEP 22),
+         * batch changes by batchSynced (STEP 26), project manager changes by
+         * projectSynced (STEP 36). Tag manager changes were already made
+         * locally, so there is nothing left to do for those.
+         * 
+         * Open History panels of the changed tasks are reloaded (STEP 38).
+         */
+        historySynced(op, serverTask);
+        if (op.type.startsWith('item-')) {
+            checklistItemSynced(op, serverTask);
+            return;
+        }
+        if (op.type === 'batch') {
+            batchSynced(serverTask);
+            return;
+        }
+        if (isProjectOperation(op)) {
+            projectSynced(op, serverTask);
+            return;
+        }
+        if (!serverTask || op.type === 'reorder' || op.type === 'empty-trash' || op.type.startsWith('tag-')) {
+            return;
+        }
+        if (op.type === 'task-tags') {
+            rememberTags(serverTask.tags);
+        }
+        
+        const localId = op.type === 'create' ? op.taskId : serverTask.id;
+        const taskIndex = window.tasks.findIndex(t => t.id === localId);
+        if (taskIndex === -1) {
+            return;
+        }
+        
+        const localTask = window.tasks[taskIndex];
+        if (TaskStore.isPending(serverTask.id)) {
+            // Keep the local edits, but remember the real ID
+            window.tasks[taskIndex] = { ...window.tasks[taskIndex], id: serverTask.id };
+        } else {
+            // Older servers don't send checklist items with the task; keep ours
+            window.tasks[taskIndex] = { ...serverTask, items: serverTask.items || window.tasks[taskIndex].items };
+        }
+        
+        if (editingTaskId === localId) {
+            editingTaskId = serverTask.id;
+        }
+        if (selectedTaskIds.delete(localId)) {
+            selectedTaskIds.add(serverTask.id);
+        }
+        
+        // Keep the existing card (and any open edit form) under its new ID
+        if (localId !== serverTask.id && renderedCards.has(localId)) {
+            renderedCards.set(serverTask.id, renderedCards.get(localId));
+            renderedCards.delete(localId);
+        }
+        TaskStore.saveTasks(window.tasks);
+        renderTaskChange(localTask, window.tasks[taskIndex]);
+    },
+    
+    onRejected(op, status, payload) {
+        /**
+         * The server refused a queued change (for example a validation error,
+         * or the task was deleted by someone else). Undo it on the card.
+         */
+        let target = op.type === 'batch' ? `${op.body.task_ids.length} tasks` : `task ${op.taskId}`;
+        if (op.type.startsWith('tag-')) {
+            target = `tag ${op.tagId}`;
+        } else if (isProjectOperation(op)) {
+            target = op.projectId ? `project ${op.projectId}` : 'a new project';
+        }
+        console.error(`Server rejected ${op.type} for ${target} (status ${status})`, payload);
+        rollbackChange(op, payload.error || `The server refused this change (error ${status})`, payload);
+    },
+    
+    onConflict(op, serverTask) {
+        // Someone else changed the task since we loaded it - let the user merge
+        console.warn(`Task ${op.taskId} changed on the server, asking user to merge`);
+        openMergeDialog(serverTask);
+    },
+    
+    onPendingChange() {
+        // Update the "pending sync" badges: the list only needs its rows on
+        // screen patched (nothing moved), the board is drawn in full
+        if (isBoardShown()) {
+            renderTasks();
+        } else if (currentRows.length > 0) {
+            renderRowWindow();
+        }
+    },
+    
+    onLoggedOut() {
+        // The queued changes are kept; they're sent once the user has logged in again
+        redirectToLogin();
+    }
+};
+
+
+// ============================================================================
+// STEP 17: ROLL BACK A REFUSED CHANGE
+// ============================================================================
+
+function rollbackChange(op, message, payload = {}) {
+    /**
+     * Put a task back the way it was before a change the server refused.
+     * 
+     * - Refused add:           remove the task and show the message under the form
+     *                          (put back in the form if it was a problem with a field)
+     * - Refused edit/toggle:   restore the previous copy and show the message on the card
+     *                          (and reopen the edit form if it was a problem with a field)
+     * - Refused delete:        put the task back where it was, with the message
+     * - Refused restore:       send the task back to the Trash (message under the form)
+     * - Refused reorder:       go back to the previous order
+     * - Refused tag change:    (tag manager) reload the tags and tasks from the server,
+     *                          since it may have changed many tasks
+     * - Refused project change: (project manager) show why, and reload the projects
+     *                          and tasks the same way
+     * - Refused batch:         restore every task it touched; each card shows
+     *                          its own problem (payload.results) or the message
+     * 
+     * Any later queued changes to the same task were dropped by TaskStore,
+     * so op.previous is the last state the server agreed with.
+     */
+    if (op.type === 'create') {
+        window.tasks = window.tasks.filter(t => t.id !== op.taskId);
+        showFormError(`"${op.body.title}" could not be saved: ${message}`);
+        showRefusedNewTask(op.body, payload.fields);
+    } else if (op.type === 'reorder' && op.previousOrder) {
+        const position = new Map(op.previousOrder.map((id, index) => [id, index]));
+        window.tasks.sort((a, b) => (position.has(a.id) ? position.get(a.id) : -1) - (position.has(b.id) ? position.get(b.id) : -1));
+        taskErrors[op.taskId] = message;
+    } else if (op.type === 'reorder') {
+        // A later move is still queued and will undo this one if it fails too
+        taskErrors[op.taskId] = message;
+    } else if (op.type === 'batch') {
+        rollbackBatch(op, message, payload.results || []);
+    } else if (op.type === 'delete') {
+        if (op.previous && !window.tasks.some(t => t.id === op.taskId)) {
+            const position = Math.min(op.position, window.tasks.length);
+            window.tasks.splice(position, 0, op.previous);
+        }
+        trashedTasks = trashedTasks.filter(t => t.id !== op.taskId);
+        taskErrors[op.taskId] = message;
+    } else if (op.type === 'restore') {
+        const task = window.tasks.find(t => t.id === op.taskId);
+        window.tasks = window.tasks.filter(t => t.id !== op.taskId);
+        if (task) {
+            moveToTrash([task]);
+            showFormError(`"${task.title}" could not be restored: ${message}`);
+        }
+    } else if (op.type === 'empty-trash') {
+        showFormError(`The Trash could not be emptied: ${message}`);
+        loadTrash();
+    } else if (op.type.startsWith('tag-')) {
+        showFormError(`The tag change could not be saved: ${message}`);
+        loadTags();
+        loadTasks();
+    } else if (isProjectOperation(op)) {
+        loadProjects().then(() => showProjectError(`The project change could not be saved: ${message}`));
+        loadTasks();
+    } else {
+        const taskIndex = window.tasks.findIndex(t => t.id === op.taskId);
+        if (taskIndex > -1 && op.previous) {
+            // op.previous may still carry the temporary ID the task had when queued
+            window.tasks[taskIndex] = { ...op.previous, id: op.taskId };
+        }
+        taskErrors[op.taskId] = message;
+    }
+    
+    TaskStore.saveTasks(window.tasks);
+    renderTasks();
+    if (op.type === 'update') {
+        showRefusedEdit(op, payload.fields);
+    }
+}
+
+function showFormError(message) {
+    /**
+     * Show a message under the add form (used when a new task is refused,
+     * since there is no card left to show it on).
+     */
+    formError.textContent = `⚠️ ${message}`;
+    formError.hidden = false;
+}
+
+
+// ============================================================================
+// STEP 18: MERGE DIALOG FOR EDIT CONFLICTS
+// ============================================================================
+
+// Fields the user can pick between, and how to show them
+const MERGE_FIELDS = [
+    { key: 'title', label: 'Title', format: value => value || '' },
+    { key: 'description', label: 'Description', format: value => value || '(none)' },
+    { key: 'due_date', label: 'Due date', format: value => value ? TaskDates.displayDay(value) || value : '(none)' },
+    { key: 'remind_at', label: 'Reminder', format: value => value ? new Date(value).toLocaleString() : '(none)' },
+    { key: 'recurrence', label: 'Repeats', format: value => value ? describeRecurrence(value) : 'No' },
+    { key: 'priority', label: 'Priority', format: value => PRIORITY_LABELS[value] || '(none)' },
+    { key: 'project_id', label: 'Project', format: value => projectNameOf(value) || '(none)' },
+    { key: 'assignee_id', label: 'Assigned to', format: value => memberNameOf(value) || '(nobody)' },
+    { key: 'completed', label: 'Completed', format: value => value ? 'Yes' : 'No' }
+];
+
+function openMergeDialog(serverTask) {
+    /**
+     * Show the server copy and our copy of a task side by side.
+     * 
+     * For every field that differs, the user picks which value to keep
+     * (ours is pre-selected). Conflicts arriving while the dialog is open
+     * wait in pendingConflicts and are shown one after another.
+     */
+    if (document.getElementById('mergeDialog')) {
+        pendingConflicts.push(serverTask);
+        return;
+    }
+    
+    const localTask = window.tasks.find(t => t.id === serverTask.id);
+    if (!localTask) {
+        // We deleted it locally in the meantime; nothing to merge
+        showNextConflict();
+        return;
+    }
+    
+    const rows = MERGE_FIELDS.map(field => {
+        const serverValue = serverTask[field.key];
+        const localValue = localTask[field.key];
+        const differs = fieldDiffers(serverValue, localValue);
+        
+        return `
+            <tr class="${differs ? 'merge-differs' : ''}">
+                <th scope="row">${field.label}</th>
+                <td>
+                    <label>
+                        ${differs ? `<input type="radio" name="merge-${field.key}" value="server">` : ''}
+                        ${escapeHtml(String(field.format(serverValue)))}
+                    </label>
+                </td>
+                <td>
+                    <label>
+                        ${differs ? `<input type="radio" name="merge-${field.key}" value="local" checked>` : ''}
+                        ${escapeHtml(String(field.format(localValue)))}
+                    </label>
+                </td>
+            </tr>
+        `;
+    }).join('');
+    
+    const dialog = document.createElement('div');
+    dialog.id = 'mergeDialog';
+    dialog.className = 'modal-backdrop';
+    dialog.innerHTML = `
+        <div class="modal" role="dialog" aria-modal="true" aria-labelledby="mergeDialogTitle">
+            <h2 id="mergeDialogTitle">Someone else changed this task</h2>
+            <p>Pick which version of each highlighted field to keep.</p>
+            <table class="merge-table">
+                <thead>
+                    <tr><th></th><th scope="col">Server copy</th><th scope="col">Your copy</th></tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+            <div class="edit-actions">
+                <button class="save-btn" type="button" data-action="merge">Save merged</button>
+                <button class="cancel-btn" type="button" data-action="discard">Discard my changes</button>
+            </div>
+        </div>
+    `;
+    document.body.appendChild(dialog);
+    
+    dialog.querySelector('[data-action="merge"]').addEventListener('click', () => {
+        const merged = { ...serverTask };
+        MERGE_FIELDS.forEach(field => {
+            const choice = dialog.querySelector(`input[name="merge-${field.key}"]:checked`);
+            if (choice && choice.value === 'local') {
+                merged[field.key] = localTask[field.key];
+            }
+        });
+        closeMergeDialog(dialog);
+        resolveConflict(serverTask, merged);
+    });
+    
+    dialog.querySelector('[data-action="discard"]').addEventListener('click', () => {
+        closeMergeDialog(dialog);
+        resolveConflict(serverTask, serverTask);
+    });
+    
+    dialog.querySelector('button').focus();
+}
+
+function resolveConflict(serverTask, merged) {
+    /**
+     * Apply the user's choice from the merge dialog.
+     * 
+     * If the result is just the server copy, we only update window.tasks.
+     * Otherwise we queue an update against the server's current version,
+     * so it won't be reported as a conflict again.
+     */
+    const taskIndex = window.tasks.findIndex(t => t.id === serverTask.id);
+    if (taskIndex === -1) {
+        return;
+    }
+    window.tasks[taskIndex] = merged;
+    delete taskErrors[serverTask.id];
+    TaskStore.saveTask(merged);
+    
+    const changed = MERGE_FIELDS.some(field => fieldDiffers(merged[field.key], serverTask[field.key]));
+    if (changed) {
+        TaskStore.queue({
+            type: 'update',
+            taskId: serverTask.id,
+            version: serverTask.version,
+            previous: serverTask,
+            body: {
+                title: merged.title,
+                description: merged.description,
+                due_date: merged.due_date,
+                remind_at: merged.remind_at,
+                recurrence: merged.recurrence,
+                priority: merged.priority || null,
+                completed: merged.completed
+            }
+        });
+    }
+    
+    renderTasks();
+}
+
+function fieldDiffers(a, b) {
+    // Treat null, undefined and '' (and false) as the same "empty" value
+    return (a || '') !== (b || '');
+}
+
+function closeMergeDialog(dialog) {
+    dialog.remove();
+    showNextConflict();
+}
+
+function showNextConflict() {
+    if (pendingConflicts.length > 0) {
+        openMergeDialog(pendingConflicts.shift());
     }
 }
 
+
+// ============================================================================
+// STEP 19: SEARCH
+// ============================================================================
+
+function applySearch() {
+    /**
+     * Parse the search box and re-render.
+     * 
+     * The query syntax lives in query.js. If the query is malformed, the
+     * error is shown under the search box and the last valid search stays
+     * in effect, so the list doesn't jump around while the user is typing.
+     */
+    try {
+        const query = TaskQuery.parse(taskSearch.value);
+        currentQuery = query.isEmpty ? null : query;
+        searchError.hidden = true;
+        taskSearch.removeAttribute('aria-invalid');
+    } catch (error) {
+        if (!(error instanceof TaskQuery.QueryError)) {
+            throw error;
+        }
+        searchError.textContent = error.message;
+        searchError.hidden = false;
+        taskSearch.setAttribute('aria-invalid', 'true');
+        return;
+    }
+    renderTasks();
+}
+
+
+// ============================================================================
+// STEP 20: SORTING AND GROUPING
+// ============================================================================
+
+// Sections for each "Group by" option, in the order they're shown.
+// bucket(task, today) returns the section id a task belongs in.
+const GROUPINGS = {
+    due: {
+        sections: [
+            { id: 'overdue', label: 'Overdue' },
+            { id: 'today', label: 'Today' },
+            { id: 'week', label: 'This week' },
+            { id: 'later', label: 'Later' },
+            { id: 'past', label: 'Past (done)' },
+            { id: 'none', label: 'No date' }
+        ],
+        bucket(task, today) {
+            if (!task.due_date) return 'none';
+            const due = task.due_date.slice(0, 10);
+            if (due < today.date) return task.completed ? 'past' : 'overdue';
+            if (due === today.date) return 'today';
+            if (due <= today.weekEnd) return 'week';
+            return 'later';
+        }
+    },
+    created: {
+        sections: [
+            { id: 'today', label: 'Created today' },
+            { id: 'yesterday', label: 'Yesterday' },
+            { id: 'week', label: 'Earlier this week' },
+            { id: 'older', label: 'Older' }
+        ],
+        bucket(task, today) {
+            const created = TaskDates.dayOf(task.created_at);
+            if (created >= today.date) return 'today';
+            if (created === today.yesterday) return 'yesterday';
+            if (created >= today.weekStart) return 'week';
+            return 'older';
+        }
+    }
+};
+
+function sortTasks(tasks, sortBy) {
+    /**
+     * Return a sorted copy of tasks (the original array isn't changed).
+     * 
+     * - default:    the manual order (window.tasks order, new tasks on top)
+     * - due:        earliest due date first, tasks without a date last
+     * - created:    newest first
+     * - title:      A to Z
+     * - completion: unfinished tasks first
+     * - priority:   high, medium, low, then tasks without one
+     * 
+     * Ties keep their original order (Array.sort is stable).
+     */
+    const sorted = [...tasks];
+    switch (sortBy) {
+        case 'due':
+            return sorted.sort((a, b) => {
+                if (!a.due_date || !b.due_date) return (a.due_date ? 0 : 1) - (b.due_date ? 0 : 1);
+                return a.due_date.localeCompare(b.due_date);
+            });
+        case 'created':
+            return sorted.sort((a, b) => String(b.created_at || '').localeCompare(String(a.created_at || '')));
+        case 'title':
+            return sorted.sort((a, b) => a.title.localeCompare(b.title, undefined, { sensitivity: 'base' }));
+        case 'completion':
+            return sorted.sort((a, b) => Number(Boolean(a.completed)) - Number(Boolean(b.completed)));
+        case 'priority': {
+            const rank = task => ['high', 'medium', 'low'].indexOf(task.priority) + 1 || 4;
+            return sorted.sort((a, b) => rank(a) - rank(b));
+        }
+        default:
+            return sorted;
+    }
+}
+
+function buildRows(tasks) {
+    /**
+     * Turn the sorted task list into the rows renderTasks() draws.
+     * 
+     * Without grouping every row is a task: { key: task.id, task }.
+     * With grouping, each non-empty section starts with a header row
+     * { key: 'group:due:today', group: { id, label, count, collapsed } }
+     * and collapsed sections leave their tasks out.
+     */
+    const grouping = currentFilter === 'trash' ? null : GROUPINGS[currentGroup];
+    if (!grouping) {
+        return tasks.map(task => ({ key: task.id, task }));
+    }
+    
+    const today = getToday();
+    const buckets = {};
+    tasks.forEach(task => {
+        const id = grouping.bucket(task, today);
+        (buckets[id] = buckets[id] || []).push(task);
+    });
+    
+    const rows = [];
+    grouping.sections.forEach(section => {
+        const sectionTasks = buckets[section.id];
+        if (!sectionTasks) {
+            return;
+        }
+        const id = `${currentGroup}:${section.id}`;
+        const collapsed = collapsedGroups.has(id);
+        rows.push({ key: `group:${id}`, group: { id, label: section.label, count: sectionTasks.length, collapsed } });
+        if (!collapsed) {
+            sectionTasks.forEach(task => rows.push({ key: task.id, task }));
+        }
+    });
+    return rows;
+}
+
+function createGroupHeader(group) {
+    /**
+     * HTML for a section header: its name, how many tasks it has and a
+     * button to collapse or expand it.
+     */
+    return `
+        <div class="task-group-header ${group.collapsed ? 'collapsed' : ''}" data-group="${group.id}">
+            <button class="group-toggle-btn" type="button" aria-expanded="${!group.collapsed}">
+                <span class="group-arrow" aria-hidden="true">${group.collapsed ? '▸' : '▾'}</span>
+                ${escapeHtml(group.label)}
+                <span class="group-count">${group.count}</span>
+            </button>
+        </div>
+    `;
+}
+
+function toggleGroupCollapsed(groupId) {
+    // Collapse or expand a section, and remember it for next time
+    if (collapsedGroups.has(groupId)) {
+        collapsedGroups.delete(groupId);
+    } else {
+        collapsedGroups.add(groupId);
+    }
+    localStorage.setItem('taskManager.collapsedGroups', JSON.stringify([...collapsedGroups]));
+    renderTasks();
+}
+
+function getToday() {
+    /**
+     * Today's date plus the boundaries used by the groupings, all as local
+     * YYYY-MM-DD strings (so they compare correctly with due_date).
+     */
+    const date = TaskDates.today();
+    return {
+        date,
+        yesterday: TaskDates.addDays(date, -1),
+        tomorrow: TaskDates.addDays(date, 1),
+        weekEnd: TaskDates.addDays(date, 6),    // "This week" = the next 7 days
+        weekStart: TaskDates.weekStart(date)    // Sunday of the current week
+    };
+}
+
+
+// ============================================================================
+// STEP 21: SAVED VIEWS
+// ============================================================================
+// A view is a named combination of filter, sort, grouping, search and layout,
+// saved in localStorage and shown as a button next to the filter buttons.
+
+function loadSavedViews() {
+    try {
+        return JSON.parse(localStorage.getItem('taskManager.views') || '[]');
+    } catch (error) {
+        console.warn('Ignoring unreadable saved views:', error);
+        return [];
+    }
+}
+
+function storeSavedViews(views) {
+    localStorage.setItem('taskManager.views', JSON.stringify(views));
+}
+
+function renderSavedViews() {
+    /**
+     * Draw one button per saved view (plus a small delete button for each).
+     */
+    savedViewsList.innerHTML = loadSavedViews().map(view => `
+        <span class="saved-view">
+            <button class="view-btn" type="button" data-view="${escapeHtml(view.name)}">⭐ ${escapeHtml(view.name)}</button>
+            <button class="view-delete-btn" type="button" data-view="${escapeHtml(view.name)}" aria-label="Delete view ${escapeHtml(view.name)}">✕</button>
+        </span>
+    `).join('');
+}
+
+function saveCurrentView() {
+    /**
+     * Ask for a name and save the current filter, project, sort, grouping,
+     * search and layout (list or board).
+     * Saving under an existing name replaces that view.
+     */
+    const name = (prompt('Name for this view:') || '').trim();
+    if (!name) {
+        return;
+    }
+    
+    const view = {
+        name,
+        filter: currentFilter,
+        project: currentProject,
+        sort: currentSort,
+        group: currentGroup,
+        search: taskSearch.value,
+        layout: currentLayout
+    };
+    const views = loadSavedViews().filter(v => v.name !== name);
+    views.push(view);
+    storeSavedViews(views);
+    renderSavedViews();
+}
+
+function handleSavedViewClick(e) {
+    // Clicks on saved view buttons (apply) and their ✕ buttons (delete)
+    const button = e.target.closest('button');
+    if (!button) {
+        return;
+    }
+    const name = button.dataset.view;
+    
+    if (button.classList.contains('view-delete-btn')) {
+        if (confirm(`Delete the saved view "${name}"?`)) {
+            storeSavedViews(loadSavedViews().filter(v => v.name !== name));
+            renderSavedViews();
+        }
+        return;
+    }
+    
+    const view = loadSavedViews().find(v => v.name === name);
+    if (view) {
+        applyView(view);
+    }
+}
+
+function applyView(view) {
+    /**
+     * Switch the filter buttons, dropdowns and search box to a saved view.
+     * (Views saved before the board existed are shown as a list, and views
+     * of a project we're no longer in show every project.)
+     */
+    currentFilter = view.filter || 'all';
+    filterButtons.forEach(b => b.classList.toggle('active', b.dataset.filter === currentFilter));
+    
+    currentProject = knownProjects.some(p => p.id === view.project) ? view.project : 'all';
+    projectSelect.value = String(currentProject);
+    currentSort = sortSelect.value = view.sort || 'default';
+    currentGroup = groupSelect.value = view.group || 'none';
+    currentLayout = layoutSelect.value = view.layout || 'list';
+    if (currentFilter === 'trash') {
+        loadTrash();
+    }
+    
+    // applySearch() parses the query and re-renders
+    taskSearch.value = view.search || '';
+    applySearch();
+}
+
+
+// ============================================================================
+// STEP 22: CHECKLIST ITEMS
+// ============================================================================
+// Items live in task.items ({ id, title, done, position }). Like task changes,
+// item changes update window.tasks right away and go through the outbox
+// (sent to /api/tasks/<id>/items). Each change carries the task as it was
+// before, so rollbackChange() can undo it.
+
+function updateChecklist(taskId, change) {
+    /**
+     * Apply change(items) -> newItems to a task's checklist, save it and
+     * return { previous, task } (or null if the task isn't there any more).
+     * 
+     * If the task has auto_complete on and every item is now done, it is
+     * marked completed as well (the server applies the same rule).
+     */
+    const taskIndex = window.tasks.findIndex(t => t.id === taskId);
+    if (taskIndex === -1 || !canEditTask(window.tasks[taskIndex])) {
+        return null;
+    }
+    const previous = window.tasks[taskIndex];
+    const items = change(previous.items || []);
+    const task = { ...previous, items };
+    
+    if (task.auto_complete && !task.completed && items.length > 0 && items.every(item => item.done)) {
+        task.completed = true;
+        task.status = 'completed';
+    }
+    
+    window.tasks[taskIndex] = task;
+    delete taskErrors[taskId];
+    TaskStore.saveTask(task);
+    return { previous, task };
+}
+
+function addChecklistItem(taskId, title) {
+    // Add an item at the end of the checklist (from the box under the list)
+    title = title.trim();
+    if (!title) {
+        return;
+    }
+    taskId = TaskStore.resolveId(taskId);
+    
+    const item = { id: TaskStore.nextTempId(), title, done: false };
+    const result = updateChecklist(taskId, items => [...items, { ...item, position: items.length }]);
+    if (!result) {
+        return;
+    }
+    
+    TaskStore.queue({ type: 'item-create', taskId, itemId: item.id, previous: result.previous, body: { title } });
+    renderTasks();
+}
+
+function toggleChecklistItem(taskId, itemId) {
+    // Check or uncheck one item
+    taskId = TaskStore.resolveId(taskId);
+    itemId = TaskStore.resolveItemId(itemId);
+    
+    let done = false;
+    const result = updateChecklist(taskId, items => items.map(item => {
+        if (item.id !== itemId) return item;
+        done = !item.done;
+        return { ...item, done };
+    }));
+    if (!result) {
+        return;
+    }
+    
+    TaskStore.queue({ type: 'item-update', taskId, itemId, previous: result.previous, body: { done } });
+    renderTaskChange(result.previous, result.task);
+}
+
+function deleteChecklistItem(taskId, itemId) {
+    // Remove one item (no confirmation - it's a small thing to re-add)
+    taskId = TaskStore.resolveId(taskId);
+    itemId = TaskStore.resolveItemId(itemId);
+    
+    const result = updateChecklist(taskId, items => items.filter(item => item.id !== itemId));
+    if (!result) {
+        return;
+    }
+    
+    TaskStore.queue({ type: 'item-delete', taskId, itemId, previous: result.previous });
+    renderTasks();
+}
+
+function moveChecklistItem(taskId, itemId, offset) {
+    /**
+     * Move an item up (offset -1) or down (offset 1) one place and send the
+     * new order of the whole checklist.
+     */
+    taskId = TaskStore.resolveId(taskId);
+    itemId = TaskStore.resolveItemId(itemId);
+    
+    const result = updateChecklist(taskId, items => {
+        const from = items.findIndex(item => item.id === itemId);
+        const to = from + offset;
+        if (from === -1 || to < 0 || to >= items.length) {
+            return items;
+        }
+        const reordered = [...items];
+        [reordered[from], reordered[to]] = [reordered[to], reordered[from]];
+        return reordered.map((item, position) => ({ ...item, position }));
+    });
+    if (!result || result.task.items === result.previous.items) {
+        return;
+    }
+    
+    TaskStore.queue({
+        type: 'item-reorder',
+        taskId,
+        previous: result.previous,
+        body: { item_ids: result.task.items.map(item => item.id) }
+    });
+    renderTasks();
+}
+
+function diffChecklist(taskId, oldItems, rows, previous) {
+    /**
+     * Compare the checklist editor's rows with the task's items.
+     * 
+     * Returns the new items list and the queued changes that get the server
+     * there: item-update for renamed items, item-delete for removed ones and
+     * item-create for new rows.
+     */
+    const itemOps = [];
+    const keptIds = new Set(rows.filter(row => row.id !== null).map(row => row.id));
+    
+    oldItems.filter(item => !keptIds.has(item.id)).forEach(item => {
+        itemOps.push({ type: 'item-delete', taskId, itemId: item.id, previous });
+    });
+    
+    const items = rows.map((row, position) => {
+        const existing = oldItems.find(item => item.id === row.id);
+        if (!existing) {
+            const item = { id: TaskStore.nextTempId(), title: row.title, done: false, position };
+            itemOps.push({ type: 'item-create', taskId, itemId: item.id, previous, body: { title: row.title } });
+            return item;
+        }
+        if (existing.title !== row.title) {
+            itemOps.push({ type: 'item-update', taskId, itemId: existing.id, previous, body: { title: row.title } });
+        }
+        return { ...existing, title: row.title, position };
+    });
+    
+    return { items, itemOps };
+}
+
+function checklistItemSynced(op, result) {
+    /**
+     * The server accepted a checklist item change.
+     * 
+     * - New items get their real ID in place of the temporary one
+     * - Every item change is a new version of the task: take it from
+     *   result.task, so our next change to the task isn't a conflict
+     * - If the change completed the task (auto_complete), take the server's
+     *   completed state too
+     */
+    const taskId = TaskStore.resolveId(op.taskId);
+    const taskIndex = window.tasks.findIndex(t => t.id === taskId);
+    if (taskIndex === -1 || !result) {
+        return;
+    }
+    const task = window.tasks[taskIndex];
+    const previous = { ...task };
+    
+    if (op.type === 'item-create') {
+        task.items = (task.items || []).map(item => item.id === op.itemId ? { ...item, id: result.id } : item);
+    }
+    if (result.task) {
+        task.version = result.task.version;
+        if (result.task.completed) {
+            task.completed = true;
+            task.status = result.task.status;
+        }
+    }
+    TaskStore.saveTask(task);
+    renderTaskChange(previous, task);
+}
+
+
+// ============================================================================
+// STEP 23: MANUAL ORDER (DRAG AND DROP, ALT+UP/DOWN)
+// ============================================================================
+// The manual order is simply the order of window.tasks. Moving a task
+// changes that order and queues a 'reorder' with every task id, which the
+// server saves as each task's position (PUT /api/tasks/order).
+// While a filter or search hides some tasks, a task is moved next to the
+// visible task it was dropped on; hidden tasks keep their places.
+
+function canReorder() {
+    // Dragging only makes sense while the list is shown in manual order
+    return currentSort === 'default';
+}
+
+function canDragCards() {
+    // Cards can always be dragged to another board column (STEP 31) or calendar day (STEP 32)
+    return canReorder() || isBoardShown() || isCalendarShown();
+}
+
+function moveTask(taskId, targetId, placeAfter) {
+    /**
+     * Move taskId right before (or after) targetId in window.tasks,
+     * save the new order and re-render. Undo puts the old order back.
+     */
+    const newOrder = orderWithMove(taskId, targetId, placeAfter);
+    if (!newOrder) {
+        return;
+    }
+    taskId = TaskStore.resolveId(taskId);
+    const task = window.tasks.find(t => t.id === taskId);
+    if (!canEditTask(task)) {
+        return;
+    }
+    const previousOrder = window.tasks.map(t => t.id);
+    
+    TaskLog.debug(`Moving task ${taskId} ${placeAfter ? 'after' : 'before'} task ${TaskStore.resolveId(targetId)}`);
+    applyOrder(taskId, newOrder);
+    recordChange(`Moved "${task.title}"`,
+        () => applyOrder(taskId, previousOrder),
+        () => applyOrder(taskId, newOrder));
+}
+
+function orderWithMove(taskId, targetId, placeAfter) {
+    /**
+     * The ids of window.tasks with taskId moved right before (or after)
+     * targetId. Returns null if there is nothing to move.
+     */
+    taskId = TaskStore.resolveId(taskId);
+    targetId = TaskStore.resolveId(targetId);
+    const task = window.tasks.find(t => t.id === taskId);
+    if (taskId === targetId || !task) {
+        return null;
+    }
+    const remaining = window.tasks.filter(t => t.id !== taskId);
+    const targetIndex = remaining.findIndex(t => t.id === targetId);
+    if (targetIndex === -1) {
+        return null;
+    }
+    remaining.splice(placeAfter ? targetIndex + 1 : targetIndex, 0, task);
+    return remaining.map(t => t.id);
+}
+
+function applyOrder(taskId, order) {
+    /**
+     * Put window.tasks in the given order of ids and queue the reorder
+     * (taskId is the task that moved). Tasks missing from the order, e.g.
+     * added since, go first - the same rule as TaskStore.rebase().
+     */
+    const previousOrder = window.tasks.map(t => t.id);
+    const position = new Map(order.map((id, index) => [TaskStore.resolveId(id), index]));
+    const indexOf = task => position.has(task.id) ? position.get(task.id) : -1;
+    window.tasks = [...window.tasks].sort((a, b) => indexOf(a) - indexOf(b));
+    
+    taskId = TaskStore.resolveId(taskId);
+    delete taskErrors[taskId];
+    TaskStore.saveTasks(window.tasks);
+    TaskStore.queue({
+        type: 'reorder',
+        taskId,
+        previousOrder,
+        body: { task_ids: window.tasks.map(t => t.id) }
+    });
+    renderTasks();
+}
+
+function moveTaskByKeyboard(taskId, offset) {
+    /**
+     * Swap a task with the visible task above (offset -1) or below (offset 1).
+     * "Visible" means under the current filter and search (and on the
+     * board, in the same column).
+     */
+    if (!canReorder()) {
+        return;
+    }
+    let visible = getFilteredTasks();
+    if (isBoardShown()) {
+        const columns = loadBoardColumns();
+        const task = visible.find(t => t.id === taskId);
+        visible = task ? visible.filter(t => columnOf(t, columns) === columnOf(task, columns)) : [];
+    }
+    const index = visible.findIndex(t => t.id === taskId);
+    const neighbour = visible[index + offset];
+    if (index === -1 || !neighbour) {
+        return;
+    }
+    moveTask(taskId, neighbour.id, offset > 0);
+}
+
+function handleDragStart(e) {
+    const card = e.target.closest ? e.target.closest('.task-item') : null;
+    if (!card || !canDragCards() || card.classList.contains('edit-mode') || card.classList.contains('read-only')) {
+        e.preventDefault();
+        return;
+    }
+    draggedTaskId = parseInt(card.dataset.taskId);
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/plain', String(draggedTaskId));
+    card.classList.add('dragging');
+}
+
+function handleDragOver(e) {
+    /**
+     * Show where the dragged card would land: a line above or below the
+     * card under the pointer, depending on which half the pointer is in.
+     * On the board the column under the pointer lights up as well; without
+     * manual order a card can only be dropped into a column, not between cards.
+     */
+    if (draggedTaskId === null) {
+        return;
+    }
+    const column = isBoardShown() ? e.target.closest('.board-column') : null;
+    const card = canReorder() ? e.target.closest('.task-item') : null;
+    if (!card && !column) {
+        return;
+    }
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'move';
+    
+    tasksList.querySelectorAll('.drop-before, .drop-after, .drop-target').forEach(el => {
+        if (el !== card && el !== column) el.classList.remove('drop-before', 'drop-after', 'drop-target');
+    });
+    if (column) {
+        column.classList.add('drop-target');
+    }
+    if (card) {
+        const rect = card.getBoundingClientRect();
+        const placeAfter = e.clientY > rect.top + rect.height / 2;
+        card.classList.toggle('drop-before', !placeAfter);
+        card.classList.toggle('drop-after', placeAfter);
+    }
+}
+
+function handleDrop(e) {
+    if (draggedTaskId === null) {
+        return;
+    }
+    const column = isBoardShown() ? e.target.closest('.board-column') : null;
+    const card = canReorder() ? e.target.closest('.task-item') : null;
+    const target = card ? { taskId: parseInt(card.dataset.taskId), placeAfter: card.classList.contains('drop-after') } : null;
+    if (column) {
+        e.preventDefault();
+        moveTaskToColumn(draggedTaskId, column.dataset.status, target);
+    } else if (card) {
+        e.preventDefault();
+        moveTask(draggedTaskId, target.taskId, target.placeAfter);
+    }
+    clearDragState();
+}
+
+function clearDragState() {
+    draggedTaskId = null;
+    document.querySelectorAll('.dragging, .drop-before, .drop-after, .drop-target').forEach(el => {
+        el.classList.remove('dragging', 'drop-before', 'drop-after', 'drop-target');
+    });
+}
+
+
+// ============================================================================
+// STEP 24: REPEATING TASKS
+// ============================================================================
+// task.recurrence holds an RRULE string such as "FREQ=WEEKLY;BYDAY=MO,TH"
+// (recurrence.js does all the date math). Completing a repeating task adds a
+// new copy of it, due on the next date of the schedule; the completed one
+// stays as it is.
+
+// "Repeat" dropdown options: value -> label
+const REPEAT_OPTIONS = {
+    none: 'Does not repeat',
+    daily: 'Every day',
+    weekly: 'Weekly on...',
+    monthly: 'Monthly on day...',
+    interval: 'Every N days'
+};
+
+function createRecurrenceFields(recurrence) {
+    /**
+     * HTML for the "Repeat" fields: a dropdown plus the extra fields of the
+     * chosen option (weekday checkboxes, day of month or number of days).
+     * Used by the add form and the edit form; only the fields of the current
+     * option are visible (see updateRecurrenceFields).
+     */
+    let rule = null;
+    try {
+        rule = recurrence ? TaskRecurrence.parse(recurrence) : null;
+    } catch (error) {
+        console.warn(`Ignoring unreadable repeat rule "${recurrence}":`, error.message);
+    }
+    
+    let option = 'none';
+    if (rule && rule.freq === 'DAILY') option = rule.interval === 1 ? 'daily' : 'interval';
+    if (rule && rule.freq === 'WEEKLY') option = 'weekly';
+    if (rule && rule.freq === 'MONTHLY') option = 'monthly';
+    
+    const weekdays = rule && rule.weekdays ? rule.weekdays : [];
+    const weekdayHtml = TaskRecurrence.WEEKDAY_NAMES.map((name, day) => `
+        <label class="repeat-weekday">
+            <input type="checkbox" value="${day}" ${weekdays.includes(day) ? 'checked' : ''}> ${name}
+        </label>`).join('');
+    
+    return `
+        <select class="task-input repeat-select" aria-label="Repeat">
+            ${Object.entries(REPEAT_OPTIONS).map(([value, label]) =>
+                `<option value="${value}" ${value === option ? 'selected' : ''}>${label}</option>`).join('')}
+        </select>
+        <span class="repeat-detail" data-repeat="weekly" ${option === 'weekly' ? '' : 'hidden'}>${weekdayHtml}</span>
+        <label class="repeat-detail" data-repeat="monthly" ${option === 'monthly' ? '' : 'hidden'}>
+            Day <input type="number" class="repeat-month-day" min="1" max="31"
+                       value="${rule && rule.monthDay ? rule.monthDay : ''}">
+        </label>
+        <label class="repeat-detail" data-repeat="interval" ${option === 'interval' ? '' : 'hidden'}>
+            Every <input type="number" class="repeat-interval" min="2" max="365"
+                         value="${option === 'interval' ? rule.interval : 2}"> days
+        </label>
+    `;
+}
+
+function updateRecurrenceFields(container, dueDate) {
+    /**
+     * Show the extra fields for the chosen "Repeat" option and fill in a
+     * sensible default from the due date (or today): its weekday for
+     * "Weekly on...", its day of the month for "Monthly on day...".
+     */
+    const option = container.querySelector('.repeat-select').value;
+    container.querySelectorAll('.repeat-detail').forEach(detail => {
+        detail.hidden = detail.dataset.repeat !== option;
+    });
+    
+    const date = TaskDates.parseDay(dueDate) || TaskDates.parseDay(getToday().date);
+    const weekdayBoxes = [...container.querySelectorAll('.repeat-weekday input')];
+    if (option === 'weekly' && !weekdayBoxes.some(box => box.checked)) {
+        weekdayBoxes[date.getDay()].checked = true;
+    }
+    const monthDay = container.querySelector('.repeat-month-day');
+    if (option === 'monthly' && !monthDay.value) {
+        monthDay.value = date.getDate();
+    }
+}
+
+function readRecurrenceFields(container) {
+    /**
+     * Turn the "Repeat" fields into an RRULE string, or null for
+     * "Does not repeat". Throws a RecurrenceError (with a message to show
+     * the user) if the fields don't make a valid schedule.
+     */
+    const option = container.querySelector('.repeat-select').value;
+    const rule = { freq: 'DAILY', interval: 1 };
+    
+    switch (option) {
+        case 'none':
+            return null;
+        case 'daily':
+            break;
+        case 'interval':
+            rule.interval = Number(container.querySelector('.repeat-interval').value);
+            break;
+        case 'weekly':
+            rule.freq = 'WEEKLY';
+            rule.weekdays = [...container.querySelectorAll('.repeat-weekday input:checked')].map(box => Number(box.value));
+            if (rule.weekdays.length === 0) {
+                throw new TaskRecurrence.RecurrenceError('Pick at least one day for the task to repeat on');
+            }
+            break;
+        case 'monthly':
+            rule.freq = 'MONTHLY';
+            rule.monthDay = Number(container.querySelector('.repeat-month-day').value);
+            break;
+    }
+    return TaskRecurrence.stringify(rule);
+}
+
+function describeRecurrence(recurrence) {
+    // "Weekly on Mon, Thu" (or the raw rule if recurrence.js can't read it)
+    try {
+        return TaskRecurrence.describe(recurrence);
+    } catch (error) {
+        return recurrence;
+    }
+}
+
+function addNextOccurrence(task) {
+    /**
+     * Called when a repeating task is completed: add its next copy, due on
+     * the next date of its schedule, with the same checklist (all unchecked).
+     * 
+     * Completing, un-completing and completing the task again must not add
+     * a second copy, so nothing is added if an open copy due that day exists.
+     * 
+     * Returns the new task (or null if none was added), so undo can remove it.
+     */
+    let dueDate;
+    try {
+        dueDate = TaskRecurrence.nextDueDate(task.recurrence, task.due_date, getToday().date);
+    } catch (error) {
+        console.warn(`Task ${task.id} has an unreadable repeat rule:`, error.message);
+        return null;
+    }
+    
+    const alreadyAdded = window.tasks.some(t =>
+        !t.completed && t.recurrence === task.recurrence && t.title === task.title && t.due_date === dueDate);
+    if (alreadyAdded) {
+        return null;
+    }
+    
+    const nextTask = addTask({
+        title: task.title,
+        description: task.description,
+        due_date: dueDate,
+        recurrence: task.recurrence,
+        auto_complete: task.auto_complete,
+        priority: task.priority,
+        tags: (task.tags || []).map(tagNameOf)
+    });
+    (task.items || []).forEach(item => addChecklistItem(nextTask.id, item.title));
+    TaskLog.debug(`Next "${task.title}" is due ${dueDate}`);
+    return nextTask;
+}
+
+
+// ============================================================================
+// STEP 25: DUE DATES AND REMINDERS
+// ============================================================================
+// Cards are marked "overdue" (due before today) or "due-soon" (due today or
+// tomorrow) while not completed.
+//
+// task.remind_at is the time (UTC ISO string) to show a notification. This
+// page keeps a timer for the next reminder; background tabs still run it
+// (browsers only slow timers down to about once a minute). The notification
+// is shown by the service worker (static/js/sw.js, served as /sw.js), since
+// only its notifications can have buttons: "Snooze" and "Mark done". Button
+// clicks come back here as messages (handleReminderMessage).
+
+function getDueState(task) {
+    // 'overdue', 'due-soon' or '' (local dates, like the due date input)
+    if (!task.due_date || task.completed) {
+        return '';
+    }
+    const today = getToday();
+    const due = task.due_date.slice(0, 10);
+    if (due < today.date) {
+        return 'overdue';
+    }
+    return due <= today.tomorrow ? 'due-soon' : '';
+}
+
+function toLocalInputValue(timestamp) {
+    // UTC timestamp -> "YYYY-MM-DDTHH:MM" in local time (for datetime-local inputs)
+    if (!timestamp) {
+        return '';
+    }
+    const date = new Date(timestamp);
+    const hours = String(date.getHours()).padStart(2, '0');
+    const minutes = String(date.getMinutes()).padStart(2, '0');
+    return `${TaskDates.formatDay(date)}T${hours}:${minutes}`;
+}
+
+function registerReminderWorker() {
+    /**
+     * Register the service worker and listen for notification button clicks.
+     * Without service worker support, reminders fall back to plain
+     * notifications (no buttons) shown by this page.
+     */
+    if (!('serviceWorker' in navigator)) {
+        return;
+    }
+    navigator.serviceWorker.register('/sw.js')
+        .then(() => navigator.serviceWorker.ready)
+        .then(registration => {
+            reminderWorker = registration;
+        })
+        .catch(error => console.warn('Reminders will not have buttons, service worker failed:', error));
+    navigator.serviceWorker.addEventListener('message', handleReminderMessage);
+}
+
+function requestNotificationPermission() {
+    // Ask once (only allowed right after a click, e.g. on Save)
+    if ('Notification' in window && Notification.permission === 'default') {
+        Notification.requestPermission();
+    }
+}
+
+function getReminderTime(task) {
+    // When this task's reminder is due (a snooze wins), in ms - or null
+    const time = snoozedReminders[task.id] || task.remind_at;
+    return time && !task.completed ? new Date(time).getTime() : null;
+}
+
+function scheduleReminders() {
+    /**
+     * Show reminders that are due and haven't been shown yet, then set a
+     * timer for the next one.
+     * 
+     * A reminder counts as shown for the exact time it was shown for, so
+     * changing the reminder time (or snoozing) makes it show again.
+     */
+    clearTimeout(reminderTimer);
+    const now = Date.now();
+    let next = Infinity;
+    nextReminderAt = Infinity;
+    
+    (window.tasks || []).forEach(task => {
+        const time = getReminderTime(task);
+        if (time === null || shownReminders[task.id] === time) {
+            return;
+        }
+        if (time <= now) {
+            showReminder(task, time);
+        } else {
+            next = Math.min(next, time);
+        }
+    });
+    
+    if (next !== Infinity) {
+        nextReminderAt = next;
+        reminderTimer = setTimeout(scheduleReminders, Math.min(next - now, REMINDER_CHECK_MS));
+    }
+}
+
+function scheduleReminder(task) {
+    /**
+     * scheduleReminders() for one changed task: show its reminder if it is
+     * due, or bring the timer forward if it comes before the next one. A
+     * reminder that went away (the task was completed) may leave the timer
+     * set for it; it just finds nothing to show when it goes off.
+     */
+    const time = getReminderTime(task);
+    if (time === null || shownReminders[task.id] === time) {
+        return;
+    }
+    const now = Date.now();
+    if (time <= now) {
+        showReminder(task, time);
+    } else if (time < nextReminderAt) {
+        clearTimeout(reminderTimer);
+        nextReminderAt = time;
+        reminderTimer = setTimeout(scheduleReminders, Math.min(time - now, REMINDER_CHECK_MS));
+    }
+}
+
+function showReminder(task, time) {
+    /**
+     * Show the notification for one task and remember that we did.
+     */
+    shownReminders[task.id] = time;
+    delete snoozedReminders[task.id];
+    saveReminderState();
+    
+    if (!('Notification' in window) || Notification.permission !== 'granted') {
+        return;
+    }
+    
+    const options = {
+        body: task.due_date ? `Due ${TaskDates.displayDay(task.due_date)}` : (task.description || ''),
+        tag: `task-${task.id}`,  // A newer reminder for the same task replaces the old one
+        requireInteraction: true,
+        data: {
+            taskId: task.id,
+            version: task.version,
+            recurring: Boolean(task.recurrence),
+            snoozeMinutes: REMINDER_SNOOZE_MINUTES,
+            csrfToken: TaskApi.csrfToken  // For "Mark done" when the board is closed (see sw.js)
+        },
+        actions: [
+            { action: 'snooze', title: `Snooze ${REMINDER_SNOOZE_MINUTES} min` },
+            { action: 'done', title: 'Mark done' }
+        ]
+    };
+    
+    if (reminderWorker) {
+        reminderWorker.showNotification(`⏰ ${task.title}`, options);
+    } else {
+        const { actions, ...plainOptions } = options;
+        new Notification(`⏰ ${task.title}`, plainOptions);
+    }
+}
+
+function handleReminderMessage(e) {
+    /**
+     * A notification button was clicked (sw.js forwards it to this page):
+     * - "done":   complete the task like its checkbox would (toggleTask)
+     * - "snooze": show the reminder again in a few minutes
+     */
+    const message = e.data || {};
+    if (message.type !== 'reminder-action') {
+        return;
+    }
+    const taskId = TaskStore.resolveId(message.taskId);
+    const task = window.tasks.find(t => t.id === taskId);
+    if (!task) {
+        return;
+    }
+    
+    if (message.action === 'done' && !task.completed) {
+        toggleTask(taskId);
+    } else if (message.action === 'snooze') {
+        snoozedReminders[taskId] = new Date(Date.now() + REMINDER_SNOOZE_MINUTES * 60 * 1000).toISOString();
+        saveReminderState();
+        scheduleReminders();
+    }
+}
+
+function handleReminderLink() {
+    /**
+     * sw.js opens /board?reminder=done&task=12 (or reminder=snooze) when a
+     * notification button is clicked while no board is open. Once the tasks
+     * are loaded, handle it like the message an open board would have got.
+     */
+    const params = new URLSearchParams(window.location.search);
+    if (!params.has('reminder')) {
+        return;
+    }
+    handleReminderMessage({
+        data: { type: 'reminder-action', action: params.get('reminder'), taskId: parseInt(params.get('task')) }
+    });
+    history.replaceState(null, '', window.location.pathname);
+}
+
+function forgetReminder(taskId) {
+    // The reminder time changed: drop its snooze and "already shown" mark
+    delete snoozedReminders[taskId];
+    delete shownReminders[taskId];
+    saveReminderState();
+}
+
+function saveReminderState() {
+    localStorage.setItem('taskManager.shownReminders', JSON.stringify(shownReminders));
+    localStorage.setItem('taskManager.snoozedReminders', JSON.stringify(snoozedReminders));
+}
+
+
+// ============================================================================
+// STEP 26: SELECTING TASKS AND BATCH ACTIONS
+// ============================================================================
+// Each card has a "select" checkbox. While tasks are selected, the batch bar
+// offers Complete, Reopen, Reschedule, Add tag, Assign and Delete for all of
+// them. Read-only tasks (STEP 36) can't be selected.
+// Like single-task changes, the list is updated right away and one 'batch'
+// change is queued (sent as POST /api/tasks/batch). The server applies it to
+// every task or to none, so a refused batch rolls back every card.
+
+function toggleSelection(taskId, extendRange) {
+    /**
+     * Select or unselect one task. With shift held, select every shown task
+     * between the last one clicked and this one.
+     */
+    const shownIds = getFilteredTasks().filter(canEditTask).map(t => t.id);
+    const anchor = shownIds.indexOf(lastSelectedTaskId);
+    
+    if (extendRange && anchor !== -1) {
+        const here = shownIds.indexOf(taskId);
+        shownIds.slice(Math.min(anchor, here), Math.max(anchor, here) + 1).forEach(id => selectedTaskIds.add(id));
+    } else if (selectedTaskIds.has(taskId)) {
+        selectedTaskIds.delete(taskId);
+    } else {
+        selectedTaskIds.add(taskId);
+    }
+    
+    lastSelectedTaskId = taskId;
+    renderTasks();
+}
+
+function selectAllShown() {
+    // Select every task the current filter and search show (that we can change)
+    getFilteredTasks().filter(canEditTask).forEach(task => selectedTaskIds.add(task.id));
+    renderTasks();
+}
+
+function clearSelection() {
+    selectedTaskIds.clear();
+    lastSelectedTaskId = null;
+    renderTasks();
+}
+
+function updateBatchBar(shownTasks) {
+    /**
+     * Show the batch bar while anything is selected, with a count.
+     * Tasks that no longer exist (deleted) are dropped from the selection.
+     */
+    if (selectedTaskIds.size > 0) {
+        const existing = new Set(window.tasks.map(t => t.id));
+        selectedTaskIds.forEach(id => {
+            if (!existing.has(id)) selectedTaskIds.delete(id);
+        });
+    }
+    
+    batchBar.hidden = selectedTaskIds.size === 0;
+    if (selectedTaskIds.size > 0) {
+        const hidden = selectedTaskIds.size - shownTasks.filter(t => selectedTaskIds.has(t.id)).length;
+        batchCount.textContent = `${selectedTaskIds.size} selected` + (hidden > 0 ? ` (${hidden} not shown)` : '');
+    }
+}
+
+function tagNameOf(tag) {
+    // Tags may be plain strings or { name, color } objects
+    return typeof tag === 'string' ? tag : tag.name;
+}
+
+function runBatchAction(action) {
+    /**
+     * Apply one batch bar action to every selected task.
+     * 
+     * action: 'complete', 'reopen', 'reschedule', 'tag', 'assign', 'delete' or 'clear'
+     */
+    if (action === 'clear') {
+        clearSelection();
+        return;
+    }
+    
+    const taskIds = [...selectedTaskIds].map(id => TaskStore.resolveId(id));
+    if (taskIds.length === 0) {
+        return;
+    }
+    
+    const body = { action, task_ids: taskIds };
+    let change = null;  // task -> changed task (null for delete)
+    
+    if (action === 'complete') {
+        change = task => ({ ...task, completed: true, status: 'completed' });
+    } else if (action === 'reopen') {
+        change = task => ({ ...task, completed: false, status: 'pending' });
+    } else if (action === 'reschedule') {
+        body.due_date = batchDueDate.value || null;
+        if (!body.due_date && !confirm(`Remove the due date from ${taskIds.length} task(s)?`)) {
+            return;
+        }
+        change = task => ({ ...task, due_date: body.due_date });
+    } else if (action === 'tag') {
+        body.tag = cleanTagName(batchTag.value);
+        if (!body.tag) {
+            showFieldError(batchTag, 'Type the tag to add first');
+            batchTag.focus();
+            return;
+        }
+        const hasTag = task => (task.tags || []).some(tag => tagNameOf(tag).toLowerCase() === body.tag.toLowerCase());
+        change = task => hasTag(task) ? task : { ...task, tags: [...(task.tags || []), ...toTagObjects([body.tag])] };
+    } else if (action === 'assign') {
+        // Every task has to be in a project the member is in, or the server refuses the lot
+        body.assignee_id = parseInt(batchAssignee.value) || null;
+        change = task => ({ ...task, assignee_id: body.assignee_id });
+    } else if (action === 'delete') {
+        if (!confirm(`Move ${taskIds.length} task(s) to the Trash?`)) {
+            return;
+        }
+    } else {
+        return;
+    }
+    
+    const { previous, nextTasks } = applyBatch(body, change);
+    if (action === 'delete') {
+        selectedTaskIds.clear();
+    }
+    recordBatchChange(body, change, previous, nextTasks);
+    renderTasks();
+}
+
+function applyBatch(body, change, { fromHistory = false } = {}) {
+    /**
+     * Change the tasks in body.task_ids with change (task -> changed task,
+     * or null to delete them) and queue the 'batch'.
+     * 
+     * Returns { previous, nextTasks }: the tasks as they were, with their
+     * positions, and the next copies added for completed repeating tasks.
+     */
+    
+    // Remember every task as it was (and where), in case the server refuses
+    const taskIds = body.task_ids;
+    const action = body.action;
+    const selected = new Set(taskIds);
+    const previous = [];
+    window.tasks.forEach((task, position) => {
+        if (selected.has(task.id)) previous.push({ task, position });
+    });
+    
+    window.tasks = change
+        ? window.tasks.map(task => selected.has(task.id) ? change(task) : task)
+        : window.tasks.filter(task => !selected.has(task.id));
+    if (!change) {
+        moveToTrash(previous.map(({ task }) => task));
+    }
+    taskIds.forEach(id => delete taskErrors[id]);
+    TaskStore.saveTasks(window.tasks);
+    
+    TaskLog.debug(`Batch ${action} for ${taskIds.length} tasks...`);
+    TaskStore.queue({ type: 'batch', body, previous });
+    
+    // Completing repeating tasks adds their next copies, like the checkbox does
+    // (a redo puts back the copies the undo removed instead)
+    let nextTasks = [];
+    if (action === 'complete' && !fromHistory) {
+        nextTasks = previous
+            .filter(({ task }) => !task.completed && task.recurrence)
+            .map(({ task }) => addNextOccurrence(task))
+            .filter(Boolean);
+    }
+    return { previous, nextTasks };
+}
+
+function recordBatchChange(body, change, previous, nextTasks) {
+    /**
+     * Record a batch for undo (STEP 27). Undo changes each task back on its
+     * own; redo sends the same batch again.
+     */
+    if (previous.length === 0) {
+        return;
+    }
+    const count = previous.length;
+    const label = {
+        complete: `Completed ${count} task(s)`,
+        reopen: `Reopened ${count} task(s)`,
+        reschedule: `Rescheduled ${count} task(s)`,
+        tag: `Tagged ${count} task(s) "${body.tag}"`,
+        assign: body.assignee_id ? `Assigned ${count} task(s) to ${memberNameOf(body.assignee_id)}` : `Unassigned ${count} task(s)`,
+        delete: `Deleted ${count} task(s)`
+    }[body.action];
+    
+    const undo = () => {
+        nextTasks.forEach(task => deleteTask(task.id, { fromHistory: true }));
+        // Ascending positions, so restored tasks land where they were
+        previous.forEach(({ task, position }) => {
+            const current = window.tasks.find(t => t.id === TaskStore.resolveId(task.id));
+            if (body.action === 'delete') {
+                restoreTask(task, position);
+            } else if (body.action === 'reschedule') {
+                updateTaskFields(task.id, { due_date: task.due_date || null });
+            } else if (body.action === 'assign') {
+                updateTaskFields(task.id, { assignee_id: task.assignee_id || null });
+            } else if (body.action === 'tag') {
+                const tagsBefore = (task.tags || []).map(tagNameOf);
+                if (current && (current.tags || []).length !== tagsBefore.length) {
+                    setTaskTags(task.id, tagsBefore);
+                }
+            } else if (current && Boolean(current.completed) !== Boolean(task.completed)) {
+                toggleTask(task.id, { fromHistory: true });
+            }
+        });
+    };
+    const redo = () => {
+        const taskIds = previous.map(({ task }) => TaskStore.resolveId(task.id))
+            .filter(id => window.tasks.some(t => t.id === id));
+        if (taskIds.length === 0) {
+            return;
+        }
+        applyBatch({ ...body, task_ids: taskIds }, change, { fromHistory: true });
+        nextTasks.forEach(task => restoreTask(task, 0));
+        renderTasks();
+    };
+    recordChange(label, undo, redo);
+}
+
+function batchSynced(result) {
+    /**
+     * The server applied a batch: take its copies of the changed tasks
+     * (they have the new versions), except for tasks with more changes
+     * still queued.
+     */
+    (result.results || []).filter(entry => entry.task).forEach(({ task: serverTask }) => {
+        const taskIndex = window.tasks.findIndex(t => t.id === serverTask.id);
+        if (taskIndex === -1 || TaskStore.isPending(serverTask.id)) {
+            return;
+        }
+        window.tasks[taskIndex] = { ...serverTask, items: serverTask.items || window.tasks[taskIndex].items };
+        rememberTags(serverTask.tags);
+    });
+    TaskStore.saveTasks(window.tasks);
+    renderTasks();
+}
+
+function rollbackBatch(op, message, results) {
+    /**
+     * Undo a refused batch: put back every task it changed or deleted, and
+     * show on each card either its own error or the overall message.
+     */
+    const errors = {};
+    results.filter(result => !result.ok).forEach(result => { errors[result.id] = result.error; });
+    
+    // Ascending positions, so re-inserted tasks land where they were
+    op.previous.forEach(({ task, position }) => {
+        const taskIndex = window.tasks.findIndex(t => t.id === task.id);
+        if (taskIndex > -1) {
+            window.tasks[taskIndex] = task;
+        } else {
+            window.tasks.splice(Math.min(position, window.tasks.length), 0, task);
+        }
+        taskErrors[task.id] = errors[task.id] || message;
+    });
+    if (op.body.action === 'delete') {
+        const restored = new Set(op.previous.map(({ task }) => task.id));
+        trashedTasks = trashedTasks.filter(t => !restored.has(t.id));
+    }
+}
+
+
+// ============================================================================
+// STEP 27: UNDO / REDO
+// ============================================================================
+// Every change made from this page (add, complete, edit, delete, move,
+// restore) is recorded as a pair of functions: one that takes it back and
+// one that does it again. Undoing a change just makes the opposite change,
+// so it goes through the offline outbox like any other.
+//
+// After each change a toast shows what happened with an Undo button (and
+// screen readers read it out, STEP 39).
+// Ctrl+Z (Cmd+Z on a Mac) undoes, Ctrl+Shift+Z or Ctrl+Y redoes - except
+// while typing in a text box, where they undo the typing instead.
+
+function recordChange(label, undo, redo) {
+    /**
+     * Remember a change the user just made.
+     * 
+     * label: what happened, e.g. 'Deleted "Buy milk"' (shown in the toast)
+     * undo / redo: functions that take the change back / make it again
+     * 
+     * A new change means the changes that were undone can't be redone any more.
+     */
+    undoStack.push({ label, undo, redo });
+    if (undoStack.length > HISTORY_LIMIT) {
+        undoStack.shift();
+    }
+    redoStack.length = 0;
+    showToast(label, 'Undo', undoLastChange);
+}
+
+function undoLastChange() {
+    const change = undoStack.pop();
+    if (!change) {
+        showToast('Nothing to undo');
+        return;
+    }
+    cancelEditing();
+    change.undo();
+    redoStack.push(change);
+    showToast(`Undone: ${change.label}`, 'Redo', redoLastChange);
+}
+
+function redoLastChange() {
+    const change = redoStack.pop();
+    if (!change) {
+        showToast('Nothing to redo');
+        return;
+    }
+    cancelEditing();
+    change.redo();
+    undoStack.push(change);
+    showToast(change.label, 'Undo', undoLastChange);
+}
+
+function handleHistoryShortcut(e) {
+    // Ctrl/Cmd+Z = undo, Ctrl/Cmd+Shift+Z or Ctrl+Y = redo
+    if (!(e.ctrlKey || e.metaKey) || e.altKey) {
+        return;
+    }
+    
+    // Leave text boxes alone - there Ctrl+Z undoes the typing
+    if (isTyping(e.target)) {
+        return;
+    }
+    
+    const key = e.key.toLowerCase();
+    if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        undoLastChange();
+    } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+        e.preventDefault();
+        redoLastChange();
+    }
+}
+
+function isTyping(target) {
+    // Is this element something keys type into (a text box, a dropdown...)?
+    return target.isContentEditable || target.tagName === 'TEXTAREA' || target.tagName === 'SELECT' ||
+        (target.tagName === 'INPUT' && !['checkbox', 'radio', 'button', 'submit'].includes(target.type));
+}
+
+function showToast(message, buttonLabel, action) {
+    /**
+     * Show a short message at the bottom of the page for a few seconds,
+     * optionally with a button (e.g. "Undo"). Screen readers read it out
+     * (see announce).
+     */
+    announce(message);
+    toastMessage.textContent = message;
+    toastButton.textContent = buttonLabel || '';
+    toastButton.hidden = !action;
+    toastAction = action || null;
+    toast.hidden = false;
+    
+    clearTimeout(toastTimer);
+    toastTimer = setTimeout(() => {
+        toast.hidden = true;
+        toastAction = null;
+    }, 5000);
+}
+
+
+// ============================================================================
+// STEP 28: TRASH
+// ============================================================================
+// Deleted tasks aren't gone: the server keeps them (with a deleted_at time)
+// until the Trash is emptied. The "Trash" filter lists them with a Restore
+// button. trashedTasks is loaded from GET /api/tasks/trash when the view
+// opens; deletes and restores made on this page update it right away.
+// Tasks of projects the user can only view stay in the Trash for them: they
+// can't restore them, and emptying the Trash leaves them alone.
+
+async function loadTrash() {
+    /**
+     * Fetch the Trash from the server. Deletes still waiting in the outbox
+     * are kept, and tasks with a queued restore are left out.
+     */
+    try {
+        const serverTrash = await TaskApi.get('/api/tasks/trash');
+        const serverIds = new Set(serverTrash.map(t => t.id));
+        const pending = trashedTasks.filter(t => !serverIds.has(t.id) && TaskStore.isPending(t.id));
+        const shown = new Set(window.tasks.map(t => t.id));
+        trashedTasks = [...pending, ...serverTrash.filter(t => !shown.has(t.id))];
+    } catch (error) {
+        if (error instanceof TaskApi.AuthError) {
+            redirectToLogin();
+            return;
+        }
+        // Offline: show what this page knows about
+        console.warn('Could not load the Trash:', error.message);
+    }
+    renderTasks();
+}
+
+function moveToTrash(tasks) {
+    // Put just-deleted tasks at the top of the Trash
+    const deletedAt = new Date().toISOString();
+    const ids = new Set(tasks.map(t => t.id));
+    trashedTasks = [
+        ...tasks.map(task => ({ ...task, deleted_at: deletedAt })),
+        ...trashedTasks.filter(t => !ids.has(t.id))
+    ];
+}
+
+function restoreFromTrash(taskId) {
+    // The Restore button: the task goes back on top of the list
+    const task = trashedTasks.find(t => t.id === taskId);
+    if (!task || !canEditTask(task)) {
+        return;
+    }
+    restoreTask(task, 0);
+    recordChange(`Restored "${task.title}"`,
+        () => deleteTask(task.id, { fromHistory: true }),
+        () => restoreTask(task, 0));
+}
+
+function emptyTrash() {
+    /**
+     * Delete everything in the Trash for good (DELETE /api/tasks/trash).
+     * This is the one change that can't be undone, so ask first.
+     */
+    const emptied = trashedTasks.filter(canEditTask);
+    if (emptied.length === 0) {
+        return;
+    }
+    if (!confirm(`Permanently delete ${emptied.length} task(s) in the Trash? This cannot be undone.`)) {
+        return;
+    }
+    
+    trashedTasks = trashedTasks.filter(task => !canEditTask(task));
+    // Anything undo could bring back from the Trash is gone now
+    undoStack.length = 0;
+    redoStack.length = 0;
+    TaskLog.debug('Emptying the Trash...');
+    TaskStore.queue({ type: 'empty-trash' });
+    renderTasks();
+}
+
+function createTrashElement(task) {
+    /**
+     * The card for a task in the Trash: just what it was, its history and
+     * a Restore button.
+     */
+    const deletedAt = new Date(task.deleted_at);
+    return `
+        <div class="task-item trashed ${task.completed ? 'completed' : ''}" data-task-id="${task.id}"
+             role="article" aria-labelledby="task-title-${task.id}" tabindex="0">
+            <div class="task-content">
+                <div class="task-title" id="task-title-${task.id}">${escapeHtml(task.title)}</div>
+                ${task.description ? `<div class="task-description">${escapeHtml(task.description)}</div>` : ''}
+                <div class="task-date">🗑 Deleted ${deletedAt.toLocaleString()}</div>
+                ${createHistoryHtml(task)}
+            </div>
+            <div class="task-actions">
+                ${createHistoryButton(task)}
+                ${canEditTask(task)
+                    ? `<button class="task-btn restore-btn" type="button" aria-label="Restore ${escapeHtml(task.title)}">Restore</button>`
+                    : '<span class="read-only-badge" title="You can view this project but not change it">👁 View only</span>'}
+            </div>
+        </div>
+    `;
+}
+
+
+// ============================================================================
+// STEP 29: EXPORT AND IMPORT
+// ============================================================================
+// The conversion to and from JSON, CSV and iCalendar lives in
+// static/js/transfer.js. Exports are built from window.tasks (or only the
+// tasks the current filter and search show) and downloaded as a file.
+//
+// Imports are read in the browser and shown in a preview first: rows with
+// problems can't be imported, and tasks that look like ones already on the
+// board (same title and due date) are left unticked. The ticked rows are
+// then added like any new task - through the outbox, so it works offline too.
+
+function exportTasksAs(format) {
+    const tasks = exportShownOnly.checked ? getFilteredTasks() : window.tasks;
+    if (tasks.length === 0) {
+        showToast('There are no tasks to export');
+        return;
+    }
+    downloadFile(TaskTransfer.exportTasks(tasks, format));
+}
+
+function downloadFile({ text, mimeType, filename }) {
+    // Make the browser save text as a file, via a temporary link
+    const url = URL.createObjectURL(new Blob([text], { type: mimeType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
+
+async function handleImportFile() {
+    /**
+     * A file was chosen: read it, check every task in it and show the preview.
+     * Files that can't be read at all show their problem under the add form.
+     */
+    const file = importFile.files[0];
+    importFile.value = '';  // So choosing the same file again works
+    if (!file) {
+        return;
+    }
+    
+    try {
+        const format = TaskTransfer.formatFromFilename(file.name);
+        const rows = TaskTransfer.parseFile(await file.text(), format);
+        importRows = TaskTransfer.markDuplicates(rows, window.tasks);
+    } catch (error) {
+        if (!(error instanceof TaskTransfer.ImportError)) {
+            throw error;
+        }
+        closeImportPreview();
+        showFormError(`${file.name} could not be imported: ${error.message}`);
+        return;
+    }
+    
+    formError.hidden = true;
+    showImportPreview(file.name);
+}
+
+function showImportPreview(filename) {
+    // One table row per task in the file, with a tick box for the ones to import
+    const ready = importRows.filter(row => row.errors.length === 0 && !row.duplicate).length;
+    const duplicates = importRows.filter(row => row.duplicate).length;
+    const invalid = importRows.filter(row => row.errors.length > 0).length;
+    importSummary.textContent = `${filename}: ${importRows.length} task(s) - ${ready} ready` +
+        (duplicates > 0 ? `, ${duplicates} already on the board (unticked)` : '') +
+        (invalid > 0 ? `, ${invalid} with problems (can't be imported)` : '');
+    
+    importRowsBody.innerHTML = importRows.map((row, index) => {
+        const problems = row.errors.length > 0
+            ? row.errors.map(escapeHtml).join('<br>')
+            : (row.duplicate ? 'Already on the board' : '');
+        return `
+            <tr class="${row.errors.length > 0 ? 'import-invalid' : ''} ${row.duplicate ? 'import-duplicate' : ''}">
+                <td><input type="checkbox" class="import-checkbox" data-index="${index}"
+                    aria-label="Import line ${row.line}"
+                    ${row.errors.length === 0 && !row.duplicate ? 'checked' : ''}
+                    ${row.errors.length > 0 ? 'disabled' : ''}></td>
+                <td>${row.line}</td>
+                <td>${escapeHtml(row.task.title)}</td>
+                <td>${row.task.due_date ? escapeHtml(row.task.due_date) : ''}</td>
+                <td>${row.task.completed ? '✓' : ''}</td>
+                <td class="import-problems">${problems}</td>
+            </tr>
+        `;
+    }).join('');
+    importPreview.hidden = false;
+}
+
+function closeImportPreview() {
+    importRows = [];
+    importRowsBody.innerHTML = '';
+    importPreview.hidden = true;
+}
+
+function importSelectedTasks() {
+    /**
+     * Add the ticked rows as new tasks, keeping the file's order at the top
+     * of the list: each one's tags, checklist and completion are queued
+     * after its "create". The whole import is one step for undo.
+     */
+    const rows = [...importRowsBody.querySelectorAll('.import-checkbox:checked')]
+        .map(box => importRows[parseInt(box.dataset.index)]);
+    if (rows.length === 0) {
+        showToast('Tick the tasks to import first');
+        return;
+    }
+    
+    // addTask() puts each task on top, so add them last to first
+    const newTasks = [...rows].reverse().map(({ task }) => {
+        const newTask = addTask({
+            title: task.title,
+            description: task.description,
+            due_date: task.due_date,
+            recurrence: task.recurrence,
+            priority: task.priority,
+            tags: task.tags
+        });
+        task.items.forEach(item => addChecklistItem(newTask.id, item.title));
+        const items = window.tasks.find(t => t.id === newTask.id).items;
+        task.items.forEach((item, index) => {
+            if (item.done) toggleChecklistItem(newTask.id, items[index].id);
+        });
+        if (task.completed && !window.tasks.find(t => t.id === newTask.id).completed) {
+            toggleTask(newTask.id, { fromHistory: true });  // Not a step of its own, and no next copy
+        }
+        return newTask;
+    }).reverse();
+    
+    recordChange(`Imported ${newTasks.length} task(s)`,
+        () => newTasks.forEach(task => deleteTask(task.id, { fromHistory: true })),
+        () => [...newTasks].reverse().forEach(task => restoreTask(task, 0)));
+    
+    closeImportPreview();
+    renderTasks();
+}
+
+
+// ============================================================================
+// STEP 30: TAGS
+// ============================================================================
+// task.tags is a list of { id, name, color } (tags added on this device
+// have no id until the server has them). Tags are shared between tasks and
+// kept in knownTags, loaded from GET /api/tags.
+//
+// - Cards show tags as colored chips; clicking one searches for "tag:name"
+// - The add form and the edit form have a tag input: type a name and press
+//   Enter (or ","), with names already in use suggested while typing
+// - The tag manager renames, recolors, merges and deletes tags
+//
+// A task's tags are saved with PUT /api/tasks/{taskId}/tags. Tag manager
+// changes go to /api/tags/... - all through the outbox, like other changes.
+
+async function loadTags() {
+    try {
+        knownTags = await TaskApi.get('/api/tags');
+    } catch (error) {
+        if (error instanceof TaskApi.AuthError) {
+            redirectToLogin();
+            return;
+        }
+        // Offline: the tags on the tasks themselves still work
+        console.warn('Could not load tags:', error.message);
+    }
+    renderTagSuggestions();
+    if (!tagManager.hidden) {
+        renderTagManager();
+    }
+    renderTasks();
+}
+
+function rememberTags(tags) {
+    // Tags the server just created (they now have an id) join knownTags
+    let added = false;
+    (tags || []).filter(tag => typeof tag === 'object' && tag.id).forEach(tag => {
+        if (!knownTags.some(known => known.id === tag.id)) {
+            knownTags.push({ ...tag, task_count: 1 });
+            added = true;
+        }
+    });
+    if (added) {
+        knownTags.sort((a, b) => a.name.localeCompare(b.name));
+        renderTagSuggestions();
+    }
+}
+
+function findTag(name) {
+    // The known tag with this name (names are unique, ignoring case)
+    const lowerName = name.toLowerCase();
+    return knownTags.find(tag => tag.name.toLowerCase() === lowerName);
+}
+
+function cleanTagName(text) {
+    // Commas, semicolons and quotes separate tags (in the tag input, exports and searches)
+    return String(text || '').replace(/[,;"]/g, ' ').replace(/\s+/g, ' ').trim().slice(0, TAG_NAME_MAX_LENGTH);
+}
+
+function tagColor(tag) {
+    /**
+     * The color of a tag: its own, the known tag's, or one picked by name
+     * (the same pick app.py makes for new tags).
+     */
+    const name = tagNameOf(tag);
+    const known = findTag(name);
+    const color = (typeof tag === 'object' && tag.color) || (known && known.color);
+    if (/^#[0-9a-f]{6}$/i.test(color || '')) {
+        return color;
+    }
+    const sum = [...name.toLowerCase()].reduce((total, char) => total + char.charCodeAt(0), 0);
+    return TAG_COLORS[sum % TAG_COLORS.length];
+}
+
+function toTagObjects(names) {
+    // ['ops'] -> [{ id, name, color }] using the known tag where there is one
+    return names.map(name => {
+        const known = findTag(name);
+        return known ? { id: known.id, name: known.name, color: known.color } : { name, color: tagColor(name) };
+    });
+}
+
+function createTagChip(tag, element) {
+    /**
+     * A colored chip for a tag. element is 'button' (task cards: click to
+     * filter) or 'span' (tag inputs, with a remove button).
+     */
+    const name = tagNameOf(tag);
+    if (element === 'button') {
+        return `<button type="button" class="tag-chip" data-tag="${escapeHtml(name)}" style="--tag-color: ${tagColor(tag)}"
+                        title="Show tasks tagged ${escapeHtml(name)}">${escapeHtml(name)}</button>`;
+    }
+    return `<span class="tag-chip" data-tag="${escapeHtml(name)}" style="--tag-color: ${tagColor(tag)}">${escapeHtml(name)}<button
+                type="button" class="tag-remove-btn" aria-label="Remove tag ${escapeHtml(name)}">✕</button></span>`;
+}
+
+function filterByTag(name) {
+    // Clicking a chip: search for tag:name (in quotes if it has spaces)
+    taskSearch.value = /\s/.test(name) ? `tag:"${name}"` : `tag:${name}`;
+    applySearch();
+}
+
+
+// --- Tag input (add form and edit form) -------------------------------------
+
+function createTagInput(tags) {
+    // Chips for the current tags, then a text box for adding more
+    return `
+        <div class="tag-input">
+            ${tags.map(tag => createTagChip(tag, 'span')).join('')}
+            <input type="text" class="tag-entry" list="tagSuggestions" placeholder="Add tags..." aria-label="Tags"
+                   maxlength="${TAG_NAME_MAX_LENGTH}">
+        </div>
+    `;
+}
+
+function renderTagSuggestions() {
+    // The <datalist> the tag inputs suggest from: known tags and tags on tasks
+    const names = new Map();
+    knownTags.forEach(tag => names.set(tag.name.toLowerCase(), tag.name));
+    (window.tasks || []).forEach(task => (task.tags || []).forEach(tag => {
+        const name = tagNameOf(tag);
+        if (!names.has(name.toLowerCase())) names.set(name.toLowerCase(), name);
+    }));
+    tagSuggestions.innerHTML = [...names.values()]
+        .sort((a, b) => a.localeCompare(b))
+        .map(name => `<option value="${escapeHtml(name)}"></option>`)
+        .join('');
+}
+
+function addTagChip(container, text) {
+    // Turn what was typed into a chip (ignoring names that are already there)
+    const name = cleanTagName(text);
+    const entry = container.querySelector('.tag-entry');
+    entry.value = '';
+    if (!name || readTagInput(container).some(existing => existing.toLowerCase() === name.toLowerCase())) {
+        return;
+    }
+    entry.insertAdjacentHTML('beforebegin', createTagChip(findTag(name) || name, 'span'));
+}
+
+function readTagInput(container) {
+    // The tag names in a tag input, including a name typed but not added yet
+    const names = [...container.querySelectorAll('.tag-chip')].map(chip => chip.dataset.tag);
+    const typed = cleanTagName(container.querySelector('.tag-entry').value);
+    if (typed && !names.some(name => name.toLowerCase() === typed.toLowerCase())) {
+        names.push(typed);
+    }
+    return names;
+}
+
+function handleTagInputKeydown(e) {
+    /**
+     * Enter or "," adds the typed tag; Backspace in an empty box removes
+     * the last one. Returns true if the key was for a tag input.
+     */
+    if (!e.target.classList.contains('tag-entry')) {
+        return false;
+    }
+    const container = e.target.closest('.tag-input');
+    if (e.key === 'Enter' || e.key === ',') {
+        e.preventDefault();  // Don't submit the add form
+        addTagChip(container, e.target.value);
+        return true;
+    }
+    if (e.key === 'Backspace' && e.target.value === '') {
+        const chips = container.querySelectorAll('.tag-chip');
+        if (chips.length > 0) chips[chips.length - 1].remove();
+        return true;
+    }
+    return false;
+}
+
+function handleTagInputClick(e) {
+    // The ✕ on a chip in a tag input. Returns true if it was one.
+    const button = e.target.closest('.tag-remove-btn');
+    if (!button) {
+        return false;
+    }
+    button.closest('.tag-chip').remove();
+    return true;
+}
+
+function setTaskTags(taskId, names, { render = true } = {}) {
+    /**
+     * Replace a task's tags and queue the "task-tags" change
+     * (sent as PUT /api/tasks/{taskId}/tags).
+     */
+    taskId = TaskStore.resolveId(taskId);
+    const taskIndex = window.tasks.findIndex(t => t.id === taskId);
+    if (taskIndex === -1 || !canEditTask(window.tasks[taskIndex])) {
+        return;
+    }
+    const previous = window.tasks[taskIndex];
+    window.tasks[taskIndex] = { ...previous, tags: toTagObjects(names) };
+    delete taskErrors[taskId];
+    TaskStore.saveTask(window.tasks[taskIndex]);
+    TaskStore.queue({ type: 'task-tags', taskId, previous, body: { tags: names } });
+    
+    renderTagSuggestions();
+    if (render) {
+        renderTasks();
+    }
+}
+
+
+// --- Tag manager ------------------------------------------------------------
+
+function toggleTagManager() {
+    tagManager.hidden = !tagManager.hidden;
+    manageTagsButton.setAttribute('aria-expanded', String(!tagManager.hidden));
+    if (!tagManager.hidden) {
+        renderTagManager();
+        loadTags();  // Fresh task counts
+    }
+}
+
+function renderTagManager() {
+    /**
+     * One row per tag: color, name, number of tasks, "merge into" and delete.
+     * Tags created on this device show up once the server has them.
+     */
+    if (knownTags.length === 0) {
+        tagManagerList.innerHTML = '<li class="no-tasks">No tags yet. Add some to a task first.</li>';
+        return;
+    }
+    tagManagerList.innerHTML = knownTags.map(tag => `
+        <li class="tag-manager-row" data-tag-id="${tag.id}">
+            <input type="color" class="tag-color-input" value="${tagColor(tag)}" aria-label="Color of ${escapeHtml(tag.name)}">
+            <input type="text" class="tag-name-input view-select" value="${escapeHtml(tag.name)}"
+                   maxlength="${TAG_NAME_MAX_LENGTH}" aria-label="Name of ${escapeHtml(tag.name)}">
+            <span class="tag-count">${tag.task_count || 0} task(s)</span>
+            <select class="tag-merge-select view-select" aria-label="Merge ${escapeHtml(tag.name)} into another tag">
+                <option value="">Merge into...</option>
+                ${knownTags.filter(other => other.id !== tag.id)
+                    .map(other => `<option value="${other.id}">${escapeHtml(other.name)}</option>`).join('')}
+            </select>
+            <button type="button" class="tag-delete-btn" aria-label="Delete tag ${escapeHtml(tag.name)}">🗑</button>
+        </li>
+    `).join('');
+}
+
+function handleTagManagerChange(e) {
+    // A tag's color, name or "merge into" was changed
+    const row = e.target.closest('.tag-manager-row');
+    if (!row) {
+        return;
+    }
+    const tagId = parseInt(row.dataset.tagId);
+    if (e.target.classList.contains('tag-color-input')) {
+        recolorTag(tagId, e.target.value);
+    } else if (e.target.classList.contains('tag-name-input')) {
+        renameTag(tagId, e.target.value);
+    } else if (e.target.classList.contains('tag-merge-select') && e.target.value) {
+        mergeTag(tagId, parseInt(e.target.value));
+    }
+}
+
+function handleTagManagerClick(e) {
+    const button = e.target.closest('.tag-delete-btn');
+    if (button) {
+        deleteTag(parseInt(button.closest('.tag-manager-row').dataset.tagId));
+    }
+}
+
+function changeTagOnTasks(name, change) {
+    /**
+     * Apply change(tags) -> newTags to every task (including the Trash)
+     * that has the tag called name.
+     */
+    const lowerName = name.toLowerCase();
+    const hasTag = task => (task.tags || []).some(tag => tagNameOf(tag).toLowerCase() === lowerName);
+    const update = task => hasTag(task) ? { ...task, tags: change(task.tags) } : task;
+    window.tasks = window.tasks.map(update);
+    trashedTasks = trashedTasks.map(update);
+    TaskStore.saveTasks(window.tasks);
+}
+
+function tagChanged() {
+    // Show a tag manager change everywhere
+    knownTags.sort((a, b) => a.name.localeCompare(b.name));
+    renderTagSuggestions();
+    renderTagManager();
+    renderTasks();
+}
+
+function recolorTag(tagId, color) {
+    const tag = knownTags.find(t => t.id === tagId);
+    if (!tag || !/^#[0-9a-f]{6}$/i.test(color)) {
+        return;
+    }
+    tag.color = color;
+    changeTagOnTasks(tag.name, tags => tags.map(t =>
+        tagNameOf(t).toLowerCase() === tag.name.toLowerCase() ? { id: tag.id, name: tag.name, color } : t));
+    TaskStore.queue({ type: 'tag-update', tagId, body: { color } });
+    tagChanged();
+}
+
+function renameTag(tagId, text) {
+    /**
+     * Rename a tag. Renaming it to the name of another tag offers to merge
+     * the two instead (two tags can't have the same name).
+     */
+    const tag = knownTags.find(t => t.id === tagId);
+    const name = cleanTagName(text);
+    if (!tag || !name || name === tag.name) {
+        renderTagManager();
+        return;
+    }
+    const other = findTag(name);
+    if (other && other.id !== tagId) {
+        if (confirm(`There is already a tag named "${other.name}". Merge "${tag.name}" into it?`)) {
+            mergeTag(tagId, other.id);
+        } else {
+            renderTagManager();
+        }
+        return;
+    }
+    
+    const oldName = tag.name;
+    tag.name = name;
+    changeTagOnTasks(oldName, tags => tags.map(t =>
+        tagNameOf(t).toLowerCase() === oldName.toLowerCase() ? { id: tag.id, name, color: tagColor(tag) } : t));
+    TaskStore.queue({ type: 'tag-update', tagId, body: { name } });
+    tagChanged();
+}
+
+function mergeTag(tagId, intoId) {
+    // Every task tagged tagId gets intoId instead, then tagId is deleted
+    const tag = knownTags.find(t => t.id === tagId);
+    const target = knownTags.find(t => t.id === intoId);
+    if (!tag || !target || tag === target) {
+        return;
+    }
+    const targetTag = { id: target.id, name: target.name, color: tagColor(target) };
+    changeTagOnTasks(tag.name, tags => {
+        const others = tags.filter(t => tagNameOf(t).toLowerCase() !== tag.name.toLowerCase());
+        const hasTarget = others.some(t => tagNameOf(t).toLowerCase() === target.name.toLowerCase());
+        return hasTarget ? others : [...others, targetTag];
+    });
+    target.task_count = window.tasks.filter(task =>
+        (task.tags || []).some(t => tagNameOf(t).toLowerCase() === target.name.toLowerCase())).length;
+    knownTags = knownTags.filter(t => t.id !== tagId);
+    TaskStore.queue({ type: 'tag-merge', tagId, body: { into: intoId } });
+    tagChanged();
+}
+
+function deleteTag(tagId) {
+    // Take a tag off every task and forget it
+    const tag = knownTags.find(t => t.id === tagId);
+    if (!tag) {
+        return;
+    }
+    if (!confirm(`Remove the tag "${tag.name}" from ${tag.task_count || 0} task(s)?`)) {
+        return;
+    }
+    changeTagOnTasks(tag.name, tags => tags.filter(t => tagNameOf(t).toLowerCase() !== tag.name.toLowerCase()));
+    knownTags = knownTags.filter(t => t.id !== tagId);
+    TaskStore.queue({ type: 'tag-delete', tagId });
+    tagChanged();
+}
+
+
+// ============================================================================
+// STEP 31: BOARD VIEW
+// ============================================================================
+// "Show as: Board" puts the cards in columns by task.status: 'pending' is
+// To Do, 'completed' is Done, and the user can add columns in between
+// (In Progress is there to start with). The board shows the same
+// window.tasks as the list, with the same filter, search and sort, and
+// uses the same card elements (STEP 6), so everything on a card works the
+// same way. Moving a card to another column queues a 'status' change
+// (PATCH /api/tasks/{id}/status); moving it into Done completes it.
+//
+// The columns ({ status, title, wip_limit }) are saved in localStorage,
+// like saved views. wip_limit is how many tasks a column should hold at
+// most ("work in progress" limit); moving a card into a full column asks first.
+
+function loadBoardColumns() {
+    try {
+        const columns = JSON.parse(localStorage.getItem('taskManager.boardColumns') || 'null');
+        return Array.isArray(columns) && columns.length > 0 ? columns : DEFAULT_BOARD_COLUMNS;
+    } catch (error) {
+        console.warn('Ignoring unreadable board columns:', error);
+        return DEFAULT_BOARD_COLUMNS;
+    }
+}
+
+function storeBoardColumns(columns) {
+    localStorage.setItem('taskManager.boardColumns', JSON.stringify(columns));
+}
+
+function isBoardShown() {
+    // The Trash is always shown as a list
+    return currentLayout === 'board' && currentFilter !== 'trash';
+}
+
+function statusOf(task) {
+    /**
+     * The status (board column) of a task. "completed" wins, so ticking the
+     * checkbox, batch actions and auto-complete move the card to Done too,
+     * and reopening a done task puts it back in To Do.
+     */
+    if (task.completed) {
+        return 'completed';
+    }
+    return task.status && task.status !== 'completed' ? task.status : 'pending';
+}
+
+function columnOf(task, columns) {
+    // Tasks whose column was removed show up in the first column
+    const status = statusOf(task);
+    return columns.find(column => column.status === status) || columns[0];
+}
+
+function switchLayout(showBoard) {
+    /**
+     * Get tasksList ready for the list or the board. The two keep their
+     * cards in different places, so switching starts from an empty page
+     * (an open edit form is closed).
+     */
+    boardSettingsButton.hidden = currentLayout !== 'board';
+    groupSelect.disabled = currentLayout === 'board';  // The columns are the groups
+    if (tasksList.classList.contains('board-layout') === showBoard) {
+        return;
+    }
+    tasksList.classList.toggle('board-layout', showBoard);
+    tasksList.innerHTML = '';
+    renderedCards.clear();
+    editingTaskId = null;
+    applyDeferredTaskEvents();
+}
+
+function renderBoard(tasks) {
+    /**
+     * Show the tasks (already filtered, searched and sorted) in their columns.
+     * 
+     * Works like patchTaskList(): columns and unchanged cards stay in the
+     * page, so focus and an open edit form survive re-renders. Boards are
+     * not virtualized - every card shown is in the page.
+     */
+    const columns = loadBoardColumns();
+    const focusTarget = rememberFocus();
+    lastRenderedCount = 0;  // Nothing to swap in while scrolling
+    tasksList.querySelectorAll('.no-tasks, .loading').forEach(el => el.remove());
+    
+    // Take out cards that are no longer shown, and columns that were removed
+    const wanted = new Set(tasks.map(task => task.id));
+    renderedCards.forEach((card, key) => {
+        if (!wanted.has(key)) {
+            card.element.remove();
+            if (key !== editingTaskId) {
+                renderedCards.delete(key);
+            }
+        }
+    });
+    const statuses = columns.map(column => column.status);
+    tasksList.querySelectorAll('.board-column').forEach(element => {
+        if (!statuses.includes(element.dataset.status)) {
+            element.remove();
+        }
+    });
+    
+    // Put the columns in order, and each column's cards in order
+    let previousColumn = null;
+    columns.forEach(column => {
+        const element = getBoardColumnElement(column);
+        const nextColumn = previousColumn ? previousColumn.nextSibling : tasksList.firstChild;
+        if (element !== nextColumn) {
+            tasksList.insertBefore(element, nextColumn);
+        }
+        previousColumn = element;
+        
+        const columnTasks = tasks.filter(task => columnOf(task, columns) === column);
+        updateBoardColumnHeader(element, column, columnTasks.length, countTasksInColumn(column, columns));
+        
+        const body = element.querySelector('.board-column-body');
+        let previous = null;
+        columnTasks.forEach(task => {
+            const card = getCardElement({ key: task.id, task });
+            const nextCard = previous ? previous.nextSibling : body.firstChild;
+            if (card !== nextCard) {
+                body.insertBefore(card, nextCard);
+            }
+            previous = card;
+        });
+    });
+    
+    restoreFocus(focusTarget);
+}
+
+function getBoardColumnElement(column) {
+    // The column's <section> on the page, or a new empty one
+    const existing = [...tasksList.children].find(element =>
+        element.classList.contains('board-column') && element.dataset.status === column.status);
+    if (existing) {
+        return existing;
+    }
+    const element = document.createElement('section');
+    element.className = 'board-column';
+    element.dataset.status = column.status;
+    element.innerHTML = `
+        <header class="board-column-header">
+            <h3 class="board-column-title"></h3>
+            <span class="board-column-count" title="Tasks shown"></span>
+            <span class="board-column-limit"></span>
+        </header>
+        <div class="board-column-body"></div>`;
+    return element;
+}
+
+function updateBoardColumnHeader(element, column, shown, total) {
+    /**
+     * Column title, how many cards it shows, and - if it has a WIP limit -
+     * how many of all the tasks are in it compared to that limit (the
+     * column is highlighted when full, and in red when over the limit).
+     */
+    const limited = Boolean(column.wip_limit);
+    element.setAttribute('aria-label', column.title);
+    element.querySelector('.board-column-title').textContent = column.title;
+    element.querySelector('.board-column-count').textContent = shown;
+    
+    const limit = element.querySelector('.board-column-limit');
+    limit.hidden = !limited;
+    limit.textContent = limited ? `WIP ${total} / ${column.wip_limit}` : '';
+    limit.title = limited ? `At most ${column.wip_limit} task(s) should be in this column` : '';
+    element.classList.toggle('at-limit', limited && total === column.wip_limit);
+    element.classList.toggle('over-limit', limited && total > column.wip_limit);
+}
+
+function countTasksInColumn(column, columns) {
+    // Every task counts towards the WIP limit, not just the ones shown
+    return window.tasks.filter(task => columnOf(task, columns) === column).length;
+}
+
+
+// ----------------------------------------------------------------------------
+// Moving cards between columns
+// ----------------------------------------------------------------------------
+
+function moveTaskToColumn(taskId, status, target = null) {
+    /**
+     * Move a card to the column for status (drag and drop, Alt+Left/Right).
+     * 
+     * target: { taskId, placeAfter } puts it right before/after that card
+     * too, when the board is in manual order (STEP 23).
+     * 
+     * A column at its WIP limit asks first. Moving into Done completes the
+     * task, which adds the next copy of a repeating task like the checkbox
+     * does. The whole move is one undo step.
+     */
+    taskId = TaskStore.resolveId(taskId);
+    const task = window.tasks.find(t => t.id === taskId);
+    const columns = loadBoardColumns();
+    const column = columns.find(c => c.status === status);
+    if (!task || !column || !canEditTask(task)) {
+        return;
+    }
+    
+    const changesColumn = columnOf(task, columns) !== column;
+    const previousStatus = statusOf(task);
+    const previousOrder = window.tasks.map(t => t.id);
+    const newOrder = target && canReorder() ? orderWithMove(taskId, target.taskId, target.placeAfter) : null;
+    if (!changesColumn && !newOrder) {
+        return;
+    }
+    if (changesColumn && !confirmWipLimit(column, columns)) {
+        return;
+    }
+    
+    let nextTask = null;
+    if (changesColumn) {
+        TaskLog.debug(`Moving task ${taskId} to the "${column.title}" column`);
+        setTaskStatus(taskId, status);
+        if (status === 'completed' && task.recurrence) {
+            nextTask = addNextOccurrence(task);
+        }
+    }
+    if (newOrder) {
+        applyOrder(taskId, newOrder);
+    }
+    
+    recordChange(changesColumn ? `Moved "${task.title}" to ${column.title}` : `Moved "${task.title}"`,
+        () => {
+            if (nextTask) deleteTask(nextTask.id, { fromHistory: true });
+            if (changesColumn) setTaskStatus(taskId, previousStatus);
+            if (newOrder) applyOrder(taskId, previousOrder);
+        },
+        () => {
+            if (changesColumn) setTaskStatus(taskId, status);
+            if (nextTask) restoreTask(nextTask, 0);
+            if (newOrder) applyOrder(taskId, newOrder);
+        });
+}
+
+function moveTaskToNextColumn(taskId, offset) {
+    // Alt+Left (offset -1) / Alt+Right (offset 1) on a focused card
+    const task = window.tasks.find(t => t.id === TaskStore.resolveId(taskId));
+    if (!task) {
+        return;
+    }
+    const columns = loadBoardColumns();
+    const column = columns[columns.indexOf(columnOf(task, columns)) + offset];
+    if (column) {
+        moveTaskToColumn(task.id, column.status);
+    }
+}
+
+function confirmWipLimit(column, columns) {
+    // true if the column has room for one more task (or the user says go ahead anyway)
+    if (!column.wip_limit) {
+        return true;
+    }
+    const count = countTasksInColumn(column, columns);
+    return count < column.wip_limit ||
+        confirm(`"${column.title}" already has ${count} task(s) and its WIP limit is ${column.wip_limit}. Move this task there anyway?`);
+}
+
+function setTaskStatus(taskId, status) {
+    /**
+     * Put a task in a board column: update window.tasks right away and queue
+     * the 'status' change ("completed" follows along). If the server refuses,
+     * rollbackChange() (STEP 17) puts the card back.
+     */
+    taskId = TaskStore.resolveId(taskId);
+    const taskIndex = window.tasks.findIndex(t => t.id === taskId);
+    if (taskIndex === -1 || !canEditTask(window.tasks[taskIndex])) {
+        return;
+    }
+    const previous = window.tasks[taskIndex];
+    window.tasks[taskIndex] = { ...previous, status, completed: status === 'completed' };
+    delete taskErrors[taskId];
+    TaskStore.saveTask(window.tasks[taskIndex]);
+    
+    TaskStore.queue({ type: 'status', taskId, version: previous.version, previous, body: { status } });
+    renderTasks();
+}
+
+
+// ----------------------------------------------------------------------------
+// Column settings
+// ----------------------------------------------------------------------------
+
+function toggleBoardSettings() {
+    boardSettings.hidden = !boardSettings.hidden;
+    boardSettingsButton.setAttribute('aria-expanded', String(!boardSettings.hidden));
+    if (!boardSettings.hidden) {
+        renderBoardSettings();
+    }
+}
+
+function renderBoardSettings() {
+    /**
+     * One row per column: name, WIP limit, move left/right and remove
+     * (To Do and Done can't be removed).
+     */
+    const columns = loadBoardColumns();
+    boardSettingsList.innerHTML = columns.map((column, index) => `
+        <li class="board-settings-row" data-status="${escapeHtml(column.status)}">
+            <input type="text" class="board-title-input view-select" value="${escapeHtml(column.title)}"
+                   maxlength="${BOARD_COLUMN_TITLE_MAX_LENGTH}" aria-label="Name of the ${escapeHtml(column.title)} column">
+            <label class="board-wip-label">
+                WIP limit
+                <input type="number" class="board-wip-input view-select" min="1" max="999" placeholder="None"
+                       value="${column.wip_limit || ''}" aria-label="WIP limit of the ${escapeHtml(column.title)} column">
+            </label>
+            <button type="button" class="board-column-move-btn" data-direction="left" ${index === 0 ? 'disabled' : ''}
+                    aria-label="Move the ${escapeHtml(column.title)} column left">◀</button>
+            <button type="button" class="board-column-move-btn" data-direction="right" ${index === columns.length - 1 ? 'disabled' : ''}
+                    aria-label="Move the ${escapeHtml(column.title)} column right">▶</button>
+            ${FIXED_BOARD_STATUSES.includes(column.status) ? '' : `
+            <button type="button" class="board-column-remove-btn" aria-label="Remove the ${escapeHtml(column.title)} column">🗑</button>`}
+        </li>
+    `).join('');
+}
+
+function boardColumnsChanged(columns) {
+    // Save the columns and show the change in the settings and on the board
+    storeBoardColumns(columns);
+    renderBoardSettings();
+    renderTasks();
+}
+
+function handleBoardSettingsChange(e) {
+    // A column's name or WIP limit was changed
+    const row = e.target.closest('.board-settings-row');
+    if (!row) {
+        return;
+    }
+    const columns = loadBoardColumns().map(column => ({ ...column }));
+    const column = columns.find(c => c.status === row.dataset.status);
+    if (!column) {
+        return;
+    }
+    
+    if (e.target.classList.contains('board-title-input')) {
+        const title = e.target.value.trim().slice(0, BOARD_COLUMN_TITLE_MAX_LENGTH);
+        if (title) {
+            column.title = title;
+        }
+    } else if (e.target.classList.contains('board-wip-input')) {
+        // Empty (or not a positive whole number) means no limit
+        const limit = Number(e.target.value);
+        column.wip_limit = Number.isInteger(limit) && limit > 0 ? limit : null;
+    }
+    boardColumnsChanged(columns);
+}
+
+function handleBoardSettingsClick(e) {
+    // Move a column left/right, or remove it
+    const button = e.target.closest('button');
+    const row = button ? button.closest('.board-settings-row') : null;
+    if (!row) {
+        return;
+    }
+    const columns = loadBoardColumns().slice();
+    const index = columns.findIndex(c => c.status === row.dataset.status);
+    if (index === -1) {
+        return;
+    }
+    
+    if (button.classList.contains('board-column-move-btn')) {
+        const otherIndex = index + (button.dataset.direction === 'left' ? -1 : 1);
+        if (otherIndex < 0 || otherIndex >= columns.length) {
+            return;
+        }
+        [columns[index], columns[otherIndex]] = [columns[otherIndex], columns[index]];
+    } else if (button.classList.contains('board-column-remove-btn')) {
+        // The tasks keep their status, so adding the column back brings them back
+        const column = columns[index];
+        const count = countTasksInColumn(column, columns);
+        const firstTitle = columns[index === 0 ? 1 : 0].title;
+        if (count > 0 && !confirm(`Remove the "${column.title}" column? Its ${count} task(s) will show in "${firstTitle}".`)) {
+            return;
+        }
+        columns.splice(index, 1);
+    } else {
+        return;
+    }
+    boardColumnsChanged(columns);
+}
+
+function addBoardColumn(e) {
+    /**
+     * "Add column": a new column (before Done) whose status is made from
+     * its name, e.g. "Waiting for review" -> 'waiting_for_review'.
+     */
+    e.preventDefault();
+    const title = boardColumnTitle.value.trim().slice(0, BOARD_COLUMN_TITLE_MAX_LENGTH);
+    if (!title) {
+        return;
+    }
+    const columns = loadBoardColumns().slice();
+    
+    // Statuses are lowercase letters, digits, "-" and "_" (see app.py); keep them unique
+    const base = title.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '').slice(0, 26) || 'column';
+    let status = base;
+    for (let n = 2; columns.some(c => c.status === status); n++) {
+        status = `${base}_${n}`;
+    }
+    
+    const doneIndex = columns.findIndex(c => c.status === 'completed');
+    columns.splice(doneIndex === -1 ? columns.length : doneIndex, 0, { status, title, wip_limit: null });
+    boardColumnTitle.value = '';
+    boardColumnsChanged(columns);
+}
+
+
+// ============================================================================
+// STEP 32: CALENDAR VIEW
+// ============================================================================
+// "Show as: Calendar" draws a month (or week) above the list with every task
+// on its due day, and the tasks without a due date in a sidebar. Picking a
+// day lists that day's tasks as normal cards under the calendar. Dragging a
+// task (from the calendar or the list) onto another day reschedules it
+// through the usual edit (PUT /api/tasks/{id}); dropping it on the sidebar
+// removes its due date. Alt+arrow keys on a focused task do the same.
+//
+// Due dates are days, not moments in time, so all of this goes through
+// dates.js - see the note at the top of that file.
+
+function isCalendarShown() {
+    // The Trash is always shown as a list
+    return currentLayout === 'calendar' && currentFilter !== 'trash';
+}
+
+function calendarDayOf(task) {
+    // The calendar day a task is on ('none' if it has no due date)
+    return task.due_date ? task.due_date.slice(0, 10) : 'none';
+}
+
+function renderCalendar(tasks) {
+    /**
+     * Draw the month (or week) around calendarAnchor with the given tasks
+     * (filtered, searched and sorted like the list), and the sidebar.
+     * 
+     * It's at most 42 days, so it is simply redrawn in full; keyboard focus
+     * stays on the same task or day.
+     */
+    const focused = calendarView.contains(document.activeElement) ? document.activeElement : null;
+    let focusSelector = null;
+    if (focused && focused.dataset.taskId) {
+        focusSelector = `.calendar-task[data-task-id="${focused.dataset.taskId}"]`;
+    } else if (focused && focused.dataset.day) {
+        focusSelector = `.${focused.classList[0]}[data-day="${focused.dataset.day}"]`;
+    }
+    
+    const tasksByDay = new Map();
+    tasks.forEach(task => {
+        const day = calendarDayOf(task);
+        if (!tasksByDay.has(day)) {
+            tasksByDay.set(day, []);
+        }
+        tasksByDay.get(day).push(task);
+    });
+    
+    const days = calendarMode === 'week'
+        ? TaskDates.weekDays(calendarAnchor)
+        : TaskDates.monthWeeks(calendarAnchor).flat();
+    const month = calendarAnchor.slice(0, 7);  // 'YYYY-MM'
+    
+    calendarModeSelect.value = calendarMode;
+    calendarTitle.textContent = calendarMode === 'week'
+        ? `${TaskDates.displayDay(days[0])} – ${TaskDates.displayDay(days[6])}`
+        : TaskDates.displayDay(calendarAnchor, { month: 'long', year: 'numeric' });
+    
+    calendarGrid.classList.toggle('week', calendarMode === 'week');
+    calendarGrid.innerHTML =
+        days.slice(0, 7).map(day => `<div class="calendar-weekday">${TaskDates.displayDay(day, { weekday: 'short' })}</div>`).join('') +
+        days.map(day => createCalendarDay(day, tasksByDay.get(day) || [],
+            calendarMode === 'month' && !day.startsWith(month))).join('');
+    
+    const undated = tasksByDay.get('none') || [];
+    undatedTasksList.innerHTML = undated.length > 0
+        ? undated.map(createCalendarTask).join('')
+        : '<li class="calendar-empty">None</li>';
+    undatedTasksList.parentElement.classList.toggle('picked', calendarDay === 'none');
+    
+    calendarDayTitle.textContent = calendarDay === 'none'
+        ? 'Tasks without a due date'
+        : `Due ${TaskDates.displayDay(calendarDay, { weekday: 'long', month: 'long', day: 'numeric', year: 'numeric' })}`;
+    
+    const target = focusSelector ? calendarView.querySelector(focusSelector) : null;
+    if (target) {
+        target.focus({ preventScroll: true });
+    }
+}
+
+function createCalendarDay(day, tasks, outsideMonth) {
+    /**
+     * HTML for one day of the calendar: its number (a button that picks the
+     * day) and its tasks. The month view shows CALENDAR_TASKS_PER_DAY tasks
+     * and a "+2 more" button; the week view has room for all of them.
+     */
+    const shown = calendarMode === 'week' ? tasks : tasks.slice(0, CALENDAR_TASKS_PER_DAY);
+    const hidden = tasks.length - shown.length;
+    const classes = [
+        'calendar-day',
+        outsideMonth ? 'outside' : '',
+        day === getToday().date ? 'today' : '',
+        day === calendarDay ? 'picked' : ''
+    ].join(' ');
+    const label = TaskDates.displayDay(day, { weekday: 'long', month: 'long', day: 'numeric' });
+    
+    return `
+        <div class="${classes}" data-day="${day}">
+            <button type="button" class="calendar-day-btn" data-day="${day}" aria-pressed="${day === calendarDay}"
+                    aria-label="${label}, ${tasks.length} task(s)">${TaskDates.parseDay(day).getDate()}</button>
+            <ul class="calendar-tasks">${shown.map(createCalendarTask).join('')}</ul>
+            ${hidden > 0 ? `<button type="button" class="calendar-more-btn" data-day="${day}">+${hidden} more</button>` : ''}
+        </div>`;
+}
+
+function createCalendarTask(task) {
+    // A task on the calendar: just its title (click to see its card, drag to another day)
+    return `
+        <li class="calendar-task ${task.completed ? 'completed' : ''} ${getDueState(task)}" data-task-id="${task.id}"
+            tabindex="0" draggable="${canEditTask(task)}" title="${escapeHtml(task.title)}${canEditTask(task) ? ' - drag to another day, or Alt+arrow keys' : ''}">${escapeHtml(task.title)}</li>`;
+}
+
+function handleCalendarClick(e) {
+    /**
+     * - ◀ / Today / ▶ in the toolbar
+     * - A task: show its card in the list under the calendar
+     * - A day (or its "+2 more"), or the sidebar: list that day's tasks
+     */
+    const navButton = e.target.closest('[data-calendar]');
+    if (navButton) {
+        moveCalendar(navButton.dataset.calendar);
+        return;
+    }
+    const chip = e.target.closest('.calendar-task');
+    if (chip) {
+        showTaskInCalendar(parseInt(chip.dataset.taskId));
+        return;
+    }
+    const day = e.target.closest('[data-day]');
+    if (day) {
+        calendarDay = day.dataset.day;
+        renderTasks();
+    }
+}
+
+function handleCalendarKeydown(e) {
+    /**
+     * On a focused task:
+     * - Enter shows its card
+     * - Alt+Left / Alt+Right moves it one day earlier / later
+     * - Alt+Up / Alt+Down moves it one week earlier / later
+     * (a task without a due date gets today's date)
+     */
+    const chip = e.target.closest('.calendar-task');
+    if (!chip) {
+        return;
+    }
+    const taskId = parseInt(chip.dataset.taskId);
+    if (e.key === 'Enter') {
+        e.preventDefault();
+        showTaskInCalendar(taskId);
+        return;
+    }
+    
+    const offsets = { ArrowLeft: -1, ArrowRight: 1, ArrowUp: -7, ArrowDown: 7 };
+    const task = window.tasks.find(t => t.id === TaskStore.resolveId(taskId));
+    if (!e.altKey || !(e.key in offsets) || !task) {
+        return;
+    }
+    e.preventDefault();
+    const dueDate = task.due_date ? TaskDates.addDays(calendarDayOf(task), offsets[e.key]) : getToday().date;
+    calendarAnchor = dueDate;  // Keep it on screen
+    rescheduleTask(task.id, dueDate);
+}
+
+function moveCalendar(direction) {
+    // 'prev' / 'next' month (or week), or back to 'today'
+    if (direction === 'today') {
+        calendarAnchor = calendarDay = getToday().date;
+    } else {
+        const step = direction === 'next' ? 1 : -1;
+        calendarAnchor = calendarMode === 'week'
+            ? TaskDates.addDays(calendarAnchor, 7 * step)
+            : TaskDates.monthStart(calendarAnchor, step);
+    }
+    renderTasks();
+}
+
+function showTaskInCalendar(taskId) {
+    // List the task's day under the calendar and move focus to its card
+    const task = window.tasks.find(t => t.id === TaskStore.resolveId(taskId));
+    if (!task) {
+        return;
+    }
+    calendarDay = calendarDayOf(task);
+    renderTasks();
+    const card = renderedCards.get(task.id);
+    if (card) {
+        card.element.focus();
+    }
+}
+
+function rescheduleTask(taskId, dueDate) {
+    /**
+     * Give a task a new due date (null = none), e.g. when it is dropped on
+     * another day. Sent like any edit; undo puts the old date back.
+     */
+    const task = window.tasks.find(t => t.id === TaskStore.resolveId(taskId));
+    if (!task || !canEditTask(task) || (task.due_date || null) === dueDate) {
+        return;
+    }
+    const previousDate = task.due_date || null;
+    
+    TaskLog.debug(`Rescheduling task ${task.id} to ${dueDate || 'no due date'}`);
+    updateTaskFields(task.id, { due_date: dueDate });
+    recordChange(dueDate ? `Moved "${task.title}" to ${TaskDates.displayDay(dueDate)}` : `Removed the due date of "${task.title}"`,
+        () => updateTaskFields(task.id, { due_date: previousDate }),
+        () => updateTaskFields(task.id, { due_date: dueDate }));
+}
+
+function handleCalendarDragStart(e) {
+    const chip = e.target.closest ? e.target.closest('.calendar-task') : null;
+    if (!chip || chip.draggable === false) {
+        return;
+    }
+    draggedTaskId = parseInt(chip.dataset.taskId);
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/plain', String(draggedTaskId));
+    chip.classList.add('dragging');
+}
+
+function handleCalendarDragOver(e) {
+    // Tasks from the calendar or cards from the list can be dropped on a day or the sidebar
+    if (draggedTaskId === null) {
+        return;
+    }
+    const target = e.target.closest('.calendar-day, .calendar-sidebar');
+    if (!target) {
+        return;
+    }
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'move';
+    calendarView.querySelectorAll('.drop-target').forEach(el => {
+        if (el !== target) el.classList.remove('drop-target');
+    });
+    target.classList.add('drop-target');
+}
+
+function handleCalendarDrop(e) {
+    if (draggedTaskId === null) {
+        return;
+    }
+    const target = e.target.closest('.calendar-day, .calendar-sidebar');
+    if (target) {
+        e.preventDefault();
+        rescheduleTask(draggedTaskId, target.dataset.day === 'none' ? null : target.dataset.day);
+    }
+    clearDragState();
+}
+
+
+// ============================================================================
+// STEP 33: KEYBOARD SHORTCUTS AND COMMAND PALETTE
+// ============================================================================
+// Single keys work on the focused task card (j/k move between cards), as long
+// as the user isn't typing in a box or looking at a dialog. Ctrl+K (Cmd+K on
+// a Mac) opens the command palette, which finds actions and tasks by a few
+// of their letters (see static/js/fuzzy.js). Most palette actions press the
+// same button or pick the same dropdown option the mouse would.
+
+// Shown by "?" - keep in step with handleShortcutKey() and the other key handlers
+const KEYBOARD_SHORTCUTS = [
+    { keys: ['j', 'k'], description: 'Next / previous task' },
+    { keys: ['x'], description: 'Complete or reopen the focused task' },
+    { keys: ['e'], description: 'Edit the focused task' },
+    { keys: ['#'], description: 'Delete the focused task' },
+    { keys: ['n'], description: 'New task' },
+    { keys: ['/'], description: 'Search' },
+    { keys: ['Ctrl+K'], description: 'Command palette: run an action or jump to a task' },
+    { keys: ['?'], description: 'This list' },
+    { keys: ['Ctrl+Z', 'Ctrl+Shift+Z'], description: 'Undo / redo' },
+    { keys: ['Alt+↑', 'Alt+↓'], description: 'Move the focused task up / down (manual order)' },
+    { keys: ['Alt+←', 'Alt+→'], description: 'Move the focused task to the previous / next board column' },
+    { keys: ['Alt+←', 'Alt+→', 'Alt+↑', 'Alt+↓'], description: 'Calendar: move the focused task a day / a week' },
+    { keys: ['Esc'], description: 'Close the palette or this list' }
+];
+
+// Palette titles for the filter buttons
+const FILTER_ACTION_TITLES = {
+    all: 'Show all tasks',
+    active: 'Show active tasks',
+    completed: 'Show completed tasks',
+    mine: 'Show tasks assigned to me',
+    trash: 'Open the Trash'
+};
+
+function handleShortcutKey(e) {
+    /**
+     * Keys pressed anywhere on the page (after the card and calendar
+     * handlers have had their turn):
+     * - Ctrl/Cmd+K opens or closes the command palette, even from a text box
+     * - Esc closes the palette or the shortcut list
+     * - j / k, x, e, #, n, / and ? - but not while typing in a box, with
+     *   Ctrl/Alt held, or while a dialog is open
+     */
+    const openDialog = document.querySelector('.modal-backdrop:not([hidden])');
+    
+    if ((e.ctrlKey || e.metaKey) && !e.altKey && e.key.toLowerCase() === 'k') {
+        if (openDialog && openDialog !== commandPalette && openDialog !== shortcutHelp) {
+            return;  // e.g. the merge dialog is waiting for an answer
+        }
+        e.preventDefault();
+        if (commandPalette.hidden) {
+            closeShortcutHelp();
+            openPalette();
+        } else {
+            closePalette();
+        }
+        return;
+    }
+    
+    if (e.key === 'Escape') {
+        closePalette();
+        closeShortcutHelp();
+        return;
+    }
+    
+    if (e.ctrlKey || e.metaKey || e.altKey || e.defaultPrevented || openDialog || isTyping(e.target)) {
+        return;
+    }
+    
+    const card = e.target.closest ? e.target.closest('.task-item') : null;
+    const taskId = focusedTaskId(e.target);
+    
+    if (e.key === 'j' || e.key === 'k') {
+        e.preventDefault();
+        focusNextCard(card, e.key === 'j' ? 1 : -1);
+    } else if (e.key === 'x' && taskId !== null) {
+        e.preventDefault();
+        keepFocusInList(card, () => toggleTask(taskId));
+    } else if (e.key === 'e' && taskId !== null) {
+        e.preventDefault();
+        editTaskByKeyboard(taskId);
+    } else if (e.key === '#' && taskId !== null) {
+        e.preventDefault();
+        keepFocusInList(card, () => deleteTask(taskId));
+    } else if (e.key === 'n') {
+        e.preventDefault();  // Otherwise the "n" would be typed into the box
+        taskTitle.focus();
+    } else if (e.key === '/') {
+        e.preventDefault();
+        taskSearch.focus();
+        taskSearch.select();
+    } else if (e.key === '?') {
+        e.preventDefault();
+        openShortcutHelp();
+    }
+}
+
+function focusedTaskId(target) {
+    /**
+     * The task whose card (or calendar entry) has focus, or null.
+     * Cards in the Trash and cards being edited don't count.
+     */
+    const card = target.closest ? target.closest('.task-item, .calendar-task') : null;
+    if (!card || card.classList.contains('trashed') || card.classList.contains('edit-mode')) {
+        return null;
+    }
+    return parseInt(card.dataset.taskId);
+}
+
+function focusNextCard(card, offset) {
+    /**
+     * Move focus to the card after (offset 1) or before (-1) the focused one,
+     * in page order - on the board that's down a column, then on to the next.
+     * With no card focused, j starts at the first card and k at the last.
+     * In a long list the next card is always in the page (see OVERSCAN_ROWS),
+     * and scrolling to it renders the ones after it.
+     */
+    const cards = [...tasksList.querySelectorAll('.task-item')];
+    const index = cards.indexOf(card);
+    const next = index === -1 ? cards[offset > 0 ? 0 : cards.length - 1] : cards[index + offset];
+    if (next) {
+        next.focus();
+    }
+}
+
+function keepFocusInList(card, change) {
+    /**
+     * Run a change to the focused card's task. If its card then disappears
+     * (deleted, or completed under "Active"), focus moves to the card that
+     * took its place, so j/k/x/# can carry on from there.
+     */
+    const index = [...tasksList.querySelectorAll('.task-item')].indexOf(card);
+    change();
+    if (index === -1 || tasksList.contains(document.activeElement)) {
+        return;
+    }
+    const cards = tasksList.querySelectorAll('.task-item');
+    const next = cards[Math.min(index, cards.length - 1)];
+    if (next) {
+        next.focus();
+    }
+}
+
+function editTaskByKeyboard(taskId) {
+    // Open the edit form (a calendar entry shows its card first)
+    const task = window.tasks.find(t => t.id === TaskStore.resolveId(taskId));
+    if (!task || !canEditTask(task)) {
+        return;
+    }
+    if (!document.getElementById(`task-${task.id}`)) {
+        showTaskInCalendar(task.id);
+    }
+    startEditingTask(task.id, task);
+}
+
+function goToTask(taskId) {
+    /**
+     * Show a task's card and move focus to it (picked in the palette).
+     * If the filter or search hides it, they are cleared first, and a
+     * collapsed section it is in is expanded.
+     */
+    const task = window.tasks.find(t => t.id === TaskStore.resolveId(taskId));
+    if (!task) {
+        return;
+    }
+    
+    if (currentFilter === 'trash' || !getMatchingTasks().includes(task)) {
+        taskSearch.value = '';
+        applySearch();
+        document.querySelector('.filter-btn[data-filter="all"]').click();
+    }
+    
+    const grouping = GROUPINGS[currentGroup];
+    const groupId = grouping ? `${currentGroup}:${grouping.bucket(task, getToday())}` : null;
+    if (groupId && collapsedGroups.has(groupId) && !isBoardShown()) {
+        toggleGroupCollapsed(groupId);
+    }
+    
+    if (isCalendarShown()) {
+        showTaskInCalendar(task.id);
+        return;
+    }
+    
+    // A long list may not have the card in the page yet: scroll to where it goes first
+    let card = renderedCards.get(task.id);
+    if (!card || !tasksList.contains(card.element)) {
+        const index = buildRows(getFilteredTasks()).findIndex(row => row.key === task.id);
+        const listTop = tasksList.getBoundingClientRect().top + window.scrollY;
+        window.scrollTo(0, listTop + index * (estimatedRowHeight + ROW_GAP));
+        renderTasks();
+        card = renderedCards.get(task.id);
+    }
+    if (card) {
+        card.element.focus();
+    }
+}
+
+function getPaletteActions() {
+    /**
+     * Everything the palette can do right now: { title, hint, run }.
+     * The sort, group and layout actions are made from the dropdowns'
+     * options, so new options show up here by themselves.
+     */
+    const actions = [
+        { title: 'New task', hint: 'n', run: () => taskTitle.focus() },
+        { title: 'Search tasks', hint: '/', run: () => taskSearch.focus() }
+    ];
+    
+    filterButtons.forEach(button => {
+        if (button.dataset.filter !== currentFilter) {
+            actions.push({ title: FILTER_ACTION_TITLES[button.dataset.filter], hint: 'Filter', run: () => button.click() });
+        }
+    });
+    if (currentFilter === 'trash' && trashedTasks.length > 0) {
+        actions.push({ title: 'Empty the Trash', hint: 'Trash', run: emptyTrash });
+    }
+    
+    const optionActions = (select, titleOf, hint) => {
+        [...select.options].forEach(option => {
+            if (option.value !== select.value && !select.disabled) {
+                actions.push({ title: titleOf(option), hint, run: () => chooseOption(select, option.value) });
+            }
+        });
+    };
+    optionActions(layoutSelect, option => `Show as ${option.text.toLowerCase()}`, 'View');
+    optionActions(sortSelect, option => `Sort by ${option.text.toLowerCase()}`, 'Sort');
+    optionActions(groupSelect, option => option.value === 'none' ? 'Stop grouping' : `Group by ${option.text.toLowerCase()}`, 'Group');
+    optionActions(projectSelect, option => option.value === 'all' ? 'Show every project' : `Show project "${option.text}"`, 'Project');
+    
+    if (isBoardShown()) {
+        actions.push({ title: boardSettings.hidden ? 'Edit board columns' : 'Close the column settings', hint: 'Board', run: toggleBoardSettings });
+    }
+    if (isCalendarShown()) {
+        actions.push(
+            { title: 'Calendar: today', hint: 'Calendar', run: () => moveCalendar('today') },
+            { title: `Calendar: previous ${calendarMode}`, hint: 'Calendar', run: () => moveCalendar('prev') },
+            { title: `Calendar: next ${calendarMode}`, hint: 'Calendar', run: () => moveCalendar('next') }
+        );
+    }
+    
+    if (undoStack.length > 0) {
+        actions.push({ title: `Undo: ${undoStack[undoStack.length - 1].label}`, hint: 'Ctrl+Z', run: undoLastChange });
+    }
+    if (redoStack.length > 0) {
+        actions.push({ title: `Redo: ${redoStack[redoStack.length - 1].label}`, hint: 'Ctrl+Shift+Z', run: redoLastChange });
+    }
+    
+    actions.push({ title: 'Select all shown', hint: 'Selection', run: selectAllShown });
+    if (selectedTaskIds.size > 0) {
+        actions.push({ title: 'Clear selection', hint: 'Selection', run: clearSelection });
+    }
+    
+    loadSavedViews().forEach(view => {
+        actions.push({ title: `Apply view "${view.name}"`, hint: 'Saved view', run: () => applyView(view) });
+    });
+    actions.push({ title: 'Save the current view', hint: 'Saved view', run: saveCurrentView });
+    
+    exportButtons.forEach(button => {
+        actions.push({ title: `Export as ${button.textContent}`, hint: 'Export', run: () => exportTasksAs(button.dataset.format) });
+    });
+    actions.push(
+        { title: 'Import tasks from a file', hint: 'Import', run: () => importFile.click() },
+        { title: tagManager.hidden ? 'Manage tags' : 'Close the tag manager', hint: 'Tags', run: toggleTagManager },
+        { title: projectManager.hidden ? 'Manage projects' : 'Close the project manager', hint: 'Projects', run: toggleProjectManager },
+        { title: 'Keyboard shortcuts', hint: '?', run: openShortcutHelp },
+        // Messages about what the page is doing, in the browser console (see log.js)
+        { title: TaskLog.isEnabled() ? 'Turn debug logging off' : 'Turn debug logging on', hint: 'Console',
+          run: () => TaskLog.setEnabled(!TaskLog.isEnabled()) }
+    );
+    return actions;
+}
+
+function chooseOption(select, value) {
+    // Pick a dropdown option as if the user had, so its change listener runs
+    select.value = value;
+    select.dispatchEvent(new Event('change'));
+}
+
+function openPalette() {
+    overlayOpener = document.activeElement;
+    commandPalette.hidden = false;
+    paletteInput.value = '';
+    updatePalette('');
+    paletteInput.focus();
+}
+
+function closePalette() {
+    if (commandPalette.hidden) {
+        return;
+    }
+    commandPalette.hidden = true;
+    returnFocus();
+}
+
+function updatePalette(query) {
+    /**
+     * List the actions and tasks matching query, best first. Actions come
+     * before tasks when they match equally well (or nothing is typed yet).
+     */
+    const taskEntries = window.tasks.map(task => ({
+        title: task.title,
+        hint: task.due_date ? `Task · due ${TaskDates.displayDay(task.due_date)}` : 'Task',
+        run: () => goToTask(task.id)
+    }));
+    paletteResults = TaskFuzzy.rank(query, [...getPaletteActions(), ...taskEntries], entry => entry.title, PALETTE_RESULT_LIMIT);
+    paletteIndex = 0;
+    renderPalette();
+}
+
+function renderPalette() {
+    if (paletteResults.length === 0) {
+        paletteList.innerHTML = '<li class="palette-empty">No matching actions or tasks</li>';
+        paletteInput.removeAttribute('aria-activedescendant');
+        return;
+    }
+    
+    paletteList.innerHTML = paletteResults.map(({ entry, positions }, index) => `
+        <li id="palette-option-${index}" class="palette-option ${index === paletteIndex ? 'active' : ''}"
+            role="option" aria-selected="${index === paletteIndex}" data-index="${index}">
+            <span class="palette-title">${markPositions(entry.title, positions)}</span>
+            <span class="palette-hint">${escapeHtml(entry.hint)}</span>
+        </li>
+    `).join('');
+    paletteInput.setAttribute('aria-activedescendant', `palette-option-${paletteIndex}`);
+    
+    const active = paletteList.querySelector('.palette-option.active');
+    if (active.scrollIntoView) {
+        active.scrollIntoView({ block: 'nearest' });
+    }
+}
+
+function markPositions(text, positions) {
+    // Escape text for HTML, with the letters the palette matched wrapped in <mark>
+    const marked = new Set(positions);
+    let html = '';
+    let start = 0;
+    for (let i = 1; i <= text.length; i++) {
+        if (i === text.length || marked.has(i) !== marked.has(start)) {
+            const part = escapeHtml(text.slice(start, i));
+            html += marked.has(start) ? `<mark>${part}</mark>` : part;
+            start = i;
+        }
+    }
+    return html;
+}
+
+function handlePaletteKeydown(e) {
+    // Up / Down pick an entry, Enter runs it (Esc and Ctrl+K are in handleShortcutKey)
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        e.preventDefault();
+        if (paletteResults.length > 0) {
+            const offset = e.key === 'ArrowDown' ? 1 : -1;
+            paletteIndex = (paletteIndex + offset + paletteResults.length) % paletteResults.length;
+            renderPalette();
+        }
+    } else if (e.key === 'Enter') {
+        e.preventDefault();
+        runPaletteEntry(paletteIndex);
+    } else if (e.key === 'Tab') {
+        e.preventDefault();  // Keep focus in the palette while it's open
+    }
+}
+
+function handlePaletteClick(e) {
+    const option = e.target.closest('.palette-option');
+    if (option) {
+        runPaletteEntry(parseInt(option.dataset.index));
+    }
+}
+
+function runPaletteEntry(index) {
+    // Close the palette first, so the action can move focus wherever it needs to
+    const result = paletteResults[index];
+    if (!result) {
+        return;
+    }
+    closePalette();
+    result.entry.run();
+}
+
+function openShortcutHelp() {
+    shortcutList.innerHTML = KEYBOARD_SHORTCUTS.map(shortcut => `
+        <dt>${shortcut.keys.map(key => `<kbd>${escapeHtml(key)}</kbd>`).join(' ')}</dt>
+        <dd>${escapeHtml(shortcut.description)}</dd>
+    `).join('');
+    overlayOpener = document.activeElement;
+    shortcutHelp.hidden = false;
+    shortcutHelp.querySelector('[data-action="close"]').focus();
+}
+
+function closeShortcutHelp() {
+    if (shortcutHelp.hidden) {
+        return;
+    }
+    shortcutHelp.hidden = true;
+    returnFocus();
+}
+
+function returnFocus() {
+    // Back to whatever had focus before the palette or shortcut list opened
+    if (overlayOpener && document.contains(overlayOpener)) {
+        overlayOpener.focus();
+    }
+    overlayOpener = null;
+}
+
+
+// ============================================================================
+// STEP 34: QUICK ADD
+// ============================================================================
+// The quick add line takes a whole task as text, e.g.
+//   Pay invoices every friday #finance !high tomorrow 5pm
+// static/js/quickadd.js reads the due date, how it repeats, tags and priority
+// out of it (in the browser's language), and the rest is the title. The
+// preview under the line shows what was understood while typing, so a word
+// read as a date by mistake can be put in "quotes" before adding.
+//
+// Tasks have a due day, not a due time: a time in the line ("5pm") becomes
+// the task's reminder on its due day.
+
+function parseQuickAdd(text) {
+    return TaskQuickAdd.parse(text, { now: new Date(), locale: navigator.language || 'en-US' });
+}
+
+function renderQuickAddPreview() {
+    /**
+     * Show the task the quick add line describes: its title, then a chip
+     * for each thing read from the line (hover one to see which words).
+     */
+    const text = quickAddInput.value;
+    if (!text.trim()) {
+        quickAddPreview.hidden = true;
+        return;
+    }
+    
+    const parsed = parseQuickAdd(text);
+    const wordsFor = type => parsed.matches
+        .filter(match => match.type === type)
+        .map(match => `"${text.slice(match.start, match.end)}"`)
+        .join(', ');
+    const chip = (type, className, content) =>
+        `<span class="${className}" title="From ${escapeHtml(wordsFor(type))}">${content}</span>`;
+    
+    const chips = [];
+    if (parsed.priority) {
+        chips.push(chip('priority', `task-priority priority-${parsed.priority}`, `❗ ${PRIORITY_LABELS[parsed.priority]}`));
+    }
+    if (parsed.due_date) {
+        const day = TaskDates.displayDay(parsed.due_date, { weekday: 'short', month: 'short', day: 'numeric', year: 'numeric' });
+        chips.push(chip('date', 'task-date', `📅 ${escapeHtml(day)}`));
+    }
+    if (parsed.time) {
+        const time = new Date(`${parsed.due_date}T${parsed.time}`).toLocaleTimeString([], { timeStyle: 'short' });
+        chips.push(chip('time', 'task-reminder', `⏰ ${escapeHtml(time)}`));
+    }
+    if (parsed.recurrence) {
+        chips.push(chip('recurrence', 'task-repeat', `🔁 ${escapeHtml(describeRecurrence(parsed.recurrence))}`));
+    }
+    parsed.tags.forEach(name => {
+        chips.push(`<span class="tag-chip" style="--tag-color: ${tagColor(name)}">${escapeHtml(cleanTagName(name))}</span>`);
+    });
+    
+    quickAddPreview.innerHTML = `
+        <span class="quick-add-title">${parsed.title ? escapeHtml(parsed.title) : '<em>Add a title</em>'}</span>
+        <span class="task-meta">${chips.join('')}</span>
+    `;
+    quickAddPreview.classList.toggle('invalid', !parsed.title);
+    quickAddPreview.hidden = false;
+}
+
+function handleQuickAdd(e) {
+    /**
+     * Add the task the quick add line describes (like handleAddTask, with
+     * the values read from the line), then clear it for the next one.
+     */
+    e.preventDefault();
+    const parsed = parseQuickAdd(quickAddInput.value);
+    if (!parsed.title) {
+        showFieldError(quickAddInput, 'Please enter a task title');
+        return;
+    }
+    
+    // The time is local; reminders are stored in UTC
+    const remindAt = parsed.time ? new Date(`${parsed.due_date}T${parsed.time}`).toISOString() : null;
+    const tags = parsed.tags.map(cleanTagName).filter(Boolean);
+    const newTask = addTask({
+        title: parsed.title,
+        description: '',
+        due_date: parsed.due_date,
+        recurrence: parsed.recurrence,
+        priority: parsed.priority,
+        remind_at: remindAt,
+        tags
+    });
+    recordChange(`Added "${parsed.title}"`,
+        () => deleteTask(newTask.id, { fromHistory: true }),
+        () => restoreTask(newTask, 0));
+    if (remindAt) {
+        requestNotificationPermission();
+    }
+    
+    renderTasks();
+    quickAddForm.reset();
+    renderQuickAddPreview();
+    formError.hidden = true;
+}
+
+
+// ============================================================================
+// STEP 35: LIVE UPDATES AND PRESENCE
+// ============================================================================
+// The server sends an event (GET /api/events, server-sent events) whenever
+// a task in one of the user's projects changes, so changes made in another
+// tab, on another device or by another member show up without a reload:
+//   task-created / task-updated  { task }      the whole task as it is now
+//   task-deleted                 { id }        moved to the Trash
+//   tasks-reordered              { task_ids }  a new manual order
+//   trash-emptied                { task_ids }  deleted for good
+//   tags-changed, projects-changed             reload the tags / projects
+//   presence                     { clients }   which pages have the board open (by
+//                                              username), and which task each is on
+// Every change event says which page made it ("source", the X-Client-Id
+// store.js sends), so our own changes - already on screen - are skipped.
+//
+// Events for the task in the edit form are held back until the form closes,
+// so they don't change the form (or the version our save will send) under the
+// user's hands. Tasks with changes in the outbox are left alone too: ours are
+// newer, and if they clash the server answers 409 and the merge dialog opens.
+
+function connectLiveUpdates() {
+    /**
+     * Open the event stream. The browser reconnects on its own if the
+     * connection drops; events sent in the meantime are lost, so after a
+     * reconnect the tasks are loaded again.
+     * 
+     * If the server turns the stream away (too many open pages, see
+     * "Live updates" in app.py), the browser gives up on it. Then the tasks
+     * are loaded every LIVE_POLL_INTERVAL_MS instead, and the stream is
+     * tried again each time.
+     */
+    if (!window.EventSource) {
+        return;
+    }
+    let wasConnected = false;
+    liveEvents = new EventSource(`/api/events?client_id=${encodeURIComponent(TaskApi.clientId)}`);
+    
+    liveEvents.addEventListener('open', () => {
+        liveConnected = true;
+        sentPresence = null;  // The server starts us off on no task
+        reportPresence();
+        if (wasConnected) {
+            reloadAfterReconnect();
+        }
+        wasConnected = true;
+        renderPresenceBar();
+    });
+    liveEvents.addEventListener('error', () => {
+        // Offline, or the server restarted: nobody's presence is known any more
+        liveConnected = false;
+        presenceClients = [];
+        renderPresenceBar();
+        renderTasks();
+        if (liveEvents.readyState === EventSource.CLOSED) {
+            setTimeout(pollForChanges, LIVE_POLL_INTERVAL_MS);
+        }
+    });
+    
+    ['task-created', 'task-updated', 'task-deleted', 'tasks-reordered', 'trash-emptied', 'tags-changed', 'projects-changed', 'presence']
+        .forEach(type => liveEvents.addEventListener(type, (e) => handleLiveEvent(type, JSON.parse(e.data))));
+}
+
+async function pollForChanges() {
+    // Without the event stream: catch up, then see if the server has room for it again
+    await reloadAfterReconnect();
+    connectLiveUpdates();
+}
+
+async function reloadAfterReconnect() {
+    // Catch up on what we missed, except in the task being edited (see deferTaskEvent)
+    const editedTask = window.tasks.find(t => t.id === editingTaskId);
+    await loadTasks();
+    const index = window.tasks.findIndex(t => t.id === editingTaskId);
+    if (editedTask && index !== -1 && JSON.stringify(window.tasks[index]) !== JSON.stringify(editedTask)) {
+        deferTaskEvent('task-updated', { task: window.tasks[index] });
+        window.tasks[index] = editedTask;
+    }
+}
+
+function handleLiveEvent(type, data) {
+    if (type === 'presence') {
+        presenceClients = data.clients;
+        renderPresenceBar();
+        renderTasks();
+        return;
+    }
+    if (data.source === TaskApi.clientId) {
+        return;  // Our own change, already on screen
+    }
+    
+    switch (type) {
+        case 'task-created':
+        case 'task-updated':
+        case 'task-deleted':
+            applyTaskEvent(type, data);
+            refreshHistory([type === 'task-deleted' ? data.id : data.task.id]);
+            break;
+        case 'tasks-reordered':
+            applyRemoteOrder(data.task_ids);
+            break;
+        case 'trash-emptied': {
+            // Only those tasks: tasks we deleted that the server hasn't heard about
+            // yet, and the Trash of projects the emptier can only view, stay
+            const emptied = new Set(data.task_ids || []);
+            trashedTasks = trashedTasks.filter(t => !emptied.has(t.id));
+            refreshHistory([...emptied]);
+            break;
+        }
+        case 'tags-changed':
+            // The tasks that had the tag get their own task-updated events
+            loadTags();
+            return;
+        case 'projects-changed':
+            // A member or role changed (or we joined or left a project): which
+            // tasks we see, and what we may do with them, may have changed too
+            loadProjects().then(loadTasks);
+            return;
+    }
+    renderTasks();
+}
+
+function applyTaskEvent(type, data) {
+    /**
+     * Put someone else's change to one task into window.tasks - unless we
+     * have newer changes of our own, or the task is open in the edit form.
+     */
+    const taskId = type === 'task-deleted' ? data.id : data.task.id;
+    if (TaskStore.isPending(taskId)) {
+        return;
+    }
+    if (editingTaskId !== null && TaskStore.resolveId(editingTaskId) === taskId) {
+        deferTaskEvent(type, data);
+        return;
+    }
+    
+    const index = window.tasks.findIndex(t => t.id === taskId);
+    if (type === 'task-deleted') {
+        if (index !== -1) {
+            moveToTrash([window.tasks[index]]);
+            window.tasks.splice(index, 1);
+            selectedTaskIds.delete(taskId);
+            TaskStore.saveTasks(window.tasks);
+        }
+        return;
+    }
+    
+    // An event older than our copy (e.g. our fetch already brought a newer one)
+    const local = window.tasks[index];
+    if (local && typeof local.version === 'number' && typeof data.task.version === 'number' &&
+        data.task.version < local.version) {
+        return;
+    }
+    if (index === -1) {
+        // New, or restored from the Trash: on top, like our own new tasks
+        window.tasks.unshift(data.task);
+        trashedTasks = trashedTasks.filter(t => t.id !== taskId);
+        TaskStore.saveTasks(window.tasks);
+    } else {
+        window.tasks[index] = data.task;
+        TaskStore.saveTask(data.task);
+    }
+    rememberTags(data.task.tags);
+}
+
+function deferTaskEvent(type, data) {
+    // Keep the latest change to the task being edited, and say so in the form
+    const taskId = type === 'task-deleted' ? data.id : data.task.id;
+    deferredTaskEvents.set(taskId, { type, data });
+    
+    const form = document.querySelector(`#task-${editingTaskId}.edit-mode .task-content`);
+    if (!form) {
+        return;
+    }
+    let notice = form.querySelector('.edit-notice');
+    if (!notice) {
+        notice = document.createElement('p');
+        notice.className = 'edit-notice';
+        notice.setAttribute('role', 'status');
+        form.prepend(notice);
+    }
+    const who = presenceClients.find(client => client.id === data.source);
+    const name = who ? who.name : 'Someone else';
+    notice.textContent = type === 'task-deleted'
+        ? `⚠️ ${name} deleted this task while you were editing it.`
+        : `⚠️ ${name} changed this task while you were editing it. Cancel to see their changes, or save to choose which to keep.`;
+}
+
+function applyDeferredTaskEvents() {
+    // The edit form closed: apply what happened to its task in the meantime
+    deferredTaskEvents.forEach(({ type, data }, taskId) => {
+        if (editingTaskId === null || TaskStore.resolveId(editingTaskId) !== taskId) {
+            deferredTaskEvents.delete(taskId);
+            applyTaskEvent(type, data);
+        }
+    });
+}
+
+function applyRemoteOrder(taskIds) {
+    // Someone changed the manual order. Tasks missing from it (added since) stay on top.
+    const positions = new Map(taskIds.map((id, index) => [id, index]));
+    const positionOf = task => positions.has(task.id) ? positions.get(task.id) : -1;
+    window.tasks = [...window.tasks].sort((a, b) => positionOf(a) - positionOf(b));
+    TaskStore.saveTasks(window.tasks);
+}
+
+
+// Presence: who else is here, and which task they're on
+
+function reportPresence() {
+    /**
+     * Tell the server which task this page is on: the one being edited, or
+     * else the focused card. Waits for focus to settle, so tabbing through
+     * the list sends one request rather than one per card.
+     */
+    clearTimeout(presenceTimer);
+    presenceTimer = setTimeout(sendPresence, PRESENCE_DELAY_MS);
+}
+
+async function sendPresence() {
+    if (!liveConnected) {
+        return;
+    }
+    const taskId = editingTaskId !== null ? TaskStore.resolveId(editingTaskId) : focusedTaskId(document.activeElement || document.body);
+    const report = {
+        client_id: TaskApi.clientId,
+        task_id: taskId === null || TaskStore.isTempId(taskId) ? null : taskId,  // The others don't know temporary IDs
+        editing: editingTaskId !== null
+    };
+    if (JSON.stringify(report) === sentPresence) {
+        return;
+    }
+    sentPresence = JSON.stringify(report);
+    try {
+        // Not queued in the outbox: an old "I'm looking at this" is no use later
+        await TaskApi.send('POST', '/api/presence', report);
+    } catch (error) {
+        console.warn('Could not send presence:', error.message);
+    }
+}
+
+function otherClients() {
+    return presenceClients.filter(client => client.id !== TaskApi.clientId);
+}
+
+function createPresenceBadges(taskId) {
+    // A badge for each other person on this task (see createTaskElement)
+    return otherClients()
+        .filter(client => client.task_id === taskId)
+        .map(client => {
+            const name = escapeHtml(client.name);
+            return client.editing
+                ? `<span class="presence-badge editing" title="${name} is editing this task">✏️ ${name} editing</span>`
+                : `<span class="presence-badge" title="${name} is looking at this task">👀 ${name}</span>`;
+        })
+        .join('');
+}
+
+function renderPresenceBar() {
+    // "👥 Also here: Sam, Alex" (hidden while not connected)
+    const others = otherClients();
+    presenceList.innerHTML = others.length > 0
+        ? `Also here: ${others.map(client => `<span class="presence-name">${escapeHtml(client.name)}</span>`).join(', ')}`
+        : 'Nobody else is here';
+    presenceBar.hidden = !liveConnected;
+}
+
+
+// ============================================================================
+// STEP 36: PROJECTS, MEMBERS AND ROLES
+// ============================================================================
+// Every task belongs to a project (task.project_id), and can be assigned to
+// one of the project's members (task.assignee_id). Everyone has a "Personal"
+// project; its owners can share a project with other users, each with a role:
+//   owner  - everything, including renaming it and managing its members
+//   editor - add, change and delete its tasks
+//   viewer - only look at them: their cards are read-only
+// The server enforces the roles; the page only hides what would be refused.
+//
+// knownProjects comes from GET /api/projects, each with our role and its
+// members. Changes made in the project manager go through the outbox like
+// everything else (/api/projects/...). When someone else changes a project,
+// a projects-changed event (STEP 35) reloads the projects and the tasks.
+
+async function loadProjects() {
+    try {
+        knownProjects = await TaskApi.get('/api/projects');
+    } catch (error) {
+        if (error instanceof TaskApi.AuthError) {
+            redirectToLogin();
+            return;
+        }
+        // Offline: tasks of unknown projects are treated as ours (see roleFor)
+        console.warn('Could not load projects:', error.message);
+    }
+    projectsChanged();
+}
+
+function projectsChanged() {
+    // Show a change to knownProjects everywhere
+    renderProjectPickers();
+    if (!projectManager.hidden) {
+        renderProjectManager();
+    }
+    renderTasks();
+}
+
+function projectOf(task) {
+    return knownProjects.find(project => project.id === task.project_id) || null;
+}
+
+function roleFor(task) {
+    /**
+     * Our role in the task's project. Tasks whose project isn't known (not
+     * loaded yet, or offline) count as ours: the server still checks.
+     */
+    const project = projectOf(task);
+    return project ? project.role : 'owner';
+}
+
+function canEditTask(task) {
+    return Boolean(task) && roleFor(task) !== 'viewer';
+}
+
+function editableProjects() {
+    return knownProjects.filter(project => project.role !== 'viewer');
+}
+
+function defaultProjectId() {
+    // Where new tasks go: the project picked in the add form, or our first one we can add to
+    const picked = parseInt(taskProject.value);
+    if (picked) {
+        return picked;
+    }
+    const first = editableProjects()[0];
+    return first ? first.id : null;
+}
+
+function projectNameOf(projectId) {
+    const project = knownProjects.find(p => p.id === projectId);
+    return project ? project.name : '';
+}
+
+function memberNameOf(userId) {
+    // A user's name, from any project they share with us
+    for (const project of knownProjects) {
+        const member = project.members.find(m => m.id === userId);
+        if (member) {
+            return member.username;
+        }
+    }
+    return '';
+}
+
+function renderProjectPickers() {
+    /**
+     * Fill the project dropdowns (the filter above the list and the add
+     * form's) and the batch bar's "Assign" dropdown. The project dropdowns
+     * are only shown when there is more than one project to pick from.
+     */
+    if (currentProject !== 'all' && !knownProjects.some(p => p.id === currentProject)) {
+        currentProject = 'all';  // We left the project (or it was deleted)
+    }
+    projectSelect.innerHTML = '<option value="all">All projects</option>' + knownProjects.map(project =>
+        `<option value="${project.id}">${escapeHtml(project.name)}</option>`).join('');
+    projectSelect.value = String(currentProject);
+    projectSelect.closest('label').hidden = knownProjects.length < 2;
+    
+    const picked = taskProject.value;
+    taskProject.innerHTML = createProjectOptions(null);
+    if ([...taskProject.options].some(option => option.value === picked)) {
+        taskProject.value = picked;
+    }
+    taskProject.hidden = editableProjects().length < 2;
+    
+    // Everyone we share a project with, once each
+    const people = new Map();
+    knownProjects.forEach(project => project.members.forEach(member => people.set(member.id, member.username)));
+    const sorted = [...people].sort((a, b) => a[1].localeCompare(b[1]));
+    batchAssignee.innerHTML = '<option value="">Nobody</option>' + sorted.map(([id, username]) =>
+        `<option value="${id}">${escapeHtml(username)}${id === currentUserId ? ' (me)' : ''}</option>`).join('');
+}
+
+function createProjectOptions(selectedId) {
+    // <option>s for the projects a task can be put in (the ones we can edit)
+    return editableProjects().map(project =>
+        `<option value="${project.id}" ${project.id === selectedId ? 'selected' : ''}>${escapeHtml(project.name)}</option>`
+    ).join('');
+}
+
+function createAssigneeOptions(projectId, selectedId) {
+    // <option>s for who a task in projectId can be assigned to: nobody, or one of its members
+    const project = knownProjects.find(p => p.id === projectId);
+    const members = project ? project.members : [];
+    return '<option value="">Nobody</option>' + members.map(member =>
+        `<option value="${member.id}" ${member.id === selectedId ? 'selected' : ''}>${escapeHtml(member.username)}${member.id === currentUserId ? ' (me)' : ''}</option>`
+    ).join('');
+}
+
+function avatarColor(name) {
+    // Picked by name like a tag's color, so a person looks the same everywhere
+    const sum = [...name.toLowerCase()].reduce((total, char) => total + char.charCodeAt(0), 0);
+    return TAG_COLORS[sum % TAG_COLORS.length];
+}
+
+function initialsOf(name) {
+    // "sam.lee" -> "SL", "alex" -> "AL"
+    const parts = name.split(/[._-]+/).filter(Boolean);
+    const initials = parts.length > 1 ? parts[0][0] + parts[1][0] : name.slice(0, 2);
+    return initials.toUpperCase();
+}
+
+function createAssigneeAvatar(task) {
+    // The assignee's initials in a colored circle (nothing if unassigned)
+    const name = task.assignee_id ? memberNameOf(task.assignee_id) : '';
+    if (!name) {
+        return '';
+    }
+    const label = task.assignee_id === currentUserId ? `Assigned to you (${name})` : `Assigned to ${name}`;
+    return `<span class="assignee-avatar" style="background: ${avatarColor(name)}" title="${escapeHtml(label)}" aria-label="${escapeHtml(label)}">${escapeHtml(initialsOf(name))}</span>`;
+}
+
+function createProjectChip(task) {
+    // "📁 Launch" - only when there is more than one project to tell apart
+    const project = projectOf(task);
+    if (!project || knownProjects.length < 2) {
+        return '';
+    }
+    return `<span class="task-project" title="Project">📁 ${escapeHtml(project.name)}</span>`;
+}
+
+
+// --- Project manager --------------------------------------------------------
+
+function toggleProjectManager() {
+    projectManager.hidden = !projectManager.hidden;
+    manageProjectsButton.setAttribute('aria-expanded', String(!projectManager.hidden));
+    if (!projectManager.hidden) {
+        renderProjectManager();
+        loadProjects();  // Fresh members
+    }
+}
+
+function renderProjectManager() {
+    /**
+     * One row per project: its name, our role, how many tasks it has, its
+     * members and a form to share it. Owners can rename and delete it, change
+     * roles and remove members; everyone can leave.
+     */
+    projectManagerError.hidden = true;
+    if (knownProjects.length === 0) {
+        projectManagerList.innerHTML = '<li class="no-tasks">No projects yet.</li>';
+        return;
+    }
+    projectManagerList.innerHTML = knownProjects.map(project => {
+        const isOwner = project.role === 'owner';
+        const name = escapeHtml(project.name);
+        const taskCount = window.tasks.filter(task => task.project_id === project.id).length;
+        const members = project.members.map(member => `
+            <li class="project-member" data-user-id="${member.id}">
+                <span class="assignee-avatar" style="background: ${avatarColor(member.username)}" aria-hidden="true">${escapeHtml(initialsOf(member.username))}</span>
+                <span class="project-member-name">${escapeHtml(member.username)}${member.id === currentUserId ? ' (you)' : ''}</span>
+                ${isOwner
+                    ? `<select class="member-role-select view-select" aria-label="Role of ${escapeHtml(member.username)}">
+                           ${createRoleOptions(member.role)}
+                       </select>
+                       ${member.id === currentUserId ? '' : `<button type="button" class="member-remove-btn" aria-label="Remove ${escapeHtml(member.username)} from ${name}">✕</button>`}`
+                    : `<span class="project-role">${PROJECT_ROLE_LABELS[member.role]}</span>`}
+            </li>
+        `).join('');
+        
+        return `
+            <li class="project-row" data-project-id="${project.id}">
+                <div class="project-header">
+                    <input type="text" class="project-name-input view-select" value="${name}" maxlength="${PROJECT_NAME_MAX_LENGTH}"
+                           aria-label="Name of ${name}" ${isOwner ? '' : 'disabled'}>
+                    <span class="project-role">${PROJECT_ROLE_LABELS[project.role]}</span>
+                    <span class="tag-count">${taskCount} task(s)</span>
+                    <button type="button" class="view-btn project-leave-btn">Leave</button>
+                    ${isOwner ? `<button type="button" class="project-delete-btn" aria-label="Delete project ${name}">🗑</button>` : ''}
+                </div>
+                <ul class="project-members">${members}</ul>
+                ${isOwner ? `
+                    <form class="member-form">
+                        <input type="text" name="username" class="view-select" placeholder="Username" required
+                               aria-label="Username to share ${name} with">
+                        <select name="role" class="view-select" aria-label="Their role">${createRoleOptions('editor')}</select>
+                        <button type="submit" class="view-btn">Share</button>
+                    </form>` : ''}
+            </li>
+        `;
+    }).join('');
+}
+
+function createRoleOptions(selectedRole) {
+    return Object.entries(PROJECT_ROLE_LABELS).map(([role, label]) =>
+        `<option value="${role}" ${role === selectedRole ? 'selected' : ''}>${label}</option>`).join('');
+}
+
+function handleProjectManagerChange(e) {
+    // A project's name, or a member's role, was changed
+    const row = e.target.closest('.project-row');
+    if (!row) {
+        return;
+    }
+    const projectId = parseInt(row.dataset.projectId);
+    if (e.target.classList.contains('project-name-input')) {
+        renameProject(projectId, e.target.value);
+    } else if (e.target.classList.contains('member-role-select')) {
+        setMemberRole(projectId, parseInt(e.target.closest('.project-member').dataset.userId), e.target.value);
+    }
+}
+
+function handleProjectManagerClick(e) {
+    const button = e.target.closest('button');
+    const row = button ? button.closest('.project-row') : null;
+    if (!row) {
+        return;
+    }
+    const projectId = parseInt(row.dataset.projectId);
+    if (button.classList.contains('project-delete-btn')) {
+        deleteProject(projectId);
+    } else if (button.classList.contains('project-leave-btn')) {
+        removeProjectMember(projectId, currentUserId);
+    } else if (button.classList.contains('member-remove-btn')) {
+        removeProjectMember(projectId, parseInt(button.closest('.project-member').dataset.userId));
+    }
+}
+
+function handleProjectManagerSubmit(e) {
+    // "Add project", or "Share" on one project
+    e.preventDefault();
+    if (e.target === projectForm) {
+        createProject(projectName.value);
+        return;
+    }
+    const row = e.target.closest('.project-row');
+    if (row && e.target.classList.contains('member-form')) {
+        addProjectMember(parseInt(row.dataset.projectId), e.target.elements.username.value, e.target.elements.role.value);
+        e.target.reset();
+    }
+}
+
+function showProjectError(message) {
+    // Shown under the project manager (a refused change, or one we can tell would be)
+    projectManagerError.textContent = `⚠️ ${message}`;
+    projectManagerError.hidden = false;
+}
+
+function createProject(text) {
+    // The new project shows up once the server has made it (it needs a real id)
+    const name = text.trim();
+    if (!name) {
+        return;
+    }
+    TaskStore.queue({ type: 'project-create', body: { name } });
+    projectForm.reset();
+}
+
+function renameProject(projectId, text) {
+    const project = knownProjects.find(p => p.id === projectId);
+    const name = text.trim();
+    if (!project || !name || name === project.name) {
+        renderProjectManager();
+        return;
+    }
+    project.name = name;
+    TaskStore.queue({ type: 'project-update', projectId, body: { name } });
+    projectsChanged();
+}
+
+function deleteProject(projectId) {
+    // Only empty projects can go (the server says the same), so no tasks are lost
+    const project = knownProjects.find(p => p.id === projectId);
+    if (!project) {
+        return;
+    }
+    const hasTasks = [...window.tasks, ...trashedTasks].some(task => task.project_id === projectId);
+    if (hasTasks) {
+        showProjectError(`Move or delete the tasks in "${project.name}" first (including the ones in the Trash)`);
+        return;
+    }
+    if (!confirm(`Delete the project "${project.name}"?`)) {
+        return;
+    }
+    knownProjects = knownProjects.filter(p => p.id !== projectId);
+    TaskStore.queue({ type: 'project-delete', projectId });
+    projectsChanged();
+}
+
+function isLastOwner(project, userId) {
+    const owners = project.members.filter(member => member.role === 'owner');
+    return owners.length === 1 && owners[0].id === userId;
+}
+
+function addProjectMember(projectId, text, role) {
+    // They appear in the list once the server has found them
+    const username = text.trim();
+    if (!username) {
+        return;
+    }
+    TaskStore.queue({ type: 'member-add', projectId, body: { username, role } });
+}
+
+function setMemberRole(projectId, userId, role) {
+    const project = knownProjects.find(p => p.id === projectId);
+    const member = project ? project.members.find(m => m.id === userId) : null;
+    if (!member || member.role === role) {
+        return;
+    }
+    if (isLastOwner(project, userId)) {
+        renderProjectManager();  // Puts the dropdown back
+        showProjectError('A project needs at least one owner (make someone else an owner first)');
+        return;
+    }
+    member.role = role;
+    if (userId === currentUserId) {
+        project.role = role;
+    }
+    TaskStore.queue({ type: 'member-update', projectId, userId, body: { role } });
+    projectsChanged();
+}
+
+function removeProjectMember(projectId, userId) {
+    /**
+     * Take someone out of a project (userId = us: leave it). Their tasks in
+     * it become unassigned. After leaving, the project's tasks disappear
+     * from this page.
+     */
+    const project = knownProjects.find(p => p.id === projectId);
+    const member = project ? project.members.find(m => m.id === userId) : null;
+    if (!member) {
+        return;
+    }
+    if (isLastOwner(project, userId)) {
+        showProjectError('A project needs at least one owner (make someone else an owner first)');
+        return;
+    }
+    const leaving = userId === currentUserId;
+    const question = leaving
+        ? `Leave the project "${project.name}"? Its tasks will no longer be shown to you.`
+        : `Remove ${member.username} from "${project.name}"?`;
+    if (!confirm(question)) {
+        return;
+    }
+    
+    const unassign = task => task.project_id === projectId && task.assignee_id === userId ? { ...task, assignee_id: null } : task;
+    if (leaving) {
+        knownProjects = knownProjects.filter(p => p.id !== projectId);
+        window.tasks = window.tasks.filter(task => task.project_id !== projectId);
+        trashedTasks = trashedTasks.filter(task => task.project_id !== projectId);
+    } else {
+        project.members = project.members.filter(m => m.id !== userId);
+        window.tasks = window.tasks.map(unassign);
+    }
+    TaskStore.saveTasks(window.tasks);
+    TaskStore.queue({ type: 'member-remove', projectId, userId });
+    projectsChanged();
+}
+
+function isProjectOperation(op) {
+    return op.type.startsWith('project-') || op.type.startsWith('member-');
+}
+
+function projectSynced(op, result) {
+    // The server's copy of the project (new members now have their ids) replaces ours
+    if (result && result.members) {
+        knownProjects = [...knownProjects.filter(p => p.id !== result.id), result].sort((a, b) => a.id - b.id);
+        projectsChanged();
+    }
+}
+
+
+// ============================================================================
+// STEP 37: MESSAGES NEXT TO FORM FIELDS
+// ============================================================================
+// What is wrong with a form is shown under the field it is about (in red,
+// and read out by screen readers), not in an alert() box. The message goes
+// away as soon as the field is changed.
+//
+// The server checks tasks too: a refused change comes back with a message
+// per field (ValidationError in api.js, e.g. { due_date: 'due_date must be
+// a date...' }). A refused new task is put back in the add form, and a
+// refused edit reopens the card's edit form, with the messages under the
+// fields so the user can fix them and try again.
+
+function showFieldError(field, message) {
+    /**
+     * Show message under field (an input, select, or a group of fields such
+     * as the "Repeat" ones), replacing any earlier message for it.
+     */
+    clearFieldError(field);
+    const error = document.createElement('p');
+    error.className = 'field-error';
+    error.id = `${field.id || 'field'}-error`;
+    error.setAttribute('role', 'alert');
+    error.textContent = message;
+    field.after(error);
+    field.setAttribute('aria-invalid', 'true');
+    field.dataset.describedBy = field.getAttribute('aria-describedby') || '';
+    field.setAttribute('aria-describedby', `${field.dataset.describedBy} ${error.id}`.trim());
+    
+    // Changing the field is taken as fixing it
+    const clear = () => clearFieldError(field);
+    field.addEventListener('input', clear, { once: true });
+    field.addEventListener('change', clear, { once: true });
+}
+
+function clearFieldError(field) {
+    if (field.getAttribute('aria-invalid') !== 'true') {
+        return;
+    }
+    const next = field.nextElementSibling;
+    if (next && next.classList.contains('field-error')) {
+        next.remove();
+    }
+    field.removeAttribute('aria-invalid');
+    if (field.dataset.describedBy) {
+        field.setAttribute('aria-describedby', field.dataset.describedBy);
+    } else {
+        field.removeAttribute('aria-describedby');
+    }
+    delete field.dataset.describedBy;
+}
+
+function clearFieldErrors(container) {
+    container.querySelectorAll('[aria-invalid="true"]').forEach(clearFieldError);
+}
+
+function showServerFieldErrors(fields, errors) {
+    /**
+     * Show the server's messages (errors, by task field name) under the
+     * matching fields (fields: task field name -> element, see
+     * addFormFields and editFormFields). Returns whether any was shown.
+     */
+    let shown = false;
+    Object.entries(errors || {}).forEach(([name, message]) => {
+        const field = fields[name];
+        if (field && !field.hidden) {
+            showFieldError(field, message);
+            shown = true;
+        }
+    });
+    return shown;
+}
+
+function addFormFields() {
+    return {
+        title: taskTitle,
+        description: taskDescription,
+        due_date: taskDueDate,
+        recurrence: taskRecurrence,
+        project_id: taskProject
+    };
+}
+
+function editFormFields(taskId) {
+    const field = name => document.getElementById(`edit-${name}-${taskId}`);
+    return {
+        title: field('title'),
+        description: field('description'),
+        due_date: field('due-date'),
+        remind_at: field('remind-at'),
+        priority: field('priority'),
+        project_id: field('project'),
+        assignee_id: field('assignee'),
+        recurrence: field('recurrence'),
+        auto_complete: field('auto-complete')
+    };
+}
+
+function showRefusedNewTask(body, errors) {
+    /**
+     * The server refused a new task because of its fields: put it back in
+     * the add form with the messages - unless the user has started typing
+     * the next one, which we don't overwrite.
+     */
+    if (!errors || taskTitle.value.trim() !== '') {
+        return;
+    }
+    clearFieldErrors(taskForm);
+    taskTitle.value = body.title || '';
+    taskDescription.value = body.description || '';
+    taskDueDate.value = body.due_date || '';
+    taskRecurrence.innerHTML = createRecurrenceFields(body.recurrence || null);
+    showServerFieldErrors(addFormFields(), errors);
+}
+
+function showRefusedEdit(op, errors) {
+    /**
+     * The server refused an edit because of its fields: open the edit form
+     * again with what the user had typed, and the messages. Not if another
+     * task is being edited, or the card isn't on screen (board or calendar
+     * view) - the message on the card says what went wrong then.
+     */
+    const task = window.tasks.find(t => t.id === op.taskId);
+    if (!errors || !task || editingTaskId !== null || !document.getElementById(`task-${op.taskId}`)) {
+        return;
+    }
+    startEditingTask(op.taskId, { ...task, ...op.body, id: op.taskId }, { focus: false });
+    showServerFieldErrors(editFormFields(op.taskId), errors);
+}
+
+
+// ============================================================================
+// STEP 38: TASK HISTORY
+// ============================================================================
+// The server records every change made to a task - created, edited,
+// completed, moved to the Trash, restored - with who made it and when (see
+// "Task history" in app.py). The History button on a card opens a timeline
+// of those changes inside the card, each edit shown diff-style: the old
+// value struck out, the new one added (the HTML comes from history.js).
+// The same changes, for every task, are on the activity page (/activity).
+//
+// An open panel is reloaded whenever its task changes: when one of our own
+// changes reaches the server (historySynced) and when a live update says
+// someone else changed it (STEP 35).
+
+function createHistoryButton(task) {
+    const isOpen = openHistory.has(task.id);
+    return `<button class="task-btn history-btn" type="button" data-task-id="${task.id}" aria-expanded="${isOpen}"
+                    ${isOpen ? `aria-controls="history-${task.id}"` : ''} aria-label="History of ${escapeHtml(task.title)}"
+                    title="${isOpen ? 'Hide' : 'Show'} what changed and who changed it">🕘 History</button>`;
+}
+
+function createHistoryHtml(task) {
+    /**
+     * The History panel of a card ('' when it isn't open): the timeline,
+     * or what is keeping it from showing (still loading, an error, or a new
+     * task the server hasn't heard about yet).
+     */
+    const history = openHistory.get(task.id);
+    if (!history) {
+        return '';
+    }
+
+    let timelineHtml;
+    if (TaskStore.isTempId(task.id)) {
+        timelineHtml = '<p class="history-none">The history starts once this task is saved on the server.</p>';
+    } else if (history.error && !history.events) {
+        timelineHtml = `<p class="history-error" role="alert">⚠️ ${escapeHtml(history.error)}</p>`;
+    } else if (!history.events) {
+        timelineHtml = '<p class="history-none">Loading the history...</p>';
+    } else {
+        timelineHtml = TaskHistory.timelineHtml(history.events, { statusLabel: getStatusLabel });
+    }
+
+    return `
+        <section class="task-history" id="history-${task.id}" aria-label="History of ${escapeHtml(task.title)}">
+            ${timelineHtml}
+            ${TaskStore.isTempId(task.id) ? '' : `<a class="task-history-link" href="/activity?task_id=${task.id}">See it in the activity feed</a>`}
+        </section>
+    `;
+}
+
+function getStatusLabel(status) {
+    // The name of the board column a status belongs to ("In Progress"), or the status itself
+    const column = loadBoardColumns().find(c => c.status === status);
+    return column ? column.title : status;
+}
+
+function toggleHistory(taskId) {
+    if (openHistory.has(taskId)) {
+        openHistory.delete(taskId);
+    } else {
+        openHistory.set(taskId, { events: null, error: null });
+        loadHistory(taskId);
+    }
+    renderTasks();
+}
+
+async function loadHistory(taskId) {
+    /**
+     * Fetch a task's history into its open panel. If the panel was closed
+     * (or reloaded again) before the answer came, the answer is dropped.
+     */
+    if (TaskStore.isTempId(taskId)) {
+        return;
+    }
+    const request = {};
+    openHistory.get(taskId).request = request;
+
+    let update;
+    try {
+        update = { events: await TaskApi.get(`/api/tasks/${taskId}/history`), error: null };
+    } catch (error) {
+        if (error instanceof TaskApi.AuthError) {
+            redirectToLogin();
+            return;
+        }
+        console.error(`Could not load the history of task ${taskId}:`, error);
+        update = { error: error.message };
+    }
+
+    const history = openHistory.get(taskId);
+    if (!history || history.request !== request) {
+        return;
+    }
+    // A failed reload keeps showing what was loaded before
+    openHistory.set(taskId, { ...history, ...update, request: null });
+    renderTasks();
+}
+
+function refreshHistory(taskIds) {
+    // Reload the open History panels of these tasks
+    taskIds.filter(taskId => openHistory.has(taskId)).forEach(loadHistory);
+}
+
+function historySynced(op, serverTask) {
+    /**
+     * One of our changes reached the server, which recorded it in the
+     * history of the tasks it changed. A new task's panel moves from its
+     * temporary ID to the real one (and can load now).
+     */
+    if (op.type === 'create' && serverTask && openHistory.has(op.taskId)) {
+        openHistory.set(serverTask.id, openHistory.get(op.taskId));
+        openHistory.delete(op.taskId);
+    }
+    const taskIds = op.type === 'batch' ? op.body.task_ids : [op.taskId];
+    refreshHistory(taskIds.filter(taskId => taskId !== undefined).map(TaskStore.resolveId));
+}
+
+
+// ============================================================================
+// STEP 39: SCREEN READERS AND THE KEYBOARD IN EDIT MODE
+// ============================================================================
+// For people who use the board without a mouse, or without seeing it:
+// - Every card is an "article" named by its task's title, and its checkboxes
+//   and buttons say which task they are for ("Mark Buy milk as done")
+// - Opening an edit form puts the cursor in it; saving or canceling puts
+//   focus back on the card, so Tab carries on from the same place
+// - In an edit form, Enter saves and Escape cancels
+// - What a change did ('Completed "Buy milk"', 'Deleted "Buy milk"') is read
+//   out from a live region: the same messages the toast shows (STEP 27)
+
+function announce(message) {
+    /**
+     * Have screen readers read message out, without moving focus.
+     * The live region is emptied first and filled a moment later, so the
+     * same message twice in a row is read out twice.
+     */
+    clearTimeout(announceTimer);
+    announcer.textContent = '';
+    announceTimer = setTimeout(() => {
+        announcer.textContent = message;
+    }, 100);
+}
+
+function handleEditFormKeydown(e) {
+    /**
+     * Enter in a text box of an edit form saves the form, Escape anywhere
+     * in it cancels. Returns true if the key was used. (Enter in the tag
+     * input adds the tag instead: handleTagInputKeydown sees it first.)
+     */
+    const card = e.target.closest('.task-item.edit-mode');
+    if (!card) {
+        return false;
+    }
+    if (e.key === 'Escape') {
+        e.preventDefault();
+        cancelEditing();
+        return true;
+    }
+    if (e.key === 'Enter' && e.target.tagName === 'INPUT' && isTyping(e.target)) {
+        e.preventDefault();
+        saveEditedTask(parseInt(card.dataset.taskId));
+        return true;
+    }
+    return false;
+}
+
+function editFormHasFocus() {
+    const form = editingTaskId === null ? null : document.getElementById(`task-${editingTaskId}`);
+    return Boolean(form && form.contains(document.activeElement));
+}
+
+function focusCard(taskId) {
+    // Focus a task's card, if it is still on screen (the filter may hide it now)
+    const card = document.getElementById(`task-${taskId}`);
+    if (card) {
+        card.focus();
+    }
+}
@@ -0,0 +1,268 @@
+/**
+ * TASK STATISTICS - JavaScript
+ *
+ * The numbers on the insights page (/insights): how many tasks were
+ * completed each day and each week, how long tasks took from created_at to
+ * completed_at, how many were overdue on each day, and streaks of days with
+ * at least one task completed. No DOM code in here, so it can be tested on
+ * its own (in Node: const TaskStats = require('./stats.js'), with TaskDates
+ * loaded as a global first).
+ *
+ * They are worked out from the tasks GET /api/tasks sends and their history,
+ * the completions GET /api/completions sends:
+ *   [{ task_id: 12, completed: true, at: '2026-10-19T09:30:00+00:00' }, ...]
+ * (oldest first; completed: false is a reopen). Each completion counts on its
+ * own day, so a task completed, reopened and completed again counts twice,
+ * and a task is overdue on the days it was open, not just while it is now.
+ * The history only has to cover the range, plus each task's last change
+ * before it and first change after it (what /api/completions?from=...&to=...
+ * sends): those say whether the task was open in between.
+ *
+ * Every range is a pair of days (YYYY-MM-DD, both included) in the user's own
+ * timezone, like the rest of the app (see dates.js). A completed task without
+ * any history (completed before the server recorded it) isn't counted
+ * anywhere: there's no telling which day it belongs to.
+ */
+
+const TaskStats = (() => {
+
+    const MINUTE = 60 * 1000;
+    const HOUR = 60 * MINUTE;
+    const DAY = 24 * HOUR;
+
+
+    // ------------------------------------------------------------------------
+    // Days
+    // ------------------------------------------------------------------------
+
+    function daysBetween(from, to) {
+        // Every day from `from` to `to`, both included ([] if to is before from)
+        const days = [];
+        for (let day = from; day <= to; day = TaskDates.addDays(day, 1)) {
+            days.push(day);
+        }
+        return days;
+    }
+
+    function completionDay(task) {
+        // The local day the task was completed, or '' (not completed, or not known when)
+        return task.completed && task.completed_at ? TaskDates.dayOf(task.completed_at) : '';
+    }
+
+    function completionsByDay(history) {
+        // { '2026-10-19': 3, ... } for every day something was completed
+        const counts = {};
+        history.filter(change => change.completed).forEach(change => {
+            const day = TaskDates.dayOf(change.at);
+            counts[day] = (counts[day] || 0) + 1;
+        });
+        return counts;
+    }
+
+    function historyByTask(history) {
+        // { 12: [change, ...], ... }: each task's completions and reopens, oldest first
+        const byTask = {};
+        history.forEach(change => {
+            (byTask[change.task_id] = byTask[change.task_id] || []).push(change);
+        });
+        return byTask;
+    }
+
+
+    // ------------------------------------------------------------------------
+    // Completions
+    // ------------------------------------------------------------------------
+
+    function dailyCompletions(history, from, to) {
+        // [{ day, count }] for every day of the range, days without any included
+        const counts = completionsByDay(history);
+        return daysBetween(from, to).map(day => ({ day, count: counts[day] || 0 }));
+    }
+
+    function weeklyCompletions(history, from, to) {
+        /**
+         * [{ week, count }] for every week (starting on Sunday, like dates.js)
+         * the range touches. The first and last week only count the days that
+         * are in the range.
+         */
+        const weeks = [];
+        dailyCompletions(history, from, to).forEach(({ day, count }) => {
+            const week = TaskDates.weekStart(day);
+            if (weeks.length === 0 || weeks[weeks.length - 1].week !== week) {
+                weeks.push({ week, count: 0 });
+            }
+            weeks[weeks.length - 1].count += count;
+        });
+        return weeks;
+    }
+
+    function completionTimes(tasks, from, to) {
+        /**
+         * How long each task completed in the range took, in milliseconds
+         * from created_at to completed_at. { average, count }: average is
+         * null when nothing was completed.
+         */
+        const times = tasks
+            .filter(task => {
+                const day = completionDay(task);
+                return day && day >= from && day <= to && task.created_at;
+            })
+            .map(task => new Date(task.completed_at) - new Date(task.created_at))
+            .filter(time => !isNaN(time))
+            .map(time => Math.max(time, 0));  // Clocks apart: never less than no time at all
+        const total = times.reduce((sum, time) => sum + time, 0);
+        return { average: times.length > 0 ? total / times.length : null, count: times.length };
+    }
+
+
+    // ------------------------------------------------------------------------
+    // Overdue tasks
+    // ------------------------------------------------------------------------
+
+    function isOverdueOn(task, day, changes = []) {
+        /**
+         * Was the task overdue at the end of this day? That is: it was due
+         * before the day, it had been added by then, and it was open when
+         * the day ended (not in the Trash yet, and not completed going by
+         * changes, the task's history from /api/completions).
+         */
+        return wasPastDueOn(task, day) && wasCompletedOn(task, day, changes) === false;
+    }
+
+    function wasPastDueOn(task, day) {
+        // isOverdueOn without the completions: due before the day, added by then and not in the Trash
+        if (!task.due_date || task.due_date >= day) {
+            return false;
+        }
+        if (task.created_at && TaskDates.dayOf(task.created_at) > day) {
+            return false;
+        }
+        return !(task.deleted_at && TaskDates.dayOf(task.deleted_at) <= day);
+    }
+
+    function wasCompletedOn(task, day, changes) {
+        /**
+         * Was the task completed at the end of this day? The last change
+         * made by then says; before its first change it was the other way
+         * round. null if there's no telling: a completed task without any
+         * history.
+         */
+        const made = changes.filter(change => TaskDates.dayOf(change.at) <= day);
+        if (made.length > 0) {
+            return made[made.length - 1].completed;
+        }
+        return completedBefore(task, changes);
+    }
+
+    function completedBefore(task, changes) {
+        // Whether the task was completed before its first change (see wasCompletedOn)
+        if (changes.length > 0) {
+            return !changes[0].completed;
+        }
+        return task.completed ? null : false;
+    }
+
+    function overdueTrend(tasks, history, from, to) {
+        /**
+         * [{ day, count }]: how many tasks were overdue at the end of each day
+         * of the range, by the rules of isOverdueOn. Each task's changes are
+         * walked along with the days, once, instead of being looked through
+         * again for every day.
+         */
+        const byTask = historyByTask(history);
+        const days = daysBetween(from, to);
+        const counts = days.map(() => 0);
+        tasks.filter(task => task.due_date).forEach(task => {
+            const changes = byTask[task.id] || [];
+            let completed = completedBefore(task, changes);
+            let next = 0;  // The first change not made by the end of the day
+            days.forEach((day, index) => {
+                while (next < changes.length && TaskDates.dayOf(changes[next].at) <= day) {
+                    completed = changes[next].completed;
+                    next += 1;
+                }
+                if (completed === false && wasPastDueOn(task, day)) {
+                    counts[index] += 1;
+                }
+            });
+        });
+        return days.map((day, index) => ({ day, count: counts[index] }));
+    }
+
+
+    // ------------------------------------------------------------------------
+    // Streaks
+    // ------------------------------------------------------------------------
+
+    function streaks(history, from, to, today = TaskDates.today()) {
+        /**
+         * Runs of days in a row with at least one task completed.
+         * { longest, current }:
+         * - longest: the longest run inside the range
+         * - current: the run that reaches the end of the range. When the range
+         *   ends today, a today without a completion yet doesn't break it: it
+         *   is the run up to yesterday.
+         */
+        const counts = completionsByDay(history);
+        let longest = 0;
+        let run = 0;
+        daysBetween(from, to).forEach(day => {
+            run = counts[day] ? run + 1 : 0;
+            longest = Math.max(longest, run);
+        });
+
+        let current = 0;
+        let day = to === today && !counts[to] ? TaskDates.addDays(to, -1) : to;
+        while (day >= from && counts[day]) {
+            current += 1;
+            day = TaskDates.addDays(day, -1);
+        }
+        return { longest, current };
+    }
+
+
+    // ------------------------------------------------------------------------
+    // Everything at once, and how to show it
+    // ------------------------------------------------------------------------
+
+    function summarize(tasks, history, from, to, today = TaskDates.today()) {
+        // What the insights page shows for a range
+        const daily = dailyCompletions(history, from, to);
+        const overdue = overdueTrend(tasks, history, from, to);
+        return {
+            completed: daily.reduce((sum, { count }) => sum + count, 0),
+            daily,
+            weekly: weeklyCompletions(history, from, to),
+            times: completionTimes(tasks, from, to),
+            overdue,
+            overdueAtEnd: overdue.length > 0 ? overdue[overdue.length - 1].count : 0,
+            streaks: streaks(history, from, to, today)
+        };
+    }
+
+    function formatDuration(milliseconds) {
+        // "3 days 4 hours", "5 hours 20 minutes", "12 minutes" (the two biggest units)
+        const plural = (count, unit) => `${count} ${unit}${count === 1 ? '' : 's'}`;
+        if (milliseconds >= DAY) {
+            const days = Math.floor(milliseconds / DAY);
+            const hours = Math.floor((milliseconds % DAY) / HOUR);
+            return hours > 0 ? `${plural(days, 'day')} ${plural(hours, 'hour')}` : plural(days, 'day');
+        }
+        if (milliseconds >= HOUR) {
+            const hours = Math.floor(milliseconds / HOUR);
+            const minutes = Math.floor((milliseconds % HOUR) / MINUTE);
+            return minutes > 0 ? `${plural(hours, 'hour')} ${plural(minutes, 'minute')}` : plural(hours, 'hour');
+        }
+        return plural(Math.max(1, Math.round(milliseconds / MINUTE)), 'minute');
+    }
+
+
+    return {
+        daysBetween, completionDay, dailyCompletions, weeklyCompletions, completionTimes,
+        isOverdueOn, overdueTrend, streaks, summarize, formatDuration
+    };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TaskStats;
+}
@@ -0,0 +1,799 @@
+/**
+ * TASK MANAGER OFFLINE STORE - JavaScript
+ *
+ * This file keeps the board usable on a flaky connection:
+ * 1. Saves a copy of window.tasks in IndexedDB (survives page reloads)
+ * 2. Writes every change (add, edit, toggle, board column, delete, restore,
+ *    reorder, checklist items, tags, batch changes to many tasks, projects
+ *    and their members) to a local "outbox"
+ * 3. Replays the outbox against /api/tasks when the connection comes back,
+ *    without applying a change twice when its first answer got lost
+ * 4. Swaps temporary client IDs for real server IDs after a task (or a
+ *    checklist item) is created
+ * 5. Sends the task "version" we last saw, so the server can spot stale writes
+ * 6. Sends everything through TaskApi (api.js), which adds this page's
+ *    client ID and CSRF token to every request and turns failures into
+ *    typed errors (offline, logged out, refused, conflict...)
+ * 7. Keeps a separate database for each account, and holds on to queued
+ *    changes when the server says we're logged out (they're sent after logging in)
+ *
+ * script.js never sends changes to the server itself any more. It updates
+ * window.tasks, then calls TaskStore.queue() and lets this file deliver it.
+ */
+
+const TaskStore = (() => {
+
+    // One database per account (see the user-id <meta> tag in board.html), so
+    // a shared computer never shows - or sends - one person's tasks as another's
+    const userMeta = document.querySelector('meta[name="user-id"]');
+    const DB_NAME = userMeta && userMeta.content ? `task-manager-user-${userMeta.content}` : 'task-manager';
+    const DB_VERSION = 1;
+    const RETRY_INTERVAL = 30000;  // Try again every 30 seconds while changes are waiting
+
+    let dbPromise = null;
+    let readyPromise = null;
+    let outbox = [];        // Queued operations, oldest first (same order as in IndexedDB)
+    let idMap = {};         // Temporary ID -> server ID, for tasks created while offline
+    let itemIdMap = {};     // Same, for checklist items
+    let cachedOrder = new Map();  // Task ID -> position in the cached list (see saveTasks)
+    let lastTempId = 0;
+    let flushing = false;
+    let inFlight = null;    // The operation flush() is sending right now
+    let retryTimer = null;
+    let hooks = {};
+
+    // Changes compared with the task before they are sent again (see sendAgain)
+    const CHECKED_BEFORE_RESENDING = ['update', 'toggle', 'status', 'delete'];
+
+
+    // ------------------------------------------------------------------------
+    // IndexedDB helpers
+    // ------------------------------------------------------------------------
+
+    function openDatabase() {
+        /**
+         * Open (and create on first use) the IndexedDB database.
+         *
+         * Two object stores:
+         * - tasks:  the last known copy of every task, keyed by id
+         * - outbox: queued operations, keyed by an auto-increment "seq"
+         */
+        if (!dbPromise) {
+            dbPromise = new Promise((resolve, reject) => {
+                if (!window.indexedDB) {
+                    reject(new Error('IndexedDB is not available in this browser'));
+                    return;
+                }
+                const request = indexedDB.open(DB_NAME, DB_VERSION);
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    db.createObjectStore('tasks', { keyPath: 'id' });
+                    db.createObjectStore('outbox', { keyPath: 'seq', autoIncrement: true });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return dbPromise;
+    }
+
+    async function withStore(storeName, mode, work) {
+        /**
+         * Run work(store) inside a transaction and wait for it to finish.
+         * Resolves with the result of the request returned by work(), if any.
+         */
+        const db = await openDatabase();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(storeName, mode);
+            const request = work(tx.objectStore(storeName));
+            tx.oncomplete = () => resolve(request ? request.result : undefined);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+
+
+    // ------------------------------------------------------------------------
+    // Setup
+    // ------------------------------------------------------------------------
+
+    function init(options) {
+        /**
+         * Load the saved outbox and start listening for the connection.
+         *
+         * options can contain these callbacks (all optional):
+         * - onSynced(op, serverTask):         the server accepted a queued operation
+         * - onRejected(op, status, payload):  the server refused a queued operation
+         * - onConflict(op, serverTask):       the task changed on the server since we loaded it
+         * - onPendingChange():                the set of unsynced tasks changed
+         *
+         * Safe to call more than once; only the first call does any work.
+         */
+        if (readyPromise) {
+            return readyPromise;
+        }
+        hooks = options || {};
+
+        readyPromise = withStore('outbox', 'readonly', store => store.getAll())
+            .then(ops => {
+                outbox = ops || [];
+            })
+            .catch(error => {
+                // Without IndexedDB the outbox still works, it just lives in memory
+                console.warn('Offline storage unavailable:', error);
+            });
+
+        // When the browser says we're back online, send everything that's waiting
+        window.addEventListener('online', () => flush());
+
+        return readyPromise;
+    }
+
+
+    // ------------------------------------------------------------------------
+    // Task cache
+    // ------------------------------------------------------------------------
+
+    async function loadCachedTasks() {
+        /**
+         * Return the tasks saved by the last saveTasks() call ([] if none).
+         * Newest first, the same order renderTasks() shows them in.
+         */
+        try {
+            const tasks = await withStore('tasks', 'readonly', store => store.getAll());
+            const sorted = (tasks || []).sort((a, b) => (a._order || 0) - (b._order || 0));
+            cachedOrder = new Map(sorted.map(task => [task.id, task._order]));
+            return sorted.map(({ _order, ...task }) => task);
+        } catch (error) {
+            console.warn('Could not read cached tasks:', error);
+            return [];
+        }
+    }
+
+    async function saveTasks(tasks) {
+        /**
+         * Replace the cached copy of the task list with tasks.
+         * _order remembers the position, since IndexedDB returns rows sorted by key.
+         */
+        cachedOrder = new Map(tasks.map((task, index) => [task.id, index]));
+        try {
+            await withStore('tasks', 'readwrite', store => {
+                store.clear();
+                tasks.forEach((task, index) => store.put({ ...task, _order: index }));
+            });
+        } catch (error) {
+            console.warn('Could not cache tasks:', error);
+        }
+    }
+
+    async function saveTask(task) {
+        /**
+         * Update the cached copy of a single task that is already in the list
+         * (edits and toggles). Much cheaper than saveTasks() on long lists.
+         * Tasks the cache hasn't seen yet need a full saveTasks().
+         */
+        if (!cachedOrder.has(task.id)) {
+            return;
+        }
+        try {
+            await withStore('tasks', 'readwrite', store => {
+                store.put({ ...task, _order: cachedOrder.get(task.id) });
+            });
+        } catch (error) {
+            console.warn('Could not cache task:', error);
+        }
+    }
+
+
+    // ------------------------------------------------------------------------
+    // Temporary IDs
+    // ------------------------------------------------------------------------
+
+    function nextTempId() {
+        /**
+         * Create an ID for a task that the server hasn't seen yet.
+         *
+         * Temporary IDs are negative numbers, so they never clash with the
+         * server's (positive) IDs and parseInt(dataset.taskId) keeps working.
+         */
+        let id = -Date.now();
+        if (id >= lastTempId) {
+            id = lastTempId - 1;
+        }
+        lastTempId = id;
+        return id;
+    }
+
+    function isTempId(taskId) {
+        return taskId < 0;
+    }
+
+    function resolveId(taskId) {
+        /**
+         * Return the server ID for taskId if it was a temporary ID that has
+         * since been synced, otherwise return taskId unchanged.
+         *
+         * Needed by handlers that captured an ID before the sync finished
+         * (for example an edit form opened on a brand new task).
+         */
+        return idMap[taskId] !== undefined ? idMap[taskId] : taskId;
+    }
+
+    function resolveItemId(itemId) {
+        // Same as resolveId(), for checklist items
+        return itemIdMap[itemId] !== undefined ? itemIdMap[itemId] : itemId;
+    }
+
+
+    // ------------------------------------------------------------------------
+    // Outbox
+    // ------------------------------------------------------------------------
+
+    async function queue(op) {
+        /**
+         * Add an operation to the outbox and try to send it right away.
+         *
+         * op looks like:
+         *   { type: 'create', taskId: -1733..., body: { title, description, due_date } }
+         *   { type: 'update', taskId: 12, version: 3, body: { title, description, due_date } }
+         *   { type: 'toggle', taskId: 12, version: 3 }
+         *   { type: 'status', taskId: 12, version: 3, body: { status: 'in_progress' } }  (board column)
+         *   { type: 'delete', taskId: 12 }                (moves it to the Trash)
+         *   { type: 'restore', taskId: 12 }               (takes it out of the Trash)
+         *   { type: 'empty-trash' }
+         *   { type: 'reorder', taskId: 12, body: { task_ids: [3, 12, 7] } }  (taskId = the task moved)
+         *
+         * Checklist items (itemId may be temporary too):
+         *   { type: 'item-create', taskId: 12, itemId: -1733..., body: { title } }
+         *   { type: 'item-update', taskId: 12, itemId: 4, body: { title, done } }
+         *   { type: 'item-delete', taskId: 12, itemId: 4 }
+         *   { type: 'item-reorder', taskId: 12, body: { item_ids: [4, 2, 7] } }
+         *
+         * Tags (a task's list of tag names, or a tag itself from the tag manager):
+         *   { type: 'task-tags', taskId: 12, body: { tags: ['ops', 'home'] } }
+         *   { type: 'tag-update', tagId: 3, body: { name: 'operations', color: '#43a047' } }
+         *   { type: 'tag-merge', tagId: 3, body: { into: 5 } }
+         *   { type: 'tag-delete', tagId: 3 }
+         *
+         * Projects and their members (from the project manager):
+         *   { type: 'project-create', body: { name: 'Launch' } }
+         *   { type: 'project-update', projectId: 2, body: { name: 'Launch 2.0' } }
+         *   { type: 'project-delete', projectId: 2 }
+         *   { type: 'member-add', projectId: 2, body: { username: 'sam', role: 'editor' } }
+         *   { type: 'member-update', projectId: 2, userId: 5, body: { role: 'viewer' } }
+         *   { type: 'member-remove', projectId: 2, userId: 5 }   (userId = us: leave the project)
+         *
+         * Several tasks at once (action: complete, reopen, delete, reschedule, tag or assign):
+         *   { type: 'batch', body: { action: 'reschedule', task_ids: [3, 12], due_date: '2026-11-01' } }
+         * 
+         * "version" is the task version the change was made against. Changes
+         * also carry "previous" (the task before the change; for a batch, a
+         * list of { task, position }), so script.js can roll the cards back
+         * if the server refuses it. Each one is given a "key" here, sent as
+         * its Idempotency-Key (see sendAgain).
+         */
+        await init();
+
+        // Deleting a task the server never heard of: just forget about it. Unless
+        // its create is being sent right now - then the server is about to have
+        // it, so the delete is queued like any other and replaceTempId() points
+        // it at the real ID once the create comes back.
+        if (op.type === 'delete' && isTempId(op.taskId) && !isBeingCreated(op.taskId)) {
+            await dropOperationsFor(op.taskId);
+            notifyPendingChange();
+            return;
+        }
+
+        // Only the newest manual order matters: replace queued reorders not yet sent
+        if (op.type === 'reorder') {
+            const inFlight = flushing ? outbox[0] : null;
+            const stale = outbox.filter(queued => queued.type === 'reorder' && queued !== inFlight);
+            for (const queued of stale) {
+                await removeOperation(queued);
+            }
+        }
+
+        // Deleting several tasks: the ones the server never heard of are just forgotten
+        if (op.type === 'batch' && op.body.action === 'delete') {
+            const unsent = op.body.task_ids.filter(taskId => isTempId(taskId) && !isBeingCreated(taskId));
+            for (const taskId of unsent) {
+                await dropOperationsFor(taskId);
+            }
+            op = { ...op, body: { ...op.body, task_ids: op.body.task_ids.filter(id => !unsent.includes(id)) } };
+            if (op.body.task_ids.length === 0) {
+                notifyPendingChange();
+                return;
+            }
+        }
+
+        // Same for a checklist item that was never sent
+        if (op.type === 'item-delete' && isTempId(op.itemId)) {
+            await dropItemOperationsFor(op.itemId);
+            notifyPendingChange();
+            return;
+        }
+
+        const entry = { ...op, key: newKey(), queuedAt: new Date().toISOString() };
+        try {
+            entry.seq = await withStore('outbox', 'readwrite', store => store.add(entry));
+        } catch (error) {
+            // Keep it in memory; a fake seq keeps the order stable (and has to be
+            // unique: two changes can be queued in the same millisecond)
+            entry.seq = Math.max(Date.now(), ...outbox.map(queued => queued.seq + 1));
+        }
+        // The task's create may have come back while the entry was being saved
+        const taskId = entry.taskId === undefined ? undefined : resolveId(entry.taskId);
+        if (taskId !== entry.taskId) {
+            entry.taskId = taskId;
+            await saveOperations([entry]);
+        }
+        outbox.push(entry);
+        notifyPendingChange();
+
+        flush();
+    }
+
+    function newKey() {
+        // A key no other change has, made up on this device
+        return window.crypto && crypto.randomUUID
+            ? crypto.randomUUID()
+            : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+    }
+
+    function isBeingCreated(taskId) {
+        // True from sending the create for taskId (a temporary ID) until
+        // replaceTempId() has swapped in the server's ID
+        return inFlight !== null && inFlight.type === 'create' && inFlight.taskId === taskId;
+    }
+
+    function hasQueuedCreate(taskId) {
+        /**
+         * True if the create for taskId (a temporary ID) is still in the
+         * outbox, so the server is going to have the task. A delete queued
+         * while that create was being sent is kept (see queue()), which
+         * means undoing it has to restore the task, not create it again.
+         */
+        return outbox.some(op => op.type === 'create' && op.taskId === taskId);
+    }
+
+    function isPending(taskId) {
+        /**
+         * True if taskId has changes that haven't reached the server yet.
+         * Used by createTaskElement() to show the "pending sync" badge.
+         */
+        return outbox.some(op => taskIdsOf(op).includes(taskId));
+    }
+
+    function taskIdsOf(op) {
+        // The task(s) an operation changes (a batch changes several, emptying the Trash none)
+        if (op.type === 'batch') {
+            return op.body.task_ids;
+        }
+        return op.taskId === undefined ? [] : [op.taskId];
+    }
+
+    function pendingCount() {
+        return outbox.length;
+    }
+
+    function rebase(serverTasks, localTasks) {
+        /**
+         * Combine a fresh task list from the server with local changes that
+         * are still waiting in the outbox.
+         *
+         * - Tasks with queued edits/toggles keep their local version
+         * - Tasks with a queued delete stay hidden
+         * - Tasks with a queued restore stay (the server still has them in the Trash)
+         * - Tasks created offline (temporary IDs) stay at the top
+         * - A queued manual reorder keeps the local order
+         */
+        const localById = new Map(localTasks.map(task => [task.id, task]));
+        const serverIds = new Set(serverTasks.map(task => task.id));
+
+        // Replay deletes and restores in order: the last one wins
+        const deleted = new Set();
+        const restored = new Set();
+        outbox.forEach(op => {
+            if (op.type === 'delete' || (op.type === 'batch' && op.body.action === 'delete')) {
+                taskIdsOf(op).forEach(taskId => { deleted.add(taskId); restored.delete(taskId); });
+            } else if (op.type === 'restore') {
+                deleted.delete(op.taskId);
+                restored.add(op.taskId);
+            }
+        });
+
+        const merged = serverTasks
+            .filter(task => !deleted.has(task.id))
+            .map(task => (isPending(task.id) && localById.has(task.id)) ? localById.get(task.id) : task);
+
+        const unsynced = localTasks.filter(task =>
+            (isTempId(task.id) && isPending(task.id)) || (restored.has(task.id) && !serverIds.has(task.id)));
+        const combined = [...unsynced, ...merged];
+
+        if (outbox.some(op => op.type === 'reorder')) {
+            // Tasks the local order doesn't know yet (added by someone else) go first
+            const localIndex = new Map(localTasks.map((task, index) => [task.id, index]));
+            const indexOf = task => localIndex.has(task.id) ? localIndex.get(task.id) : -1;
+            combined.sort((a, b) => indexOf(a) - indexOf(b));
+        }
+        return combined;
+    }
+
+    async function flush() {
+        /**
+         * Send queued operations to the server, one at a time, oldest first.
+         *
+         * - Network error or server error (5xx): stop, keep the queue, retry later
+         *   (the change may have reached the server anyway: see sendAgain)
+         * - Logged out (401) or the page's CSRF token is out of date: stop, keep
+         *   the queue, and let script.js send the user to the login page
+         * - Conflict (409): someone else changed the task; drop it and let
+         *   script.js ask the user how to merge
+         * - Server refused the change (other 4xx): drop it and tell script.js
+         * - Success: remove it from the queue and tell script.js
+         * 
+         * When a change is refused, later queued changes to the same task are
+         * dropped too - they were built on top of the refused one.
+         *
+         * Never rejects: it is started without waiting for it (queue(), the
+         * online event, retries), so a bug in here is logged instead.
+         */
+        await init();
+        if (flushing || outbox.length === 0) {
+            return;
+        }
+        flushing = true;
+
+        try {
+            while (outbox.length > 0) {
+                const op = outbox[0];
+                inFlight = op;
+
+                let result;
+                let refusal = null;  // The TaskApi error, if the server refused the change
+                try {
+                    result = op.unanswered ? await sendAgain(op) : await sendOperation(op);
+                } catch (error) {
+                    if (error instanceof TaskApi.NetworkError || error instanceof TaskApi.ServerError) {
+                        if (!op.unanswered) {
+                            op.unanswered = true;
+                            await saveOperations([op]);
+                        }
+                        TaskLog.debug(`Could not send ${op.type} (${error.message}), keeping queued changes for later`);
+                        scheduleRetry();
+                        return;
+                    }
+                    if (error instanceof TaskApi.AuthError) {
+                        if (hooks.onLoggedOut) hooks.onLoggedOut();
+                        return;
+                    }
+                    if (!(error instanceof TaskApi.ApiError)) {
+                        throw error;  // A bug, not an answer from the server
+                    }
+                    refusal = error;
+                }
+
+                await removeOperation(op);
+
+                if (refusal === null) {
+                    if (op.type === 'delete') {
+                        result = null;  // Deletes answer { deleted: id }, not a task
+                    }
+                    if (op.type === 'create') {
+                        await replaceTempId(op.taskId, result.id);
+                    }
+                    inFlight = null;
+                    if (op.type === 'item-create') {
+                        await replaceTempItemId(op.itemId, result.id);
+                    }
+
+                    // Item changes send back the task (a new version, maybe completed) as result.task,
+                    // a batch sends back every task it changed, and tag and project manager changes none
+                    let changedTasks = [isItemOperation(op) ? result.task : result];
+                    if (op.type === 'batch') {
+                        changedTasks = result.results.map(entry => entry.task);
+                    } else if (op.type.startsWith('tag-') || isProjectOperation(op)) {
+                        changedTasks = [];
+                    }
+                    for (const changedTask of changedTasks.filter(Boolean)) {
+                        await advanceVersion(changedTask.id, changedTask.version);
+                    }
+                    if (hooks.onSynced) hooks.onSynced(op, result);
+                } else {
+                    for (const taskId of taskIdsOf(op)) {
+                        await dropOperationsFor(taskId);
+                    }
+                    if (op.type === 'reorder') {
+                        await handOverPreviousOrder(op);
+                    }
+
+                    if (refusal instanceof TaskApi.ConflictError && refusal.task && hooks.onConflict) {
+                        hooks.onConflict(op, refusal.task);
+                    } else if (hooks.onRejected) {
+                        hooks.onRejected(op, refusal.status, refusal.payload);
+                    }
+                }
+                notifyPendingChange();
+            }
+        } catch (error) {
+            console.error('Could not send queued changes:', error);
+        } finally {
+            flushing = false;
+            inFlight = null;
+        }
+    }
+
+    function sendOperation(op) {
+        /**
+         * Send a queued operation as the matching /api/tasks (or /api/tags,
+         * /api/projects) request. Returns the server's answer, or throws a
+         * TaskApi error. TaskApi doesn't retry these: the outbox keeps
+         * failed changes and tries again on its own (scheduleRetry).
+         */
+        const send = (method, url, body) => TaskApi.send(method, url, body, { retries: 0, key: op.key });
+
+        switch (op.type) {
+            case 'create':
+                return send('POST', '/api/tasks', op.body);
+            case 'update':
+                return send('PUT', `/api/tasks/${op.taskId}`, { ...op.body, version: op.version });
+            case 'toggle':
+                return send('PATCH', `/api/tasks/${op.taskId}/toggle`, { version: op.version });
+            case 'status':
+                return send('PATCH', `/api/tasks/${op.taskId}/status`, { ...op.body, version: op.version });
+            case 'delete':
+                return send('DELETE', `/api/tasks/${op.taskId}`);
+            case 'reorder':
+                return send('PUT', '/api/tasks/order', op.body);
+            case 'restore':
+                return send('POST', `/api/tasks/${op.taskId}/restore`);
+            case 'empty-trash':
+                return send('DELETE', '/api/tasks/trash');
+            case 'batch':
+                return send('POST', '/api/tasks/batch', op.body);
+            case 'task-tags':
+                return send('PUT', `/api/tasks/${op.taskId}/tags`, op.body);
+            case 'tag-update':
+                return send('PATCH', `/api/tags/${op.tagId}`, op.body);
+            case 'tag-merge':
+                return send('POST', `/api/tags/${op.tagId}/merge`, op.body);
+            case 'tag-delete':
+                return send('DELETE', `/api/tags/${op.tagId}`);
+            case 'project-create':
+                return send('POST', '/api/projects', op.body);
+            case 'project-update':
+                return send('PATCH', `/api/projects/${op.projectId}`, op.body);
+            case 'project-delete':
+                return send('DELETE', `/api/projects/${op.projectId}`);
+            case 'member-add':
+                return send('POST', `/api/projects/${op.projectId}/members`, op.body);
+            case 'member-update':
+                return send('PATCH', `/api/projects/${op.projectId}/members/${op.userId}`, op.body);
+            case 'member-remove':
+                return send('DELETE', `/api/projects/${op.projectId}/members/${op.userId}`);
+            case 'item-create':
+                return send('POST', `/api/tasks/${op.taskId}/items`, op.body);
+            case 'item-update':
+                return send('PATCH', `/api/tasks/${op.taskId}/items/${op.itemId}`, op.body);
+            case 'item-delete':
+                return send('DELETE', `/api/tasks/${op.taskId}/items/${op.itemId}`);
+            case 'item-reorder':
+                return send('PUT', `/api/tasks/${op.taskId}/items/order`, op.body);
+            default:
+                return Promise.reject(new Error(`Unknown operation type: ${op.type}`));
+        }
+    }
+
+    async function sendAgain(op) {
+        /**
+         * Send an operation whose last try got no answer (a timeout, a
+         * dropped connection or a 5xx). The server may have applied it all
+         * the same, and sent blindly a create would add the task twice, a
+         * toggle undo itself and an update get a 409 for our own change.
+         *
+         * - create: the same Idempotency-Key goes with it, so the server
+         *   answers with the task it made the first time
+         * - update, toggle, status, delete: the task is read first. If it is
+         *   still at the version the change was made against, the change
+         *   never landed and is sent. If it already looks the way the change
+         *   leaves it (or is gone, for a delete), that copy is the answer.
+         *   Otherwise it is sent, and the server says if someone else
+         *   changed the task in between (409).
+         * - anything else is sent again as it is
+         */
+        if (!CHECKED_BEFORE_RESENDING.includes(op.type)) {
+            return sendOperation(op);
+        }
+        let task;
+        try {
+            task = await TaskApi.get(`/api/tasks/${op.taskId}`, { retries: 0 });
+        } catch (error) {
+            if (op.type === 'delete' && error.status === 404) {
+                return { deleted: op.taskId };
+            }
+            throw error;
+        }
+        const unchanged = op.version !== undefined && task.version === op.version;
+        if (!unchanged && hasLanded(op, task)) {
+            TaskLog.debug(`The ${op.type} of task ${op.taskId} had reached the server, not sending it again`);
+            return task;
+        }
+        return sendOperation(op);
+    }
+
+    function hasLanded(op, task) {
+        // True if task (the server's copy) already shows the change op makes
+        const text = value => value === null || value === undefined ? '' : String(value).trim();
+        switch (op.type) {
+            case 'toggle':
+                return Boolean(op.previous) && task.completed !== Boolean(op.previous.completed);
+            case 'status':
+                return task.status === op.body.status;
+            case 'update':
+                // project_id null means "leave it where it is"
+                return Object.entries(op.body).every(([field, value]) =>
+                    (field === 'project_id' && value === null) || text(task[field]) === text(value));
+            default:
+                return false;
+        }
+    }
+
+    async function removeOperation(op) {
+        outbox = outbox.filter(queued => queued.seq !== op.seq);
+        try {
+            await withStore('outbox', 'readwrite', store => store.delete(op.seq));
+        } catch (error) {
+            console.warn('Could not update offline outbox:', error);
+        }
+    }
+
+    async function dropOperationsFor(taskId) {
+        const dropped = outbox.filter(op => op.taskId === taskId);
+        for (const op of dropped) {
+            await removeOperation(op);
+        }
+
+        // A queued reorder or batch can't mention a task the server will never have
+        if (isTempId(taskId)) {
+            const lists = outbox.filter(op => (op.type === 'reorder' || op.type === 'batch') && op.body.task_ids.includes(taskId));
+            lists.forEach(op => { op.body.task_ids = op.body.task_ids.filter(id => id !== taskId); });
+            for (const op of lists.filter(op => op.type === 'batch' && op.body.task_ids.length === 0)) {
+                await removeOperation(op);
+            }
+            await saveOperations(lists.filter(op => op.body.task_ids.length > 0));
+        }
+    }
+
+    async function handOverPreviousOrder(op) {
+        /**
+         * A refused reorder with another reorder queued after it: the later
+         * one was made on top of this one, so only it should roll the list
+         * back (to the order before both). This one keeps just its message.
+         */
+        const later = outbox.find(queued => queued.type === 'reorder');
+        if (later) {
+            later.previousOrder = op.previousOrder;
+            op.previousOrder = null;
+            await saveOperations([later]);
+        }
+    }
+
+    function isProjectOperation(op) {
+        return op.type.startsWith('project-') || op.type.startsWith('member-');
+    }
+
+    function isItemOperation(op) {
+        return op.type.startsWith('item-');
+    }
+
+    async function dropItemOperationsFor(itemId) {
+        // Forget queued changes to a checklist item, and leave it out of queued reorders
+        const dropped = outbox.filter(op => op.itemId === itemId);
+        for (const op of dropped) {
+            await removeOperation(op);
+        }
+        const reorders = outbox.filter(op => op.type === 'item-reorder' && op.body.item_ids.includes(itemId));
+        reorders.forEach(op => { op.body.item_ids = op.body.item_ids.filter(id => id !== itemId); });
+        await saveOperations(reorders);
+    }
+
+    async function replaceTempItemId(tempId, serverId) {
+        /**
+         * After a checklist item is created, point later operations
+         * (including queued reorders) at its real server ID.
+         */
+        itemIdMap[tempId] = serverId;
+
+        const affected = outbox.filter(op =>
+            op.itemId === tempId || (op.type === 'item-reorder' && op.body.item_ids.includes(tempId)));
+        affected.forEach(op => {
+            if (op.itemId === tempId) {
+                op.itemId = serverId;
+            }
+            if (op.type === 'item-reorder') {
+                op.body.item_ids = op.body.item_ids.map(id => id === tempId ? serverId : id);
+            }
+        });
+        await saveOperations(affected);
+    }
+
+    async function saveOperations(ops) {
+        // Write changed outbox entries back to IndexedDB
+        if (ops.length === 0) {
+            return;
+        }
+        try {
+            await withStore('outbox', 'readwrite', store => {
+                ops.forEach(op => store.put(op));
+            });
+        } catch (error) {
+            console.warn('Could not update offline outbox:', error);
+        }
+    }
+
+    async function replaceTempId(tempId, serverId) {
+        /**
+         * After a POST succeeds, point every later operation for the same
+         * task (including queued reorders and batches) at the real server ID.
+         */
+        idMap[tempId] = serverId;
+
+        const affected = outbox.filter(op => taskIdsOf(op).includes(tempId) ||
+            (op.type === 'reorder' && op.body.task_ids.includes(tempId)));
+        affected.forEach(op => {
+            if (op.taskId === tempId) {
+                op.taskId = serverId;
+            }
+            if (op.type === 'reorder' || op.type === 'batch') {
+                op.body.task_ids = op.body.task_ids.map(id => id === tempId ? serverId : id);
+            }
+        });
+        await saveOperations(affected);
+    }
+
+    async function advanceVersion(taskId, version) {
+        /**
+         * A change was accepted and the task is now at "version". Queued
+         * changes for the same task were made on top of it, so they must
+         * not look stale to the server.
+         */
+        if (version === undefined) {
+            return;
+        }
+        const affected = outbox.filter(op => op.taskId === taskId && op.type !== 'create');
+        affected.forEach(op => { op.version = version; });
+        await saveOperations(affected);
+    }
+
+    function scheduleRetry() {
+        if (retryTimer) {
+            return;
+        }
+        retryTimer = setTimeout(() => {
+            retryTimer = null;
+            flush();
+        }, RETRY_INTERVAL);
+    }
+
+    function notifyPendingChange() {
+        if (hooks.onPendingChange) hooks.onPendingChange();
+    }
+
+
+    return {
+        init,
+        loadCachedTasks,
+        saveTasks,
+        saveTask,
+        nextTempId,
+        isTempId,
+        resolveId,
+        resolveItemId,
+        queue,
+        hasQueuedCreate,
+        isPending,
+        pendingCount,
+        rebase,
+        flush
+    };
+})();
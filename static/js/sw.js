@@ -0,0 +1,100 @@
+/**
+ * TASK MANAGER SERVICE WORKER - JavaScript
+ *
+ * Served as /sw.js (see app.py) so it covers the whole site.
+ *
+ * Its only job is reminder notifications. script.js decides when a reminder
+ * is due and shows it through this worker, because only notifications shown
+ * by a service worker can have buttons. This file handles the clicks:
+ * - "Mark done": completes the task
+ * - "Snooze":    shows the reminder again a few minutes later
+ * - Anywhere else on the notification: brings the board to the front
+ *
+ * When the board is open (even in a background tab), button clicks are
+ * passed to it, so the change goes through its offline outbox like any
+ * other. When it isn't open, "Mark done" calls the toggle endpoint directly.
+ * Repeating tasks are the exception: their next copy is added by the board,
+ * so it is opened as /board?reminder=done&task=<id> to do that.
+ */
+
+self.addEventListener('install', () => {
+    // Use a new version of this file right away, instead of after every tab closes
+    self.skipWaiting();
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil(self.clients.claim());
+});
+
+self.addEventListener('notificationclick', event => {
+    event.notification.close();
+    event.waitUntil(handleNotificationClick(event.action, event.notification));
+});
+
+
+async function handleNotificationClick(action, notification) {
+    /**
+     * action is 'done', 'snooze' or '' (the notification itself was clicked).
+     * notification.data is { taskId, version, recurring, snoozeMinutes, csrfToken } from script.js.
+     */
+    const data = notification.data || {};
+    const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    const board = windows.find(client => new URL(client.url).pathname === '/board');
+
+    if (action && board) {
+        board.postMessage({ type: 'reminder-action', action, taskId: data.taskId });
+        return;
+    }
+
+    if (action === 'done' && data.recurring) {
+        await self.clients.openWindow(`/board?reminder=done&task=${data.taskId}`);
+        return;
+    }
+
+    if (action === 'done') {
+        // The version lets the server refuse (409) if the task changed meanwhile.
+        // The CSRF token is the one the board had when it showed the reminder.
+        await fetch(`/api/tasks/${data.taskId}/toggle`, {
+            method: 'PATCH',
+            headers: { 'Content-Type': 'application/json', 'X-CSRF-Token': data.csrfToken || '' },
+            body: JSON.stringify({ version: data.version })
+        });
+        return;
+    }
+
+    if (action === 'snooze') {
+        await snoozeWithoutBoard(notification, data);
+        return;
+    }
+
+    // Plain click: show the board
+    if (board) {
+        await board.focus();
+    } else {
+        await self.clients.openWindow('/board');
+    }
+}
+
+async function snoozeWithoutBoard(notification, data) {
+    /**
+     * Nothing is running to set a timer when the board is closed, and a
+     * service worker is stopped after a few idle minutes. Browsers that
+     * support notification triggers can still show it again later; the
+     * others open the board, which then keeps track of the snooze itself.
+     */
+    const showAt = Date.now() + data.snoozeMinutes * 60 * 1000;
+
+    if ('showTrigger' in Notification.prototype && typeof TimestampTrigger === 'function') {
+        await self.registration.showNotification(notification.title, {
+            body: notification.body,
+            tag: notification.tag,
+            requireInteraction: true,
+            data,
+            actions: notification.actions,
+            showTrigger: new TimestampTrigger(showAt)
+        });
+        return;
+    }
+
+    await self.clients.openWindow(`/board?reminder=snooze&task=${data.taskId}`);
+}
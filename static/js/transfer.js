@@ -0,0 +1,502 @@
+/**
+ * TASK IMPORT / EXPORT - JavaScript
+ *
+ * Turns tasks into JSON, CSV or iCalendar (.ics) text and back. No DOM code
+ * in here, so it can be tested on its own
+ * (in Node: const TaskTransfer = require('./transfer.js')).
+ *
+ * Formats:
+ *   JSON  { "exported_at": "...", "tasks": [ { title, description, completed,
+ *         due_date, created_at, recurrence, priority, tags: ["ops"],
+ *         items: [{ title, done }] } ] }
+ *         (a plain array of tasks is accepted on import too)
+ *   CSV   one row per task with the header
+ *         title,description,completed,due_date,created_at,recurrence,priority,tags
+ *         (tags separated by ";"). Only the title column is required on import.
+         Cells starting with =, +, -, @, a tab or a carriage return get a '
+         in front, so spreadsheets don't run them as formulas; importing
+         takes it off again.
+ *   ICS   a VCALENDAR with one VTODO per task: SUMMARY, DESCRIPTION,
+ *         DUE (a date), STATUS (COMPLETED or NEEDS-ACTION), CREATED, RRULE,
+ *         PRIORITY and CATEGORIES (tags). Other components (VEVENT, ...) are
+ *         ignored. PRIORITY is 1 (high), 5 (medium) or 9 (low) on export; on
+ *         import 1-4 is high, 5 medium, 6-9 low and 0 none, as RFC 5545 reads them.
+ *
+ * Importing gives one row per task: { line, task, errors, duplicate }.
+ * Rows with errors are shown but can't be imported. A file that can't be
+ * read at all throws an ImportError with a readable message.
+ */
+
+const TaskTransfer = (() => {
+
+    const FORMATS = {
+        json: { extension: 'json', mimeType: 'application/json' },
+        csv: { extension: 'csv', mimeType: 'text/csv' },
+        ics: { extension: 'ics', mimeType: 'text/calendar' }
+    };
+    const CSV_COLUMNS = ['title', 'description', 'completed', 'due_date', 'created_at', 'recurrence', 'priority', 'tags'];
+    const PRIORITIES = ['high', 'medium', 'low'];  // Same values as app.py
+    const ICS_PRIORITIES = { high: 1, medium: 5, low: 9 };
+    const TRUE_VALUES = ['true', 'yes', 'y', '1', 'x', 'done', 'completed'];
+    const FALSE_VALUES = ['', 'false', 'no', 'n', '0', 'open', 'active'];
+    const TAG_NAME_MAX_LENGTH = 30;  // Same limit as app.py
+    const FORMULA_START = /^[=+\-@\t\r]/;  // What spreadsheets read as a formula
+
+
+    class ImportError extends Error {
+        constructor(message) {
+            super(message);
+            this.name = 'ImportError';
+        }
+    }
+
+
+    // ------------------------------------------------------------------------
+    // Helpers
+    // ------------------------------------------------------------------------
+
+    function formatFromFilename(filename) {
+        // 'tasks.ICS' -> 'ics' (null if the extension isn't one we know)
+        const match = /\.([a-z]+)$/i.exec(String(filename || ''));
+        const extension = match ? match[1].toLowerCase() : '';
+        return FORMATS[extension] ? extension : null;
+    }
+
+    function tagNames(task) {
+        // Tags may be plain strings or { name, color } objects
+        return (task.tags || []).map(tag => typeof tag === 'string' ? tag : tag.name);
+    }
+
+    function isRealDate(text) {
+        // 'YYYY-MM-DD' that exists on the calendar (not 2026-02-30)
+        const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(text);
+        if (!match) {
+            return false;
+        }
+        const date = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+        return date.toISOString().slice(0, 10) === text;
+    }
+
+
+    // ------------------------------------------------------------------------
+    // Exporting
+    // ------------------------------------------------------------------------
+
+    function exportTasks(tasks, format, now = new Date()) {
+        /**
+         * Serialize tasks. Returns { text, mimeType, filename }.
+         */
+        if (!FORMATS[format]) {
+            throw new ImportError(`Unknown format "${format}". Use ${Object.keys(FORMATS).join(', ')}`);
+        }
+        const text = { json: toJSON, csv: toCSV, ics: toICS }[format](tasks, now);
+        return {
+            text,
+            mimeType: FORMATS[format].mimeType,
+            filename: `tasks-${now.toISOString().slice(0, 10)}.${FORMATS[format].extension}`
+        };
+    }
+
+    function toJSON(tasks, now) {
+        const exported = tasks.map(task => ({
+            title: task.title,
+            description: task.description || '',
+            completed: Boolean(task.completed),
+            due_date: task.due_date ? task.due_date.slice(0, 10) : null,
+            created_at: task.created_at || null,
+            recurrence: task.recurrence || null,
+            priority: task.priority || null,
+            tags: tagNames(task),
+            items: (task.items || []).map(item => ({ title: item.title, done: Boolean(item.done) }))
+        }));
+        return JSON.stringify({ exported_at: now.toISOString(), tasks: exported }, null, 2);
+    }
+
+    function csvField(value) {
+        // Quote fields with commas, quotes or line breaks; double any quotes.
+        // '=SUM(A1)' becomes "'=SUM(A1)", which spreadsheets show as text.
+        let text = value === null || value === undefined ? '' : String(value);
+        if (FORMULA_START.test(text)) {
+            text = `'${text}`;
+        }
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    function toCSV(tasks) {
+        const rows = tasks.map(task => [
+            task.title,
+            task.description || '',
+            task.completed ? 'true' : 'false',
+            task.due_date ? task.due_date.slice(0, 10) : '',
+            task.created_at || '',
+            task.recurrence || '',
+            task.priority || '',
+            tagNames(task).join(';')
+        ]);
+        // CRLF line endings, as RFC 4180 (and Excel) expect
+        return [CSV_COLUMNS, ...rows].map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+    }
+
+    function icsText(value) {
+        // Escape text values: backslash, semicolon, comma and line breaks
+        return String(value)
+            .replace(/\\/g, '\\\\')
+            .replace(/;/g, '\\;')
+            .replace(/,/g, '\\,')
+            .replace(/\r?\n/g, '\\n');
+    }
+
+    function icsTimestamp(date) {
+        // Date -> 20261019T093000Z (UTC)
+        return date.toISOString().replace(/[-:]/g, '').replace(/\.\d+/, '');
+    }
+
+    function foldLine(line) {
+        /**
+         * Lines longer than 75 characters are split, each continuation
+         * starting with a space (RFC 5545). Counted in characters, which
+         * is within the limit for plain ASCII text.
+         */
+        const parts = [];
+        for (let start = 0; start < line.length; start += 74) {
+            parts.push((start === 0 ? '' : ' ') + line.slice(start, start + 74));
+        }
+        return parts.join('\r\n');
+    }
+
+    function toICS(tasks, now) {
+        const lines = [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            'PRODID:-//Task Manager//Tasks//EN'
+        ];
+        tasks.forEach(task => {
+            lines.push('BEGIN:VTODO');
+            lines.push(`UID:task-${task.id}-${icsTimestamp(new Date(task.created_at || now))}@task-manager`);
+            lines.push(`DTSTAMP:${icsTimestamp(now)}`);
+            if (task.created_at) {
+                lines.push(`CREATED:${icsTimestamp(new Date(task.created_at))}`);
+            }
+            lines.push(`SUMMARY:${icsText(task.title)}`);
+            if (task.description) {
+                lines.push(`DESCRIPTION:${icsText(task.description)}`);
+            }
+            if (task.due_date) {
+                lines.push(`DUE;VALUE=DATE:${task.due_date.slice(0, 10).replace(/-/g, '')}`);
+            }
+            lines.push(`STATUS:${task.completed ? 'COMPLETED' : 'NEEDS-ACTION'}`);
+            if (task.recurrence) {
+                lines.push(`RRULE:${task.recurrence}`);
+            }
+            if (ICS_PRIORITIES[task.priority]) {
+                lines.push(`PRIORITY:${ICS_PRIORITIES[task.priority]}`);
+            }
+            const tags = tagNames(task);
+            if (tags.length > 0) {
+                lines.push(`CATEGORIES:${tags.map(icsText).join(',')}`);
+            }
+            lines.push('END:VTODO');
+        });
+        lines.push('END:VCALENDAR');
+        return lines.map(foldLine).join('\r\n') + '\r\n';
+    }
+
+
+    // ------------------------------------------------------------------------
+    // Importing
+    // ------------------------------------------------------------------------
+
+    function parseFile(text, format) {
+        /**
+         * Read an exported (or hand-made) file. Returns the rows:
+         *   [{ line, task: { title, description, completed, due_date,
+         *      recurrence, priority, tags, items }, errors: ['...'], duplicate: false }]
+         * line is where the task starts in the file (1-based), or its
+         * position in a JSON list.
+         */
+        if (!FORMATS[format]) {
+            throw new ImportError('Choose a .json, .csv or .ics file');
+        }
+        text = String(text || '').replace(/^\uFEFF/, '');  // Byte order mark from Excel and friends
+        const rows = { json: fromJSON, csv: fromCSV, ics: fromICS }[format](text);
+        if (rows.length === 0) {
+            throw new ImportError('The file has no tasks in it');
+        }
+        return rows.map(({ line, fields }) => validateRow(line, fields));
+    }
+
+    function fromJSON(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new ImportError(`The file is not valid JSON (${error.message})`);
+        }
+        const list = Array.isArray(data) ? data : data && data.tasks;
+        if (!Array.isArray(list)) {
+            throw new ImportError('Expected a list of tasks, or an object with a "tasks" list');
+        }
+        return list.map((task, index) => ({
+            line: index + 1,
+            fields: task && typeof task === 'object' ? task : { title: task }
+        }));
+    }
+
+    function splitCSV(text) {
+        /**
+         * Split CSV text into rows of fields, following RFC 4180: fields in
+         * double quotes may contain commas, line breaks and "" for a quote.
+         * Returns [{ line, fields }], skipping blank lines.
+         */
+        const rows = [];
+        let row = [];
+        let field = '';
+        let quoted = false;
+        let line = 1;
+        let rowLine = 1;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (quoted) {
+                if (char === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    if (char === '\n') line++;
+                    field += char;
+                }
+            } else if (char === '"' && field === '') {
+                quoted = true;
+            } else if (char === ',') {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(field);
+                if (row.some(value => value.trim() !== '')) rows.push({ line: rowLine, fields: row });
+                row = [];
+                field = '';
+                line++;
+                rowLine = line;
+            } else {
+                field += char;
+            }
+        }
+        if (quoted) {
+            throw new ImportError(`Missing closing quote in the row starting on line ${rowLine}`);
+        }
+        row.push(field);
+        if (row.some(value => value.trim() !== '')) rows.push({ line: rowLine, fields: row });
+        return rows;
+    }
+
+    function csvValue(field) {
+        // A cell as csvField() wrote it: without the ' put in front of formulas
+        if (field === undefined) {
+            return '';
+        }
+        return field.startsWith("'") && FORMULA_START.test(field.slice(1)) ? field.slice(1) : field;
+    }
+
+    function fromCSV(text) {
+        const [header, ...rows] = splitCSV(text);
+        if (!header) {
+            return [];
+        }
+        const columns = header.fields.map(name => name.trim().toLowerCase().replace(/\s+/g, '_'));
+        if (!columns.includes('title')) {
+            throw new ImportError(`The first row must name the columns, including "title" (e.g. ${CSV_COLUMNS.join(',')})`);
+        }
+        return rows.map(({ line, fields }) => {
+            const task = {};
+            columns.forEach((column, index) => { task[column] = csvValue(fields[index]); });
+            task.tags = task.tags ? task.tags.split(';') : [];
+            return { line, fields: task };
+        });
+    }
+
+    function unescapeICS(value) {
+        return value.replace(/\\([\\;,nN])/g, (match, char) => (char === 'n' || char === 'N') ? '\n' : char);
+    }
+
+    function splitICSList(value) {
+        // "a,b\,c" -> ['a', 'b,c'] (commas that aren't escaped separate values)
+        return value.split(/(?<!\\),/).map(unescapeICS);
+    }
+
+    function icsDate(value) {
+        // DUE:20261101, DUE:20261101T170000Z, ... -> '2026-11-01'
+        const match = /^(\d{4})(\d{2})(\d{2})(T\d{6}Z?)?$/.exec(value.trim());
+        if (!match) {
+            return value;  // validateRow() reports it
+        }
+        if (match[4] && match[4].endsWith('Z')) {
+            // A UTC time: use the local calendar day it falls on
+            const date = new Date(`${match[1]}-${match[2]}-${match[3]}T${match[4].slice(1, 3)}:${match[4].slice(3, 5)}:${match[4].slice(5, 7)}Z`);
+            const month = String(date.getMonth() + 1).padStart(2, '0');
+            const day = String(date.getDate()).padStart(2, '0');
+            return `${date.getFullYear()}-${month}-${day}`;
+        }
+        return `${match[1]}-${match[2]}-${match[3]}`;
+    }
+
+    function icsPriority(value) {
+        // PRIORITY:1 -> 'high' (1-4 high, 5 medium, 6-9 low, 0 undefined)
+        const text = value.trim();
+        if (!/^\d$/.test(text)) {
+            return text;  // validateRow() reports it
+        }
+        const level = Number(text);
+        return level === 0 ? null : level < 5 ? 'high' : level === 5 ? 'medium' : 'low';
+    }
+
+    function fromICS(text) {
+        // Undo line folding: a line break followed by a space or tab continues the line
+        const lines = text.replace(/\r\n/g, '\n').replace(/\n[ \t]/g, '').split('\n');
+        if (!/^BEGIN:VCALENDAR$/i.test((lines.find(line => line.trim() !== '') || '').trim())) {
+            throw new ImportError('The file is not an iCalendar file (it should start with BEGIN:VCALENDAR)');
+        }
+
+        const rows = [];
+        let todo = null;
+        let depth = 0;  // Nested components inside a VTODO (e.g. VALARM) are skipped
+        lines.forEach((line, index) => {
+            const match = /^([A-Za-z-]+)((?:;[^:]*)?):(.*)$/.exec(line);
+            if (!match) {
+                return;
+            }
+            const name = match[1].toUpperCase();
+            const value = match[3];
+
+            if (name === 'BEGIN' && value.toUpperCase() === 'VTODO' && !todo) {
+                todo = { line: index + 1, fields: { tags: [] } };
+            } else if (!todo) {
+                return;
+            } else if (name === 'BEGIN') {
+                depth++;
+            } else if (name === 'END' && depth > 0) {
+                depth--;
+            } else if (name === 'END' && value.toUpperCase() === 'VTODO') {
+                rows.push(todo);
+                todo = null;
+            } else if (depth === 0) {
+                const fields = todo.fields;
+                if (name === 'SUMMARY') fields.title = unescapeICS(value);
+                if (name === 'DESCRIPTION') fields.description = unescapeICS(value);
+                if (name === 'DUE') fields.due_date = icsDate(value);
+                if (name === 'STATUS') fields.completed = value.toUpperCase() === 'COMPLETED';
+                if (name === 'RRULE') fields.recurrence = value;
+                if (name === 'PRIORITY') fields.priority = icsPriority(value);
+                if (name === 'CATEGORIES') fields.tags.push(...splitICSList(value));
+            }
+        });
+        if (todo) {
+            throw new ImportError(`The task starting on line ${todo.line} has no END:VTODO`);
+        }
+        return rows;
+    }
+
+    function readCompleted(value, errors) {
+        if (typeof value === 'boolean') {
+            return value;
+        }
+        const text = String(value === undefined || value === null ? '' : value).trim().toLowerCase();
+        if (TRUE_VALUES.includes(text)) {
+            return true;
+        }
+        if (!FALSE_VALUES.includes(text)) {
+            errors.push(`"completed" should be true or false (got "${value}")`);
+        }
+        return false;
+    }
+
+    function validateRow(line, fields) {
+        /**
+         * Check one task from the file and tidy it up for addTask().
+         */
+        const errors = [];
+        const title = String(fields.title === undefined || fields.title === null ? '' : fields.title).trim();
+        if (!title) {
+            errors.push('The title is missing');
+        }
+
+        let dueDate = fields.due_date ? String(fields.due_date).trim() : null;
+        if (dueDate && /^\d{4}-\d{2}-\d{2}T/.test(dueDate)) {
+            dueDate = dueDate.slice(0, 10);
+        }
+        if (dueDate && !isRealDate(dueDate)) {
+            errors.push(`"${dueDate}" is not a date (use YYYY-MM-DD)`);
+        }
+
+        // Repeat rules are checked with recurrence.js, when it is loaded
+        let recurrence = fields.recurrence ? String(fields.recurrence).trim().replace(/^RRULE:/i, '') : null;
+        if (recurrence && typeof TaskRecurrence !== 'undefined') {
+            try {
+                recurrence = TaskRecurrence.stringify(TaskRecurrence.parse(recurrence));
+            } catch (error) {
+                errors.push(`Repeat rule: ${error.message}`);
+            }
+        }
+
+        let priority = fields.priority ? String(fields.priority).trim().toLowerCase() : null;
+        if (priority && !PRIORITIES.includes(priority)) {
+            errors.push(`Priority should be ${PRIORITIES.join(', ')} or empty (got "${fields.priority}")`);
+            priority = null;
+        }
+
+        const tags = (Array.isArray(fields.tags) ? fields.tags : [])
+            .map(tag => String(typeof tag === 'object' && tag ? tag.name : tag).trim())
+            .filter(Boolean);
+        tags.filter(tag => tag.length > TAG_NAME_MAX_LENGTH || /[,;"]/.test(tag)).forEach(tag => {
+            errors.push(`Tag "${tag}" is too long or has a comma, semicolon or quote in it`);
+        });
+        const items = (Array.isArray(fields.items) ? fields.items : [])
+            .map(item => typeof item === 'object' && item ? item : { title: item })
+            .map(item => ({ title: String(item.title || '').trim(), done: Boolean(item.done) }))
+            .filter(item => item.title);
+
+        return {
+            line,
+            task: {
+                title,
+                description: fields.description ? String(fields.description).trim() : '',
+                completed: readCompleted(fields.completed, errors),
+                due_date: dueDate,
+                recurrence,
+                priority,
+                tags: [...new Set(tags)],
+                items
+            },
+            errors,
+            duplicate: false
+        };
+    }
+
+    function markDuplicates(rows, existingTasks) {
+        /**
+         * Flag rows whose task is already on the board, or earlier in the
+         * file: same title (ignoring case and spaces) and same due date.
+         * Returns rows (changed in place).
+         */
+        const keyOf = task => `${String(task.title || '').trim().toLowerCase()}|${task.due_date ? task.due_date.slice(0, 10) : ''}`;
+        const seen = new Set(existingTasks.map(keyOf));
+        rows.forEach(row => {
+            if (row.errors.length > 0) {
+                return;
+            }
+            const key = keyOf(row.task);
+            row.duplicate = seen.has(key);
+            seen.add(key);
+        });
+        return rows;
+    }
+
+
+    return { exportTasks, parseFile, markDuplicates, formatFromFilename, ImportError, CSV_COLUMNS };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TaskTransfer;
+}
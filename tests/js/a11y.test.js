@@ -0,0 +1,121 @@
+// Runs axe-core over the board as a browser would show it: the page app.py
+// serves (rendered by tests/render_page.py), with its own scripts and styles,
+// and the cards script.js draws for a few tasks - also in edit mode.
+process.env.TZ = 'UTC';
+
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { execFileSync } = require('node:child_process');
+const fs = require('node:fs');
+const path = require('node:path');
+const { JSDOM, VirtualConsole, requestInterceptor } = require('jsdom');
+const axe = require('axe-core');
+const { jsonResponse, until } = require('./browser.js');
+
+const ROOT = path.join(__dirname, '..', '..');
+const MIME_TYPES = { '.js': 'application/javascript', '.css': 'text/css' };
+
+// What the API answers: the user (id 1) owns "Personal" and can only view "Shared"
+const PROJECTS = [
+    { id: 1, name: 'Personal', role: 'owner', members: [{ id: 1, username: 'reader', role: 'owner' }] },
+    { id: 2, name: 'Shared', role: 'viewer',
+      members: [{ id: 1, username: 'reader', role: 'viewer' }, { id: 2, username: 'sam', role: 'owner' }] }
+];
+const TAGS = [{ id: 1, name: 'home', color: '#667eea' }];
+const TASKS = [
+    { id: 1, title: 'Pay rent', description: 'Before the 1st', completed: false, status: 'pending',
+      due_date: '2026-11-01', remind_at: '2026-10-31T09:00:00Z', recurrence: 'FREQ=MONTHLY;BYMONTHDAY=1',
+      priority: 'high', auto_complete: false, project_id: 1, assignee_id: 1, version: 1,
+      created_at: '2026-10-01T08:00:00+00:00', tags: TAGS,
+      items: [{ id: 1, title: 'Transfer', done: true, position: 0 }, { id: 2, title: 'Receipt', done: false, position: 1 }] },
+    { id: 2, title: 'Water plants', description: '', completed: true, status: 'completed', due_date: null,
+      priority: null, project_id: 1, assignee_id: null, version: 2, created_at: '2026-10-02T08:00:00+00:00',
+      completed_at: '2026-10-03T08:00:00+00:00', tags: [], items: [] },
+    { id: 3, title: "Sam's launch plan", description: 'Read only here', completed: false, status: 'pending',
+      due_date: '2026-10-01', priority: 'low', project_id: 2, assignee_id: 2, version: 1,
+      created_at: '2026-09-01T08:00:00+00:00', tags: [], items: [] }
+];
+const API = {
+    '/api/tasks': TASKS,
+    '/api/tasks/trash': [],
+    '/api/projects': PROJECTS,
+    '/api/tags': TAGS
+};
+
+function staticFile(request) {
+    // /static/... from the repo, like Flask serves it; nothing else is loaded
+    const { pathname } = new URL(request.url);
+    const file = path.join(ROOT, pathname);
+    if (!pathname.startsWith('/static/') || !fs.existsSync(file)) {
+        return new Response('', { status: 404 });
+    }
+    return new Response(fs.readFileSync(file), { headers: { 'Content-Type': MIME_TYPES[path.extname(file)] || 'text/plain' } });
+}
+
+async function openBoard() {
+    const html = execFileSync('python3', [path.join(ROOT, 'tests', 'render_page.py'), '/board'], { encoding: 'utf8' });
+    const errors = [];
+    const virtualConsole = new VirtualConsole();
+    virtualConsole.on('jsdomError', error => errors.push(error.message));
+    const dom = new JSDOM(html, {
+        url: 'http://localhost/board',
+        runScripts: 'dangerously',
+        pretendToBeVisual: true,
+        virtualConsole,
+        resources: { interceptors: [requestInterceptor(staticFile)] },
+        beforeParse(window) {
+            window.fetch = async url => {
+                const answer = API[new URL(url, window.location.href).pathname];
+                return answer ? jsonResponse(200, answer) : jsonResponse(404, { error: 'Not found' });
+            };
+        }
+    });
+    await new Promise(resolve => dom.window.addEventListener('load', resolve));
+    await until(() => dom.window.document.querySelectorAll('.task-item').length === TASKS.length, 'the task cards');
+    return { window: dom.window, errors };
+}
+
+async function violations(window, context) {
+    /**
+     * axe's violations, as "rule: what is wrong (where)" lines. Color
+     * contrast is left out: jsdom doesn't lay out or paint the page.
+     */
+    const results = await window.axe.run(context || window.document, {
+        rules: { 'color-contrast': { enabled: false } }
+    });
+    assert.ok(results.passes.length > 0, 'axe checked nothing');
+    // Copied out of the page's realm, so deepEqual can compare them
+    return Array.from(results.violations).flatMap(violation =>
+        Array.from(violation.nodes, node => `${violation.id}: ${violation.help} (${node.target.join(' ')})`));
+}
+
+describe('accessibility of the board', () => {
+    let board;
+
+    before(async () => {
+        board = await openBoard();
+        board.window.eval(axe.source);
+    });
+
+    after(() => board.window.close());
+
+    test('has no axe violations with cards in the list', async () => {
+        assert.deepEqual(await violations(board.window), []);
+        assert.deepEqual(board.errors, []);
+    });
+
+    test('has no axe violations in edit mode', async () => {
+        const document = board.window.document;
+        document.querySelector('#task-1 .edit-btn').click();
+        await until(() => document.querySelector('#task-1.edit-mode'), 'the edit form');
+        assert.equal(document.activeElement, document.getElementById('edit-title-1'));
+        assert.deepEqual(await violations(board.window), []);
+    });
+
+    test('labels every checkbox with its task', () => {
+        const document = board.window.document;
+        const labels = [...document.querySelectorAll('.task-checkbox')].map(box => box.getAttribute('aria-label'));
+        // The card being edited shows its form instead
+        assert.deepEqual(labels, ['Mark Water plants as done', "Mark Sam's launch plan as done"]);
+    });
+});
@@ -0,0 +1,67 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, jsonResponse } = require('./browser.js');
+
+function loadApi(answers) {
+    /**
+     * A TaskApi whose fetch() gives the next of answers (a status, or
+     * 'offline') and records what was asked. Retries don't wait, and
+     * requests never time out.
+     */
+    const requests = [];
+    const fetch = async (url, options) => {
+        requests.push(`${options.method} ${url}`);
+        const answer = answers.shift();
+        if (answer === 'offline') {
+            throw new TypeError('Failed to fetch');
+        }
+        return jsonResponse(answer, answer < 400 ? { ok: true } : { error: `Error ${answer}` });
+    };
+    const get = loadScripts(['log.js', 'api.js'], {
+        fetch,
+        setTimeout: (callback, delay) => {
+            if (delay < 10000) Promise.resolve().then(callback);  // The retry delays, not REQUEST_TIMEOUT
+            return 0;
+        },
+        clearTimeout: () => {}
+    });
+    return { TaskApi: get('TaskApi'), requests };
+}
+
+describe('retries', () => {
+    test('reads are tried again after a network or server failure', async () => {
+        const { TaskApi, requests } = loadApi(['offline', 503, 200]);
+        assert.deepEqual(await TaskApi.get('/api/tasks'), { ok: true });
+        assert.equal(requests.length, 3);
+    });
+
+    test('reads give up after two retries', async () => {
+        const { TaskApi, requests } = loadApi([503, 503, 503, 200]);
+        await assert.rejects(TaskApi.get('/api/tasks'), { name: 'ServerError', status: 503 });
+        assert.equal(requests.length, 3);
+    });
+
+    for (const method of ['POST', 'PUT', 'PATCH', 'DELETE']) {
+        test(`${method} is never repeated`, async () => {
+            const { TaskApi, requests } = loadApi(['offline', 200]);
+            await assert.rejects(TaskApi.send(method, '/api/tasks/1', { title: 'Mine', version: 2 }),
+                { name: 'NetworkError' });
+            assert.deepEqual(requests, [`${method} /api/tasks/1`]);
+        });
+    }
+
+    test('refusals are not retried', async () => {
+        const { TaskApi, requests } = loadApi([404, 200]);
+        await assert.rejects(TaskApi.get('/api/tasks/1'), { name: 'ApiError', status: 404 });
+        assert.equal(requests.length, 1);
+    });
+});
+
+describe('errors', () => {
+    test('say what kind of refusal it was', async () => {
+        const { TaskApi } = loadApi([400, 401, 409, 500]);
+        for (const name of ['ValidationError', 'AuthError', 'ConflictError', 'ServerError']) {
+            await assert.rejects(TaskApi.send('POST', '/api/tasks', {}), { name });
+        }
+    });
+});
@@ -0,0 +1,52 @@
+// Loads browser scripts from static/js into a fresh sandbox, the way the page
+// does with <script> tags: they share one global scope, and see only the
+// browser globals passed in.
+
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const STATIC_JS = path.join(__dirname, '..', '..', 'static', 'js');
+
+function loadScripts(files, globals = {}) {
+    const window = { addEventListener() {}, ...globals.window };
+    const context = vm.createContext({
+        document: { querySelector: () => null },
+        navigator: { onLine: true },
+        console,
+        AbortController,
+        setTimeout,
+        clearTimeout,
+        ...globals,
+        window
+    });
+    for (const file of files) {
+        const code = fs.readFileSync(path.join(STATIC_JS, file), 'utf8');
+        vm.runInContext(code, context, { filename: file });
+    }
+    return name => vm.runInContext(name, context);
+}
+
+function jsonResponse(status, body) {
+    return { ok: status >= 200 && status < 300, status, json: async () => body };
+}
+
+async function until(condition, message = 'condition') {
+    // Wait (a few hundred turns of the event loop at most) for async work to get somewhere
+    for (let turn = 0; turn < 500; turn++) {
+        if (condition()) {
+            return;
+        }
+        await new Promise(resolve => setImmediate(resolve));
+    }
+    throw new Error(`Timed out waiting for ${message}`);
+}
+
+async function settle() {
+    // Let pending async work run to the end (or to a request that is still waiting)
+    for (let turn = 0; turn < 50; turn++) {
+        await new Promise(resolve => setImmediate(resolve));
+    }
+}
+
+module.exports = { loadScripts, jsonResponse, until, settle };
@@ -0,0 +1,93 @@
+// Days are local dates, so these run west of UTC in a zone with daylight
+// saving (set before dates.js is loaded, Node reads TZ on first use)
+process.env.TZ = 'America/New_York';
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const TaskDates = require('../../static/js/dates.js');
+
+describe('parseDay / formatDay', () => {
+    test('a day stays the same day west of UTC', () => {
+        const date = TaskDates.parseDay('2026-11-01');
+        assert.equal(date.getDate(), 1);
+        assert.equal(date.getHours(), 0);
+        assert.equal(TaskDates.formatDay(date), '2026-11-01');
+    });
+
+    test('ignores a time after the day', () => {
+        assert.equal(TaskDates.formatDay(TaskDates.parseDay('2026-11-01T23:30:00Z')), '2026-11-01');
+    });
+
+    test('rejects days that do not exist', () => {
+        for (const text of ['2026-02-29', '2026-02-30', '2026-13-01', '2026-00-10', 'soon', '', null]) {
+            assert.equal(TaskDates.parseDay(text), null, String(text));
+        }
+        assert.notEqual(TaskDates.parseDay('2028-02-29'), null);
+    });
+
+    test('isDay needs exactly YYYY-MM-DD', () => {
+        assert.equal(TaskDates.isDay('2026-11-01'), true);
+        assert.equal(TaskDates.isDay('2026-11-01T00:00'), false);
+        assert.equal(TaskDates.isDay('2026-11-31'), false);
+    });
+});
+
+describe('dayOf', () => {
+    test('reads timestamps in local time', () => {
+        // 02:00 UTC on Nov 2 is still the evening of Nov 1 in New York
+        assert.equal(TaskDates.dayOf('2026-11-02T02:00:00+00:00'), '2026-11-01');
+    });
+
+    test('keeps bare days and empties', () => {
+        assert.equal(TaskDates.dayOf('2026-11-02'), '2026-11-02');
+        assert.equal(TaskDates.dayOf(null), '');
+        assert.equal(TaskDates.dayOf('not a time'), '');
+    });
+});
+
+describe('addDays', () => {
+    test('crosses month and year ends', () => {
+        assert.equal(TaskDates.addDays('2026-01-31', 1), '2026-02-01');
+        assert.equal(TaskDates.addDays('2026-02-28', 1), '2026-03-01');
+        assert.equal(TaskDates.addDays('2028-02-28', 1), '2028-02-29');
+        assert.equal(TaskDates.addDays('2026-12-31', 1), '2027-01-01');
+        assert.equal(TaskDates.addDays('2026-03-01', -1), '2026-02-28');
+    });
+
+    test('never skips or repeats a day when the clocks change', () => {
+        // Spring forward (23 hour day) and fall back (25 hour day) in New York
+        assert.equal(TaskDates.addDays('2026-03-07', 1), '2026-03-08');
+        assert.equal(TaskDates.addDays('2026-03-08', 1), '2026-03-09');
+        assert.equal(TaskDates.addDays('2026-10-31', 1), '2026-11-01');
+        assert.equal(TaskDates.addDays('2026-11-01', 1), '2026-11-02');
+        assert.equal(TaskDates.addDays('2026-03-01', 14), '2026-03-15');
+        assert.equal(TaskDates.addDays('2026-11-08', -14), '2026-10-25');
+    });
+});
+
+describe('months and weeks', () => {
+    test('monthStart', () => {
+        assert.equal(TaskDates.monthStart('2026-01-31'), '2026-01-01');
+        assert.equal(TaskDates.monthStart('2026-01-31', 1), '2026-02-01');
+        assert.equal(TaskDates.monthStart('2026-01-15', -1), '2025-12-01');
+    });
+
+    test('weeks start on Sunday', () => {
+        assert.equal(TaskDates.weekStart('2026-11-04'), '2026-11-01');
+        assert.equal(TaskDates.weekStart('2026-11-01'), '2026-11-01');
+        assert.deepEqual(TaskDates.weekDays('2026-03-10'),
+            ['2026-03-08', '2026-03-09', '2026-03-10', '2026-03-11', '2026-03-12', '2026-03-13', '2026-03-14']);
+    });
+
+    test('monthWeeks covers the whole month', () => {
+        const weeks = TaskDates.monthWeeks('2026-02-10');
+        assert.equal(weeks.length, 4);  // February 2026 starts on a Sunday
+        assert.equal(weeks[0][0], '2026-02-01');
+        assert.equal(weeks[3][6], '2026-02-28');
+
+        const november = TaskDates.monthWeeks('2026-11-20');
+        assert.equal(november[0][0], '2026-11-01');
+        assert.equal(november[november.length - 1][6], '2026-12-05');
+        assert.ok(november.every(week => week.length === 7));
+    });
+});
@@ -0,0 +1,131 @@
+process.env.TZ = 'America/New_York';
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const TaskQuery = require('../../static/js/query.js');
+
+const TODAY = new Date(2026, 9, 19, 10, 0);
+
+const TASKS = [
+    { id: 1, title: 'Quarterly report', description: 'Numbers for Q3', completed: false,
+      due_date: '2026-10-15', created_at: '2026-10-01T12:00:00+00:00', tags: ['work'] },
+    { id: 2, title: 'Buy milk', description: '', completed: true,
+      due_date: '2026-10-19', created_at: '2026-10-19T02:00:00+00:00', tags: [{ name: 'Home', color: '#43a047' }] },
+    { id: 3, title: 'Call mum', description: 'about the quarterly visit', completed: false,
+      due_date: null, created_at: '2026-10-20T03:59:00+00:00', tags: [] },
+    { id: 4, title: 'Renew passport', description: null, completed: false,
+      due_date: '2026-11-01', created_at: null }
+];
+
+function ids(query) {
+    const { predicate } = TaskQuery.parse(query, { today: TODAY });
+    return TASKS.filter(predicate).map(task => task.id);
+}
+
+describe('tokenize', () => {
+    test('splits fields, phrases and negations', () => {
+        assert.deepEqual(TaskQuery.tokenize('report "quarterly report" -Title:milk due:<today'), [
+            { negated: false, field: null, value: 'report', position: 0 },
+            { negated: false, field: null, value: 'quarterly report', position: 7 },
+            { negated: true, field: 'title', value: 'milk', position: 26 },
+            { negated: false, field: 'due', value: '<today', position: 38 }
+        ]);
+    });
+
+    test('a quoted value can follow a field', () => {
+        assert.deepEqual(TaskQuery.tokenize('desc:"quarterly visit"'),
+            [{ negated: false, field: 'desc', value: 'quarterly visit', position: 0 }]);
+    });
+});
+
+describe('text terms', () => {
+    test('match the title or the description, ignoring case', () => {
+        assert.deepEqual(ids('QUARTERLY'), [1, 3]);
+        assert.deepEqual(ids('"quarterly visit"'), [3]);
+        assert.deepEqual(ids('title:quarterly'), [1]);
+        assert.deepEqual(ids('desc:quarterly'), [3]);
+    });
+
+    test('all terms must match', () => {
+        assert.deepEqual(ids('quarterly numbers'), [1]);
+        assert.deepEqual(ids('quarterly -report'), [3]);
+    });
+
+    test('an empty query matches everything', () => {
+        const result = TaskQuery.parse('   ', { today: TODAY });
+        assert.equal(result.isEmpty, true);
+        assert.deepEqual(TASKS.filter(result.predicate).map(task => task.id), [1, 2, 3, 4]);
+    });
+
+    test('highlights the words of text terms that are not excluded', () => {
+        assert.deepEqual(TaskQuery.parse('Report title:Q3 desc:visit -milk tag:work').highlights,
+            { title: ['report', 'q3'], description: ['report', 'visit'] });
+    });
+});
+
+describe('filters', () => {
+    test('is:', () => {
+        assert.deepEqual(ids('is:active'), [1, 3, 4]);
+        assert.deepEqual(ids('is:open'), [1, 3, 4]);
+        assert.deepEqual(ids('is:done'), [2]);
+        assert.deepEqual(ids('is:completed'), [2]);
+        assert.deepEqual(ids('is:overdue'), [1]);
+        assert.deepEqual(ids('-is:overdue'), [2, 3, 4]);
+    });
+
+    test('tag: matches plain and { name } tags, ignoring case', () => {
+        assert.deepEqual(ids('tag:work'), [1]);
+        assert.deepEqual(ids('tag:home'), [2]);
+        assert.deepEqual(ids('-tag:home'), [1, 3, 4]);
+    });
+
+    test('due: compares days', () => {
+        assert.deepEqual(ids('due:2026-10-19'), [2]);
+        assert.deepEqual(ids('due:today'), [2]);
+        assert.deepEqual(ids('due:yesterday'), []);
+        assert.deepEqual(ids('due:<today'), [1]);
+        assert.deepEqual(ids('due:<=today'), [1, 2]);
+        assert.deepEqual(ids('due:>today'), [4]);
+        assert.deepEqual(ids('due:>=tomorrow'), [4]);
+        assert.deepEqual(ids('due:=2026-11-01'), [4]);
+        assert.deepEqual(ids('due:none'), [3]);
+        assert.deepEqual(ids('due:any'), [1, 2, 4]);
+    });
+
+    test('created: compares the local day of created_at', () => {
+        // 02:00 UTC on Oct 19 is still Oct 18 in New York, 03:59 UTC on Oct 20 is Oct 19
+        assert.deepEqual(ids('created:2026-10-18'), [2]);
+        assert.deepEqual(ids('created:today'), [3]);
+        assert.deepEqual(ids('created:<2026-10-18'), [1]);
+        assert.deepEqual(ids('created:none'), [4]);
+    });
+});
+
+describe('errors', () => {
+    const cases = [
+        ['color:red', 'Unknown filter "color:". Use one of title:, desc:, is:, due:, created:, tag: (at character 1)', 0],
+        ['milk -Color:red', 'Unknown filter "Color:". Use one of title:, desc:, is:, due:, created:, tag: (at character 7)', 6],
+        ['"quarterly report', 'Missing closing quote (at character 1)', 0],
+        ['"quarterly"report', 'Expected a space after the closing quote (at character 12)', 11],
+        ['mid"dle', 'Quotes must go around a whole word or phrase (at character 4)', 3],
+        ['milk due:', '"due:" needs a value (at character 6)', 5],
+        ['milk -', '"-" must be followed by a word to exclude (at character 6)', 5],
+        ['is:late', 'Unknown value "is:late". Use is:active, is:open, is:completed, is:done, is:overdue (at character 1)', 0],
+        ['due:<', '"due:<" needs a date after it (at character 1)', 0],
+        ['created:>=', '"created:>=" needs a date after it (at character 1)', 0],
+        ['due:soon', '"soon" is not a date. Use YYYY-MM-DD, today, tomorrow or yesterday (at character 1)', 0],
+        ['due:2026-11-1', '"2026-11-1" is not a date. Use YYYY-MM-DD, today, tomorrow or yesterday (at character 1)', 0],
+        ['a due:2026-02-30', '"2026-02-30" is not a real date (at character 3)', 2]
+    ];
+    for (const [query, message, position] of cases) {
+        test(query, () => {
+            assert.throws(() => TaskQuery.parse(query, { today: TODAY }), error => {
+                assert.ok(error instanceof TaskQuery.QueryError);
+                assert.equal(error.name, 'QueryError');
+                assert.equal(error.message, message);
+                assert.equal(error.position, position);
+                return true;
+            });
+        });
+    }
+});
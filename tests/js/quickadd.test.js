@@ -0,0 +1,93 @@
+process.env.TZ = 'America/New_York';
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const TaskQuickAdd = require('../../static/js/quickadd.js');
+
+// Monday, October 19, 2026, 10:00 in the morning
+const NOW = new Date(2026, 9, 19, 10, 0);
+
+function parse(text, locale = 'en-US') {
+    const { title, due_date, time, recurrence, tags, priority } = TaskQuickAdd.parse(text, { now: NOW, locale });
+    return { title, due_date, time, recurrence, tags, priority };
+}
+
+function expect(text, fields, locale) {
+    test(text, () => {
+        const expected = { title: '', due_date: null, time: null, recurrence: null, tags: [], priority: null, ...fields };
+        assert.deepEqual(parse(text, locale), expected);
+    });
+}
+
+describe('titles', () => {
+    expect('Call mum', { title: 'Call mum' });
+    expect('Buy 5 apples', { title: 'Buy 5 apples' });
+    expect('Weigh 1.5 kg flour', { title: 'Weigh 1.5 kg flour' });
+    expect('Finish 1st draft', { title: 'Finish 1st draft' });
+    expect('Meet on 5', { title: 'Meet on 5' });
+    expect('Read "Friday" notes', { title: 'Read Friday notes' });
+});
+
+describe('tags and priorities', () => {
+    expect('Fix bug !1 #work #Work', { title: 'Fix bug', tags: ['work'], priority: 'high' });
+    expect('Plan !!!', { title: 'Plan', priority: 'high' });
+    expect('Tidy up !low #home,', { title: 'Tidy up', tags: ['home'], priority: 'low' });
+});
+
+describe('dates', () => {
+    expect('Dentist friday', { title: 'Dentist', due_date: '2026-10-23' });
+    expect('Dentist on fri', { title: 'Dentist', due_date: '2026-10-23' });
+    expect('Standup next monday', { title: 'Standup', due_date: '2026-10-26' });
+    expect('Review next week', { title: 'Review', due_date: '2026-10-26' });
+    expect('Budget next month', { title: 'Budget', due_date: '2026-11-01' });
+    expect('Renew passport in 3 days', { title: 'Renew passport', due_date: '2026-10-22' });
+    expect('Renew in 2 weeks', { title: 'Renew', due_date: '2026-11-02' });
+    expect('Renew in a month', { title: 'Renew', due_date: '2026-11-19' });
+    expect('Party nov 5', { title: 'Party', due_date: '2026-11-05' });
+    expect('Party 5th of nov', { title: 'Party', due_date: '2026-11-05' });
+    expect('Party nov 5 2027', { title: 'Party', due_date: '2027-11-05' });
+    expect('Trip 2026-11-05', { title: 'Trip', due_date: '2026-11-05' });
+    expect('Trip 11/5', { title: 'Trip', due_date: '2026-11-05' });
+    expect('Trip 5/11', { title: 'Trip', due_date: '2026-11-05' }, 'en-GB');
+    expect('Trip 5.11.', { title: 'Trip', due_date: '2026-11-05' }, 'de-DE');
+    expect('Meet at 12/1', { title: 'Meet', due_date: '2026-12-01' });
+    expect('Pay on the 31st', { title: 'Pay', due_date: '2026-10-31' });
+    expect('Submit by the 5th', { title: 'Submit', due_date: '2026-11-05' });
+    expect('Party jan 5', { title: 'Party', due_date: '2027-01-05' });
+});
+
+describe('times', () => {
+    expect('Call at 5:30 pm', { title: 'Call', due_date: '2026-10-19', time: '17:30' });
+    expect('Call 17:00', { title: 'Call', due_date: '2026-10-19', time: '17:00' });
+    expect('Lunch noon', { title: 'Lunch', due_date: '2026-10-19', time: '12:00' });
+    expect('Lunch at 1pm', { title: 'Lunch', due_date: '2026-10-19', time: '13:00' });
+    // 9 o'clock has passed today, so it is tomorrow's
+    expect('Buy 5 apples at 9', { title: 'Buy 5 apples', due_date: '2026-10-20', time: '09:00' });
+    expect('Arzt morgen um 9', { title: 'Arzt', due_date: '2026-10-20', time: '09:00' }, 'de-DE');
+});
+
+describe('repeating tasks', () => {
+    expect('Pay invoices every friday #finance !high tomorrow 5pm', {
+        title: 'Pay invoices', due_date: '2026-10-20', time: '17:00', recurrence: 'FREQ=WEEKLY;BYDAY=FR',
+        tags: ['finance'], priority: 'high'
+    });
+    expect('Water plants every 3 days', { title: 'Water plants', due_date: '2026-10-19', recurrence: 'FREQ=DAILY;INTERVAL=3' });
+    expect('Water every other day', { title: 'Water', due_date: '2026-10-19', recurrence: 'FREQ=DAILY;INTERVAL=2' });
+    expect('Sync every 2 weeks', { title: 'Sync', due_date: '2026-10-19', recurrence: 'FREQ=DAILY;INTERVAL=14' });
+    expect('Gym every mon and thu', { title: 'Gym', due_date: '2026-10-19', recurrence: 'FREQ=WEEKLY;BYDAY=MO,TH' });
+    expect('Report every weekday', { title: 'Report', due_date: '2026-10-19', recurrence: 'FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR' });
+    expect('Backup weekly', { title: 'Backup', due_date: '2026-10-19', recurrence: 'FREQ=WEEKLY;BYDAY=MO' });
+    expect('Bills every 15th', { title: 'Bills', due_date: '2026-11-15', recurrence: 'FREQ=MONTHLY;BYMONTHDAY=15' });
+    expect('Pay rent on the 1st every month', { title: 'Pay rent', due_date: '2026-11-01', recurrence: 'FREQ=MONTHLY;BYMONTHDAY=1' });
+    expect('every month on the 15th pay bills', { title: 'pay bills', due_date: '2026-11-15', recurrence: 'FREQ=MONTHLY;BYMONTHDAY=15' });
+    expect('Miete am 1. monatlich', { title: 'Miete', due_date: '2026-11-01', recurrence: 'FREQ=MONTHLY;BYMONTHDAY=1' }, 'de-DE');
+});
+
+describe('matches', () => {
+    test('point at the parts that were understood', () => {
+        const text = 'Meet at 12/1 #team';
+        const { matches } = TaskQuickAdd.parse(text, { now: NOW });
+        assert.deepEqual(matches.map(match => [match.type, text.slice(match.start, match.end)]),
+            [['date', 'at 12/1'], ['tag', '#team']]);
+    });
+});
@@ -0,0 +1,122 @@
+// Recurrence math is done on UTC days; a zone with daylight saving makes
+// sure the local clock can't leak into it
+process.env.TZ = 'Europe/London';
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const TaskRecurrence = require('../../static/js/recurrence.js');
+
+const { RecurrenceError } = TaskRecurrence;
+
+describe('parse', () => {
+    test('reads the supported rules', () => {
+        assert.deepEqual(TaskRecurrence.parse('FREQ=DAILY'),
+            { freq: 'DAILY', interval: 1, weekdays: null, monthDay: null });
+        assert.deepEqual(TaskRecurrence.parse('RRULE:freq=daily;interval=3'),
+            { freq: 'DAILY', interval: 3, weekdays: null, monthDay: null });
+        assert.deepEqual(TaskRecurrence.parse('FREQ=WEEKLY;BYDAY=TH,MO,TH'),
+            { freq: 'WEEKLY', interval: 1, weekdays: [1, 4], monthDay: null });
+        assert.deepEqual(TaskRecurrence.parse('FREQ=MONTHLY;BYMONTHDAY=31'),
+            { freq: 'MONTHLY', interval: 1, weekdays: null, monthDay: 31 });
+    });
+
+    test('explains what is wrong with a rule', () => {
+        const cases = [
+            ['', 'Repeat must be DAILY, WEEKLY, MONTHLY (got "")'],
+            ['FREQ=YEARLY', 'Repeat must be DAILY, WEEKLY, MONTHLY (got "YEARLY")'],
+            ['FREQ', '"FREQ" should look like KEY=VALUE'],
+            ['FREQ=DAILY;INTERVAL=0', 'INTERVAL must be a whole number from 1 to 365'],
+            ['FREQ=DAILY;INTERVAL=1.5', 'INTERVAL must be a whole number from 1 to 365'],
+            ['FREQ=WEEKLY;INTERVAL=2;BYDAY=MO', 'INTERVAL is only supported for FREQ=DAILY'],
+            ['FREQ=WEEKLY', 'Weekly rules need at least one day (BYDAY=MO,TH)'],
+            ['FREQ=WEEKLY;BYDAY=MO,XX', '"XX" is not a weekday. Use SU, MO, TU, WE, TH, FR, SA'],
+            ['FREQ=MONTHLY', 'Monthly rules need a day from 1 to 31 (BYMONTHDAY=15)'],
+            ['FREQ=MONTHLY;BYMONTHDAY=32', 'Monthly rules need a day from 1 to 31 (BYMONTHDAY=15)'],
+        ];
+        for (const [text, message] of cases) {
+            assert.throws(() => TaskRecurrence.parse(text), { name: 'RecurrenceError', message }, text);
+        }
+        assert.throws(() => TaskRecurrence.parse('FREQ=HOURLY'), RecurrenceError);
+    });
+});
+
+describe('stringify and describe', () => {
+    test('round-trips rules', () => {
+        for (const text of ['FREQ=DAILY', 'FREQ=DAILY;INTERVAL=3', 'FREQ=WEEKLY;BYDAY=MO,TH', 'FREQ=MONTHLY;BYMONTHDAY=15']) {
+            assert.equal(TaskRecurrence.stringify(TaskRecurrence.parse(text)), text);
+        }
+    });
+
+    test('refuses a bad rule object', () => {
+        assert.throws(() => TaskRecurrence.stringify({ freq: 'MONTHLY', monthDay: 0 }), RecurrenceError);
+    });
+
+    test('describes rules', () => {
+        assert.equal(TaskRecurrence.describe('FREQ=DAILY'), 'Every day');
+        assert.equal(TaskRecurrence.describe('FREQ=DAILY;INTERVAL=3'), 'Every 3 days');
+        assert.equal(TaskRecurrence.describe('FREQ=WEEKLY;BYDAY=TH,MO'), 'Weekly on Mon, Thu');
+        assert.equal(TaskRecurrence.describe('FREQ=MONTHLY;BYMONTHDAY=1'), 'Monthly on day 1');
+        assert.equal(TaskRecurrence.describe('FREQ=MONTHLY;BYMONTHDAY=30'), 'Monthly on day 30 (or the last day)');
+    });
+});
+
+describe('nextAfter', () => {
+    test('daily rules keep their interval', () => {
+        assert.equal(TaskRecurrence.nextAfter('FREQ=DAILY', '2026-12-31'), '2027-01-01');
+        assert.equal(TaskRecurrence.nextAfter('FREQ=DAILY;INTERVAL=3', '2026-02-27'), '2026-03-02');
+    });
+
+    test('weekly rules find the next listed weekday', () => {
+        // 2026-11-02 is a Monday
+        assert.equal(TaskRecurrence.nextAfter('FREQ=WEEKLY;BYDAY=MO', '2026-11-02'), '2026-11-09');
+        assert.equal(TaskRecurrence.nextAfter('FREQ=WEEKLY;BYDAY=MO,TH', '2026-11-02'), '2026-11-05');
+        assert.equal(TaskRecurrence.nextAfter('FREQ=WEEKLY;BYDAY=MO,TH', '2026-11-05'), '2026-11-09');
+        assert.equal(TaskRecurrence.nextAfter('FREQ=WEEKLY;BYDAY=SU', '2026-12-29'), '2027-01-03');
+    });
+
+    test('monthly rules on day 29-31 fall on the last day of shorter months', () => {
+        const rule = 'FREQ=MONTHLY;BYMONTHDAY=31';
+        assert.equal(TaskRecurrence.nextAfter(rule, '2026-01-31'), '2026-02-28');
+        assert.equal(TaskRecurrence.nextAfter(rule, '2026-02-28'), '2026-03-31');
+        assert.equal(TaskRecurrence.nextAfter(rule, '2026-03-31'), '2026-04-30');
+        assert.equal(TaskRecurrence.nextAfter(rule, '2028-01-31'), '2028-02-29');
+        assert.equal(TaskRecurrence.nextAfter('FREQ=MONTHLY;BYMONTHDAY=30', '2026-01-30'), '2026-02-28');
+    });
+
+    test('monthly rules use this month while the day is still ahead', () => {
+        assert.equal(TaskRecurrence.nextAfter('FREQ=MONTHLY;BYMONTHDAY=15', '2026-01-10'), '2026-01-15');
+        assert.equal(TaskRecurrence.nextAfter('FREQ=MONTHLY;BYMONTHDAY=15', '2026-01-15'), '2026-02-15');
+        assert.equal(TaskRecurrence.nextAfter('FREQ=MONTHLY;BYMONTHDAY=1', '2026-12-01'), '2027-01-01');
+    });
+
+    test('daylight saving changes never shift a day', () => {
+        // The clocks go forward on 2026-03-29 and back on 2026-10-25 in London
+        assert.equal(TaskRecurrence.nextAfter('FREQ=DAILY', '2026-03-28'), '2026-03-29');
+        assert.equal(TaskRecurrence.nextAfter('FREQ=DAILY', '2026-03-29'), '2026-03-30');
+        assert.equal(TaskRecurrence.nextAfter('FREQ=DAILY', '2026-10-25'), '2026-10-26');
+        assert.equal(TaskRecurrence.nextAfter('FREQ=WEEKLY;BYDAY=SU', '2026-03-22'), '2026-03-29');
+        assert.equal(TaskRecurrence.nextAfter('FREQ=WEEKLY;BYDAY=MO', '2026-10-19'), '2026-10-26');
+    });
+
+    test('rejects a date that is not YYYY-MM-DD', () => {
+        assert.throws(() => TaskRecurrence.nextAfter('FREQ=DAILY', 'tomorrow'),
+            { name: 'RecurrenceError', message: '"tomorrow" is not a YYYY-MM-DD date' });
+    });
+});
+
+describe('nextDueDate', () => {
+    test('counts on from the due date', () => {
+        assert.equal(TaskRecurrence.nextDueDate('FREQ=DAILY;INTERVAL=3', '2026-11-01', '2026-11-02'), '2026-11-04');
+    });
+
+    test('never schedules the next one in the past', () => {
+        assert.equal(TaskRecurrence.nextDueDate('FREQ=DAILY;INTERVAL=3', '2026-10-01', '2026-11-02'), '2026-11-03');
+        assert.equal(TaskRecurrence.nextDueDate('FREQ=WEEKLY;BYDAY=MO', '2026-10-05', '2026-11-02'), '2026-11-02');
+        assert.equal(TaskRecurrence.nextDueDate('FREQ=MONTHLY;BYMONTHDAY=31', '2026-01-31', '2026-03-10'), '2026-03-31');
+    });
+
+    test('counts from today without a due date', () => {
+        assert.equal(TaskRecurrence.nextDueDate('FREQ=DAILY', '', '2026-11-02'), '2026-11-03');
+        assert.equal(TaskRecurrence.nextDueDate('FREQ=MONTHLY;BYMONTHDAY=1', null, '2026-01-31'), '2026-02-01');
+    });
+});
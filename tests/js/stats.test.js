@@ -0,0 +1,89 @@
+// Completions are counted on local days: 03:00 UTC is still the day before here
+process.env.TZ = 'America/New_York';
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+
+// stats.js uses TaskDates as a global, like the page does
+global.TaskDates = require('../../static/js/dates.js');
+const TaskStats = require('../../static/js/stats.js');
+
+const done = (taskId, at) => ({ task_id: taskId, completed: true, at });
+const reopened = (taskId, at) => ({ task_id: taskId, completed: false, at });
+
+describe('completions', () => {
+    test('count every completion on its own day, not just the last one', () => {
+        const history = [
+            done(1, '2026-10-12T15:00:00+00:00'),
+            reopened(1, '2026-10-13T15:00:00+00:00'),
+            done(1, '2026-10-14T15:00:00+00:00'),
+            done(2, '2026-10-15T03:00:00+00:00')  // The evening of the 14th here
+        ];
+        assert.deepEqual(TaskStats.dailyCompletions(history, '2026-10-12', '2026-10-15').map(({ count }) => count),
+            [1, 0, 2, 0]);
+        assert.deepEqual(TaskStats.weeklyCompletions(history, '2026-10-10', '2026-10-14'),
+            [{ week: '2026-10-04', count: 0 }, { week: '2026-10-11', count: 3 }]);
+    });
+
+    test('make streaks, where today without one yet does not break the current one', () => {
+        const history = ['2026-10-14', '2026-10-15', '2026-10-17', '2026-10-18']
+            .map((day, index) => done(index, `${day}T15:00:00+00:00`));
+        assert.deepEqual(TaskStats.streaks(history, '2026-10-10', '2026-10-19', '2026-10-19'), { longest: 2, current: 2 });
+        assert.deepEqual(TaskStats.streaks(history, '2026-10-10', '2026-10-19', '2026-10-20'), { longest: 2, current: 0 });
+        assert.deepEqual(TaskStats.streaks(history, '2026-10-10', '2026-10-17', '2026-10-19'), { longest: 2, current: 1 });
+    });
+});
+
+describe('overdue trend', () => {
+    const task = { id: 1, due_date: '2026-10-10', created_at: '2026-10-01T12:00:00+00:00', completed: true };
+
+    test('follows the task being completed and reopened', () => {
+        const history = [
+            done(1, '2026-10-12T15:00:00+00:00'),
+            reopened(1, '2026-10-14T15:00:00+00:00'),
+            done(1, '2026-10-16T15:00:00+00:00')
+        ];
+        assert.deepEqual(TaskStats.overdueTrend([task], history, '2026-10-10', '2026-10-17').map(({ count }) => count),
+            [0, 1, 0, 0, 1, 1, 0, 0]);
+    });
+
+    test('counts open tasks until they are deleted, and skips completed ones without history', () => {
+        const open = { id: 2, due_date: '2026-10-10', created_at: '2026-10-11T12:00:00+00:00', completed: false,
+                       deleted_at: '2026-10-14T12:00:00+00:00' };
+        assert.deepEqual(TaskStats.overdueTrend([task, open], [], '2026-10-10', '2026-10-15').map(({ count }) => count),
+            [0, 1, 1, 1, 0, 0]);
+    });
+
+    test('agrees with isOverdueOn on every day', () => {
+        const tasks = [
+            task,
+            { id: 2, due_date: '2026-10-12', created_at: '2026-10-11T12:00:00+00:00', completed: false },
+            { id: 3, due_date: '2026-10-05', created_at: '2026-10-01T12:00:00+00:00', completed: false },
+            { id: 4, due_date: null, completed: false }
+        ];
+        const history = [
+            done(1, '2026-10-12T15:00:00+00:00'),
+            done(3, '2026-10-13T03:00:00+00:00'),
+            reopened(3, '2026-10-18T15:00:00+00:00'),
+            reopened(1, '2026-10-20T15:00:00+00:00')
+        ];
+        const trend = TaskStats.overdueTrend(tasks, history, '2026-10-08', '2026-10-22');
+        trend.forEach(({ day, count }) => {
+            const expected = tasks.filter(each => TaskStats.isOverdueOn(each, day,
+                history.filter(change => change.task_id === each.id))).length;
+            assert.equal(count, expected, day);
+        });
+        assert.deepEqual(trend.slice(0, 6).map(({ count }) => count), [1, 1, 1, 2, 0, 1]);
+    });
+});
+
+describe('summarize', () => {
+    test('times tasks by completed_at', () => {
+        const task = { id: 1, completed: true, created_at: '2026-10-12T09:00:00+00:00', completed_at: '2026-10-12T12:30:00+00:00' };
+        const stats = TaskStats.summarize([task], [done(1, task.completed_at)], '2026-10-12', '2026-10-12', '2026-10-12');
+        assert.equal(stats.completed, 1);
+        assert.deepEqual(stats.times, { average: 3.5 * 60 * 60 * 1000, count: 1 });
+        assert.equal(TaskStats.formatDuration(stats.times.average), '3 hours 30 minutes');
+        assert.deepEqual(stats.streaks, { longest: 1, current: 1 });
+    });
+});
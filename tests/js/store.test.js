@@ -0,0 +1,243 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, jsonResponse, until, settle } = require('./browser.js');
+
+function loadStore() {
+    /**
+     * A TaskStore without IndexedDB (the outbox lives in memory) talking to
+     * a fake server: every request waits in `requests` until the test
+     * answers it with reply(status, body), fail() (no connection) or
+     * timeOut() (no answer before REQUEST_TIMEOUT).
+     */
+    const requests = [];
+    const errors = [];
+    let lastTimer = null;  // api.js starts the request's timeout just before fetch()
+    const fetch = (url, options) => new Promise((resolve, reject) => {
+        options.signal.addEventListener('abort', () => reject(new Error('The operation was aborted')));
+        requests.push({
+            method: options.method,
+            url,
+            body: options.body === undefined ? undefined : JSON.parse(options.body),
+            key: options.headers['Idempotency-Key'],
+            reply: (status, body) => resolve(jsonResponse(status, body)),
+            fail: () => reject(new TypeError('Failed to fetch')),
+            timeOut: lastTimer
+        });
+    });
+    const get = loadScripts(['log.js', 'api.js', 'store.js'], {
+        fetch,
+        // No real timers: the outbox's 30 second retry would keep the tests running
+        setTimeout: callback => { lastTimer = callback; return 0; },
+        clearTimeout: () => {},
+        console: { ...console, warn() {}, error: (...args) => errors.push(args) }
+    });
+    return { TaskStore: get('TaskStore'), requests, errors };
+}
+
+describe('deleting a task that was created offline', () => {
+    test('is just forgotten when the create was never sent', async () => {
+        const { TaskStore, requests } = loadStore();
+        await TaskStore.init({});
+        const taskId = TaskStore.nextTempId();
+        await TaskStore.queue({ type: 'create', taskId, body: { title: 'Draft' } });
+        requests[0].fail();
+        await settle();
+
+        await TaskStore.queue({ type: 'delete', taskId });
+        assert.equal(TaskStore.pendingCount(), 0);
+        assert.equal(requests.length, 1);
+        assert.equal(TaskStore.hasQueuedCreate(taskId), false);  // Undo creates it again
+    });
+
+    test('is sent once the create that is on its way comes back', async () => {
+        const { TaskStore, requests } = loadStore();
+        const synced = [];
+        await TaskStore.init({ onSynced: op => synced.push(op.type) });
+        const taskId = TaskStore.nextTempId();
+        await TaskStore.queue({ type: 'create', taskId, body: { title: 'Draft' } });
+        await until(() => requests.length === 1, 'the create');
+
+        await TaskStore.queue({ type: 'delete', taskId });
+        assert.equal(TaskStore.pendingCount(), 2);
+        assert.equal(TaskStore.hasQueuedCreate(taskId), true);  // Undo restores it
+
+        requests[0].reply(201, { id: 42, title: 'Draft', version: 1 });
+        await until(() => requests.length === 2, 'the delete');
+        assert.equal(requests[1].method, 'DELETE');
+        assert.equal(requests[1].url, '/api/tasks/42');
+
+        requests[1].reply(200, { deleted: 42 });
+        await until(() => TaskStore.pendingCount() === 0, 'an empty outbox');
+        assert.deepEqual(synced, ['create', 'delete']);
+        assert.equal(TaskStore.resolveId(taskId), 42);
+    });
+
+    test('is dropped with the create if the server refuses it', async () => {
+        const { TaskStore, requests } = loadStore();
+        const rejected = [];
+        await TaskStore.init({ onRejected: op => rejected.push(op.type) });
+        const taskId = TaskStore.nextTempId();
+        await TaskStore.queue({ type: 'create', taskId, body: { title: '' } });
+        await TaskStore.queue({ type: 'delete', taskId });
+
+        requests[0].reply(400, { error: 'Title is required', fields: { title: 'Title is required' } });
+        await until(() => TaskStore.pendingCount() === 0, 'an empty outbox');
+        assert.equal(requests.length, 1);
+        assert.deepEqual(rejected, ['create']);
+    });
+
+    test('keeps the tasks that are being created in a batch delete', async () => {
+        const { TaskStore, requests } = loadStore();
+        await TaskStore.init({});
+        const sending = TaskStore.nextTempId();
+        const waiting = TaskStore.nextTempId();
+        await TaskStore.queue({ type: 'create', taskId: sending, body: { title: 'One' } });
+        await TaskStore.queue({ type: 'create', taskId: waiting, body: { title: 'Two' } });
+        await until(() => requests.length === 1, 'the first create');
+
+        await TaskStore.queue({ type: 'batch', body: { action: 'delete', task_ids: [sending, waiting, 7] } });
+        assert.equal(TaskStore.pendingCount(), 2);  // The first create and the batch
+
+        requests[0].reply(201, { id: 42, title: 'One', version: 1 });
+        await until(() => requests.length === 2, 'the batch');
+        assert.deepEqual(requests[1].body, { action: 'delete', task_ids: [42, 7] });
+    });
+});
+
+describe('flush', () => {
+    test('never rejects, even when a hook throws', async () => {
+        const { TaskStore, requests, errors } = loadStore();
+        await TaskStore.init({ onSynced() { throw new Error('bug in a hook'); } });
+        await TaskStore.queue({ type: 'toggle', taskId: 3, version: 1 });
+        const flushed = TaskStore.flush();
+
+        requests[0].reply(200, { id: 3, completed: true, version: 2 });
+        await flushed;
+        await until(() => errors.length === 1, 'the logged error');
+        assert.equal(errors[0][1].message, 'bug in a hook');
+
+        // It can still send what is queued next
+        await TaskStore.queue({ type: 'toggle', taskId: 3, version: 2 });
+        await until(() => requests.length === 2, 'the next change');
+    });
+
+    test('keeps the queue when the server cannot be reached', async () => {
+        const { TaskStore, requests } = loadStore();
+        await TaskStore.init({});
+        await TaskStore.queue({ type: 'toggle', taskId: 3, version: 1 });
+        requests[0].fail();
+        await settle();
+        assert.equal(TaskStore.pendingCount(), 1);
+        assert.equal(TaskStore.isPending(3), true);
+
+        // It may have got there after all: the task is read first (see "changes whose answer never came")
+        const flushed = TaskStore.flush();
+        await until(() => requests.length === 2, 'the check');
+        requests[1].reply(200, { id: 3, completed: false, version: 1 });
+        await until(() => requests.length === 3, 'the second try');
+        requests[2].reply(200, { id: 3, completed: true, version: 2 });
+        await flushed;
+        assert.equal(TaskStore.pendingCount(), 0);
+    });
+});
+
+describe('changes whose answer never came', () => {
+    test('a create is sent again with the same key, which the server answers with the task it made', async () => {
+        const { TaskStore, requests } = loadStore();
+        const synced = [];
+        await TaskStore.init({ onSynced: (op, result) => synced.push(result.id) });
+        const taskId = TaskStore.nextTempId();
+        await TaskStore.queue({ type: 'create', taskId, body: { title: 'Draft' } });
+        requests[0].timeOut();  // The server stored it, the answer got lost
+        await settle();
+        assert.equal(TaskStore.pendingCount(), 1);
+
+        const flushed = TaskStore.flush();
+        await until(() => requests.length === 2, 'the second try');
+        assert.equal(requests[1].method, 'POST');
+        assert.ok(requests[0].key);
+        assert.equal(requests[1].key, requests[0].key);
+        requests[1].reply(201, { id: 42, title: 'Draft', version: 1 });
+        await flushed;
+        assert.deepEqual(synced, [42]);
+        assert.equal(TaskStore.resolveId(taskId), 42);
+    });
+
+    test('every change gets a key of its own', async () => {
+        const { TaskStore, requests } = loadStore();
+        await TaskStore.init({});
+        await TaskStore.queue({ type: 'toggle', taskId: 3, version: 1 });
+        requests[0].reply(200, { id: 3, completed: true, version: 2 });
+        await TaskStore.queue({ type: 'toggle', taskId: 3, version: 2 });
+        await until(() => requests.length === 2, 'the second toggle');
+        assert.notEqual(requests[1].key, requests[0].key);
+    });
+
+    test('a toggle the server already has is not sent again', async () => {
+        const { TaskStore, requests } = loadStore();
+        const synced = [];
+        await TaskStore.init({ onSynced: (op, result) => synced.push(result) });
+        await TaskStore.queue({ type: 'toggle', taskId: 3, version: 1, previous: { id: 3, completed: false, version: 1 } });
+        requests[0].timeOut();
+        await settle();
+
+        const flushed = TaskStore.flush();
+        await until(() => requests.length === 2, 'the check');
+        assert.equal(`${requests[1].method} ${requests[1].url}`, 'GET /api/tasks/3');
+        requests[1].reply(200, { id: 3, completed: true, version: 2 });
+        await flushed;
+        assert.equal(requests.length, 2);
+        assert.equal(TaskStore.pendingCount(), 0);
+        assert.deepEqual(synced, [{ id: 3, completed: true, version: 2 }]);
+    });
+
+    test('a toggle the server never got is sent', async () => {
+        const { TaskStore, requests } = loadStore();
+        await TaskStore.init({});
+        await TaskStore.queue({ type: 'toggle', taskId: 3, version: 1, previous: { id: 3, completed: false, version: 1 } });
+        requests[0].fail();
+        await settle();
+
+        TaskStore.flush();
+        await until(() => requests.length === 2, 'the check');
+        requests[1].reply(200, { id: 3, completed: false, version: 1 });
+        await until(() => requests.length === 3, 'the toggle');
+        assert.equal(`${requests[2].method} ${requests[2].url}`, 'PATCH /api/tasks/3/toggle');
+        assert.equal(requests[2].key, requests[0].key);
+    });
+
+    test('an update is sent again when someone else changed the task, so the server can say so', async () => {
+        const { TaskStore, requests } = loadStore();
+        const conflicts = [];
+        await TaskStore.init({ onConflict: (op, task) => conflicts.push(task.title) });
+        const body = { title: 'Mine', due_date: '', project_id: null };
+        await TaskStore.queue({ type: 'update', taskId: 3, version: 1, previous: { id: 3, version: 1 }, body });
+        requests[0].reply(502, { error: 'Bad gateway' });
+        await settle();
+
+        const flushed = TaskStore.flush();
+        await until(() => requests.length === 2, 'the check');
+        requests[1].reply(200, { id: 3, title: 'Theirs', due_date: null, project_id: 1, version: 2 });
+        await until(() => requests.length === 3, 'the update');
+        assert.equal(requests[2].method, 'PUT');
+        requests[2].reply(409, { error: 'Someone else changed this task', task: { id: 3, title: 'Theirs', version: 2 } });
+        await flushed;
+        assert.deepEqual(conflicts, ['Theirs']);
+    });
+
+    test('an update that reached the server is not', async () => {
+        const { TaskStore, requests } = loadStore();
+        await TaskStore.init({});
+        const body = { title: 'Mine', due_date: '', project_id: null };
+        await TaskStore.queue({ type: 'update', taskId: 3, version: 1, previous: { id: 3, version: 1 }, body });
+        requests[0].timeOut();
+        await settle();
+
+        const flushed = TaskStore.flush();
+        await until(() => requests.length === 2, 'the check');
+        requests[1].reply(200, { id: 3, title: 'Mine', due_date: null, project_id: 1, version: 2 });
+        await flushed;
+        assert.equal(requests.length, 2);
+        assert.equal(TaskStore.pendingCount(), 0);
+    });
+});
@@ -0,0 +1,111 @@
+// A UTC DUE time is read as the local day it falls on
+process.env.TZ = 'America/New_York';
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const TaskTransfer = require('../../static/js/transfer.js');
+
+const NOW = new Date('2026-10-19T09:30:00Z');
+const TASKS = [
+    { id: 1, title: 'Pay rent', description: 'Before the 1st', completed: false, due_date: '2026-11-01',
+      created_at: '2026-10-01T08:00:00+00:00', recurrence: 'FREQ=MONTHLY;BYMONTHDAY=1', priority: 'high',
+      tags: [{ name: 'home', color: '#667eea' }], items: [{ title: 'Transfer', done: true }] },
+    { id: 2, title: 'Water plants, again', description: '', completed: true, due_date: null,
+      created_at: '2026-10-02T08:00:00+00:00', recurrence: null, priority: 'low', tags: [], items: [] },
+    { id: 3, title: 'Call mum', description: '', completed: false, due_date: null,
+      created_at: '2026-10-03T08:00:00+00:00', recurrence: null, priority: null, tags: ['family'], items: [] }
+];
+
+function roundTrip(format) {
+    const { text } = TaskTransfer.exportTasks(TASKS, format, NOW);
+    return TaskTransfer.parseFile(text, format);
+}
+
+describe('round trips', () => {
+    for (const format of ['json', 'csv', 'ics']) {
+        test(`${format} keeps every field it exports`, () => {
+            const rows = roundTrip(format);
+            assert.deepEqual(rows.map(row => row.errors), [[], [], []]);
+            assert.deepEqual(rows.map(row => row.task.title), ['Pay rent', 'Water plants, again', 'Call mum']);
+            assert.deepEqual(rows.map(row => row.task.priority), ['high', 'low', null]);
+            assert.deepEqual(rows.map(row => row.task.completed), [false, true, false]);
+            assert.deepEqual(rows.map(row => row.task.due_date), ['2026-11-01', null, null]);
+            assert.deepEqual(rows.map(row => row.task.tags), [['home'], [], ['family']]);
+            assert.equal(rows[0].task.recurrence, 'FREQ=MONTHLY;BYMONTHDAY=1');
+        });
+    }
+
+    test('json keeps checklists', () => {
+        assert.deepEqual(roundTrip('json')[0].task.items, [{ title: 'Transfer', done: true }]);
+    });
+});
+
+describe('priority', () => {
+    test('is a CSV column', () => {
+        const { text } = TaskTransfer.exportTasks(TASKS, 'csv', NOW);
+        const [header, first] = text.split('\r\n');
+        assert.equal(header, 'title,description,completed,due_date,created_at,recurrence,priority,tags');
+        assert.match(first, /,FREQ=MONTHLY;BYMONTHDAY=1,high,home$/);
+    });
+
+    test('is PRIORITY 1, 5 or 9 in iCalendar', () => {
+        const tasks = ['high', 'medium', 'low', null].map((priority, index) => ({ id: index, title: 'T', priority }));
+        const { text } = TaskTransfer.exportTasks(tasks, 'ics', NOW);
+        assert.deepEqual(text.match(/^PRIORITY:.*$/gm), ['PRIORITY:1', 'PRIORITY:5', 'PRIORITY:9']);
+    });
+
+    test('reads every iCalendar level', () => {
+        const todos = [0, 1, 4, 5, 6, 9].map(level => `BEGIN:VTODO\r\nSUMMARY:T\r\nPRIORITY:${level}\r\nEND:VTODO`);
+        const text = `BEGIN:VCALENDAR\r\n${todos.join('\r\n')}\r\nEND:VCALENDAR\r\n`;
+        assert.deepEqual(TaskTransfer.parseFile(text, 'ics').map(row => row.task.priority),
+            [null, 'high', 'high', 'medium', 'low', 'low']);
+    });
+
+    test('ignores case and reports values it does not know', () => {
+        const rows = TaskTransfer.parseFile('title,priority\r\nA,High\r\nB,\r\nC,urgent\r\n', 'csv');
+        assert.deepEqual(rows.map(row => row.task.priority), ['high', null, null]);
+        assert.deepEqual(rows[2].errors, ['Priority should be high, medium, low or empty (got "urgent")']);
+        const ics = TaskTransfer.parseFile('BEGIN:VCALENDAR\nBEGIN:VTODO\nSUMMARY:T\nPRIORITY:10\nEND:VTODO\nEND:VCALENDAR', 'ics');
+        assert.deepEqual(ics[0].errors, ['Priority should be high, medium, low or empty (got "10")']);
+    });
+});
+
+describe('CSV cells that look like formulas', () => {
+    const tasks = ['=HYPERLINK("http://x")', '+1', '-5 push-ups', '@home', '\tTab', '\rReturn', 'Plain']
+        .map((title, index) => ({ id: index, title, description: index === 0 ? '=1+1' : '' }));
+
+    test('are exported with a quote in front', () => {
+        const { text } = TaskTransfer.exportTasks(tasks, 'csv', NOW);
+        const titles = text.split('\r\n').slice(1, -1).map(row => row.split(',')[0]);
+        assert.deepEqual(titles.slice(1), ["'+1", "'-5 push-ups", "'@home", "'\tTab", '"\'\rReturn"', 'Plain']);
+        assert.ok(text.includes(`"'=HYPERLINK(""http://x"")",'=1+1,`));
+    });
+
+    test('are imported as they were', () => {
+        const { text } = TaskTransfer.exportTasks(tasks, 'csv', NOW);
+        const rows = TaskTransfer.parseFile(text, 'csv');
+        assert.deepEqual(rows.map(row => row.task.title), tasks.map(task => task.title.trim()));
+        assert.equal(rows[0].task.description, '=1+1');
+        assert.equal(TaskTransfer.parseFile("title\r\n'quoted\r\n", 'csv')[0].task.title, "'quoted");
+    });
+});
+
+describe('parseFile', () => {
+    test('reads a UTC due time as the local day', () => {
+        const text = 'BEGIN:VCALENDAR\nBEGIN:VTODO\nSUMMARY:Late\nDUE:20261101T030000Z\nEND:VTODO\nEND:VCALENDAR';
+        assert.equal(TaskTransfer.parseFile(text, 'ics')[0].task.due_date, '2026-10-31');
+    });
+
+    test('explains files it cannot read', () => {
+        assert.throws(() => TaskTransfer.parseFile('{', 'json'), { name: 'ImportError', message: /not valid JSON/ });
+        assert.throws(() => TaskTransfer.parseFile('name\r\nA\r\n', 'csv'), { name: 'ImportError', message: /including "title"/ });
+        assert.throws(() => TaskTransfer.parseFile('title\r\n"A\r\n', 'csv'),
+            { name: 'ImportError', message: 'Missing closing quote in the row starting on line 2' });
+        assert.throws(() => TaskTransfer.parseFile('[]', 'json'), { name: 'ImportError', message: 'The file has no tasks in it' });
+    });
+
+    test('marks tasks already on the board', () => {
+        const rows = TaskTransfer.markDuplicates(roundTrip('csv'), [{ title: ' pay RENT', due_date: '2026-11-01' }]);
+        assert.deepEqual(rows.map(row => row.duplicate), [true, false, false]);
+    });
+});
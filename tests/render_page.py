@@ -0,0 +1,26 @@
+# Print a page as app.py serves it to a newly registered user, for the
+# accessibility check in tests/js/a11y.test.js:
+#   python3 tests/render_page.py /board
+# It runs against an empty database of its own, like the API tests.
+
+import sys
+
+from support import ApiTestCase
+
+
+class PageRenderer(ApiTestCase):
+
+    def runTest(self):
+        client = self.register('reader')
+        response = client.get(sys.argv[1])
+        self.assertEqual(response.status_code, 200)
+        sys.stdout.write(response.get_data(as_text=True))
+
+
+if __name__ == '__main__':
+    renderer = PageRenderer()
+    renderer.setUp()
+    try:
+        renderer.runTest()
+    finally:
+        renderer.tearDown()
@@ -0,0 +1,52 @@
+import os
+import re
+import runpy
+import shutil
+import sys
+import tempfile
+import unittest
+
+ROOT = os.path.dirname(os.path.dirname(os.path.abspath(__file__)))
+sys.path.insert(0, ROOT)
+
+import app  # noqa: E402  (needs ROOT on the path)
+
+
+class ApiTestCase(unittest.TestCase):
+    # Every test gets an empty database of its own: app.py opens tasks.db in the
+    # current directory, so the test runs in a temporary one where dataBase.py
+    # has just made it.
+
+    def setUp(self):
+        self.old_cwd = os.getcwd()
+        self.tmp = tempfile.mkdtemp()
+        os.chdir(self.tmp)
+        runpy.run_path(os.path.join(ROOT, 'dataBase.py'))
+        app.app.config['TESTING'] = True
+
+    def tearDown(self):
+        os.chdir(self.old_cwd)
+        shutil.rmtree(self.tmp)
+
+    def register(self, username):
+        # A test client logged in as a new user, with their CSRF token and id
+        client = app.app.test_client()
+        page = client.get('/register').get_data(as_text=True)
+        token = re.search(r'name="csrf_token" value="([^"]+)"', page).group(1)
+        response = client.post('/register', data={'username': username, 'password': 'secret123',
+                                                  'confirm_password': 'secret123', 'csrf_token': token})
+        self.assertEqual(response.status_code, 302)
+
+        board = client.get('/board').get_data(as_text=True)
+        client.csrf_token = re.search(r'name="csrf-token" content="([^"]+)"', board).group(1)
+        client.user_id = int(re.search(r'name="user-id" content="(\d+)"', board).group(1))
+        return client
+
+    def call(self, client, method, url, body=None, csrf_token=None, headers=None):
+        token = client.csrf_token if csrf_token is None else csrf_token
+        return client.open(url, method=method, json=body, headers={'X-CSRF-Token': token, **(headers or {})})
+
+    def add_task(self, client, **fields):
+        response = self.call(client, 'POST', '/api/tasks', {'title': 'A task', **fields})
+        self.assertEqual(response.status_code, 201, response.get_json())
+        return response.get_json()
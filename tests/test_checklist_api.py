@@ -0,0 +1,76 @@
+import unittest
+
+from support import ApiTestCase
+
+
+class ItemOrderTest(ApiTestCase):
+
+    def setUp(self):
+        super().setUp()
+        self.ann = self.register('ann')
+        self.task = self.add_task(self.ann)
+        self.url = f"/api/tasks/{self.task['id']}/items"
+        self.item_ids = [self.call(self.ann, 'POST', self.url, {'title': title}).get_json()['id']
+                         for title in ('Eggs', 'Flour', 'Sugar')]
+
+    def test_saves_the_order(self):
+        response = self.call(self.ann, 'PUT', self.url + '/order', {'item_ids': self.item_ids[::-1]})
+        self.assertEqual(response.status_code, 200)
+        self.assertEqual([item['title'] for item in response.get_json()['items']], ['Sugar', 'Flour', 'Eggs'])
+
+    def test_needs_every_item_once(self):
+        for item_ids in (self.item_ids[:2], self.item_ids + [self.item_ids[0]]):
+            response = self.call(self.ann, 'PUT', self.url + '/order', {'item_ids': item_ids})
+            self.assertEqual(response.status_code, 400)
+
+    def test_rejects_ids_that_are_not_numbers(self):
+        for item_ids in ([{}], [[1]], ['1', '2', '3'], [True, 2, 3], None):
+            response = self.call(self.ann, 'PUT', self.url + '/order', {'item_ids': item_ids})
+            self.assertEqual(response.status_code, 400, item_ids)
+            self.assertEqual(response.get_json()['error'], 'item_ids must be a list of checklist item ids')
+
+
+
+class ItemChangeTest(ApiTestCase):
+
+    def setUp(self):
+        super().setUp()
+        self.ann = self.register('ann')
+        self.task = self.add_task(self.ann)
+        self.url = f"/api/tasks/{self.task['id']}/items"
+        self.item = self.call(self.ann, 'POST', self.url, {'title': 'Eggs'}).get_json()
+
+    def version(self):
+        return self.ann.get(f"/api/tasks/{self.task['id']}").get_json()['version']
+
+    def test_every_change_is_a_new_version_of_the_task(self):
+        self.assertEqual(self.item['task']['version'], 2)
+        changes = [('PATCH', f"{self.url}/{self.item['id']}", {'done': True}),
+                   ('POST', self.url, {'title': 'Flour'}),
+                   ('PUT', self.url + '/order', None),
+                   ('DELETE', f"{self.url}/{self.item['id']}", None)]
+        for version, (method, url, body) in enumerate(changes, start=3):
+            if method == 'PUT':
+                body = {'item_ids': [item['id'] for item in self.ann.get(self.url).get_json()][::-1]}
+            response = self.call(self.ann, method, url, body)
+            self.assertLess(response.status_code, 300, (method, url))
+            self.assertEqual(response.get_json()['task']['version'], version, (method, url))
+        self.assertEqual(self.version(), 6)
+
+    def test_a_put_made_before_an_item_change_gets_409(self):
+        self.call(self.ann, 'PATCH', f"{self.url}/{self.item['id']}", {'title': 'Brown eggs'})
+        response = self.call(self.ann, 'PUT', f"/api/tasks/{self.task['id']}", {'title': 'Mine', 'version': 1})
+        self.assertEqual(response.status_code, 409)
+
+    def test_done_must_be_true_or_false(self):
+        for done in ('false', '0', 0, 1, None, []):
+            for method, url in (('PATCH', f"{self.url}/{self.item['id']}"), ('POST', self.url)):
+                response = self.call(self.ann, method, url, {'title': 'Eggs', 'done': done})
+                self.assertEqual(response.status_code, 400, (method, done))
+                self.assertEqual(response.get_json()['error'], 'done must be true or false')
+        self.assertEqual([item['done'] for item in self.ann.get(self.url).get_json()], [False])
+        self.assertEqual(self.version(), 2)
+
+
+if __name__ == '__main__':
+    unittest.main()
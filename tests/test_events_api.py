@@ -0,0 +1,58 @@
+import unittest
+from unittest import mock
+
+import app
+from support import ApiTestCase
+
+
+class EventStreamTest(ApiTestCase):
+
+    def setUp(self):
+        super().setUp()
+        self.ann = self.register('ann')
+
+    def open_stream(self, client_id):
+        response = self.ann.get(f'/api/events?client_id={client_id}', buffered=False)
+        if response.status_code == 200:
+            self.assertEqual(next(response.response), b'retry: 3000\n\n')
+        return response
+
+    def test_sends_changes_to_open_pages(self):
+        stream = self.open_stream('page-1')
+        chunks = iter(stream.response)
+        self.assertIn(b'event: presence', next(chunks))
+        self.add_task(self.ann, title='Live')
+        self.assertIn(b'"title": "Live"', next(chunks))
+        stream.close()
+        self.assertEqual(app.event_listeners, [])
+
+    def test_turns_streams_away_over_the_limit(self):
+        with mock.patch.object(app, 'EVENT_STREAM_LIMIT', 1):
+            first = self.open_stream('page-1')
+            second = self.open_stream('page-2')
+            self.assertEqual(second.status_code, 503)
+            first.close()
+            third = self.open_stream('page-3')
+            self.assertEqual(third.status_code, 200)
+            third.close()
+
+    def test_streams_end_after_a_while(self):
+        with mock.patch.object(app, 'EVENT_STREAM_MAX_SECONDS', 0):
+            stream = self.open_stream('page-1')
+            self.assertEqual([chunk for chunk in stream.response if b'event: presence' not in chunk], [])
+            stream.close()
+        self.assertEqual(app.event_listeners, [])
+
+    def test_presence_needs_a_client_id(self):
+        stream = self.open_stream('page-1')
+        for body in ({'client_id': ['page-1']}, {'client_id': {}}, {'client_id': 7}, {'client_id': ' '}, {},
+                     ['page-1']):
+            response = self.call(self.ann, 'POST', '/api/presence', body)
+            self.assertEqual(response.status_code, 400, body)
+        response = self.call(self.ann, 'POST', '/api/presence', {'client_id': 'page-1', 'task_id': None})
+        self.assertEqual(response.status_code, 200)
+        stream.close()
+
+
+if __name__ == '__main__':
+    unittest.main()
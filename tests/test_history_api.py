@@ -0,0 +1,82 @@
+import unittest
+from unittest import mock
+
+import app
+from support import ApiTestCase
+
+
+class CompletionsTest(ApiTestCase):
+
+    def setUp(self):
+        super().setUp()
+        self.ann = self.register('ann')
+        self.task = self.add_task(self.ann)
+        self.url = f"/api/tasks/{self.task['id']}"
+
+    def changes(self, client):
+        response = client.get('/api/completions')
+        self.assertEqual(response.status_code, 200)
+        return [(change['task_id'], change['completed']) for change in response.get_json()]
+
+    def test_lists_every_completion_and_reopen(self):
+        self.call(self.ann, 'PATCH', self.url + '/toggle')
+        self.call(self.ann, 'PATCH', self.url + '/toggle')
+        self.call(self.ann, 'PUT', self.url, {'completed': True, 'title': 'Renamed'})
+        task_id = self.task['id']
+        self.assertEqual(self.changes(self.ann), [(task_id, True), (task_id, False), (task_id, True)])
+
+    def test_board_columns_count_only_into_and_out_of_done(self):
+        for status in ('in_progress', 'completed', 'in_progress'):
+            self.call(self.ann, 'PATCH', self.url + '/status', {'status': status})
+        self.assertEqual(self.changes(self.ann), [(self.task['id'], True), (self.task['id'], False)])
+
+    def test_leaves_out_other_changes_and_other_users(self):
+        self.call(self.ann, 'PUT', self.url, {'title': 'Renamed', 'priority': 'high'})
+        bob = self.register('bob')
+        self.call(bob, 'PATCH', f"/api/tasks/{self.add_task(bob)['id']}/toggle")
+        self.assertEqual(self.changes(self.ann), [])
+        self.assertEqual(len(self.changes(bob)), 1)
+
+    def test_sends_a_range_with_the_changes_just_outside_it(self):
+        for day in ('2026-10-01', '2026-10-05', '2026-10-10', '2026-10-20', '2026-10-25'):
+            with mock.patch.object(app, 'now_timestamp', return_value=f'{day}T12:00:00+00:00'):
+                self.call(self.ann, 'PATCH', self.url + '/toggle')
+        response = self.ann.get('/api/completions?from=2026-10-06T00:00:00Z&to=2026-10-20T12:00:00Z')
+        self.assertEqual([(change['at'][:10], change['completed']) for change in response.get_json()],
+                         [('2026-10-05', False), ('2026-10-10', True), ('2026-10-20', False)])
+
+    def test_rejects_a_range_that_is_not_times(self):
+        response = self.ann.get('/api/completions?from=last+week&to=2026-10-20')
+        self.assertEqual(response.status_code, 400)
+        self.assertEqual(set(response.get_json()['fields']), {'from'})
+
+
+class ChecklistHistoryTest(ApiTestCase):
+
+    def setUp(self):
+        super().setUp()
+        self.ann = self.register('ann')
+        self.task = self.add_task(self.ann, auto_complete=True)
+        self.url = f"/api/tasks/{self.task['id']}"
+        self.item = self.call(self.ann, 'POST', self.url + '/items', {'title': 'Milk'}).get_json()
+
+    def history(self):
+        return [(event['action'], event['changes']) for event in self.ann.get(self.url + '/history').get_json()]
+
+    def test_records_adding_an_item(self):
+        self.assertEqual(self.history()[0], ('edited', {'items': [None, '[ ] Milk']}))
+
+    def test_records_checking_an_item_off(self):
+        self.call(self.ann, 'POST', self.url + '/items', {'title': 'Eggs'})
+        self.call(self.ann, 'PATCH', f"{self.url}/items/{self.item['id']}", {'done': True})
+        self.assertEqual(self.history()[0], ('edited', {'items': ['[ ] Milk, [ ] Eggs', '[x] Milk, [ ] Eggs']}))
+
+    def test_records_the_completion_it_causes_on_its_own(self):
+        self.call(self.ann, 'PATCH', f"{self.url}/items/{self.item['id']}", {'done': True})
+        self.assertEqual(self.history()[:2], [('completed', {'status': ['pending', 'completed']}),
+                                              ('edited', {'items': ['[ ] Milk', '[x] Milk']})])
+        self.assertEqual(len(self.ann.get('/api/completions').get_json()), 1)
+
+
+if __name__ == '__main__':
+    unittest.main()
@@ -0,0 +1,39 @@
+import unittest
+
+from support import ApiTestCase
+
+
+class SharedTaskTagsTest(ApiTestCase):
+    # Ann shares her project with Bob; each of them tags the same task
+
+    def setUp(self):
+        super().setUp()
+        self.ann = self.register('ann')
+        self.bob = self.register('bob')
+        self.task = self.add_task(self.ann, title='Plan the launch')
+        response = self.call(self.ann, 'POST', f"/api/projects/{self.task['project_id']}/members",
+                             {'username': 'bob', 'role': 'editor'})
+        self.assertEqual(response.status_code, 201)
+        self.url = f"/api/tasks/{self.task['id']}/tags"
+
+    def tag_names(self, client):
+        return [tag['name'] for tag in client.get(f"/api/tasks/{self.task['id']}").get_json()['tags']]
+
+    def test_setting_tags_keeps_the_other_users_tags(self):
+        self.assertEqual(self.call(self.ann, 'PUT', self.url, {'tags': ['work']}).status_code, 200)
+        self.assertEqual(self.call(self.bob, 'PUT', self.url, {'tags': ['urgent']}).status_code, 200)
+        self.assertEqual(self.tag_names(self.ann), ['work'])
+        self.assertEqual(self.tag_names(self.bob), ['urgent'])
+
+        self.assertEqual(self.call(self.bob, 'PUT', self.url, {'tags': []}).status_code, 200)
+        self.assertEqual(self.tag_names(self.ann), ['work'])
+        self.assertEqual(self.tag_names(self.bob), [])
+
+    def test_filters_by_the_users_own_tags(self):
+        self.call(self.bob, 'PUT', self.url, {'tags': ['urgent']})
+        self.assertEqual(self.ann.get('/api/tasks?tag=urgent').get_json(), [])
+        self.assertEqual([task['id'] for task in self.bob.get('/api/tasks?tag=urgent').get_json()], [self.task['id']])
+
+
+if __name__ == '__main__':
+    unittest.main()
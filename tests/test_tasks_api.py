@@ -0,0 +1,239 @@
+import unittest
+
+from support import ApiTestCase
+
+
+class ValidationTest(ApiTestCase):
+
+    def setUp(self):
+        super().setUp()
+        self.ann = self.register('ann')
+
+    def test_creates_a_task(self):
+        task = self.add_task(self.ann, title='  Buy milk ', due_date='2026-11-01', priority='high')
+        self.assertEqual(task['title'], 'Buy milk')
+        self.assertEqual(task['due_date'], '2026-11-01')
+        self.assertEqual(task['priority'], 'high')
+        self.assertEqual(task['status'], 'pending')
+        self.assertFalse(task['completed'])
+        self.assertEqual(task['version'], 1)
+
+    def test_reports_every_bad_field(self):
+        response = self.call(self.ann, 'POST', '/api/tasks',
+                             {'title': ' ', 'due_date': '1 Nov', 'priority': 'urgent', 'auto_complete': 'yes'})
+        self.assertEqual(response.status_code, 400)
+        body = response.get_json()
+        self.assertEqual(body['error'], 'Title is required')
+        self.assertEqual(set(body['fields']), {'title', 'due_date', 'priority', 'auto_complete'})
+
+    def test_rejects_a_body_that_is_not_an_object(self):
+        response = self.call(self.ann, 'POST', '/api/tasks', ['Buy milk'])
+        self.assertEqual(response.status_code, 400)
+        self.assertIn('body', response.get_json()['fields'])
+
+    def test_rejects_a_title_that_is_too_long(self):
+        response = self.call(self.ann, 'POST', '/api/tasks', {'title': 'x' * 201})
+        self.assertEqual(response.status_code, 400)
+        self.assertIn('title', response.get_json()['fields'])
+
+    def test_rejects_true_and_false_as_ids(self):
+        response = self.call(self.ann, 'POST', '/api/tasks', {'title': 'A task', 'project_id': True,
+                                                              'assignee_id': False})
+        self.assertEqual(response.status_code, 400)
+        self.assertEqual(set(response.get_json()['fields']), {'project_id', 'assignee_id'})
+
+    def test_put_only_checks_the_fields_it_sends(self):
+        task = self.add_task(self.ann)
+        response = self.call(self.ann, 'PUT', f"/api/tasks/{task['id']}", {'description': 'Semi-skimmed'})
+        self.assertEqual(response.status_code, 200)
+        self.assertEqual(response.get_json()['title'], 'A task')
+        self.assertEqual(response.get_json()['description'], 'Semi-skimmed')
+
+    def test_completed_sets_the_status(self):
+        task = self.add_task(self.ann)
+        done = self.call(self.ann, 'PUT', f"/api/tasks/{task['id']}", {'completed': True}).get_json()
+        self.assertEqual(done['status'], 'completed')
+        undone = self.call(self.ann, 'PUT', f"/api/tasks/{task['id']}", {'completed': False}).get_json()
+        self.assertEqual(undone['status'], 'pending')
+
+
+class FilterTest(ApiTestCase):
+
+    def setUp(self):
+        super().setUp()
+        self.ann = self.register('ann')
+        self.milk = self.add_task(self.ann, title='Buy milk', due_date='2026-11-01')
+        self.rent = self.add_task(self.ann, title='Pay rent', due_date='2026-12-01')
+        self.call(self.ann, 'PATCH', f"/api/tasks/{self.rent['id']}/toggle")
+        self.call_mum = self.add_task(self.ann, title='Call mum', description='about the 50% off sale')
+
+    def titles(self, query):
+        response = self.ann.get('/api/tasks' + query)
+        self.assertEqual(response.status_code, 200, response.get_json())
+        return [task['title'] for task in response.get_json()]
+
+    def test_lists_new_tasks_first(self):
+        self.assertEqual(self.titles(''), ['Call mum', 'Pay rent', 'Buy milk'])
+
+    def test_filters_by_completed(self):
+        self.assertEqual(self.titles('?completed=true'), ['Pay rent'])
+        self.assertEqual(self.titles('?completed=false'), ['Call mum', 'Buy milk'])
+
+    def test_filters_by_due_date(self):
+        self.assertEqual(self.titles('?due_after=2026-11-15'), ['Pay rent'])
+        self.assertEqual(self.titles('?due_before=2026-11-15'), ['Buy milk'])
+
+    def test_searches_as_plain_text(self):
+        self.assertEqual(self.titles('?q=milk'), ['Buy milk'])
+        self.assertEqual(self.titles('?q=50%25'), ['Call mum'])
+        self.assertEqual(self.titles('?q=5_'), [])
+
+    def test_pages(self):
+        response = self.ann.get('/api/tasks?limit=2&offset=1')
+        self.assertEqual([task['title'] for task in response.get_json()], ['Pay rent', 'Buy milk'])
+        self.assertEqual(response.headers['X-Total-Count'], '3')
+
+    def test_lists_each_tasks_items_and_tags(self):
+        self.call(self.ann, 'POST', f"/api/tasks/{self.milk['id']}/items", {'title': 'Oat'})
+        self.call(self.ann, 'POST', f"/api/tasks/{self.milk['id']}/items", {'title': 'Whole'})
+        self.call(self.ann, 'PUT', f"/api/tasks/{self.rent['id']}/tags", {'tags': ['home', 'bills']})
+        listed = self.ann.get('/api/tasks').get_json()
+        self.assertEqual(listed, [self.ann.get(f"/api/tasks/{task['id']}").get_json() for task in listed])
+        self.assertEqual([len(task['items']) for task in listed], [0, 0, 2])
+        self.assertEqual([tag['name'] for tag in listed[1]['tags']], ['bills', 'home'])
+
+    def test_rejects_bad_parameters(self):
+        response = self.ann.get('/api/tasks?completed=maybe&due_after=soon&limit=0&offset=-1')
+        self.assertEqual(response.status_code, 400)
+        self.assertEqual(set(response.get_json()['fields']), {'completed', 'due_after', 'limit', 'offset'})
+
+
+class VersionTest(ApiTestCase):
+
+    def setUp(self):
+        super().setUp()
+        self.ann = self.register('ann')
+        self.task = self.add_task(self.ann)
+
+    def test_every_change_bumps_the_version(self):
+        edited = self.call(self.ann, 'PUT', f"/api/tasks/{self.task['id']}", {'title': 'Edited', 'version': 1})
+        self.assertEqual(edited.get_json()['version'], 2)
+        toggled = self.call(self.ann, 'PATCH', f"/api/tasks/{self.task['id']}/toggle", {'version': 2})
+        self.assertEqual(toggled.get_json()['version'], 3)
+
+    def test_a_stale_put_gets_409_with_the_current_task(self):
+        self.call(self.ann, 'PUT', f"/api/tasks/{self.task['id']}", {'title': 'Theirs', 'version': 1})
+        response = self.call(self.ann, 'PUT', f"/api/tasks/{self.task['id']}", {'title': 'Mine', 'version': 1})
+        self.assertEqual(response.status_code, 409)
+        self.assertEqual(response.get_json()['task']['title'], 'Theirs')
+        self.assertEqual(response.get_json()['task']['version'], 2)
+
+    def test_a_stale_toggle_gets_409(self):
+        self.call(self.ann, 'PUT', f"/api/tasks/{self.task['id']}", {'title': 'Theirs'})
+        response = self.call(self.ann, 'PATCH', f"/api/tasks/{self.task['id']}/toggle", {'version': 1})
+        self.assertEqual(response.status_code, 409)
+        self.assertFalse(response.get_json()['task']['completed'])
+
+    def test_rejects_a_version_that_is_not_a_number(self):
+        url = f"/api/tasks/{self.task['id']}"
+        for version in (True, False, '1', 1.5):
+            for method, path, body in (('PUT', url, {'title': 'Mine'}), ('PATCH', url + '/toggle', {}),
+                                       ('PATCH', url + '/status', {'status': 'in_progress'})):
+                response = self.call(self.ann, method, path, {**body, 'version': version})
+                self.assertEqual(response.status_code, 400, (method, path, version))
+                self.assertEqual(response.get_json()['error'], 'version must be a task version number')
+        self.assertEqual(self.ann.get(url).get_json()['version'], 1)
+
+    def test_a_change_without_a_version_always_wins(self):
+        self.call(self.ann, 'PUT', f"/api/tasks/{self.task['id']}", {'title': 'Theirs'})
+        response = self.call(self.ann, 'PUT', f"/api/tasks/{self.task['id']}", {'title': 'Mine'})
+        self.assertEqual(response.status_code, 200)
+        self.assertEqual(response.get_json()['title'], 'Mine')
+
+
+class RequestKeyTest(ApiTestCase):
+
+    def setUp(self):
+        super().setUp()
+        self.ann = self.register('ann')
+
+    def create(self, client, key, title='Buy milk'):
+        return self.call(client, 'POST', '/api/tasks', {'title': title}, headers={'Idempotency-Key': key})
+
+    def test_a_create_sent_again_makes_one_task(self):
+        first = self.create(self.ann, 'key-1')
+        again = self.create(self.ann, 'key-1')
+        self.assertEqual(again.status_code, 201)
+        self.assertEqual(again.get_json()['id'], first.get_json()['id'])
+        self.assertEqual(len(self.ann.get('/api/tasks').get_json()), 1)
+        self.assertEqual(len(self.ann.get('/api/activity').get_json()), 1)
+
+    def test_other_keys_and_other_users_make_their_own(self):
+        first = self.create(self.ann, 'key-1').get_json()
+        self.assertNotEqual(self.create(self.ann, 'key-2').get_json()['id'], first['id'])
+        bob = self.register('bob')
+        self.assertNotEqual(self.create(bob, 'key-1').get_json()['id'], first['id'])
+        self.assertEqual(len(self.ann.get('/api/tasks').get_json()), 2)
+
+    def test_rejects_a_key_that_is_too_long(self):
+        response = self.create(self.ann, 'k' * 101)
+        self.assertEqual(response.status_code, 400)
+        self.assertIn('Idempotency-Key', response.get_json()['fields'])
+
+
+class CsrfTest(ApiTestCase):
+
+    def setUp(self):
+        super().setUp()
+        self.ann = self.register('ann')
+
+    def test_rejects_changes_without_the_token(self):
+        response = self.call(self.ann, 'POST', '/api/tasks', {'title': 'Sneaky'}, csrf_token='')
+        self.assertEqual(response.status_code, 403)
+        self.assertEqual(response.get_json()['code'], 'csrf')
+        self.assertEqual(self.ann.get('/api/tasks').get_json(), [])
+
+    def test_rejects_a_wrong_token(self):
+        task = self.add_task(self.ann)
+        response = self.call(self.ann, 'DELETE', f"/api/tasks/{task['id']}", csrf_token='0' * 64)
+        self.assertEqual(response.status_code, 403)
+        self.assertEqual(self.ann.get(f"/api/tasks/{task['id']}").status_code, 200)
+
+    def test_reading_needs_no_token(self):
+        self.assertEqual(self.call(self.ann, 'GET', '/api/tasks', csrf_token='').status_code, 200)
+
+
+class IsolationTest(ApiTestCase):
+
+    def setUp(self):
+        super().setUp()
+        self.ann = self.register('ann')
+        self.bob = self.register('bob')
+        self.task = self.add_task(self.ann, title="Ann's task")
+
+    def test_other_users_tasks_are_not_listed(self):
+        self.assertEqual(self.bob.get('/api/tasks').get_json(), [])
+        self.add_task(self.bob, title="Bob's task")
+        self.assertEqual([task['title'] for task in self.ann.get('/api/tasks').get_json()], ["Ann's task"])
+
+    def test_other_users_tasks_do_not_exist(self):
+        url = f"/api/tasks/{self.task['id']}"
+        self.assertEqual(self.bob.get(url).status_code, 404)
+        self.assertEqual(self.call(self.bob, 'PUT', url, {'title': 'Mine now'}).status_code, 404)
+        self.assertEqual(self.call(self.bob, 'PATCH', url + '/toggle').status_code, 404)
+        self.assertEqual(self.call(self.bob, 'DELETE', url).status_code, 404)
+        self.assertEqual(self.ann.get(url).get_json()['title'], "Ann's task")
+
+    def test_cannot_put_tasks_in_other_users_projects(self):
+        project_id = self.task['project_id']
+        response = self.call(self.bob, 'POST', '/api/tasks', {'title': 'Planted', 'project_id': project_id})
+        self.assertEqual(response.status_code, 400)
+        self.assertIn('project_id', response.get_json()['fields'])
+
+    def test_must_be_logged_in(self):
+        self.call(self.ann, 'POST', '/logout')
+        self.assertEqual(self.ann.get('/api/tasks').status_code, 401)
+
+
+if __name__ == '__main__':
+    unittest.main()